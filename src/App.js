@@ -1,506 +1,1521 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useRef, useEffect } from "react";
+import { mapCcdaDocument } from "./ccda";
+import { mockPatients } from "./data/mockData";
+import { readBulkNdjson } from "./fhir/bulk";
+import { parseFHIRBundle } from "./fhir/bundle";
+import {
+  beginSmartLaunch,
+  completeSmartLaunch,
+  fetchPatientRecord,
+  normalizeBaseUrl,
+  searchServerPatients,
+  SERVER_MAX_PAGES,
+} from "./fhir/serverClient";
+import {
+  addMonths,
+  bucketResources,
+  describeResource,
+  formatFHIRDate,
+  getAge,
+  getPatientDisplayName,
+  parseFHIRDate,
+  toFHIRDate,
+} from "./fhir/utils";
+import { validateBundle, withoutInvalidEntries } from "./fhir/validate";
+import { buildHl7Ack, hl7AckError } from "./hl7/ack";
+import {
+  hl7ResultResources,
+  hl7Sender,
+  mapHl7Message,
+  withSubject,
+} from "./hl7/mapping";
+import {
+  applyIdentityToPatient,
+  buildPatientFromIdentity,
+  canBuildPatientFromIdentity,
+  formatHl7Identity,
+  matchPatientByIdentity,
+} from "./hl7/matching";
+import { hl7Value, parseHl7Message, todayFhirDate } from "./hl7/parser";
+import {
+  buildCareGapException,
+  careGapExtension,
+  DEFAULT_CARE_GAP_RULES,
+  DEFAULT_EXCLUSIONS,
+  describeEligibility,
+  describeRuleEvents,
+  evaluateCareGapRules,
+  evaluatePanel,
+  formatResultValues,
+  getMeasurementPeriod,
+  MEASUREMENT_PERIOD_TYPES,
+  parseRulePack,
+} from "./rules/engine";
+import {
+  buildGapsInCareBundle,
+  buildPanelGapsInCare,
+  buildPanelMeasureReportBundle,
+  resultEvidence,
+} from "./rules/measureReport";
+import { findTextFallbacks, VALUE_SETS } from "./rules/valueSets";
+import {
+  describeProvenance,
+  findEarlierIngestion,
+  indexProvenance,
+  newIngestionId,
+  provenanceFormat,
+  recordIngestion,
+  replayIngestions,
+} from "./store/ingestionLog";
+import {
+  describeMergeSummary,
+  indexResourcesByPatient,
+  listStorePatients,
+  resolvePatientId,
+  storeKey,
+} from "./store/patientStore";
+import {
+  createMockStore,
+  exportStoreBundle,
+  loadWorkspace,
+  saveWorkspace,
+  storeFromBundle,
+} from "./store/workspace";
+import {
+  addGapWindows,
+  buildGapWindowMarkers,
+  buildTimeline,
+  filterTimeline,
+  groupTimelineByYear,
+  TIMELINE_TYPES,
+} from "./timeline";
+import { buildTrendSeries } from "./trends";
+import {
+  detectFileFormat,
+  FORMAT_SNIFF_BYTES,
+  ingestedPatientNames,
+  listUploadIssues,
+  readFileText,
+  uploadOrder,
+} from "./uploadQueue";
 
 /* =========================
-   MOCK FHIR-LIKE DATA
+   SMALL UI HELPERS
    ========================= */
 
-const mockPatients = [
-  {
-    id: "patient-1",
-    resourceType: "Patient",
-    name: [{ given: ["Jane"], family: "Doe" }],
-    gender: "female",
-    birthDate: "1965-04-12",
-  },
-  {
-    id: "patient-2",
-    resourceType: "Patient",
-    name: [{ given: ["John"], family: "Smith" }],
-    gender: "male",
-    birthDate: "1978-09-02",
-  },
-];
+function Badge({ children, variant }) {
+  let base =
+    "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium";
+  let color = " bg-gray-200 text-gray-800";
+  if (variant === "high") color = " bg-red-200 text-red-800";
+  else if (variant === "medium") color = " bg-yellow-200 text-yellow-800";
+  else if (variant === "low") color = " bg-green-200 text-green-800";
+  return <span className={base + color}>{children}</span>;
+}
 
-const mockConditions = [
-  {
-    id: "cond-1",
-    resourceType: "Condition",
-    subject: { reference: "Patient/patient-1" },
-    code: {
-      coding: [{ display: "Diabetes mellitus type 2" }],
-    },
-    clinicalStatus: { text: "active" },
-  },
-  {
-    id: "cond-2",
-    resourceType: "Condition",
-    subject: { reference: "Patient/patient-1" },
-    code: {
-      coding: [{ display: "Hypertensive disorder" }],
-    },
-    clinicalStatus: { text: "active" },
-  },
-];
+function downloadTextFile(fileName, text, mimeType) {
+  const blob = new Blob([text], { type: mimeType || "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
 
-const mockEncounters = [
-  {
-    id: "enc-1",
-    resourceType: "Encounter",
-    subject: { reference: "Patient/patient-1" },
-    period: { start: "2024-05-01" },
-    type: [{ text: "Annual wellness visit" }],
-  },
-  {
-    id: "enc-2",
-    resourceType: "Encounter",
-    subject: { reference: "Patient/patient-1" },
-    period: { start: "2023-02-15" },
-    type: [{ text: "Office visit" }],
-  },
-];
+function Card({ title, children }) {
+  return (
+    <div className="rounded-xl border bg-white p-4 shadow">
+      {title && <h2 className="text-sm font-semibold mb-2">{title}</h2>}
+      {children}
+    </div>
+  );
+}
 
-const mockObservations = [
-  {
-    id: "obs-1",
-    resourceType: "Observation",
-    subject: { reference: "Patient/patient-1" },
-    effectiveDateTime: "2024-05-01",
-    code: { text: "Blood pressure" },
-    valueString: "140/92",
-  },
-  {
-    id: "obs-2",
-    resourceType: "Observation",
-    subject: { reference: "Patient/patient-1" },
-    effectiveDateTime: "2023-01-04",
-    code: { text: "Hemoglobin A1c" },
-    valueQuantity: { value: 8.2, unit: "%" },
-  },
-  {
-    id: "obs-3",
-    resourceType: "Observation",
-    subject: { reference: "Patient/patient-1" },
-    effectiveDateTime: "2022-01-10",
-    code: { text: "Hemoglobin A1c" },
-    valueQuantity: { value: 7.5, unit: "%" },
-  },
-];
+/* =========================
+   FHIR SERVER
+   ========================= */
 
-const mockImmunizations = [
-  {
-    id: "imm-1",
-    resourceType: "Immunization",
-    patient: { reference: "Patient/patient-1" },
-    occurrenceDateTime: "2022-10-01",
-    vaccineCode: { text: "Influenza, seasonal" },
-  },
-];
+function FhirServerCard({ server, status, onChange, onSmartSignIn, onLoad }) {
+  const [clientId, setClientId] = useState("");
+  const [query, setQuery] = useState({
+    name: "",
+    identifier: "",
+    birthdate: "",
+  });
+  const [search, setSearch] = useState(null);
+  const runSearch = () => {
+    setSearch({ busy: true });
+    searchServerPatients(
+      { ...server, baseUrl: normalizeBaseUrl(server.baseUrl) },
+      query
+    )
+      .then((result) => setSearch(result))
+      .catch((err) => setSearch({ error: err.message }));
+  };
+  const connected = !!server.baseUrl;
+  return (
+    <Card title="FHIR Server">
+      <div className="text-xs flex flex-col gap-2">
+        <input
+          className="border rounded px-2 py-0.5"
+          placeholder="FHIR R4 base URL, e.g. http://localhost:8080/fhir"
+          value={server.baseUrl}
+          onChange={(e) => onChange({ ...server, baseUrl: e.target.value })}
+        />
+        <input
+          className="border rounded px-2 py-0.5"
+          placeholder="Bearer token (optional)"
+          value={server.token}
+          onChange={(e) => onChange({ ...server, token: e.target.value })}
+        />
+        <div className="flex gap-2">
+          <input
+            className="border rounded px-2 py-0.5 flex-1"
+            placeholder="SMART client ID"
+            value={clientId}
+            onChange={(e) => setClientId(e.target.value)}
+          />
+          <button
+            className="border rounded px-2 py-0.5 bg-white"
+            disabled={!connected || !clientId}
+            onClick={() => onSmartSignIn(clientId)}
+          >
+            Sign in with SMART
+          </button>
+        </div>
+        {server.expiresAt && (
+          <div className="text-[11px] text-gray-500">
+            Signed in with SMART; the token expires at{" "}
+            {new Date(server.expiresAt).toLocaleTimeString()}.
+          </div>
+        )}
+        {server.patientId && (
+          <div className="p-2 border rounded bg-gray-50 flex justify-between">
+            <span>Patient selected at sign-in: Patient/{server.patientId}</span>
+            <button
+              className="border rounded px-2 py-0.5 bg-white"
+              disabled={status.busy}
+              onClick={() => onLoad(server.patientId)}
+            >
+              Load
+            </button>
+          </div>
+        )}
+        <div className="grid grid-cols-3 gap-2">
+          {["name", "identifier", "birthdate"].map((param) => (
+            <input
+              key={param}
+              className="border rounded px-2 py-0.5"
+              placeholder={param}
+              value={query[param]}
+              onChange={(e) => setQuery({ ...query, [param]: e.target.value })}
+            />
+          ))}
+        </div>
+        <button
+          className="border rounded px-2 py-0.5 bg-white self-start"
+          disabled={!connected || (search && search.busy)}
+          onClick={runSearch}
+        >
+          Search patients
+        </button>
+        {search && search.busy && (
+          <div className="text-gray-500">Searching…</div>
+        )}
+        {search && search.error && (
+          <div className="text-red-700">{search.error}</div>
+        )}
+        {search && search.patients && (
+          <ul className="flex flex-col gap-1">
+            {search.patients.length === 0 && (
+              <li className="text-gray-500">No matching patients.</li>
+            )}
+            {search.patients.map((p) => (
+              <li
+                key={p.id}
+                className="p-2 border rounded bg-gray-50 flex justify-between"
+              >
+                <span>
+                  {getPatientDisplayName(p)} ({p.birthDate || "no DOB"},
+                  Patient/{p.id})
+                </span>
+                <button
+                  className="border rounded px-2 py-0.5 bg-white"
+                  disabled={status.busy}
+                  onClick={() => onLoad(p.id)}
+                >
+                  Load
+                </button>
+              </li>
+            ))}
+            {search.truncated && (
+              <li className="text-gray-500">
+                Only the first {SERVER_MAX_PAGES} pages are shown; narrow the
+                search.
+              </li>
+            )}
+          </ul>
+        )}
+        {status.message && (
+          <div className="text-gray-500">{status.message}</div>
+        )}
+        {status.error && <div className="text-red-700">{status.error}</div>}
+      </div>
+    </Card>
+  );
+}
 
 /* =========================
-   UTILITIES
+   UPLOAD RESULTS
    ========================= */
 
-function getPatientDisplayName(patient) {
-  if (!patient || !patient.name || patient.name.length === 0) return "Unknown";
-  const n = patient.name[0];
-  const given = n.given && n.given.length > 0 ? n.given[0] : "";
-  const family = n.family || "";
-  return (given + " " + family).trim();
+const UPLOAD_STATUS_BADGES = {
+  queued: { label: "Queued" },
+  reading: { label: "Reading" },
+  done: { label: "Loaded", variant: "low" },
+  held: { label: "Needs review", variant: "medium" },
+  skipped: { label: "Skipped" },
+  failed: { label: "Failed", variant: "high" },
+};
+
+// One row per uploaded file, in the order they are ingested
+function UploadResultsCard({ results, onClear }) {
+  const finished = results.filter(
+    (r) => r.status !== "queued" && r.status !== "reading"
+  );
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return (
+    <Card title={"Uploaded Files (" + results.length + ")"}>
+      <div className="text-xs flex flex-col gap-2">
+        <div className="flex justify-between text-gray-500">
+          <span>
+            {count("done")} loaded, {count("held")} waiting for review,{" "}
+            {count("failed")} failed
+            {count("skipped") > 0 ? ", " + count("skipped") + " skipped" : ""}
+            {finished.length < results.length
+              ? "; " +
+                (results.length - finished.length) +
+                " still in the queue"
+              : ""}
+          </span>
+          <button
+            className="text-blue-700 underline"
+            disabled={finished.length === 0}
+            onClick={onClear}
+          >
+            Clear finished
+          </button>
+        </div>
+        <table className="w-full text-left">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="font-medium">File</th>
+              <th className="font-medium">Format</th>
+              <th className="font-medium">Patient</th>
+              <th className="font-medium">Resources</th>
+              <th className="font-medium">Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r) => {
+              const badge = UPLOAD_STATUS_BADGES[r.status];
+              return (
+                <tr key={r.id} className="border-t align-top">
+                  <td className="py-1 pr-2 break-all">{r.fileName}</td>
+                  <td className="py-1 pr-2">{r.format || ""}</td>
+                  <td className="py-1 pr-2">{(r.patients || []).join(", ")}</td>
+                  <td className="py-1 pr-2">{r.resources || ""}</td>
+                  <td className="py-1">
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                    {(r.errors || []).map((message, i) => (
+                      <div key={"e" + i} className="text-red-700">
+                        {message}
+                      </div>
+                    ))}
+                    {(r.notes || []).map((message, i) => (
+                      <div key={"n" + i} className="text-gray-500">
+                        {message}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
 }
 
-function getAge(birthDate) {
-  if (!birthDate) return null;
-  const dob = new Date(birthDate);
-  const now = new Date();
-  let age = now.getFullYear() - dob.getFullYear();
-  const m = now.getMonth() - dob.getMonth();
-  if (m < 0 || (m === 0 && now.getDate() < dob.getDate())) {
-    age--;
-  }
-  return age;
+/* =========================
+   BUNDLE IMPORT REPORT
+   ========================= */
+
+// Issues grouped by the resource they were found in; Bundle-level first
+function ValidationIssueList({ issues }) {
+  const groups = [];
+  issues.forEach((issue) => {
+    const label = issue.resource || "Bundle";
+    let group = groups.find(
+      (g) => g.label === label && g.entry === issue.entry
+    );
+    if (!group) {
+      group = { label, entry: issue.entry, issues: [] };
+      groups.push(group);
+    }
+    group.issues.push(issue);
+  });
+  return (
+    <ul className="flex flex-col gap-1">
+      {groups.map((g) => (
+        <li
+          key={g.label + "#" + g.entry}
+          className="p-2 border rounded bg-gray-50"
+        >
+          <div className="font-medium">
+            {g.label}
+            {g.entry !== null ? " (entry " + (g.entry + 1) + ")" : ""}
+          </div>
+          <ul className="text-[11px]">
+            {g.issues.map((issue, idx) => (
+              <li
+                key={idx}
+                className={
+                  issue.severity === "error"
+                    ? "text-red-700"
+                    : "text-yellow-800"
+                }
+              >
+                {issue.severity === "error" ? "Error" : "Warning"}{" "}
+                <span className="font-mono">{issue.path}</span>: {issue.message}
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  );
 }
 
-// Format FHIR date (YYYY-MM-DD) without timezone shifting
-function formatFHIRDate(dateStr) {
-  if (!dateStr) return "";
-  const parts = dateStr.split("-");
-  if (parts.length !== 3) return dateStr;
-  const year = parts[0];
-  const month = parseInt(parts[1], 10);
-  const day = parseInt(parts[2], 10);
-  if (isNaN(month) || isNaN(day)) return dateStr;
-  return month + "/" + day + "/" + year;
+function countIssues(issues, severity) {
+  return issues.filter((issue) => issue.severity === severity).length;
 }
 
-// HL7 YYYYMMDD[hhmmss] -> FHIR YYYY-MM-DD
-function hl7DateToFhirDate(hl7) {
-  if (!hl7) return null;
-  const trimmed = hl7.trim();
-  if (trimmed.length < 8) return null;
-  const year = trimmed.slice(0, 4);
-  const month = trimmed.slice(4, 6);
-  const day = trimmed.slice(6, 8);
-  return year + "-" + month + "-" + day;
+function BundleValidationCard({
+  pending,
+  waiting,
+  onAcceptAll,
+  onAcceptValid,
+  onDiscard,
+}) {
+  const { validation } = pending;
+  const validCount = validation.entryCount - validation.invalidEntries.length;
+  return (
+    <Card title="FHIR Bundle Validation">
+      <div className="text-xs flex flex-col gap-2">
+        <p className="text-gray-500">
+          {pending.origin.fileName} has{" "}
+          {countIssues(validation.issues, "error")} error(s) and{" "}
+          {countIssues(validation.issues, "warning")} warning(s) against the
+          FHIR R4 structure; {validation.invalidEntries.length} of{" "}
+          {validation.entryCount} resource(s) have errors. Nothing has been
+          imported yet.
+          {waiting > 0
+            ? " " + waiting + " more file(s) are waiting for review."
+            : ""}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            className="border rounded px-2 py-0.5 bg-white"
+            disabled={validCount === 0}
+            onClick={onAcceptValid}
+          >
+            Import the {validCount} valid resource(s)
+          </button>
+          <button
+            className="border rounded px-2 py-0.5 bg-white"
+            onClick={onAcceptAll}
+          >
+            Import everything anyway
+          </button>
+          <button
+            className="border rounded px-2 py-0.5 bg-white text-red-700"
+            onClick={onDiscard}
+          >
+            Discard file
+          </button>
+        </div>
+        <ValidationIssueList issues={validation.issues} />
+      </div>
+    </Card>
+  );
 }
 
-function getPatientResourcesFromMocks(patientId) {
-  const ref = "Patient/" + patientId;
-  return {
-    conditions: mockConditions.filter(
-      (c) => c.subject && c.subject.reference === ref
-    ),
-    encounters: mockEncounters.filter(
-      (e) => e.subject && e.subject.reference === ref
-    ),
-    observations: mockObservations.filter(
-      (o) => o.subject && o.subject.reference === ref
-    ),
-    immunizations: mockImmunizations.filter(
-      (i) => i.patient && i.patient.reference === ref
-    ),
-  };
+function BundleImportCard({ report }) {
+  return (
+    <Card title="FHIR Bundle Import">
+      <div className="text-xs flex flex-col gap-2">
+        <div className="text-gray-500">
+          {report.format}: {report.fileName}
+          {report.bundleId ? " (Bundle " + report.bundleId + ")" : ""}
+        </div>
+        <div>{describeMergeSummary(report.merged)}</div>
+        {report.notes.length > 0 && (
+          <ul className="text-[11px] text-gray-500 list-disc pl-4">
+            {report.notes.map((note, idx) => (
+              <li key={idx}>{note}</li>
+            ))}
+          </ul>
+        )}
+        <ul className="flex flex-col gap-1">
+          {report.patients.map((p) => (
+            <li key={p.id} className="flex justify-between">
+              <span>{p.name}</span>
+              <span className="text-gray-500">
+                {p.resourceCount} resource(s)
+              </span>
+            </li>
+          ))}
+        </ul>
+        {report.validation && report.validation.issues.length > 0 && (
+          <div>
+            <div className="font-semibold text-yellow-800 mb-1">
+              Validation: {countIssues(report.validation.issues, "error")}{" "}
+              error(s), {countIssues(report.validation.issues, "warning")}{" "}
+              warning(s)
+              {report.skipped > 0
+                ? "; " + report.skipped + " invalid resource(s) not imported"
+                : ""}
+            </div>
+            <ValidationIssueList issues={report.validation.issues} />
+          </div>
+        )}
+        {report.unresolved.length > 0 && (
+          <div>
+            <div className="font-semibold text-red-700 mb-1">
+              Not linked to any patient ({report.unresolved.length})
+            </div>
+            <ul className="flex flex-col gap-1">
+              {report.unresolved.map((u) => (
+                <li
+                  key={u.resourceType + "/" + u.id}
+                  className="p-2 border rounded bg-gray-50"
+                >
+                  <div className="font-medium">
+                    {u.resourceType}/{u.id}
+                  </div>
+                  <div className="text-[11px] text-gray-500">
+                    {u.reference ? "Reference " + u.reference + ": " : ""}
+                    {u.reason}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
 }
 
 /* =========================
-   CARE GAP ENGINE
+   BULK IMPORT REPORT
    ========================= */
 
-function findLatestObservation(observations, codeText) {
-  const relevant = observations.filter(
-    (o) => o.code && o.code.text === codeText
-  );
-  relevant.sort(
-    (a, b) =>
-      new Date(b.effectiveDateTime).getTime() -
-      new Date(a.effectiveDateTime).getTime()
-  );
-  return relevant[0];
-}
+// Issues listed in the card; the counts above the list cover all of them
+const BULK_ISSUES_SHOWN = 100;
 
-function monthsBetween(d1, d2) {
-  const years = d2.getFullYear() - d1.getFullYear();
-  const months = d2.getMonth() - d1.getMonth();
-  return years * 12 + months;
+function BulkImportCard({ bulk }) {
+  const progress = bulk.progress;
+  const percent =
+    progress && progress.totalBytes
+      ? Math.round((progress.bytesRead / progress.totalBytes) * 100)
+      : 0;
+  return (
+    <Card title="Bulk NDJSON Import">
+      <div className="text-xs flex flex-col gap-2">
+        <div className="text-gray-500">{bulk.fileNames.join(", ")}</div>
+        {bulk.status === "running" && (
+          <div className="flex flex-col gap-1">
+            <div className="h-2 rounded bg-gray-200 overflow-hidden">
+              <div
+                className="h-2 bg-blue-600"
+                style={{ width: percent + "%" }}
+              />
+            </div>
+            <div className="text-gray-500">
+              {progress
+                ? "Reading " +
+                  progress.fileName +
+                  ": " +
+                  percent +
+                  "%, " +
+                  progress.lineCount +
+                  " line(s), " +
+                  progress.issueCount +
+                  " issue(s) so far"
+                : "Starting…"}
+            </div>
+          </div>
+        )}
+        {bulk.status === "failed" && (
+          <div className="text-red-700">{bulk.error}</div>
+        )}
+        {bulk.status === "done" && (
+          <div className="flex flex-col gap-1">
+            <div>
+              Read {bulk.lineCount} line(s). Loaded {bulk.patientCount}{" "}
+              patient(s) and {bulk.resourceCount} resource(s):{" "}
+              {describeMergeSummary(bulk.merged)}.
+            </div>
+            {bulk.unresolved + bulk.ignored > 0 && (
+              <div className="text-gray-500">
+                {bulk.unresolved} resource(s) had no matching patient and{" "}
+                {bulk.ignored} were of types the app does not use.
+              </div>
+            )}
+          </div>
+        )}
+        {bulk.issues && bulk.issues.length > 0 && (
+          <div>
+            <div className="font-semibold mb-1">
+              {countIssues(bulk.issues, "error")} error(s),{" "}
+              {countIssues(bulk.issues, "warning")} warning(s). Unreadable lines
+              and unlinked resources were skipped; resources with validation
+              errors were loaded.
+            </div>
+            <ul className="flex flex-col gap-1 max-h-64 overflow-auto">
+              {bulk.issues.slice(0, BULK_ISSUES_SHOWN).map((issue, idx) => (
+                <li
+                  key={idx}
+                  className={
+                    "text-[11px] " +
+                    (issue.severity === "error"
+                      ? "text-red-700"
+                      : "text-yellow-800")
+                  }
+                >
+                  {issue.fileName}:{issue.line}
+                  {issue.resource ? " " + issue.resource : ""}
+                  {issue.path ? " (" + issue.path + ")" : ""}: {issue.message}
+                </li>
+              ))}
+              {bulk.issues.length > BULK_ISSUES_SHOWN && (
+                <li className="text-gray-500">
+                  and {bulk.issues.length - BULK_ISSUES_SHOWN} more
+                </li>
+              )}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
 }
 
-function calculateCareGaps(patient, resources) {
-  if (!patient || !resources) return [];
-  const gaps = [];
-  const now = new Date();
-  const age = getAge(patient.birthDate);
-  const conditions = resources.conditions || [];
-  const encounters = resources.encounters || [];
-  const observations = resources.observations || [];
-
-  const hasDiabetes = conditions.some((c) => {
-    const codes = (c.code && c.code.coding) || [];
-    return codes.some(
-      (cd) =>
-        cd.display &&
-        cd.display.toLowerCase().indexOf("diabetes") !== -1
-    );
-  });
-
-  const hasHypertension = conditions.some((c) => {
-    const codes = (c.code && c.code.coding) || [];
-    return codes.some(
-      (cd) =>
-        cd.display &&
-        cd.display.toLowerCase().indexOf("hyper") !== -1
-    );
-  });
-
-  // A1c
-  if (hasDiabetes) {
-    const latestA1c = findLatestObservation(observations, "Hemoglobin A1c");
-    if (!latestA1c) {
-      gaps.push({
-        id: "gap-a1c-none",
-        label: "No historical A1c found for diabetic patient",
-        severity: "high",
-        recommendation: "Order Hemoglobin A1c test.",
-      });
-    } else {
-      const last = new Date(latestA1c.effectiveDateTime);
-      const months = monthsBetween(last, now);
-      if (months > 12) {
-        gaps.push({
-          id: "gap-a1c-stale",
-          label: "Last A1c was " + months + " months ago",
-          severity: "high",
-          lastDate: latestA1c.effectiveDateTime,
-          recommendation: "Order repeat A1c; patient is overdue.",
-        });
-      }
-    }
-  }
+/* =========================
+   INGESTION HISTORY
+   ========================= */
 
-  // Blood pressure
-  if (hasHypertension) {
-    const latestBP = findLatestObservation(observations, "Blood pressure");
-    if (!latestBP) {
-      gaps.push({
-        id: "gap-bp-none",
-        label: "No blood pressure readings for hypertensive patient",
-        severity: "medium",
-        recommendation:
-          "Record blood pressure at next encounter or schedule a nurse visit.",
-      });
-    } else {
-      const last = new Date(latestBP.effectiveDateTime);
-      const months = monthsBetween(last, now);
-      if (months > 6) {
-        gaps.push({
-          id: "gap-bp-stale",
-          label: "Last BP was " + months + " months ago",
-          severity: "medium",
-          lastDate: latestBP.effectiveDateTime,
-          recommendation: "Schedule follow-up BP check.",
-        });
-      }
-    }
-  }
+function IngestionHistoryCard({ ingestions, onUndo }) {
+  const newestFirst = ingestions.slice().reverse();
+  return (
+    <Card title={"Ingestion History (" + ingestions.length + ")"}>
+      {ingestions.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          Nothing ingested yet; the store holds only its base data.
+        </p>
+      ) : (
+        <ul className="text-xs flex flex-col gap-2">
+          {newestFirst.map((ingestion) => (
+            <li
+              key={ingestion.id}
+              className="p-2 border rounded bg-gray-50 flex justify-between gap-2"
+            >
+              <div>
+                <div className="font-medium">{ingestion.label}</div>
+                <div className="text-[11px] text-gray-500">
+                  {ingestion.provenance
+                    ? describeProvenance(ingestion.provenance)
+                    : (ingestion.source && ingestion.source.fileName) || ""}
+                </div>
+                <div className="text-[11px] text-gray-500">
+                  {describeMergeSummary(ingestion.summary)}
+                  {ingestion.remove && ingestion.remove.length > 0
+                    ? ", " + ingestion.remove.length + " removed"
+                    : ""}
+                </div>
+              </div>
+              <button
+                className="self-start text-blue-700 underline"
+                onClick={() => onUndo(ingestion.id)}
+              >
+                Undo
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
 
-  // Mammogram (female 50–74)
-  if (patient.gender === "female" && age >= 50 && age <= 74) {
-    const hasMammo = observations.some(
-      (o) => o.code && o.code.text === "Mammogram"
-    );
-    if (!hasMammo) {
-      gaps.push({
-        id: "gap-mammo-none",
-        label: "No mammogram on record (age 50–74)",
-        severity: "medium",
-        recommendation: "Order screening mammogram.",
-      });
-    }
-  }
+/* =========================
+   UNMATCHED HL7 RESULTS
+   ========================= */
 
-  // Annual Wellness Visit
-  const awvEncounters = encounters.filter((e) => {
-    const types = e.type || [];
-    return types.some(
-      (t) => t.text && t.text.toLowerCase().indexOf("annual") !== -1
-    );
-  });
-  awvEncounters.sort(
-    (a, b) =>
-      new Date(b.period.start).getTime() -
-      new Date(a.period.start).getTime()
+const NO_PATIENT_KEY_REASON =
+  "The PID has no identifier, or no name and birth date, to create a patient from.";
+
+function UnmatchedResultItem({
+  item,
+  patients,
+  onAssign,
+  onCreatePatient,
+  onDiscard,
+}) {
+  const [targetId, setTargetId] = useState("");
+  return (
+    <li className="p-2 border rounded bg-gray-50 flex flex-col gap-1">
+      <div className="flex justify-between">
+        <span className="font-medium">{formatHl7Identity(item.identity)}</span>
+        <Badge variant="high">unmatched</Badge>
+      </div>
+      <div className="text-[11px] text-gray-500">
+        {item.reason} {item.messageType} message{" "}
+        {item.controlId || "(no control ID)"}, {item.resources.length}{" "}
+        resource(s): {item.resources.map(describeResource).join(", ")}
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select
+          className="border rounded px-2 py-0.5"
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+        >
+          <option value="">Assign to patient…</option>
+          {patients.map((p) => (
+            <option key={p.id} value={p.id}>
+              {getPatientDisplayName(p)} ({p.birthDate || "no DOB"})
+            </option>
+          ))}
+        </select>
+        <button
+          className="border rounded px-2 py-0.5 bg-white"
+          disabled={!targetId}
+          onClick={() => onAssign(item, targetId)}
+        >
+          Assign
+        </button>
+        {item.identity && (
+          <button
+            className="border rounded px-2 py-0.5 bg-white"
+            disabled={!canBuildPatientFromIdentity(item.identity)}
+            title={
+              canBuildPatientFromIdentity(item.identity)
+                ? undefined
+                : NO_PATIENT_KEY_REASON
+            }
+            onClick={() => onCreatePatient(item)}
+          >
+            Create patient from PID
+          </button>
+        )}
+        <button
+          className="border rounded px-2 py-0.5 bg-white text-red-700"
+          onClick={() => onDiscard(item)}
+        >
+          Discard
+        </button>
+      </div>
+    </li>
   );
-  const latestAWV = awvEncounters[0];
-
-  if (!latestAWV) {
-    gaps.push({
-      id: "gap-awv-none",
-      label: "No annual wellness visit on record",
-      severity: "low",
-      recommendation: "Schedule an annual wellness visit.",
-    });
-  } else {
-    const last = new Date(latestAWV.period.start);
-    const months = monthsBetween(last, now);
-    if (months > 12) {
-      gaps.push({
-        id: "gap-awv-stale",
-        label: "Last annual wellness visit was " + months + " months ago",
-        severity: "low",
-        lastDate: latestAWV.period.start,
-        recommendation: "Schedule next annual wellness visit.",
-      });
-    }
-  }
+}
 
-  return gaps;
+function UnmatchedResultsCard({
+  items,
+  patients,
+  onAssign,
+  onCreatePatient,
+  onDiscard,
+}) {
+  return (
+    <Card title={"Unmatched HL7 Results (" + items.length + ")"}>
+      <p className="text-xs text-gray-500 mb-2">
+        These results could not be matched to a patient by PID-3 identifier or
+        by name, birth date and sex. Confirm the patient before filing.
+      </p>
+      <ul className="text-xs flex flex-col gap-2">
+        {items.map((item) => (
+          <UnmatchedResultItem
+            key={item.id}
+            item={item}
+            patients={patients}
+            onAssign={onAssign}
+            onCreatePatient={onCreatePatient}
+            onDiscard={onDiscard}
+          />
+        ))}
+      </ul>
+    </Card>
+  );
 }
 
 /* =========================
-   TIMELINE
+   CLINICAL TIMELINE
    ========================= */
 
-function buildTimeline(resources) {
-  const events = [];
-  const encounters = resources.encounters || [];
-  const observations = resources.observations || [];
-  const immunizations = resources.immunizations || [];
-
-  encounters.forEach((e) => {
-    if (e.period && e.period.start) {
-      events.push({
-        id: "enc-" + e.id,
-        date: e.period.start,
-        type: "Encounter",
-        label: (e.type && e.type[0] && e.type[0].text) || "Encounter",
-      });
-    }
+function TimelineCard({ events, sourceOf }) {
+  const [filter, setFilter] = useState({
+    types: TIMELINE_TYPES,
+    from: "",
+    to: "",
   });
-
-  observations.forEach((o) => {
-    if (o.effectiveDateTime) {
-      events.push({
-        id: "obs-" + o.id,
-        date: o.effectiveDateTime,
-        type: "Observation",
-        label: (o.code && o.code.text) || "Observation",
-      });
-    }
-  });
-
-  immunizations.forEach((i) => {
-    if (i.occurrenceDateTime) {
-      events.push({
-        id: "imm-" + i.id,
-        date: i.occurrenceDateTime,
-        type: "Immunization",
-        label:
-          (i.vaccineCode && i.vaccineCode.text) || "Immunization",
-      });
-    }
+  const counts = {};
+  events.forEach((ev) => {
+    counts[ev.type] = (counts[ev.type] || 0) + 1;
   });
+  const toggleType = (type) =>
+    setFilter((prev) => ({
+      ...prev,
+      types:
+        prev.types.indexOf(type) === -1
+          ? prev.types.concat(type)
+          : prev.types.filter((t) => t !== type),
+    }));
+  const groups = groupTimelineByYear(filterTimeline(events, filter));
 
-  events.sort(
-    (a, b) => new Date(a.date).getTime() - new Date(b.date).getTime()
+  return (
+    <Card title="Clinical Timeline">
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] mb-2">
+        {TIMELINE_TYPES.filter((type) => counts[type]).map((type) => (
+          <label key={type} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={filter.types.indexOf(type) !== -1}
+              onChange={() => toggleType(type)}
+            />
+            {type} ({counts[type]})
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-[11px] mb-3">
+        <label className="flex items-center gap-1">
+          From
+          <input
+            type="date"
+            className="border rounded px-2 py-0.5"
+            value={filter.from}
+            onChange={(e) => setFilter({ ...filter, from: e.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input
+            type="date"
+            className="border rounded px-2 py-0.5"
+            value={filter.to}
+            onChange={(e) => setFilter({ ...filter, to: e.target.value })}
+          />
+        </label>
+        {(filter.from || filter.to) && (
+          <button
+            className="text-blue-700 underline"
+            onClick={() => setFilter({ ...filter, from: "", to: "" })}
+          >
+            All dates
+          </button>
+        )}
+      </div>
+      {events.length === 0 ? (
+        <p className="text-xs text-gray-500">No events recorded.</p>
+      ) : groups.length === 0 ? (
+        <p className="text-xs text-gray-500">No events match the filters.</p>
+      ) : (
+        groups.map((group) => (
+          <div key={group.year} className="mb-2">
+            <h3 className="text-xs font-semibold text-gray-600 mb-2">
+              {group.year} ({group.events.length})
+            </h3>
+            <ol className="relative border-l border-gray-300 pl-4 text-xs">
+              {group.events.map((ev) =>
+                ev.marker ? (
+                  <li
+                    key={ev.id}
+                    className="mb-4 border border-dashed border-gray-400 rounded px-2 py-1 bg-gray-50"
+                  >
+                    <div className="flex justify-between">
+                      <span>
+                        <Badge variant={ev.severity}>
+                          {ev.marker === "start"
+                            ? "Window opens"
+                            : "Window closes"}
+                        </Badge>{" "}
+                        {ev.label}
+                      </span>
+                      <span className="text-gray-500">
+                        {formatFHIRDate(ev.date)}
+                      </span>
+                    </div>
+                    <div className="text-[11px] text-gray-500">
+                      {ev.detail}
+                    </div>
+                  </li>
+                ) : (
+                  <li key={ev.id} className="mb-4">
+                    <div className="absolute -left-1.5 w-3 h-3 bg-white border border-gray-400 rounded-full"></div>
+                    <div className="flex justify-between">
+                      <span>
+                        <Badge>{ev.type}</Badge> {ev.label}
+                        {ev.value && (
+                          <span
+                            className={
+                              ev.abnormal
+                                ? "font-semibold text-red-700"
+                                : "font-medium"
+                            }
+                          >
+                            : {ev.value}
+                          </span>
+                        )}
+                        {ev.abnormal && (
+                          <span className="ml-1">
+                            <Badge variant="high">Abnormal</Badge>
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-gray-500">
+                        {formatFHIRDate(ev.date)}
+                      </span>
+                    </div>
+                    {ev.detail && (
+                      <div className="text-[11px] text-gray-500">
+                        {ev.detail}
+                      </div>
+                    )}
+                    {sourceOf(ev.resource) && (
+                      <div className="text-[11px] text-gray-400">
+                        From {sourceOf(ev.resource)}
+                      </div>
+                    )}
+                  </li>
+                )
+              )}
+            </ol>
+          </div>
+        ))
+      )}
+    </Card>
   );
-  return events;
 }
 
 /* =========================
-   PARSE FHIR BUNDLE (UPLOAD)
+   TREND CHARTS
    ========================= */
 
-function parseFHIRBundle(bundle) {
-  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
-  const resources = entries
-    .map((e) => e.resource)
-    .filter((r) => r && r.resourceType);
-
-  const patients = resources.filter((r) => r.resourceType === "Patient");
-  if (patients.length === 0) {
-    throw new Error("No Patient resource found in bundle.");
+const TREND_CHART = {
+  width: 360,
+  height: 160,
+  left: 40,
+  right: 12,
+  top: 10,
+  bottom: 20,
+};
+const TREND_LINE_COLORS = ["#2563eb", "#9333ea"];
+const TREND_SOURCE_SYMBOLS = { FHIR: "●", "HL7 v2": "■", "C-CDA": "◆" };
+
+// Point marker by source: circle for FHIR, square for HL7 v2, diamond for
+// C-CDA
+function trendMarkerPath(source, x, y) {
+  const r = 4;
+  if (source === "HL7 v2") {
+    return "M" + (x - r) + " " + (y - r) + "h8v8h-8Z";
   }
+  if (source === "C-CDA") {
+    return "M" + x + " " + (y - r - 1) + "l5 5l-5 5l-5 -5Z";
+  }
+  return "M" + (x - r) + " " + y + "a4 4 0 1 0 8 0a4 4 0 1 0 -8 0";
+}
 
-  const patient = patients[0];
-  const ref = "Patient/" + patient.id;
-
-  const conditions = resources.filter(
-    (r) =>
-      r.resourceType === "Condition" &&
-      r.subject &&
-      r.subject.reference === ref
-  );
-  const encounters = resources.filter(
-    (r) =>
-      r.resourceType === "Encounter" &&
-      r.subject &&
-      r.subject.reference === ref
-  );
-  const observations = resources.filter(
-    (r) =>
-      r.resourceType === "Observation" &&
-      r.subject &&
-      r.subject.reference === ref
-  );
-  const immunizations = resources.filter(
-    (r) =>
-      r.resourceType === "Immunization" &&
-      ((r.patient && r.patient.reference === ref) ||
-        (r.subject && r.subject.reference === ref))
-  );
-
+// Value and time axes covering every point, range and goal line
+function trendScale(series) {
+  let low = Infinity;
+  let high = -Infinity;
+  const include = (value) => {
+    if (typeof value !== "number") return;
+    low = Math.min(low, value);
+    high = Math.max(high, value);
+  };
+  series.points.forEach((p) => include(p.value));
+  series.goals.forEach((g) => include(g.value));
+  series.ranges.forEach((r) => {
+    include(r.low);
+    include(r.high);
+  });
+  const pad = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+  low -= pad;
+  high += pad;
+
+  // A single reading sits in the middle of a two-month span
+  const first = series.points[0].time;
+  const last = series.points[series.points.length - 1].time;
+  const span = last - first || 60 * 24 * 60 * 60 * 1000;
+  const start = last === first ? first - span / 2 : first;
+  const c = TREND_CHART;
+  const inset = 6;
+  const plotWidth = c.width - c.left - c.right - 2 * inset;
+  const plotHeight = c.height - c.top - c.bottom;
   return {
-    patient,
-    resources: {
-      conditions,
-      encounters,
-      observations,
-      immunizations,
-    },
+    low,
+    high,
+    x: (time) => c.left + inset + ((time - start) / span) * plotWidth,
+    y: (value) => c.top + (1 - (value - low) / (high - low)) * plotHeight,
   };
 }
 
-/* =========================
-   HL7 → FHIR PARSER
-   ========================= */
-
-function parseHl7ToObservation(hl7Text, patientId) {
-  if (!hl7Text) {
-    throw new Error("Empty HL7 message.");
-  }
+function formatTrendTick(value) {
+  return Math.abs(value) >= 10
+    ? String(Math.round(value))
+    : String(Math.round(value * 10) / 10);
+}
 
-  const lines = hl7Text
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
+function TrendChart({ series, selectedId, onSelect }) {
+  const c = TREND_CHART;
+  const scale = trendScale(series);
+  const right = c.width - c.right;
+  const bottom = c.height - c.bottom;
+  const first = series.points[0];
+  const last = series.points[series.points.length - 1];
+  const bounded = (value, fallback) =>
+    typeof value === "number" ? value : fallback;
 
-  const mshLine = lines.find((l) => l.startsWith("MSH"));
-  const obxLine = lines.find((l) => l.startsWith("OBX|"));
-  if (!obxLine) {
-    throw new Error("No OBX segment found in HL7 message.");
-  }
+  return (
+    <svg
+      viewBox={"0 0 " + c.width + " " + c.height}
+      className="w-full"
+      role="img"
+      aria-label={series.title + " trend"}
+    >
+      {series.ranges.map((range, i) => {
+        const top = scale.y(bounded(range.high, scale.high));
+        const base = scale.y(bounded(range.low, scale.low));
+        return (
+          <rect
+            key={"range-" + i}
+            x={c.left}
+            y={top}
+            width={right - c.left}
+            height={Math.max(base - top, 0)}
+            fill="#16a34a"
+            fillOpacity="0.12"
+          />
+        );
+      })}
+      {series.goals.map((goal, i) => (
+        <g key={"goal-" + i}>
+          <line
+            x1={c.left}
+            x2={right}
+            y1={scale.y(goal.value)}
+            y2={scale.y(goal.value)}
+            stroke="#dc2626"
+            strokeDasharray="4 3"
+          />
+          <text
+            x={right}
+            y={scale.y(goal.value) - 2}
+            textAnchor="end"
+            fontSize="9"
+            fill="#dc2626"
+          >
+            Goal {goal.label}
+            <title>{goal.title}</title>
+          </text>
+        </g>
+      ))}
+      <line x1={c.left} x2={c.left} y1={c.top} y2={bottom} stroke="#9ca3af" />
+      <line x1={c.left} x2={right} y1={bottom} y2={bottom} stroke="#9ca3af" />
+      {[scale.low, (scale.low + scale.high) / 2, scale.high].map((tick) => (
+        <text
+          key={"tick-" + tick}
+          x={c.left - 4}
+          y={scale.y(tick) + 3}
+          textAnchor="end"
+          fontSize="9"
+          fill="#6b7280"
+        >
+          {formatTrendTick(tick)}
+        </text>
+      ))}
+      <text x={c.left} y={c.height - 6} fontSize="9" fill="#6b7280">
+        {formatFHIRDate(first.date)}
+      </text>
+      {last !== first && (
+        <text
+          x={right}
+          y={c.height - 6}
+          textAnchor="end"
+          fontSize="9"
+          fill="#6b7280"
+        >
+          {formatFHIRDate(last.date)}
+        </text>
+      )}
+      {series.lines.map((line, i) => {
+        const points = series.points.filter((p) => p.key === line.key);
+        return (
+          <polyline
+            key={"line-" + line.key}
+            points={points
+              .map((p) => scale.x(p.time) + "," + scale.y(p.value))
+              .join(" ")}
+            fill="none"
+            stroke={TREND_LINE_COLORS[i % TREND_LINE_COLORS.length]}
+            strokeWidth="1.5"
+          />
+        );
+      })}
+      {series.points.map((p) => {
+        const index = series.lines.findIndex((line) => line.key === p.key);
+        const color = TREND_LINE_COLORS[index % TREND_LINE_COLORS.length];
+        return (
+          <path
+            key={p.id}
+            d={trendMarkerPath(p.source, scale.x(p.time), scale.y(p.value))}
+            fill={p.id === selectedId ? color : "white"}
+            stroke={color}
+            strokeWidth="2"
+            className="cursor-pointer"
+            onClick={() => onSelect(p)}
+          >
+            <title>
+              {formatResultValues({ value: p.value, unit: series.unit }) +
+                ", " +
+                formatFHIRDate(p.date) +
+                " (" +
+                p.source +
+                ")"}
+            </title>
+          </path>
+        );
+      })}
+    </svg>
+  );
+}
 
-  const obxFields = obxLine.split("|");
-  const obx3 = obxFields[3] || "";
-  const obx5 = obxFields[5] || "";
-  const obx6 = obxFields[6] || "";
-  const obx14 = obxFields[14] || ""; // observation datetime
-
-  // OBX-3 often: ^HBA1C^Hemoglobin A1c – pick last non-empty component
-  let display = obx3;
-  const obx3Parts = obx3.split("^").filter((p) => p.length > 0);
-  if (obx3Parts.length > 0) {
-    display = obx3Parts[obx3Parts.length - 1];
-  }
+function TrendsCard({ series }) {
+  const [selected, setSelected] = useState(null);
+  const sources = Object.keys(TREND_SOURCE_SYMBOLS).filter((source) =>
+    series.some((s) => s.points.some((p) => p.source === source))
+  );
 
-  let effective = hl7DateToFhirDate(obx14);
-  if (!effective && mshLine) {
-    const mshFields = mshLine.split("|");
-    const msh7 = mshFields[6] || "";
-    effective = hl7DateToFhirDate(msh7);
-  }
-  if (!effective) {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, "0");
-    const day = String(now.getDate()).padStart(2, "0");
-    effective = year + "-" + month + "-" + day;
-  }
+  return (
+    <Card title="Trends">
+      {series.length === 0 ? (
+        <p className="text-xs text-gray-500">No numeric results recorded.</p>
+      ) : (
+        <div className="flex flex-col gap-3">
+          <p className="text-[11px] text-gray-500">
+            Shaded: reference range. Dashed: care-gap goal. Sources:{" "}
+            {sources
+              .map((source) => source + " " + TREND_SOURCE_SYMBOLS[source])
+              .join(", ")}
+            . Click a point to see its resource.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {series.map((s) => {
+              const point =
+                selected && selected.seriesId === s.id ? selected.point : null;
+              return (
+                <div key={s.id} className="text-xs">
+                  <div className="flex justify-between">
+                    <span className="font-medium">
+                      {s.title}
+                      {s.unit ? " (" + s.unit + ")" : ""}
+                    </span>
+                    <span className="text-[11px] text-gray-500">
+                      {s.rangeSource === "typical"
+                        ? "Typical adult range"
+                        : "Lab reference range"}
+                    </span>
+                  </div>
+                  {s.lines.length > 1 && (
+                    <div className="flex gap-2 text-[11px]">
+                      {s.lines.map((line, i) => (
+                        <span
+                          key={line.key}
+                          style={{
+                            color:
+                              TREND_LINE_COLORS[i % TREND_LINE_COLORS.length],
+                          }}
+                        >
+                          {line.label}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <TrendChart
+                    series={s}
+                    selectedId={point ? point.id : null}
+                    onSelect={(p) =>
+                      setSelected(
+                        point && point.id === p.id
+                          ? null
+                          : { seriesId: s.id, point: p }
+                      )
+                    }
+                  />
+                  {point && (
+                    <div className="mt-1">
+                      <div className="flex justify-between text-[11px] text-gray-500">
+                        <span>
+                          {storeKey(point.resource)},{" "}
+                          {formatFHIRDate(point.date)}, from {point.source}
+                        </span>
+                        <button
+                          className="text-blue-700 underline"
+                          onClick={() => setSelected(null)}
+                        >
+                          Close
+                        </button>
+                      </div>
+                      <pre className="bg-gray-100 text-gray-800 p-2 rounded max-h-40 overflow-auto text-[11px]">
+                        {JSON.stringify(point.resource, null, 2)}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
 
-  const id = "hl7-obs-" + Math.random().toString(36).slice(2);
+/* =========================
+   CARE GAP RULES
+   ========================= */
 
-  const obs = {
-    id: id,
-    resourceType: "Observation",
-    subject: { reference: "Patient/" + patientId },
-    effectiveDateTime: effective,
-    code: { text: display || "HL7 Observation" },
-  };
+const RULE_STATUS_BADGES = {
+  gap: "high",
+  met: "low",
+  "not-eligible": "default",
+  "no-data": "default",
+  excluded: "medium",
+};
+
+const EXCEPTION_REASONS = [
+  "Patient declined",
+  "Medical reason",
+  "Completed elsewhere; records requested",
+  "Not appropriate for this patient",
+];
+const EXCEPTION_DURATIONS = [1, 3, 6, 12, 24];
+const DEFAULT_EXCEPTION_MONTHS = 12;
 
-  if (obx5) {
-    obs.valueString = obx5 + (obx6 ? " " + obx6 : "");
-  }
+function GapExceptionForm({ onSave, onCancel }) {
+  const [reason, setReason] = useState(EXCEPTION_REASONS[0]);
+  const [months, setMonths] = useState(DEFAULT_EXCEPTION_MONTHS);
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1 text-[11px]">
+      <select
+        className="border rounded px-1"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      >
+        {EXCEPTION_REASONS.map((r) => (
+          <option key={r} value={r}>
+            {r}
+          </option>
+        ))}
+      </select>
+      <span>for</span>
+      <select
+        className="border rounded px-1"
+        value={months}
+        onChange={(e) => setMonths(Number(e.target.value))}
+      >
+        {EXCEPTION_DURATIONS.map((m) => (
+          <option key={m} value={m}>
+            {m} month{m === 1 ? "" : "s"}
+          </option>
+        ))}
+      </select>
+      <button
+        className="border rounded px-2 bg-white"
+        onClick={() => onSave(reason, months)}
+      >
+        Save
+      </button>
+      <button className="px-1 text-gray-500" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
 
-  return obs;
+function ActiveRulesCard({
+  pack,
+  results,
+  valueSets,
+  error,
+  onUpload,
+  onReset,
+}) {
+  return (
+    <Card title={"Active Care Gap Rules (" + results.length + ")"}>
+      <div className="text-xs flex flex-col gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-500">
+            {pack
+              ? pack.name + (pack.version ? " v" + pack.version : "")
+              : "Built-in rules"}
+          </span>
+          <label className="border rounded px-2 py-0.5 bg-white cursor-pointer">
+            Load rule pack (.json)
+            <input
+              type="file"
+              accept=".json"
+              className="hidden"
+              onChange={onUpload}
+            />
+          </label>
+          {pack && (
+            <button
+              className="border rounded px-2 py-0.5 bg-white"
+              onClick={onReset}
+            >
+              Use built-in rules
+            </button>
+          )}
+        </div>
+        {error && (
+          <pre className="text-red-600 whitespace-pre-wrap">{error}</pre>
+        )}
+        <table className="w-full text-left">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="font-medium">Rule</th>
+              <th className="font-medium">Eligible</th>
+              <th className="font-medium">Qualifying events (lookback)</th>
+              <th className="font-medium">This patient</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(({ rule, status, reason }) => (
+              <tr key={rule.id} className="border-t align-top">
+                <td className="py-1 pr-2">
+                  <div className="font-medium">{rule.title || rule.id}</div>
+                  <Badge variant={rule.severity}>{rule.severity}</Badge>
+                </td>
+                <td className="py-1 pr-2">
+                  {describeEligibility(rule, valueSets)}
+                </td>
+                <td className="py-1 pr-2">
+                  {describeRuleEvents(rule, valueSets)}
+                </td>
+                <td className="py-1" title={reason || ""}>
+                  <Badge variant={RULE_STATUS_BADGES[status]}>{status}</Badge>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
 }
 
 /* =========================
-   SMALL UI HELPERS
+   PANEL DASHBOARD
    ========================= */
 
-function Badge({ children, variant }) {
-  let base =
-    "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium";
-  let color = " bg-gray-200 text-gray-800";
-  if (variant === "high") color = " bg-red-200 text-red-800";
-  else if (variant === "medium") color = " bg-yellow-200 text-yellow-800";
-  else if (variant === "low") color = " bg-green-200 text-green-800";
-  return <span className={base + color}>{children}</span>;
+const PANEL_COLUMNS = [
+  { key: "name", label: "Patient" },
+  { key: "age", label: "Age" },
+  { key: "gender", label: "Sex" },
+  { key: "open", label: "Open gaps" },
+  { key: "high", label: "High" },
+  { key: "medium", label: "Medium" },
+  { key: "low", label: "Low" },
+];
+
+function panelSortValue(row, key) {
+  if (key === "name") return getPatientDisplayName(row.patient).toLowerCase();
+  if (key === "gender") return row.patient.gender || "";
+  if (key === "age") return row.age === null ? -1 : row.age;
+  if (key === "open") return row.gaps.length;
+  return row.bySeverity[key] || 0;
 }
 
-function Card({ title, children }) {
+function formatRate(rate) {
+  return rate === null ? "–" : Math.round(rate * 100) + "%";
+}
+
+function PanelDashboard({
+  panel,
+  onOpenPatient,
+  onExportReports,
+  onExportGaps,
+}) {
+  const [sort, setSort] = useState({ key: "open", descending: true });
+  const [measureId, setMeasureId] = useState(null);
+
+  const totals = { high: 0, medium: 0, low: 0 };
+  panel.patients.forEach((row) => {
+    Object.keys(totals).forEach((severity) => {
+      totals[severity] += row.bySeverity[severity] || 0;
+    });
+  });
+
+  const rows = panel.patients.slice().sort((a, b) => {
+    const av = panelSortValue(a, sort.key);
+    const bv = panelSortValue(b, sort.key);
+    const order = av < bv ? -1 : av > bv ? 1 : 0;
+    return sort.descending ? -order : order;
+  });
+  const toggleSort = (key) =>
+    setSort((prev) => ({
+      key,
+      descending: prev.key === key ? !prev.descending : key !== "name",
+    }));
+
+  const measure = panel.measures.find((m) => m.rule.id === measureId);
+  const missing = measure
+    ? panel.patients.filter(
+        (row) => measure.open.indexOf(row.patient.id) !== -1
+      )
+    : [];
+
   return (
-    <div className="rounded-xl border bg-white p-4 shadow">
-      {title && <h2 className="text-sm font-semibold mb-2">{title}</h2>}
-      {children}
+    <div className="flex flex-col gap-4">
+      <Card title={"Panel (" + panel.patients.length + " patients)"}>
+        <div className="flex gap-2 text-xs">
+          <span>Open gaps:</span>
+          <Badge variant="high">{totals.high} high</Badge>
+          <Badge variant="medium">{totals.medium} medium</Badge>
+          <Badge variant="low">{totals.low} low</Badge>
+        </div>
+        <div className="mt-2 flex gap-3 text-[11px]">
+          <button className="text-blue-700 underline" onClick={onExportReports}>
+            Export summary MeasureReports
+          </button>
+          <button className="text-blue-700 underline" onClick={onExportGaps}>
+            Export gaps-in-care Bundles
+          </button>
+        </div>
+      </Card>
+
+      <Card title="Measure Rates">
+        <table className="w-full text-left text-xs">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="font-medium">Measure</th>
+              <th className="font-medium">Numerator</th>
+              <th className="font-medium">Denominator</th>
+              <th className="font-medium">Excluded</th>
+              <th className="font-medium">Rate</th>
+              <th className="font-medium">Open</th>
+            </tr>
+          </thead>
+          <tbody>
+            {panel.measures.map((m) => (
+              <tr
+                key={m.rule.id}
+                className={
+                  "border-t cursor-pointer hover:bg-gray-50" +
+                  (m.rule.id === measureId ? " bg-blue-50" : "")
+                }
+                onClick={() =>
+                  setMeasureId(m.rule.id === measureId ? null : m.rule.id)
+                }
+              >
+                <td className="py-1 pr-2">{m.rule.title || m.rule.id}</td>
+                <td className="py-1">{m.numerator}</td>
+                <td className="py-1">{m.denominator}</td>
+                <td className="py-1">{m.excluded}</td>
+                <td className="py-1">{formatRate(m.rate)}</td>
+                <td className="py-1">{m.open.length}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {measure && (
+          <div className="mt-2 text-xs">
+            <div className="font-medium mb-1">
+              Not meeting {measure.rule.title || measure.rule.id} (
+              {missing.length})
+            </div>
+            {missing.length === 0 ? (
+              <p className="text-gray-500">Everyone eligible meets it.</p>
+            ) : (
+              <ul className="flex flex-col gap-1">
+                {missing.map((row) => {
+                  const result = row.results.find(
+                    (r) => r.rule.id === measure.rule.id
+                  );
+                  return (
+                    <li key={row.patient.id} className="flex justify-between">
+                      <button
+                        className="text-blue-700 underline"
+                        onClick={() => onOpenPatient(row.patient.id)}
+                      >
+                        {getPatientDisplayName(row.patient)}
+                      </button>
+                      <span className="text-gray-500">
+                        {result.gap ? result.gap.label : result.reason}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
+      </Card>
+
+      <Card title="Patients">
+        <table className="w-full text-left text-xs">
+          <thead className="text-gray-500">
+            <tr>
+              {PANEL_COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  className="font-medium cursor-pointer select-none"
+                  onClick={() => toggleSort(col.key)}
+                >
+                  {col.label}
+                  {sort.key === col.key ? (sort.descending ? " ▼" : " ▲") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.patient.id}
+                className="border-t cursor-pointer hover:bg-gray-50"
+                onClick={() => onOpenPatient(row.patient.id)}
+              >
+                <td className="py-1 pr-2">
+                  {getPatientDisplayName(row.patient)}
+                </td>
+                <td className="py-1">{row.age}</td>
+                <td className="py-1">{row.patient.gender}</td>
+                <td className="py-1">{row.gaps.length}</td>
+                <td className="py-1">{row.bySeverity.high}</td>
+                <td className="py-1">{row.bySeverity.medium}</td>
+                <td className="py-1">{row.bySeverity.low}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Card>
     </div>
   );
 }
@@ -513,120 +1528,1029 @@ function App() {
   const [selectedPatientId, setSelectedPatientId] = useState(
     mockPatients[0].id
   );
-  const [uploadedPatient, setUploadedPatient] = useState(null);
-  const [uploadedResources, setUploadedResources] = useState(null);
+  // One store for every source: a base store (mock data or an imported
+  // workspace) with the ingestion log applied on top. The refs let
+  // back-to-back ingestions build on each other before React re-renders.
+  const [store, setStore] = useState(createMockStore);
+  const storeRef = useRef(store);
+  const baseStoreRef = useRef(store);
+  const [ingestions, setIngestions] = useState([]);
+  const ingestionsRef = useRef(ingestions);
+  const [bundleReport, setBundleReport] = useState(null);
+  // Bundles with validation errors, waiting in turn for the user to decide;
+  // an uploaded one carries the resultId of its Uploaded Files row
+  const [pendingBundles, setPendingBundles] = useState([]);
+
+  // Uploaded files are ingested one at a time, in the order queued
+  const [uploadResults, setUploadResults] = useState([]);
+  const uploadQueueRef = useRef([]);
+  const uploadBusyRef = useRef(false);
+  const uploadCountRef = useRef(0);
+  const [dragging, setDragging] = useState(false);
+
+  // FHIR server connection; the token comes from the user or a SMART launch
+  const [server, setServer] = useState({ baseUrl: "", token: "" });
+  const [serverStatus, setServerStatus] = useState({});
+
+  // Bulk NDJSON import in progress or just finished
+  const [bulkImport, setBulkImport] = useState(null);
 
   // HL7 ingestion state
   const [hl7Raw, setHl7Raw] = useState("");
-  const [hl7MappedObservation, setHl7MappedObservation] = useState(null);
-  const [hl7ObservationByPatient, setHl7ObservationByPatient] = useState({});
+  const [hl7MappedResources, setHl7MappedResources] = useState(null);
   const [hl7Error, setHl7Error] = useState(null);
-
-  const patientOptions = useMemo(() => {
-    const list = mockPatients.slice();
-    if (uploadedPatient && !list.some((p) => p.id === uploadedPatient.id)) {
-      list.push(uploadedPatient);
-    }
-    return list;
-  }, [uploadedPatient]);
+  const [hl7Ack, setHl7Ack] = useState(null);
+
+  // Results whose PID matched nobody
+  const [unmatchedHl7, setUnmatchedHl7] = useState([]);
+  const [unmatchedPolicy, setUnmatchedPolicy] = useState("queue");
+
+  // Restore the saved workspace once, then save after every change. Nothing
+  // is saved until the restore finishes, so mock data never overwrites it.
+  // Files ingested while the restore is in flight are replayed on top of the
+  // saved workspace rather than lost; a workspace file imported meanwhile
+  // replaces everything, so the saved one is dropped.
+  const [workspace, setWorkspace] = useState({ status: "loading" });
+  useEffect(() => {
+    let cancelled = false;
+    const initialBase = baseStoreRef.current;
+    loadWorkspace()
+      .then((record) => {
+        if (cancelled) return;
+        if (record && baseStoreRef.current === initialBase) {
+          const meanwhile = ingestionsRef.current;
+          replaceStore(
+            record.baseStore,
+            (record.ingestions || []).concat(meanwhile)
+          );
+          if (meanwhile.length === 0) {
+            setSelectedPatientId(record.selectedPatientId);
+          }
+          setUnmatchedHl7((prev) => (record.unmatched || []).concat(prev));
+        }
+        setWorkspace({
+          status: "ready",
+          savedAt: record ? record.savedAt : null,
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setWorkspace({ status: "unavailable", error: err.message });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Finish a SMART standalone launch when the authorization server
+  // redirects back here with a code
+  useEffect(() => {
+    completeSmartLaunch(window.location.search)
+      .then((session) => {
+        if (!session) return;
+        window.history.replaceState(null, "", window.location.pathname);
+        setServer(session);
+      })
+      .catch((err) => setServerStatus({ error: err.message }));
+  }, []);
+
+  // Outcome of the last "Import workspace": { message } or { error }
+  const [workspaceImport, setWorkspaceImport] = useState(null);
+  const workspaceReady = workspace.status === "ready";
+  useEffect(() => {
+    if (!workspaceReady) return;
+    saveWorkspace({
+      baseStore: baseStoreRef.current,
+      ingestions,
+      selectedPatientId,
+      unmatched: unmatchedHl7,
+    })
+      .then((record) =>
+        setWorkspace({ status: "ready", savedAt: record.savedAt })
+      )
+      .catch((err) =>
+        setWorkspace((prev) => ({ ...prev, error: err.message }))
+      );
+  }, [workspaceReady, ingestions, store, selectedPatientId, unmatchedHl7]);
+
+  const patientOptions = useMemo(() => listStorePatients(store), [store]);
+  const resourceIndex = useMemo(() => indexResourcesByPatient(store), [store]);
 
   const activePatient = useMemo(() => {
-    if (uploadedPatient && selectedPatientId === uploadedPatient.id) {
-      return uploadedPatient;
-    }
-    const found = patientOptions.find((p) => p.id === selectedPatientId);
+    const id = resolvePatientId(store, selectedPatientId);
+    const found = patientOptions.find((p) => p.id === id);
     return found || patientOptions[0];
-  }, [selectedPatientId, uploadedPatient, patientOptions]);
-
-  const activeResources = useMemo(() => {
-    let base;
-    if (
-      uploadedPatient &&
-      uploadedResources &&
-      selectedPatientId === uploadedPatient.id
-    ) {
-      base = uploadedResources;
-    } else {
-      base = getPatientResourcesFromMocks(selectedPatientId);
-    }
+  }, [store, selectedPatientId, patientOptions]);
 
-    const hl7ObsForPatient =
-      hl7ObservationByPatient[selectedPatientId] || [];
+  const activeResources = useMemo(
+    () => resourceIndex[activePatient.id] || bucketResources([]),
+    [resourceIndex, activePatient]
+  );
 
-    return {
-      conditions: base.conditions || [],
-      encounters: base.encounters || [],
-      observations: [...(base.observations || []), ...hl7ObsForPatient],
-      immunizations: base.immunizations || [],
-    };
-  }, [
-    selectedPatientId,
-    uploadedPatient,
-    uploadedResources,
-    hl7ObservationByPatient,
-  ]);
+  // Care gap rules: the built-in set unless a rule pack has been loaded
+  const [rulePack, setRulePack] = useState(null);
+  const [rulePackError, setRulePackError] = useState(null);
+  const activeRules = rulePack ? rulePack.rules : DEFAULT_CARE_GAP_RULES;
+  const activeValueSets = rulePack ? rulePack.valueSets : VALUE_SETS;
+  const activeExclusions = rulePack ? rulePack.exclusions : DEFAULT_EXCLUSIONS;
+
+  // "Evaluate as of": the data cutoff and measurement period for gaps,
+  // age and the timeline, so past results can be reproduced exactly
+  const [asOfDate, setAsOfDate] = useState(todayFhirDate);
+  const [periodType, setPeriodType] = useState("rolling");
+  const period = useMemo(
+    () =>
+      getMeasurementPeriod(parseFHIRDate(asOfDate) || new Date(), periodType),
+    [asOfDate, periodType]
+  );
 
+  const ruleResults = useMemo(
+    () =>
+      evaluateCareGapRules(activePatient, activeResources, activeRules, {
+        valueSets: activeValueSets,
+        exclusions: activeExclusions,
+        period,
+      }),
+    [
+      activePatient,
+      activeResources,
+      activeRules,
+      activeValueSets,
+      activeExclusions,
+      period,
+    ]
+  );
   const careGaps = useMemo(
-    () => calculateCareGaps(activePatient, activeResources),
-    [activePatient, activeResources]
+    () => ruleResults.filter((r) => r.gap).map((r) => r.gap),
+    [ruleResults]
+  );
+  const excludedRules = ruleResults.filter((r) => r.status === "excluded");
+
+  // Patient chart or whole-panel view; the panel is only evaluated when shown
+  const [view, setView] = useState("patient");
+  const panel = useMemo(
+    () =>
+      view === "panel"
+        ? evaluatePanel(patientOptions, resourceIndex, activeRules, {
+            valueSets: activeValueSets,
+            exclusions: activeExclusions,
+            period,
+          })
+        : null,
+    [
+      view,
+      patientOptions,
+      resourceIndex,
+      activeRules,
+      activeValueSets,
+      activeExclusions,
+      period,
+    ]
+  );
+  const [exceptionFor, setExceptionFor] = useState(null);
+  const textFallbacks = useMemo(
+    () => findTextFallbacks(activeResources, activeValueSets),
+    [activeResources, activeValueSets]
   );
   const timeline = useMemo(
-    () => buildTimeline(activeResources),
-    [activeResources]
+    () =>
+      addGapWindows(
+        buildTimeline(activeResources, period.asOf),
+        buildGapWindowMarkers(ruleResults, period, activeValueSets)
+      ),
+    [activeResources, ruleResults, period, activeValueSets]
   );
-  const age = getAge(activePatient.birthDate);
+  const age = getAge(activePatient.birthDate, period.asOf);
+
+  // Merge { patients, resources, merges } into the store as one ingestion
+  // ({ id, label, source, remove }) and report what was created, updated or
+  // left alone
+  const applyToStore = (payload, details) => {
+    const result = recordIngestion(storeRef.current, {
+      id: newIngestionId(),
+      recorded: new Date().toISOString(),
+      ...details,
+      payload,
+    });
+    storeRef.current = result.store;
+    ingestionsRef.current = ingestionsRef.current.concat(result.ingestion);
+    setStore(result.store);
+    setIngestions(ingestionsRef.current);
+    return result.ingestion.summary;
+  };
 
-  // Single upload handler for both JSON (FHIR Bundle) and HL7 text
-  const handleUniversalUpload = (e) => {
+  const replaceStore = (base, log) => {
+    const next = replayIngestions(base, log);
+    baseStoreRef.current = base;
+    ingestionsRef.current = log;
+    storeRef.current = next;
+    setStore(next);
+    setIngestions(log);
+  };
+
+  // Roll back one ingestion: replay the rest, drop results it queued and
+  // return held results it filed to the queue
+  const undoIngestion = (id) => {
+    const undone = ingestionsRef.current.find((i) => i.id === id);
+    if (!undone) return;
+    replaceStore(
+      baseStoreRef.current,
+      ingestionsRef.current.filter((i) => i.id !== id)
+    );
+    setUnmatchedHl7((prev) =>
+      prev
+        .filter((u) => u.ingestionId !== id)
+        .concat(undone.held ? [undone.held] : [])
+    );
+  };
+
+  const provenanceIndex = useMemo(() => indexProvenance(store), [store]);
+  const sourceOf = (resource) => {
+    const prov = resource && provenanceIndex[storeKey(resource)];
+    return prov ? describeProvenance(prov) : null;
+  };
+  const trends = useMemo(
+    () =>
+      buildTrendSeries(activeResources, {
+        valueSets: activeValueSets,
+        rules: activeRules,
+        asOf: period.asOf,
+        sourceFormatOf: (resource) => {
+          const prov = provenanceIndex[storeKey(resource)];
+          return prov ? provenanceFormat(prov) : null;
+        },
+      }),
+    [activeResources, activeValueSets, activeRules, period, provenanceIndex]
+  );
+  // Where the evidence behind each rule result came from, by rule id
+  const evidenceSources = {};
+  ruleResults.forEach((result) => {
+    const sources = [];
+    resultEvidence(result).forEach((r) => {
+      const source = sourceOf(r);
+      if (source && sources.indexOf(source) === -1) sources.push(source);
+    });
+    evidenceSources[result.rule.id] = sources;
+  });
+
+  // Record a clinician's exception for a rule, starting on the as-of date
+  const recordException = (ruleId, reason, months) => {
+    applyToStore(
+      {
+        resources: [
+          buildCareGapException(
+            activePatient.id,
+            ruleId,
+            reason,
+            toFHIRDate(period.asOf),
+            toFHIRDate(addMonths(period.asOf, months))
+          ),
+        ],
+      },
+      {
+        label: "Exception for " + ruleId + " recorded",
+        source: { fileName: "Care Gaps card", format: "Manual entry" },
+      }
+    );
+    setExceptionFor(null);
+  };
+
+  const removeException = (resource) => {
+    applyToStore(
+      {},
+      {
+        label:
+          "Exception for " + careGapExtension(resource, "rule") + " removed",
+        source: { fileName: "Care Gaps card", format: "Manual entry" },
+        remove: [storeKey(resource)],
+      }
+    );
+  };
+
+  // Download FHIR JSON named after the as-of date
+  const exportFhir = (prefix, resource) => {
+    downloadTextFile(
+      prefix + "-" + toFHIRDate(period.asOf) + ".json",
+      JSON.stringify(resource, null, 2),
+      "application/fhir+json"
+    );
+  };
+
+  // Filing held results is its own ingestion, traced to the original message
+  const heldResultsDetails = (item, label) => ({
+    label,
+    source: item.source,
+    held: item,
+  });
+
+  const assignUnmatched = (item, patientId) => {
+    applyToStore(
+      { resources: withSubject(item.resources, patientId) },
+      heldResultsDetails(item, "Held " + item.messageType + " results assigned")
+    );
+    setUnmatchedHl7((prev) => prev.filter((u) => u.id !== item.id));
+    setSelectedPatientId(patientId);
+  };
+
+  const createPatientFromUnmatched = (item) => {
+    const patient = buildPatientFromIdentity(
+      item.identity,
+      null,
+      Object.keys(storeRef.current.patients)
+    );
+    if (!patient) return;
+    applyToStore(
+      {
+        patients: [patient],
+        resources: withSubject(item.resources, patient.id),
+      },
+      heldResultsDetails(
+        item,
+        "Held " + item.messageType + " results filed to a new patient"
+      )
+    );
+    setUnmatchedHl7((prev) => prev.filter((u) => u.id !== item.id));
+    setSelectedPatientId(patient.id);
+  };
+
+  const discardUnmatched = (item) => {
+    setUnmatchedHl7((prev) => prev.filter((u) => u.id !== item.id));
+  };
+
+  // Route every result in a mapped HL7 message by its PID, never by the
+  // dropdown selection, then apply any A40 merges. Returns the parsed message
+  // and any warnings so the caller can acknowledge it.
+  const ingestHl7 = (text, fileName) => {
+    const mapped = mapHl7Message(text);
+    const controlId = hl7Value(mapped.message.segments[0], 10);
+    const ingestionId = newIngestionId();
+    const source = {
+      fileName: fileName || "Pasted HL7 message",
+      format: "HL7 v2",
+      messageIdType: "MSH-10",
+      messageId: controlId,
+      sender: hl7Sender(mapped.message.segments[0]),
+    };
+    const earlier =
+      controlId &&
+      findEarlierIngestion(storeRef.current, ingestionsRef.current, source);
+    if (earlier) {
+      const note =
+        "Message " +
+        controlId +
+        " from " +
+        (source.sender || "an unnamed sender") +
+        " was already ingested from " +
+        earlier.fileName +
+        " on " +
+        formatFHIRDate(earlier.recorded) +
+        "; skipped.";
+      setHl7Raw(text);
+      setHl7MappedResources(null);
+      setHl7Error(null);
+      return {
+        message: mapped.message,
+        warnings: [
+          {
+            code: "205",
+            text: note,
+            severity: "W",
+            location: { segment: "MSH", sequence: 1, field: 10 },
+          },
+        ],
+        summary: note,
+      };
+    }
+    const pids = mapped.message.segments.filter((seg) => seg.name === "PID");
+    const knownPatients = listStorePatients(storeRef.current);
+    const changedPatients = [];
+    const filedTo = [];
+    const summary = ["HL7 " + mapped.messageType + " ingested."];
+    const warnings = [];
+    const queued = [];
+    const merges = [];
+    let filed = [];
+    let output = [];
+
+    const remember = (patient) => {
+      const idx = knownPatients.findIndex((p) => p.id === patient.id);
+      if (idx === -1) knownPatients.push(patient);
+      else knownPatients[idx] = patient;
+      const changedIdx = changedPatients.findIndex((p) => p.id === patient.id);
+      if (changedIdx === -1) changedPatients.push(patient);
+      else changedPatients[changedIdx] = patient;
+    };
+
+    mapped.results.forEach((result, idx) => {
+      const resources = hl7ResultResources(result);
+      const match = matchPatientByIdentity(result.identity, knownPatients);
+      let patient = match.patient;
+      let reason = match.reason;
+      if (
+        !patient &&
+        result.identity &&
+        (result.registersPatient || unmatchedPolicy === "create")
+      ) {
+        patient = buildPatientFromIdentity(
+          result.identity,
+          null,
+          Object.keys(storeRef.current.patients).concat(
+            knownPatients.map((p) => p.id)
+          )
+        );
+        if (patient) {
+          remember(patient);
+          summary.push(
+            "Created patient " + getPatientDisplayName(patient) + "."
+          );
+        } else {
+          reason = NO_PATIENT_KEY_REASON;
+          summary.push("No patient created. " + reason);
+        }
+      } else if (patient && result.updatesPatient) {
+        patient = applyIdentityToPatient(patient, result.identity);
+        remember(patient);
+        summary.push(
+          "Updated demographics for " + getPatientDisplayName(patient) + "."
+        );
+      }
+
+      if (patient) {
+        if (resources.length > 0) {
+          filed = filed.concat(withSubject(resources, patient.id));
+          if (filedTo.indexOf(patient) === -1) filedTo.push(patient);
+          summary.push(
+            "Filed " +
+              resources.length +
+              " resource(s) to " +
+              getPatientDisplayName(patient) +
+              "."
+          );
+        }
+        output = output.concat([patient], withSubject(resources, patient.id));
+      } else if (resources.length > 0) {
+        queued.push({
+          id: "unmatched-" + Date.now() + "-" + idx,
+          receivedAt: new Date().toISOString(),
+          controlId,
+          messageType: mapped.messageType,
+          source,
+          ingestionId,
+          identity: result.identity,
+          resources: resources,
+          reason,
+        });
+        warnings.push({
+          code: "204",
+          text: reason + " Results held for manual review.",
+          severity: "W",
+          location: { segment: "PID", sequence: pids.indexOf(result.pid) + 1 },
+        });
+        output = output.concat(resources);
+      }
+    });
+
+    mapped.merges.forEach((merge) => {
+      const prior = matchPatientByIdentity(merge.prior, knownPatients).patient;
+      const survivor = matchPatientByIdentity(
+        merge.survivor,
+        knownPatients
+      ).patient;
+      if (!prior) {
+        const note =
+          "Merge skipped: no patient holds identifier " +
+          merge.prior.identifiers.map((id) => id.value).join(", ") +
+          ".";
+        summary.push(note);
+        warnings.push({
+          code: "204",
+          text: note,
+          severity: "W",
+          location: { segment: "MRG", sequence: 1, field: 1 },
+        });
+        return;
+      }
+      if (!survivor || survivor.id === prior.id) {
+        // The surviving identity is new to us: the prior record takes it on
+        const renamed = applyIdentityToPatient(prior, merge.survivor);
+        remember(renamed);
+        output.push(renamed);
+        summary.push(
+          "Updated identifiers for " + getPatientDisplayName(renamed) + "."
+        );
+        return;
+      }
+      const combined = applyIdentityToPatient(survivor, {
+        ...merge.survivor,
+        identifiers: merge.survivor.identifiers.concat(prior.identifier || []),
+      });
+      remember(combined);
+      merges.push({ survivorId: combined.id, mergedId: prior.id });
+      output.push(combined);
+      summary.push(
+        "Merged " +
+          getPatientDisplayName(prior) +
+          " (" +
+          prior.id +
+          ") into " +
+          getPatientDisplayName(combined) +
+          "."
+      );
+    });
+
+    const merged = applyToStore(
+      { patients: changedPatients, resources: filed, merges },
+      { id: ingestionId, label: "HL7 " + mapped.messageType, source }
+    );
+    summary.push(describeMergeSummary(merged) + ".");
+    if (queued.length > 0) {
+      setUnmatchedHl7((prev) => [...prev, ...queued]);
+      summary.push(
+        queued.length +
+          " result group(s) matched no patient and are waiting in " +
+          "Unmatched HL7 Results."
+      );
+    }
+    setHl7Raw(text);
+    setHl7MappedResources(output);
+    setHl7Error(null);
+    const touched = changedPatients.concat(
+      filedTo.filter((p) => !changedPatients.some((c) => c.id === p.id))
+    );
+    return {
+      message: mapped.message,
+      warnings,
+      summary: summary.join("\n"),
+      merged,
+      patients: touched.map(getPatientDisplayName),
+    };
+  };
+
+  const ackFor = (inbound, errors) => {
+    const controlId = inbound ? hl7Value(inbound.segments[0], 10) : "";
+    return {
+      text: buildHl7Ack(inbound, errors),
+      fileName: "ACK-" + (controlId || "unparsed") + ".hl7",
+    };
+  };
+
+  // A JSON rule pack replaces the built-in care gap rules until reset
+  const handleRulePackUpload = (e) => {
     const file = e.target.files && e.target.files[0];
     if (!file) return;
-
     const reader = new FileReader();
     reader.onload = function (evt) {
-      const text = evt.target.result;
-
-      // Try FHIR Bundle JSON first
       try {
-        const json = JSON.parse(text);
-        if (json && json.resourceType === "Bundle") {
-          const parsed = parseFHIRBundle(json);
-          setUploadedPatient(parsed.patient);
-          setUploadedResources(parsed.resources);
-          setSelectedPatientId(parsed.patient.id);
-          setHl7Error(null);
-          alert("FHIR bundle loaded successfully.");
-          return;
-        }
-        // If it's JSON but not a Bundle, fall through to HL7 handling
+        setRulePack(parseRulePack(JSON.parse(evt.target.result), file.name));
+        setRulePackError(null);
       } catch (err) {
-        // Not valid JSON → treat as HL7
+        setRulePackError(
+          "Could not load " + file.name + ":\n" + (err.message || err)
+        );
       }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // Back to the mock patients; the save effect then overwrites the saved copy
+  const resetWorkspace = () => {
+    if (
+      !window.confirm(
+        "Discard all ingested data and go back to the mock patients?"
+      )
+    ) {
+      return;
+    }
+    replaceStore(createMockStore(), []);
+    setSelectedPatientId(mockPatients[0].id);
+    setUnmatchedHl7([]);
+    setBundleReport(null);
+    setWorkspaceImport(null);
+  };
 
-      // Treat as HL7 v2 message
+  const exportWorkspace = () => {
+    exportFhir(
+      "workspace",
+      exportStoreBundle(storeRef.current, new Date().toISOString())
+    );
+  };
+
+  // Replace the store with a Bundle from "Export workspace"
+  const handleWorkspaceImport = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function (evt) {
       try {
-        const obs = parseHl7ToObservation(text, selectedPatientId);
-        setHl7Raw(text);
-        setHl7MappedObservation(obs);
-        setHl7Error(null);
-        setHl7ObservationByPatient((prev) => {
-          const existing = prev[selectedPatientId] || [];
-          return {
-            ...prev,
-            [selectedPatientId]: [...existing, obs],
-          };
+        const next = storeFromBundle(JSON.parse(evt.target.result));
+        replaceStore(next, []);
+        setSelectedPatientId(listStorePatients(next)[0].id);
+        setUnmatchedHl7([]);
+        setBundleReport(null);
+        setWorkspaceImport({
+          message:
+            "Workspace loaded from " +
+            file.name +
+            ": " +
+            listStorePatients(next).length +
+            " patient(s).",
         });
-        alert("HL7 message ingested and mapped to FHIR Observation.");
       } catch (err) {
-        console.error(err);
-        setHl7Error(err.message || "Failed to parse HL7 message.");
-        alert("Could not parse file as FHIR Bundle or HL7 message.");
+        setWorkspaceImport({
+          error: "Could not load workspace " + file.name + ": " + err.message,
+        });
       }
     };
     reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // Load a validated FHIR Bundle into the store; onlyValid leaves out the
+  // entries that failed validation. origin is { fileName, format, notes },
+  // format defaulting to an uploaded file and notes listing what the
+  // conversion to FHIR left out. Returns the fields of an Uploaded Files
+  // row.
+  const importBundle = (json, origin, validation, onlyValid) => {
+    const format = origin.format || "FHIR Bundle";
+    const skipped = onlyValid ? validation.invalidEntries : [];
+    const bundle = onlyValid ? withoutInvalidEntries(json, validation) : json;
+    const parsed = parseFHIRBundle(bundle, listStorePatients(storeRef.current));
+    const patientIds = Object.keys(parsed.resourcesByPatient);
+    const resources = [];
+    patientIds.forEach((id) => {
+      const buckets = parsed.resourcesByPatient[id];
+      Object.keys(buckets).forEach((key) => {
+        buckets[key].forEach((r) => resources.push(r));
+      });
+    });
+    const merged = applyToStore(
+      { patients: parsed.patients, resources },
+      {
+        label: format,
+        source: {
+          fileName: origin.fileName,
+          format: format,
+          messageIdType: "Bundle.id",
+          messageId: parsed.bundleId,
+        },
+      }
+    );
+    const patients = patientIds.map((id) => {
+      const buckets = parsed.resourcesByPatient[id];
+      return {
+        id,
+        name: getPatientDisplayName(
+          parsed.patients.find((p) => p.id === id) ||
+            listStorePatients(storeRef.current).find((p) => p.id === id)
+        ),
+        resourceCount: Object.keys(buckets).reduce(
+          (n, key) => n + buckets[key].length,
+          0
+        ),
+      };
+    });
+    setSelectedPatientId(patientIds[0]);
+    setBundleReport({
+      fileName: origin.fileName,
+      format: format,
+      notes: origin.notes || [],
+      bundleId: parsed.bundleId,
+      merged: merged,
+      patients,
+      unresolved: parsed.unresolved,
+      validation,
+      skipped: skipped.length,
+    });
+    setHl7Error(null);
+    const notes = [];
+    if (skipped.length > 0) {
+      notes.push(skipped.length + " invalid resource(s) were not imported.");
+    }
+    if (parsed.unresolved.length > 0) {
+      notes.push(
+        parsed.unresolved.length +
+          " resource(s) could not be linked to a patient; see the Bundle " +
+          "Import card."
+      );
+    }
+    return {
+      status: "done",
+      patients: patients.map((p) => p.name),
+      resources: describeMergeSummary(merged),
+      notes: notes.concat(origin.notes || []),
+    };
+  };
+
+  // Import a Bundle that passes validation; hold one with errors in the
+  // FHIR Bundle Validation card
+  const importOrHold = (json, origin, resultId) => {
+    const validation = validateBundle(json);
+    const errors = countIssues(validation.issues, "error");
+    if (errors === 0) return importBundle(json, origin, validation, false);
+    setPendingBundles((prev) =>
+      prev.concat({ origin, json, validation, resultId })
+    );
+    return {
+      status: "held",
+      notes: [
+        errors +
+          " FHIR R4 validation error(s); review it in the FHIR Bundle " +
+          "Validation card.",
+      ],
+    };
+  };
+
+  // Pull a patient's record from the FHIR server and import it like an
+  // uploaded Bundle, validation included
+  const loadServerPatient = (patientId, connection) => {
+    setServerStatus({ busy: true, message: "Loading Patient/" + patientId });
+    fetchPatientRecord(connection, patientId)
+      .then((record) => {
+        const origin = {
+          fileName:
+            connection.baseUrl +
+            "/Patient/" +
+            patientId +
+            (record.method === "$everything" ? "/$everything" : ""),
+          format: "FHIR REST",
+        };
+        setServerStatus({
+          message:
+            "Fetched " +
+            record.bundle.entry.length +
+            " resource(s) for Patient/" +
+            patientId +
+            (record.method === "$everything"
+              ? " with $everything"
+              : " by searching each resource type") +
+            (record.truncated
+              ? "; paging stopped after " + SERVER_MAX_PAGES + " pages"
+              : "") +
+            ".",
+        });
+        importOrHold(record.bundle, origin);
+      })
+      .catch((err) => setServerStatus({ error: err.message }));
+  };
+
+  const smartSignIn = (clientId) => {
+    beginSmartLaunch(
+      normalizeBaseUrl(server.baseUrl),
+      clientId,
+      window.location.origin + window.location.pathname
+    ).catch((err) => setServerStatus({ error: err.message }));
+  };
+
+  // Settle the first held Bundle and report it on its Uploaded Files row,
+  // or for a server load in the FHIR Server card
+  const settlePendingBundle = (fields) => {
+    const pending = pendingBundles[0];
+    setPendingBundles((prev) => prev.slice(1));
+    if (pending.resultId) updateUploadResult(pending.resultId, fields);
+    else if (fields.errors) setServerStatus({ error: fields.errors[0] });
   };
 
-  const usingUploaded =
-    uploadedPatient && selectedPatientId === uploadedPatient.id;
+  const acceptPendingBundle = (onlyValid) => {
+    const pending = pendingBundles[0];
+    let fields;
+    try {
+      fields = importBundle(
+        pending.json,
+        pending.origin,
+        pending.validation,
+        onlyValid
+      );
+    } catch (err) {
+      fields = {
+        status: "failed",
+        errors: [
+          "Could not import " + pending.origin.fileName + ": " + err.message,
+        ],
+      };
+    }
+    settlePendingBundle(fields);
+  };
+
+  // Bulk Data NDJSON: every selected file is read, joined to patients and
+  // loaded as one ingestion
+  const handleBulkUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+    const fileNames = files.map((f) => f.name);
+    setBulkImport({ status: "running", fileNames });
+    readBulkNdjson(files, listStorePatients(storeRef.current), (progress) =>
+      setBulkImport((prev) => ({ ...prev, progress }))
+    )
+      .then((result) => {
+        if (result.patients.length === 0 && result.resources.length === 0) {
+          throw new Error("No Patient or linked resource found in the files.");
+        }
+        const merged = applyToStore(
+          { patients: result.patients, resources: result.resources },
+          {
+            label: "Bulk NDJSON",
+            source: { fileName: fileNames.join(", "), format: "FHIR NDJSON" },
+          }
+        );
+        setBulkImport({
+          status: "done",
+          fileNames,
+          lineCount: result.lineCount,
+          patientCount: result.patients.length,
+          resourceCount: result.resources.length,
+          unresolved: result.unresolved,
+          ignored: result.ignored,
+          issues: result.issues,
+          merged,
+        });
+      })
+      .catch((err) =>
+        setBulkImport((prev) => ({
+          ...prev,
+          status: "failed",
+          error: "Could not import the NDJSON files: " + err.message,
+        }))
+      );
+  };
+
+  // A C-CDA document is mapped to a Bundle and then imported like one
+  const importCcda = (text, fileName, resultId) => {
+    const mapped = mapCcdaDocument(
+      text,
+      listStorePatients(storeRef.current),
+      Object.keys(storeRef.current.patients)
+    );
+    return importOrHold(
+      mapped.bundle,
+      { fileName, format: "C-CDA", notes: mapped.notes },
+      resultId
+    );
+  };
+
+  // An HL7 v2 message gets an ACK whether or not it could be ingested
+  const ingestHl7Upload = (text, fileName) => {
+    try {
+      const outcome = ingestHl7(text, fileName);
+      setHl7Ack(ackFor(outcome.message, outcome.warnings));
+      return {
+        status: outcome.merged ? "done" : "skipped",
+        patients: outcome.patients || [],
+        resources: outcome.merged ? describeMergeSummary(outcome.merged) : "",
+        notes: outcome.warnings.map((w) => w.text),
+      };
+    } catch (err) {
+      let inbound = null;
+      try {
+        inbound = parseHl7Message(text);
+      } catch (parseErr) {
+        // Not even an MSH to answer from; the ACK falls back to defaults
+      }
+      setHl7Raw(text);
+      setHl7MappedResources(null);
+      setHl7Ack(ackFor(inbound, [hl7AckError(err)]));
+      setHl7Error(err.message || "Failed to parse HL7 message.");
+      return {
+        status: "failed",
+        errors: [err.message || "Failed to parse HL7 message."],
+      };
+    }
+  };
+
+  // Ingest one queued file by its detected format; resolves with the fields
+  // of its Uploaded Files row
+  const ingestUpload = (job) => {
+    const { file, detected } = job;
+    if (detected.format === "FHIR NDJSON") {
+      return readBulkNdjson(
+        [file],
+        listStorePatients(storeRef.current),
+        () => {}
+      ).then((result) => {
+        const errors = result.issues.filter((i) => i.severity === "error");
+        const warnings = result.issues.length - errors.length;
+        if (result.patients.length === 0 && result.resources.length === 0) {
+          return {
+            status: "failed",
+            errors: ["No Patient or linked resource found in the file."].concat(
+              listUploadIssues(errors)
+            ),
+          };
+        }
+        const known = listStorePatients(storeRef.current);
+        const merged = applyToStore(
+          { patients: result.patients, resources: result.resources },
+          {
+            label: "Bulk NDJSON",
+            source: { fileName: file.name, format: "FHIR NDJSON" },
+          }
+        );
+        return {
+          status: "done",
+          patients: ingestedPatientNames(
+            result.patients,
+            result.resources,
+            known
+          ),
+          resources: describeMergeSummary(merged),
+          errors: listUploadIssues(errors),
+          notes: warnings > 0 ? [warnings + " validation warning(s)."] : [],
+        };
+      });
+    }
+    return readFileText(file).then((text) => {
+      if (detected.format === "C-CDA") {
+        return importCcda(text, file.name, job.id);
+      }
+      if (detected.format === "HL7 v2") return ingestHl7Upload(text, file.name);
+      if (detected.format === "XML") {
+        throw new Error("XML, but not a C-CDA ClinicalDocument.");
+      }
+      if (detected.format !== "FHIR JSON") {
+        throw new Error(
+          "Not FHIR JSON, NDJSON, an HL7 v2 message or a C-CDA document."
+        );
+      }
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (err) {
+        throw new Error("Not valid JSON: " + err.message);
+      }
+      if (!json || json.resourceType !== "Bundle") {
+        throw new Error(
+          "Expected a FHIR Bundle" +
+            (json && json.resourceType ? ", found " + json.resourceType : "") +
+            "."
+        );
+      }
+      return importOrHold(json, { fileName: file.name }, job.id);
+    });
+  };
+
+  const updateUploadResult = (id, fields) =>
+    setUploadResults((prev) =>
+      prev.map((r) => (r.id === id ? { ...r, ...fields } : r))
+    );
+
+  // Start the next queued file once the one before it has finished
+  const runUploadQueue = () => {
+    if (uploadBusyRef.current) return;
+    const job = uploadQueueRef.current.shift();
+    if (!job) return;
+    uploadBusyRef.current = true;
+    updateUploadResult(job.id, { status: "reading" });
+    ingestUpload(job)
+      .catch((err) => ({ status: "failed", errors: [err.message] }))
+      .then((fields) => {
+        updateUploadResult(job.id, fields);
+        uploadBusyRef.current = false;
+        runUploadQueue();
+      });
+  };
+
+  // Tell each file's format from its first bytes, then queue the batch
+  const enqueueUploads = (files) => {
+    if (files.length === 0) return;
+    Promise.all(
+      files.map((file) =>
+        readFileText(file.slice(0, FORMAT_SNIFF_BYTES))
+          .then(detectFileFormat)
+          .catch(() => ({ format: "Unknown" }))
+          .then((detected) => {
+            uploadCountRef.current += 1;
+            return { id: "upload-" + uploadCountRef.current, file, detected };
+          })
+      )
+    ).then((jobs) => {
+      jobs.sort((a, b) => uploadOrder(a.detected) - uploadOrder(b.detected));
+      setUploadResults((prev) =>
+        prev.concat(
+          jobs.map((job) => ({
+            id: job.id,
+            fileName: job.file.name,
+            format: job.detected.format,
+            status: "queued",
+          }))
+        )
+      );
+      uploadQueueRef.current = uploadQueueRef.current.concat(jobs);
+      runUploadQueue();
+    });
+  };
+
+  const handleUniversalUpload = (e) => {
+    enqueueUploads(Array.from(e.target.files || []));
+    e.target.value = "";
+  };
+
+  const handleUploadDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    enqueueUploads(Array.from(e.dataTransfer.files || []));
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -637,53 +2561,207 @@ function App() {
               Patient Timeline &amp; Care Gaps
             </h1>
             <p className="text-sm text-gray-600">
-              Mock data by default. Upload a FHIR Bundle (.json) or HL7 v2
-              message (.hl7 / .h7 / .txt) and see how data normalization drives
-              care gaps.
+              Mock data by default. Upload or drop FHIR Bundles, NDJSON, HL7
+              v2 messages or C-CDA documents and see how data normalization
+              drives care gaps.
             </p>
-            {usingUploaded && (
-              <p className="text-xs text-green-700 mt-1">
-                Using uploaded FHIR bundle for{" "}
-                <strong>{getPatientDisplayName(uploadedPatient)}</strong>
+            <p className="text-xs text-green-700 mt-1">
+              {patientOptions.length} patient(s) loaded. Uploads are merged
+              into existing patients by id or identifier.
+            </p>
+            <div className="flex flex-wrap gap-3 items-center text-[11px] mt-1">
+              <span className="text-gray-500">
+                {workspace.status === "loading"
+                  ? "Restoring saved workspace…"
+                  : workspace.error
+                  ? "Not saved in this browser (" + workspace.error + ")"
+                  : workspace.savedAt
+                  ? "Saved in this browser " +
+                    new Date(workspace.savedAt).toLocaleTimeString()
+                  : "Not saved yet"}
+              </span>
+              <button
+                className="text-blue-700 underline"
+                onClick={exportWorkspace}
+              >
+                Export workspace
+              </button>
+              <label className="text-blue-700 underline cursor-pointer">
+                Import workspace
+                <input
+                  type="file"
+                  accept=".json"
+                  className="hidden"
+                  onChange={handleWorkspaceImport}
+                />
+              </label>
+              <button
+                className="text-red-700 underline"
+                onClick={resetWorkspace}
+              >
+                Reset to mock data
+              </button>
+            </div>
+            {workspaceImport && workspaceImport.message && (
+              <p className="text-[11px] text-green-700 mt-1">
+                {workspaceImport.message}
+              </p>
+            )}
+            {workspaceImport && workspaceImport.error && (
+              <p className="text-[11px] text-red-600 mt-1">
+                {workspaceImport.error}
               </p>
             )}
           </div>
 
           <div className="flex flex-col gap-2 items-start md:items-end">
+            <div className="flex text-xs border rounded overflow-hidden">
+              {[
+                ["patient", "Patient chart"],
+                ["panel", "Panel"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  className={
+                    "px-3 py-1" +
+                    (view === key ? " bg-gray-800 text-white" : " bg-white")
+                  }
+                  onClick={() => setView(key)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             <div className="flex flex-col gap-1">
               <label className="text-xs font-medium">
                 Patient
               </label>
               <select
                 className="border rounded px-3 py-1 text-sm"
-                value={selectedPatientId}
+                value={activePatient.id}
                 onChange={(e) => setSelectedPatientId(e.target.value)}
               >
                 {patientOptions.map((p) => (
                   <option key={p.id} value={p.id}>
                     {getPatientDisplayName(p)}
-                    {uploadedPatient && p.id === uploadedPatient.id
-                      ? " (uploaded)"
-                      : ""}
                   </option>
                 ))}
               </select>
             </div>
 
+            <div className="flex gap-2 text-xs">
+              <div className="flex flex-col gap-1">
+                <label className="font-medium">Evaluate as of</label>
+                <input
+                  type="date"
+                  className="border rounded px-2 py-0.5"
+                  value={asOfDate}
+                  onChange={(e) => setAsOfDate(e.target.value)}
+                />
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="font-medium">Measurement period</label>
+                <select
+                  className="border rounded px-2 py-0.5"
+                  value={periodType}
+                  onChange={(e) => setPeriodType(e.target.value)}
+                >
+                  {Object.keys(MEASUREMENT_PERIOD_TYPES).map((type) => (
+                    <option key={type} value={type}>
+                      {MEASUREMENT_PERIOD_TYPES[type]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div
+              className={
+                "flex flex-col gap-1 text-xs border-2 border-dashed rounded p-2" +
+                (dragging ? " border-blue-500 bg-blue-50" : " border-gray-300")
+              }
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragging(true);
+              }}
+              onDragLeave={() => setDragging(false)}
+              onDrop={handleUploadDrop}
+            >
+              <label htmlFor="upload-files" className="font-medium">
+                Upload FHIR Bundles (.json), NDJSON, HL7 v2 (.hl7 / .h7 / .txt)
+                or C-CDA (.xml); select several or drop them here
+              </label>
+              <input
+                id="upload-files"
+                type="file"
+                accept=".json,.ndjson,.jsonl,.hl7,.h7,.txt,.xml"
+                multiple
+                onChange={handleUniversalUpload}
+              />
+            </div>
+
             <div className="flex flex-col gap-1 text-xs">
               <label className="font-medium">
-                Upload FHIR Bundle (.json) or HL7 v2 (.hl7 / .h7 / .txt)
+                Bulk Data export (.ndjson, select every file)
               </label>
               <input
                 type="file"
-                accept=".json,.hl7,.h7,.txt"
-                onChange={handleUniversalUpload}
+                accept=".ndjson,.jsonl"
+                multiple
+                disabled={bulkImport && bulkImport.status === "running"}
+                onChange={handleBulkUpload}
               />
             </div>
+
+            <div className="flex flex-col gap-1 text-xs">
+              <label className="font-medium">
+                HL7 results with no matching patient
+              </label>
+              <select
+                className="border rounded px-2 py-1"
+                value={unmatchedPolicy}
+                onChange={(e) => setUnmatchedPolicy(e.target.value)}
+              >
+                <option value="queue">Hold for manual review</option>
+                <option value="create">Create new patient from PID</option>
+              </select>
+            </div>
           </div>
         </header>
 
-        <main className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {panel && (
+          <PanelDashboard
+            panel={panel}
+            onExportReports={() =>
+              exportFhir(
+                "measure-reports",
+                buildPanelMeasureReportBundle(
+                  panel,
+                  period,
+                  new Date().toISOString()
+                )
+              )
+            }
+            onExportGaps={() =>
+              exportFhir(
+                "gaps-in-care-panel",
+                buildPanelGapsInCare(panel, period, new Date().toISOString())
+              )
+            }
+            onOpenPatient={(id) => {
+              setSelectedPatientId(id);
+              setView("patient");
+            }}
+          />
+        )}
+
+        <main
+          className={
+            "grid grid-cols-1 md:grid-cols-3 gap-4" +
+            (view === "panel" ? " hidden" : "")
+          }
+        >
           <div className="flex flex-col gap-4">
             <Card title="Patient Summary">
               <div className="text-sm">
@@ -728,30 +2806,34 @@ function App() {
           </div>
 
           <div className="md:col-span-2 flex flex-col gap-4">
-            <Card title="Clinical Timeline">
-              {timeline.length === 0 ? (
-                <p className="text-xs text-gray-500">No events recorded.</p>
-              ) : (
-                <ol className="relative border-l border-gray-300 pl-4 text-xs">
-                  {timeline.map((ev) => (
-                    <li key={ev.id} className="mb-4">
-                      <div className="absolute -left-1.5 w-3 h-3 bg-white border border-gray-400 rounded-full"></div>
-                      <div className="flex justify-between">
-                        <span>
-                          <Badge>{ev.type}</Badge> {ev.label}
-                        </span>
-                        <span className="text-gray-500">
-                          {formatFHIRDate(ev.date)}
-                        </span>
-                      </div>
-                    </li>
-                  ))}
-                </ol>
-              )}
-            </Card>
+            <TimelineCard events={timeline} sourceOf={sourceOf} />
+
+            <TrendsCard series={trends} />
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <Card title="Care Gaps">
+                <p className="text-[11px] text-gray-500 mb-2">
+                  Measurement period{" "}
+                  {formatFHIRDate(toFHIRDate(period.start))} –{" "}
+                  {formatFHIRDate(toFHIRDate(period.end))}, data as of{" "}
+                  {formatFHIRDate(toFHIRDate(period.asOf))}
+                </p>
+                <button
+                  className="mb-2 text-[11px] text-blue-700 underline"
+                  onClick={() =>
+                    exportFhir(
+                      "gaps-in-care-" + activePatient.id,
+                      buildGapsInCareBundle(
+                        activePatient,
+                        ruleResults,
+                        period,
+                        new Date().toISOString()
+                      )
+                    )
+                  }
+                >
+                  Export gaps-in-care Bundle (FHIR)
+                </button>
                 {careGaps.length === 0 ? (
                   <p className="text-xs text-green-700">
                     No care gaps identified based on current rules.
@@ -767,16 +2849,90 @@ function App() {
                           <span className="font-medium">{g.label}</span>
                           <Badge variant={g.severity}>{g.severity}</Badge>
                         </div>
-                        {g.lastDate && (
+                        {g.value ? (
                           <div className="text-[11px] text-gray-500">
-                            Last date on record:{" "}
+                            Result: <strong>{g.value}</strong> on{" "}
                             {formatFHIRDate(g.lastDate)}
                           </div>
+                        ) : (
+                          g.lastDate && (
+                            <div className="text-[11px] text-gray-500">
+                              Last date on record:{" "}
+                              {formatFHIRDate(g.lastDate)}
+                            </div>
+                          )
+                        )}
+                        {g.textMatches && g.textMatches.length > 0 && (
+                          <div className="text-[11px] text-amber-700">
+                            Matched on display text, not code:{" "}
+                            {g.textMatches.join(", ")}
+                          </div>
+                        )}
+                        {evidenceSources[g.ruleId].map((source) => (
+                          <div
+                            key={source}
+                            className="text-[11px] text-gray-400"
+                          >
+                            From {source}
+                          </div>
+                        ))}
+                        {exceptionFor === g.id ? (
+                          <GapExceptionForm
+                            onSave={(reason, months) =>
+                              recordException(g.ruleId, reason, months)
+                            }
+                            onCancel={() => setExceptionFor(null)}
+                          />
+                        ) : (
+                          <button
+                            className="mt-1 text-[11px] text-blue-700 underline"
+                            onClick={() => setExceptionFor(g.id)}
+                          >
+                            Record exception
+                          </button>
                         )}
                       </li>
                     ))}
                   </ul>
                 )}
+                {excludedRules.length > 0 && (
+                  <div className="mt-2 text-[11px] text-gray-600">
+                    <div className="font-medium">Excluded</div>
+                    <ul>
+                      {excludedRules.map((r) => (
+                        <li key={r.rule.id} className="flex justify-between">
+                          <span>
+                            {r.rule.title || r.rule.id}: excluded ({r.reason})
+                            {evidenceSources[r.rule.id].length > 0 &&
+                              ", from " + evidenceSources[r.rule.id].join("; ")}
+                          </span>
+                          {r.exclusion.kind === "exception" && (
+                            <button
+                              className="text-blue-700 underline"
+                              onClick={() =>
+                                removeException(r.exclusion.resource)
+                              }
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {textFallbacks.length > 0 && (
+                  <div className="mt-2 text-[11px] text-amber-700">
+                    <div className="font-medium">Text fallback matches</div>
+                    <ul>
+                      {textFallbacks.map((f) => (
+                        <li key={f.id}>
+                          {f.resourceType} "{f.text}" counted as {f.valueSet}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </Card>
 
               <Card title="Recommended Actions">
@@ -804,35 +2960,135 @@ function App() {
               </Card>
             </div>
 
+            <ActiveRulesCard
+              pack={rulePack}
+              results={ruleResults}
+              valueSets={activeValueSets}
+              error={rulePackError}
+              onUpload={handleRulePackUpload}
+              onReset={() => {
+                setRulePack(null);
+                setRulePackError(null);
+              }}
+            />
+
+            {unmatchedHl7.length > 0 && (
+              <UnmatchedResultsCard
+                items={unmatchedHl7}
+                patients={patientOptions}
+                onAssign={assignUnmatched}
+                onCreatePatient={createPatientFromUnmatched}
+                onDiscard={discardUnmatched}
+              />
+            )}
+
+            <IngestionHistoryCard
+              ingestions={ingestions}
+              onUndo={undoIngestion}
+            />
+
+            <FhirServerCard
+              server={server}
+              status={serverStatus}
+              onChange={setServer}
+              onSmartSignIn={smartSignIn}
+              onLoad={(id) =>
+                loadServerPatient(id, {
+                  ...server,
+                  baseUrl: normalizeBaseUrl(server.baseUrl),
+                })
+              }
+            />
+
+            {uploadResults.length > 0 && (
+              <UploadResultsCard
+                results={uploadResults}
+                onClear={() =>
+                  setUploadResults((prev) =>
+                    prev.filter(
+                      (r) => r.status === "queued" || r.status === "reading"
+                    )
+                  )
+                }
+              />
+            )}
+
+            {pendingBundles.length > 0 && (
+              <BundleValidationCard
+                pending={pendingBundles[0]}
+                waiting={pendingBundles.length - 1}
+                onAcceptAll={() => acceptPendingBundle(false)}
+                onAcceptValid={() => acceptPendingBundle(true)}
+                onDiscard={() =>
+                  settlePendingBundle({
+                    status: "skipped",
+                    notes: ["Discarded after validation."],
+                  })
+                }
+              />
+            )}
+
+            {bundleReport && <BundleImportCard report={bundleReport} />}
+
+            {bulkImport && <BulkImportCard bulk={bulkImport} />}
+
             <Card title="HL7 → FHIR Ingestion">
-              {hl7MappedObservation ? (
+              {hl7Raw ? (
                 <div className="flex flex-col gap-2 text-xs">
                   {hl7Error && (
                     <p className="text-red-600">{hl7Error}</p>
                   )}
-                  <div>
-                    <div className="font-semibold mb-1">Raw HL7</div>
-                    <pre className="bg-gray-900 text-gray-100 p-2 rounded max-h-40 overflow-auto whitespace-pre-wrap text-[11px]">
-                      {hl7Raw}
-                    </pre>
-                  </div>
-                  <div>
-                    <div className="font-semibold mb-1">
-                      Mapped FHIR Observation
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    <div>
+                      <div className="font-semibold mb-1">Raw HL7</div>
+                      <pre className="bg-gray-900 text-gray-100 p-2 rounded max-h-40 overflow-auto whitespace-pre-wrap text-[11px]">
+                        {hl7Raw}
+                      </pre>
+                    </div>
+                    <div>
+                      <div className="flex justify-between items-center mb-1">
+                        <span className="font-semibold">ACK response</span>
+                        {hl7Ack && (
+                          <button
+                            className="border rounded px-2 py-0.5 bg-white"
+                            onClick={() =>
+                              downloadTextFile(
+                                hl7Ack.fileName,
+                                hl7Ack.text,
+                                "application/hl7-v2"
+                              )
+                            }
+                          >
+                            Download ACK
+                          </button>
+                        )}
+                      </div>
+                      <pre className="bg-gray-900 text-gray-100 p-2 rounded max-h-40 overflow-auto whitespace-pre-wrap text-[11px]">
+                        {hl7Ack && hl7Ack.text.split("\r").join("\n")}
+                      </pre>
                     </div>
-                    <pre className="bg-gray-100 text-gray-800 p-2 rounded max-h-40 overflow-auto text-[11px]">
-                      {JSON.stringify(hl7MappedObservation, null, 2)}
-                    </pre>
                   </div>
+                  {hl7MappedResources && (
+                    <div>
+                      <div className="font-semibold mb-1">
+                        Mapped FHIR Resources ({hl7MappedResources.length})
+                      </div>
+                      <pre className="bg-gray-100 text-gray-800 p-2 rounded max-h-40 overflow-auto text-[11px]">
+                        {JSON.stringify(hl7MappedResources, null, 2)}
+                      </pre>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <p className="text-xs text-gray-500">
                   Upload a file. If it is a FHIR Bundle (.json), the app
                   parses the Bundle and adds a new patient. If it is an HL7 v2
-                  message (.hl7 / .h7 / .txt with an OBX segment), the app
-                  parses the HL7, maps OBX into a FHIR Observation for the
-                  selected patient, and immediately updates the timeline and
-                  care gaps.
+                  message (.hl7 / .h7 / .txt), the app parses it and files the
+                  result to the patient identified in PID: ORU^R01 results
+                  become Observations, ADT^A01/A03/A04/A08 update the patient
+                  and their Encounters, VXU^V04 adds Immunizations and
+                  ADT^A40 merges two patients. The timeline and care gaps
+                  update immediately.
                 </p>
               )}
             </Card>
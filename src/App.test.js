@@ -1,8 +1,108 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import fs from "fs";
+import path from "path";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import App from "./App";
+import { createPatientStore } from "./store/patientStore";
+import {
+  createMockStore,
+  loadWorkspace,
+  saveWorkspace,
+} from "./store/workspace";
 
-test('renders learn react link', () => {
+jest.mock("./store/workspace", () => ({
+  ...jest.requireActual("./store/workspace"),
+  loadWorkspace: jest.fn(),
+  saveWorkspace: jest.fn(),
+}));
+
+// Mocks are reset before each test; by default the real IndexedDB code runs
+beforeEach(() => {
+  const actual = jest.requireActual("./store/workspace");
+  loadWorkspace.mockImplementation(actual.loadWorkspace);
+  saveWorkspace.mockImplementation(actual.saveWorkspace);
+});
+
+test("renders the mock panel", async () => {
+  render(<App />);
+  expect(
+    screen.getByRole("heading", { name: /patient timeline & care gaps/i })
+  ).toBeInTheDocument();
+  // jsdom has no IndexedDB, so the workspace load settles as unavailable
+  expect(
+    await screen.findByText(/not saved in this browser/i)
+  ).toBeInTheDocument();
+});
+
+test("keeps files ingested before the saved workspace loads", async () => {
+  let finishLoad;
+  loadWorkspace.mockImplementationOnce(
+    () => new Promise((resolve) => (finishLoad = resolve))
+  );
+  saveWorkspace.mockImplementation((workspace) =>
+    Promise.resolve({ ...workspace, savedAt: new Date().toISOString() })
+  );
+  render(<App />);
+
+  const hl7 = fs.readFileSync(
+    path.join(__dirname, "../a1c-result-2025.txt"),
+    "utf8"
+  );
+  fireEvent.change(screen.getByLabelText(/upload fhir bundles/i), {
+    target: { files: [new File([hl7], "a1c-result-2025.txt")] },
+  });
+  expect(await screen.findByText("Ingestion History (1)")).toBeInTheDocument();
+
+  const saved = createMockStore();
+  const savedPatient = {
+    resourceType: "Patient",
+    id: "saved-1",
+    name: [{ given: ["Sam"], family: "Saved" }],
+  };
+  await act(async () => {
+    finishLoad({
+      version: 1,
+      savedAt: "2025-06-01T09:00:00.000Z",
+      baseStore: createPatientStore(
+        Object.values(saved.patients).concat(savedPatient),
+        Object.values(saved.resources)
+      ),
+      ingestions: [],
+      selectedPatientId: "saved-1",
+      unmatched: [],
+    });
+  });
+
+  expect(screen.getByText("Ingestion History (1)")).toBeInTheDocument();
+  expect(screen.getByRole("option", { name: "Sam Saved" })).toBeInTheDocument();
+  expect(saveWorkspace).toHaveBeenLastCalledWith(
+    expect.objectContaining({
+      ingestions: [expect.objectContaining({ label: expect.any(String) })],
+    })
+  );
+});
+
+test("shows the outcome of a workspace import in the page", async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const input = screen.getByLabelText(/import workspace/i);
+
+  fireEvent.change(input, {
+    target: { files: [new File(["not json"], "broken.json")] },
+  });
+  expect(
+    await screen.findByText(/could not load workspace broken\.json/i)
+  ).toBeInTheDocument();
+
+  const bundle = fs.readFileSync(
+    path.join(__dirname, "../Jane Doe Updated.json"),
+    "utf8"
+  );
+  fireEvent.change(input, {
+    target: { files: [new File([bundle], "jane.json")] },
+  });
+  expect(
+    await screen.findByText(/workspace loaded from jane\.json: 1 patient/i)
+  ).toBeInTheDocument();
+  expect(
+    screen.queryByText(/could not load workspace/i)
+  ).not.toBeInTheDocument();
 });
@@ -0,0 +1,583 @@
+/* =========================
+   C-CDA IMPORT
+   ========================= */
+
+import { getPatientDisplayName } from "./fhir/utils";
+import {
+  ACT_CODE_SYSTEM,
+  CVX_SYSTEM,
+  OBSERVATION_CATEGORY_SYSTEM,
+  OBSERVATION_INTERPRETATION_SYSTEM,
+  UCUM_SYSTEM,
+} from "./hl7/mapping";
+import {
+  applyIdentityToPatient,
+  buildPatientFromIdentity,
+  matchPatientByIdentity,
+} from "./hl7/matching";
+import { hl7ResourceId } from "./hl7/parser";
+import {
+  CPT_SYSTEM,
+  HCPCS_SYSTEM,
+  ICD10CM_SYSTEM,
+  LOINC_SYSTEM,
+  RXNORM_SYSTEM,
+  SNOMED_SYSTEM,
+} from "./rules/valueSets";
+
+// Continuity of Care Documents: recordTarget becomes the Patient and the
+// sections below become FHIR resources. Other sections are reported, not
+// imported. Sections are recognised by LOINC code, else by templateId.
+const CCDA_SECTIONS = {
+  "11450-4": "problems",
+  "30954-2": "results",
+  "8716-3": "vitalSigns",
+  "46240-8": "encounters",
+  "11369-6": "immunizations",
+};
+const CCDA_SECTION_TEMPLATES = {
+  "2.16.840.1.113883.10.20.22.2.5": "problems",
+  "2.16.840.1.113883.10.20.22.2.5.1": "problems",
+  "2.16.840.1.113883.10.20.22.2.3": "results",
+  "2.16.840.1.113883.10.20.22.2.3.1": "results",
+  "2.16.840.1.113883.10.20.22.2.4": "vitalSigns",
+  "2.16.840.1.113883.10.20.22.2.4.1": "vitalSigns",
+  "2.16.840.1.113883.10.20.22.2.22": "encounters",
+  "2.16.840.1.113883.10.20.22.2.22.1": "encounters",
+  "2.16.840.1.113883.10.20.22.2.2": "immunizations",
+  "2.16.840.1.113883.10.20.22.2.2.1": "immunizations",
+};
+
+// Code system OIDs -> FHIR system URIs; others become urn:oid:
+const CCDA_CODE_SYSTEMS = {
+  "2.16.840.1.113883.6.1": LOINC_SYSTEM,
+  "2.16.840.1.113883.6.96": SNOMED_SYSTEM,
+  "2.16.840.1.113883.6.90": ICD10CM_SYSTEM,
+  "2.16.840.1.113883.6.12": CPT_SYSTEM,
+  "2.16.840.1.113883.6.285": HCPCS_SYSTEM,
+  "2.16.840.1.113883.6.88": RXNORM_SYSTEM,
+  "2.16.840.1.113883.12.292": CVX_SYSTEM,
+  "2.16.840.1.113883.5.4": ACT_CODE_SYSTEM,
+  "2.16.840.1.113883.4.1": "http://hl7.org/fhir/sid/us-ssn",
+};
+
+const CCDA_ADMINISTRATIVE_GENDER = {
+  M: "male",
+  F: "female",
+  UN: "other",
+};
+const CONDITION_CLINICAL_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const CONDITION_CATEGORY_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/condition-category";
+const XSI_NAMESPACE = "http://www.w3.org/2001/XMLSchema-instance";
+const BP_SYSTOLIC_CODE = "8480-6";
+const BP_DIASTOLIC_CODE = "8462-4";
+
+export function isCcdaDocument(text) {
+  return /<(\w+:)?ClinicalDocument[\s>]/.test(text.slice(0, 4096));
+}
+
+// Child elements by local name, so prefixed and default-namespace CDA read
+// the same. A path ("patient/name") follows the first match at each step.
+function cdaChildren(node, name) {
+  if (!node) return [];
+  return Array.from(node.children).filter((c) => c.localName === name);
+}
+
+function cdaChild(node, path) {
+  return (
+    path.split("/").reduce((n, name) => n && cdaChildren(n, name)[0], node) ||
+    null
+  );
+}
+
+function cdaAttr(node, name) {
+  return (node && node.getAttribute(name)) || null;
+}
+
+function cdaText(node) {
+  return node ? node.textContent.replace(/\s+/g, " ").trim() : "";
+}
+
+function cdaCodeSystem(oid) {
+  return CCDA_CODE_SYSTEMS[oid] || (oid ? "urn:oid:" + oid : null);
+}
+
+// HL7 v3 TS "20240315103000-0500" -> FHIR "2024-03-15T10:30:00-05:00".
+// A time without a zone is cut back to the date, as FHIR requires a zone.
+function cdaTimeToFhir(value) {
+  const match =
+    value &&
+    value.match(
+      /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/
+    );
+  if (!match) return null;
+  const date = [match[1], match[2], match[3]].filter(Boolean).join("-");
+  if (!match[3] || !match[4] || !match[7]) return date;
+  return (
+    date +
+    "T" +
+    match[4] +
+    ":" +
+    (match[5] || "00") +
+    ":" +
+    (match[6] || "00") +
+    match[7].slice(0, 3) +
+    ":" +
+    match[7].slice(3)
+  );
+}
+
+// TS or IVL_TS -> { start, end }
+function cdaPeriod(effectiveTime) {
+  const value = cdaTimeToFhir(cdaAttr(effectiveTime, "value"));
+  return {
+    start:
+      cdaTimeToFhir(cdaAttr(cdaChild(effectiveTime, "low"), "value")) || value,
+    end: cdaTimeToFhir(cdaAttr(cdaChild(effectiveTime, "high"), "value")),
+  };
+}
+
+// CD with its translations -> CodeableConcept, or null when it has no code
+// and no text
+function cdaConcept(cd) {
+  if (!cd) return null;
+  const coding = [cd]
+    .concat(cdaChildren(cd, "translation"))
+    .filter((c) => cdaAttr(c, "code"))
+    .map((c) => {
+      const coding = {
+        system: cdaCodeSystem(cdaAttr(c, "codeSystem")),
+        code: cdaAttr(c, "code"),
+      };
+      if (cdaAttr(c, "displayName")) coding.display = cdaAttr(c, "displayName");
+      return coding;
+    });
+  const concept = {};
+  if (coding.length > 0) concept.coding = coding;
+  const text =
+    cdaText(cdaChild(cd, "originalText")) || cdaAttr(cd, "displayName");
+  if (text) concept.text = text;
+  return concept.coding || concept.text ? concept : null;
+}
+
+function cdaHasCode(concept, system, code) {
+  return (
+    !!concept &&
+    (concept.coding || []).some((c) => c.system === system && c.code === code)
+  );
+}
+
+// Stable resource id from the entry's II (root + extension), so sending the
+// same document again updates rather than duplicates. Entries with no II
+// are keyed by patient, effective time and position in the document
+// ("section.entry[.component]"), so two such entries, or the same entry for
+// two patients, never share an id.
+function ccdaResourceId(prefix, node, subject, position, what) {
+  const ii = cdaChildren(node, "id").find((id) => cdaAttr(id, "root"));
+  const key = ii
+    ? cdaAttr(ii, "root") + "-" + (cdaAttr(ii, "extension") || "")
+    : [
+        subject.reference,
+        cdaPeriod(cdaChildren(node, "effectiveTime")[0]).start || "",
+        position,
+        what,
+      ].join("|");
+  return hl7ResourceId(prefix, key);
+}
+
+// recordTarget/patientRole in the shape matchPatientByIdentity expects
+function extractCcdaIdentity(patientRole) {
+  const patient = cdaChild(patientRole, "patient");
+  const name = cdaChild(patient, "name");
+  const identifiers = cdaChildren(patientRole, "id")
+    .filter((id) => cdaAttr(id, "extension"))
+    .map((id) => ({
+      system: cdaCodeSystem(cdaAttr(id, "root")),
+      value: cdaAttr(id, "extension"),
+    }));
+  const address = cdaChildren(patientRole, "addr").map((addr) => {
+    const a = {};
+    const lines = cdaChildren(addr, "streetAddressLine").map(cdaText);
+    if (lines.length > 0) a.line = lines;
+    ["city", "state", "postalCode", "country"].forEach((part) => {
+      const value = cdaText(cdaChild(addr, part));
+      if (value) a[part] = value;
+    });
+    return a;
+  });
+  const telecom = cdaChildren(patientRole, "telecom")
+    .map((t) => cdaAttr(t, "value") || "")
+    .filter((value) => value)
+    .map((value) => ({
+      system: value.indexOf("mailto:") === 0 ? "email" : "phone",
+      value: value.replace(/^(tel|mailto):/, ""),
+    }));
+  const birthTime = cdaAttr(cdaChild(patient, "birthTime"), "value");
+  return {
+    identifiers,
+    name: {
+      family: cdaText(cdaChild(name, "family")),
+      given: cdaChildren(name, "given").map(cdaText).filter(Boolean),
+    },
+    birthDate: birthTime ? cdaTimeToFhir(birthTime.slice(0, 8)) : null,
+    gender:
+      CCDA_ADMINISTRATIVE_GENDER[
+        cdaAttr(cdaChild(patient, "administrativeGenderCode"), "code")
+      ] || null,
+    address,
+    telecom,
+  };
+}
+
+// Problem Concern Act -> one Condition per Problem Observation
+function mapCcdaProblem(act, subject, position, skipped) {
+  const concernDone =
+    cdaAttr(cdaChild(act, "statusCode"), "code") === "completed";
+  return cdaChildren(act, "entryRelationship")
+    .map((rel) => cdaChild(rel, "observation"))
+    .map((obs, idx) => {
+      if (!obs) return null;
+      const code = cdaConcept(cdaChild(obs, "value"));
+      if (cdaAttr(obs, "negationInd") === "true" || !code) {
+        skipped.push(
+          !code ? "a problem with no coded value" : "a negated problem"
+        );
+        return null;
+      }
+      const time = cdaPeriod(cdaChild(obs, "effectiveTime"));
+      const status = time.end || concernDone ? "resolved" : "active";
+      const condition = {
+        id: ccdaResourceId(
+          "ccda-cond-",
+          obs,
+          subject,
+          position + "." + (idx + 1),
+          code.text || "problem"
+        ),
+        resourceType: "Condition",
+        clinicalStatus: {
+          coding: [{ system: CONDITION_CLINICAL_SYSTEM, code: status }],
+          text: status,
+        },
+        category: [
+          {
+            coding: [
+              {
+                system: CONDITION_CATEGORY_SYSTEM,
+                code: "problem-list-item",
+              },
+            ],
+          },
+        ],
+        code,
+        subject,
+      };
+      if (time.start) condition.onsetDateTime = time.start;
+      if (time.end) condition.abatementDateTime = time.end;
+      return condition;
+    })
+    .filter(Boolean);
+}
+
+const CCDA_RESULT_STATUS = {
+  completed: "final",
+  active: "preliminary",
+  aborted: "cancelled",
+  cancelled: "cancelled",
+};
+
+// Result or vital sign observation -> Observation
+function mapCcdaObservation(obs, category, subject, position) {
+  const code = cdaConcept(cdaChild(obs, "code"));
+  const observation = {
+    id: ccdaResourceId(
+      "ccda-obs-",
+      obs,
+      subject,
+      position,
+      JSON.stringify(code)
+    ),
+    resourceType: "Observation",
+    status:
+      CCDA_RESULT_STATUS[cdaAttr(cdaChild(obs, "statusCode"), "code")] ||
+      "final",
+    category: [
+      { coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: category }] },
+    ],
+    code: code || { text: "C-CDA observation" },
+    subject,
+  };
+  const time = cdaPeriod(cdaChild(obs, "effectiveTime"));
+  if (time.start) observation.effectiveDateTime = time.start;
+
+  const value = cdaChild(obs, "value");
+  const type =
+    value &&
+    (value.getAttributeNS(XSI_NAMESPACE, "type") ||
+      cdaAttr(value, "xsi:type") ||
+      "");
+  const typeName = type ? type.replace(/^.*:/, "") : "";
+  if (typeName === "PQ" || typeName === "REAL" || typeName === "INT") {
+    const number = parseFloat(cdaAttr(value, "value"));
+    if (!isNaN(number)) {
+      const unit = cdaAttr(value, "unit");
+      observation.valueQuantity = { value: number };
+      if (unit && unit !== "1") {
+        observation.valueQuantity.unit = unit;
+        observation.valueQuantity.system = UCUM_SYSTEM;
+        observation.valueQuantity.code = unit;
+      }
+    }
+  } else if (typeName === "CD" || typeName === "CE" || typeName === "CO") {
+    const concept = cdaConcept(value);
+    if (concept) observation.valueCodeableConcept = concept;
+  } else if (value && cdaText(value)) {
+    observation.valueString = cdaText(value);
+  }
+
+  const interpretation = cdaAttr(cdaChild(obs, "interpretationCode"), "code");
+  if (interpretation) {
+    observation.interpretation = [
+      {
+        coding: [
+          { system: OBSERVATION_INTERPRETATION_SYSTEM, code: interpretation },
+        ],
+      },
+    ];
+  }
+  return observation;
+}
+
+// Observations of a Results or Vital Signs entry. A systolic and diastolic
+// pair in one organizer becomes a single blood pressure panel, as the
+// engine and the timeline expect.
+function mapCcdaObservationEntry(entry, category, subject, position) {
+  const organizer = cdaChild(entry, "organizer");
+  const nodes = organizer
+    ? cdaChildren(organizer, "component").map((c) => cdaChild(c, "observation"))
+    : [cdaChild(entry, "observation")];
+  const observations = nodes
+    .map((obs, idx) =>
+      obs
+        ? mapCcdaObservation(
+            obs,
+            category,
+            subject,
+            organizer ? position + "." + (idx + 1) : position
+          )
+        : null
+    )
+    .filter(Boolean);
+  const systolic = observations.find((o) =>
+    cdaHasCode(o.code, LOINC_SYSTEM, BP_SYSTOLIC_CODE)
+  );
+  const diastolic = observations.find((o) =>
+    cdaHasCode(o.code, LOINC_SYSTEM, BP_DIASTOLIC_CODE)
+  );
+  if (!systolic || !diastolic) return observations;
+  const panel = {
+    ...systolic,
+    id: hl7ResourceId("ccda-obs-", systolic.id + "|bp"),
+    code: {
+      coding: [
+        {
+          system: LOINC_SYSTEM,
+          code: "85354-9",
+          display: "Blood pressure panel",
+        },
+      ],
+      text: "Blood pressure",
+    },
+    component: [systolic, diastolic].map((o) => ({
+      code: o.code,
+      valueQuantity: o.valueQuantity,
+    })),
+  };
+  delete panel.valueQuantity;
+  return observations
+    .filter((o) => o !== systolic && o !== diastolic)
+    .concat(panel);
+}
+
+const CCDA_ENCOUNTER_STATUS = {
+  completed: "finished",
+  active: "in-progress",
+  cancelled: "cancelled",
+  aborted: "cancelled",
+};
+
+function mapCcdaEncounter(enc, subject, position) {
+  const type = cdaConcept(cdaChild(enc, "code"));
+  const actCode =
+    type && (type.coding || []).find((c) => c.system === ACT_CODE_SYSTEM);
+  const encounter = {
+    id: ccdaResourceId(
+      "ccda-enc-",
+      enc,
+      subject,
+      position,
+      JSON.stringify(type)
+    ),
+    resourceType: "Encounter",
+    status:
+      CCDA_ENCOUNTER_STATUS[cdaAttr(cdaChild(enc, "statusCode"), "code")] ||
+      "finished",
+    class: actCode
+      ? { system: ACT_CODE_SYSTEM, code: actCode.code }
+      : { system: ACT_CODE_SYSTEM, code: "AMB", display: "ambulatory" },
+    subject,
+  };
+  if (type) encounter.type = [type];
+  const time = cdaPeriod(cdaChild(enc, "effectiveTime"));
+  if (time.start || time.end) {
+    encounter.period = {};
+    if (time.start) encounter.period.start = time.start;
+    if (time.end) encounter.period.end = time.end;
+  }
+  return encounter;
+}
+
+function mapCcdaImmunization(sa, subject, position) {
+  const material = cdaChild(
+    sa,
+    "consumable/manufacturedProduct/manufacturedMaterial"
+  );
+  const vaccineCode = cdaConcept(cdaChild(material, "code")) || {
+    text: "C-CDA immunization",
+  };
+  const immunization = {
+    id: ccdaResourceId(
+      "ccda-imm-",
+      sa,
+      subject,
+      position,
+      JSON.stringify(vaccineCode)
+    ),
+    resourceType: "Immunization",
+    status: cdaAttr(sa, "negationInd") === "true" ? "not-done" : "completed",
+    vaccineCode,
+    patient: subject,
+  };
+  const time = cdaPeriod(cdaChildren(sa, "effectiveTime")[0]);
+  if (time.start) immunization.occurrenceDateTime = time.start;
+  const lot = cdaText(cdaChild(material, "lotNumberText"));
+  if (lot) immunization.lotNumber = lot;
+  return immunization;
+}
+
+// Map a C-CDA document to a collection Bundle. knownPatients lets the
+// recordTarget land on a patient the app already holds, matched the same
+// way as an HL7 PID; a new patient's id avoids usedIds. Returns
+// { bundle, notes }, notes saying how the patient was matched and what was
+// left out.
+export function mapCcdaDocument(xml, knownPatients, usedIds) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not well-formed XML.");
+  }
+  const root = doc.documentElement;
+  if (!root || root.localName !== "ClinicalDocument") {
+    throw new Error("The XML root is not a ClinicalDocument.");
+  }
+  const patientRole = cdaChild(root, "recordTarget/patientRole");
+  if (!patientRole) {
+    throw new Error("The document has no recordTarget/patientRole.");
+  }
+
+  const notes = [];
+  const identity = extractCcdaIdentity(patientRole);
+  const match = matchPatientByIdentity(identity, knownPatients || []);
+  const patient = match.patient
+    ? applyIdentityToPatient(match.patient, identity)
+    : buildPatientFromIdentity(
+        identity,
+        "ccda-",
+        usedIds || (knownPatients || []).map((p) => p.id)
+      );
+  if (!patient) {
+    throw new Error(
+      "The recordTarget matches no patient and has no identifier, or no name and birth date, to create one from."
+    );
+  }
+  notes.push(
+    match.patient
+      ? "recordTarget matched " +
+          getPatientDisplayName(match.patient) +
+          " by " +
+          match.method +
+          "."
+      : "recordTarget added as a new patient (" + match.reason + ")"
+  );
+  const subject = { reference: "Patient/" + patient.id };
+
+  const resources = [];
+  const skipped = [];
+  const sections = cdaChildren(
+    cdaChild(root, "component/structuredBody"),
+    "component"
+  )
+    .map((c) => cdaChild(c, "section"))
+    .filter(Boolean);
+  sections.forEach((section, sectionIdx) => {
+    const code = cdaAttr(cdaChild(section, "code"), "code");
+    const template = cdaChildren(section, "templateId")
+      .map((t) => CCDA_SECTION_TEMPLATES[cdaAttr(t, "root")])
+      .find(Boolean);
+    const kind = CCDA_SECTIONS[code] || template;
+    const entries = cdaChildren(section, "entry");
+    if (!kind) {
+      notes.push(
+        "Not imported: " +
+          (cdaText(cdaChild(section, "title")) || "untitled section") +
+          (code ? " (LOINC " + code + ")" : "") +
+          ", " +
+          entries.length +
+          " entr" +
+          (entries.length === 1 ? "y" : "ies") +
+          "."
+      );
+      return;
+    }
+    entries.forEach((entry, entryIdx) => {
+      const position = sectionIdx + 1 + "." + (entryIdx + 1);
+      if (kind === "problems") {
+        const act = cdaChild(entry, "act");
+        if (act)
+          mapCcdaProblem(act, subject, position, skipped).forEach((r) =>
+            resources.push(r)
+          );
+      } else if (kind === "results" || kind === "vitalSigns") {
+        mapCcdaObservationEntry(
+          entry,
+          kind === "results" ? "laboratory" : "vital-signs",
+          subject,
+          position
+        ).forEach((r) => resources.push(r));
+      } else if (kind === "encounters") {
+        const enc = cdaChild(entry, "encounter");
+        if (enc) resources.push(mapCcdaEncounter(enc, subject, position));
+      } else if (kind === "immunizations") {
+        const sa = cdaChild(entry, "substanceAdministration");
+        if (sa) resources.push(mapCcdaImmunization(sa, subject, position));
+      }
+    });
+  });
+  if (skipped.length > 0) {
+    notes.push("Skipped " + skipped.join(", ") + ".");
+  }
+
+  const docId = cdaChild(root, "id");
+  const bundle = {
+    resourceType: "Bundle",
+    type: "collection",
+    entry: [patient].concat(resources).map((resource) => ({ resource })),
+  };
+  if (docId) bundle.id = ccdaResourceId("ccda-", root, subject, "document", "");
+  const timestamp = cdaTimeToFhir(
+    cdaAttr(cdaChild(root, "effectiveTime"), "value")
+  );
+  if (timestamp && timestamp.indexOf("T") !== -1) bundle.timestamp = timestamp;
+  return { bundle, notes };
+}
@@ -0,0 +1,183 @@
+import fs from "fs";
+import path from "path";
+import { isCcdaDocument, mapCcdaDocument } from "./ccda";
+import { mockPatients } from "./data/mockData";
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+const SAMPLE = fs.readFileSync(
+  path.join(__dirname, "..", "jane-doe-ccd.xml"),
+  "utf8"
+);
+
+// A CCD with one patient and the given section bodies
+function ccd(patientId, sections) {
+  return (
+    '<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    "<recordTarget><patientRole>" +
+    '<id root="2.16.840.1.113883.19.5.99999.2" extension="' +
+    patientId +
+    '"/>' +
+    "<patient><name><given>Ana</given><family>Test</family></name>" +
+    '<administrativeGenderCode code="F"/><birthTime value="19700101"/></patient>' +
+    "</patientRole></recordTarget>" +
+    "<component><structuredBody>" +
+    sections
+      .map((s) => "<component><section>" + s + "</section></component>")
+      .join("") +
+    "</structuredBody></component></ClinicalDocument>"
+  );
+}
+
+function vitalsSection(entries) {
+  return (
+    '<code code="8716-3" codeSystem="2.16.840.1.113883.6.1"/>' +
+    entries.join("")
+  );
+}
+
+function vital(code, value, unit, time, id) {
+  return (
+    '<observation classCode="OBS" moodCode="EVN">' +
+    (id || "") +
+    '<code code="' +
+    code +
+    '" codeSystem="2.16.840.1.113883.6.1"/>' +
+    '<effectiveTime value="' +
+    time +
+    '"/><value xsi:type="PQ" value="' +
+    value +
+    '" unit="' +
+    unit +
+    '"/></observation>'
+  );
+}
+
+function resourcesOf(result, type) {
+  return result.bundle.entry
+    .map((e) => e.resource)
+    .filter((r) => r.resourceType === type);
+}
+
+describe("isCcdaDocument", () => {
+  test("recognises a ClinicalDocument root after the XML declaration", () => {
+    expect(isCcdaDocument(SAMPLE)).toBe(true);
+    expect(isCcdaDocument("MSH|^~\\&|")).toBe(false);
+    expect(isCcdaDocument('{"resourceType":"Bundle"}')).toBe(false);
+  });
+});
+
+describe("mapCcdaDocument", () => {
+  test("maps the sample CCD onto the mock Jane Doe", () => {
+    const result = mapCcdaDocument(SAMPLE, mockPatients);
+    const patient = result.bundle.entry[0].resource;
+    expect(patient.id).toBe("patient-1");
+    expect(result.notes[0]).toMatch(/^recordTarget matched Jane Doe by /);
+    expect(result.notes).toContain(
+      "Not imported: Allergies (LOINC 48765-2), 0 entries."
+    );
+    expect(result.notes).toContain(
+      "Not imported: Medications (LOINC 10160-0), 1 entry."
+    );
+    expect(result.bundle.timestamp).toBe("2025-06-12T09:30:00-05:00");
+    const types = result.bundle.entry.map((e) => e.resource.resourceType);
+    expect(types).toEqual([
+      "Patient",
+      "Condition",
+      "Observation",
+      "Observation",
+      "Observation",
+      "Encounter",
+      "Immunization",
+    ]);
+    result.bundle.entry.forEach((e) => {
+      expect(e.resource.id).toMatch(FHIR_ID);
+    });
+    result.bundle.entry.slice(1).forEach((e) => {
+      expect(e.resource.subject || e.resource.patient).toEqual({
+        reference: "Patient/patient-1",
+      });
+    });
+    const [condition] = resourcesOf(result, "Condition");
+    expect(condition.clinicalStatus.text).toBe("active");
+    expect(condition.onsetDateTime).toBe("2019-03-04");
+    expect(condition.code.coding.map((c) => c.code)).toEqual([
+      "44054006",
+      "E11.9",
+    ]);
+    const [immunization] = resourcesOf(result, "Immunization");
+    expect(immunization.lotNumber).toBe("FLU2024A");
+    expect(immunization.occurrenceDateTime).toBe("2024-10-01");
+  });
+
+  test("turns a systolic and diastolic pair into one blood pressure panel", () => {
+    const result = mapCcdaDocument(SAMPLE, mockPatients);
+    const panel = resourcesOf(result, "Observation").find((o) =>
+      o.code.coding.some((c) => c.code === "85354-9")
+    );
+    expect(panel.valueQuantity).toBeUndefined();
+    expect(panel.component.map((c) => c.valueQuantity.value)).toEqual([
+      138, 88,
+    ]);
+    expect(panel.id).toMatch(FHIR_ID);
+  });
+
+  test("gives the same ids when the document is sent again", () => {
+    const first = mapCcdaDocument(SAMPLE, mockPatients);
+    const second = mapCcdaDocument(SAMPLE, mockPatients);
+    expect(second.bundle.entry.map((e) => e.resource.id)).toEqual(
+      first.bundle.entry.map((e) => e.resource.id)
+    );
+    expect(second.bundle.id).toBe(first.bundle.id);
+  });
+
+  test("keeps ids from long OID roots and GUID extensions within 64 characters", () => {
+    const longId = (n) =>
+      '<id root="2.16.840.1.113883.3.1234567890.1.2.3.4.5.6.7.8.9.10.11.12.13.14.15" extension="' +
+      "6f1c1f1e-3b8e-4b6f-9d0c-2a5b7c8d9e0" +
+      n +
+      '-{8a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d}"/>';
+    const xml = ccd("long-1", [
+      vitalsSection([
+        '<entry><organizer classCode="CLUSTER" moodCode="EVN">' +
+          "<component>" +
+          vital("8480-6", 150, "mm[Hg]", "20250601", longId(1)) +
+          "</component><component>" +
+          vital("8462-4", 95, "mm[Hg]", "20250601", longId(2)) +
+          "</component></organizer></entry>",
+      ]),
+    ]);
+    const observations = resourcesOf(mapCcdaDocument(xml, []), "Observation");
+    expect(observations).toHaveLength(1);
+    expect(observations[0].id).toMatch(FHIR_ID);
+  });
+
+  test("gives entries with no id distinct ids by position and patient", () => {
+    const entries = [
+      "<entry>" + vital("29463-7", 80, "kg", "20250601") + "</entry>",
+      "<entry>" + vital("29463-7", 80, "kg", "20250601") + "</entry>",
+      "<entry>" + vital("29463-7", 81, "kg", "20250701") + "</entry>",
+    ];
+    const ids = (patientId) =>
+      resourcesOf(
+        mapCcdaDocument(ccd(patientId, [vitalsSection(entries)]), []),
+        "Observation"
+      ).map((o) => o.id);
+    const first = ids("p-1");
+    expect(new Set(first).size).toBe(3);
+    expect(ids("p-1")).toEqual(first);
+    ids("p-2").forEach((id) => expect(first).not.toContain(id));
+  });
+
+  test("rejects documents that are not a usable ClinicalDocument", () => {
+    expect(() => mapCcdaDocument("<ClinicalDocument", [])).toThrow(
+      "The file is not well-formed XML."
+    );
+    expect(() => mapCcdaDocument("<Bundle/>", [])).toThrow(
+      "The XML root is not a ClinicalDocument."
+    );
+    expect(() =>
+      mapCcdaDocument('<ClinicalDocument xmlns="urn:hl7-org:v3"/>', [])
+    ).toThrow("The document has no recordTarget/patientRole.");
+  });
+});
@@ -0,0 +1,178 @@
+/* =========================
+   MOCK FHIR-LIKE DATA
+   ========================= */
+
+export const V2_IDENTIFIER_TYPE_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/v2-0203";
+
+export const mockPatients = [
+  {
+    id: "patient-1",
+    resourceType: "Patient",
+    identifier: [
+      {
+        type: { coding: [{ system: V2_IDENTIFIER_TYPE_SYSTEM, code: "MR" }] },
+        system: "http://hospital.example.org/mrn",
+        value: "12345",
+      },
+    ],
+    name: [{ given: ["Jane"], family: "Doe" }],
+    gender: "female",
+    birthDate: "1965-04-12",
+  },
+  {
+    id: "patient-2",
+    resourceType: "Patient",
+    identifier: [
+      {
+        type: { coding: [{ system: V2_IDENTIFIER_TYPE_SYSTEM, code: "MR" }] },
+        system: "http://hospital.example.org/mrn",
+        value: "67890",
+      },
+    ],
+    name: [{ given: ["John"], family: "Smith" }],
+    gender: "male",
+    birthDate: "1978-09-02",
+  },
+];
+
+export const mockConditions = [
+  {
+    id: "cond-1",
+    resourceType: "Condition",
+    subject: { reference: "Patient/patient-1" },
+    code: {
+      coding: [
+        {
+          system: "http://hl7.org/fhir/sid/icd-10-cm",
+          code: "E11.9",
+          display: "Type 2 diabetes mellitus without complications",
+        },
+        {
+          system: "http://snomed.info/sct",
+          code: "44054006",
+          display: "Diabetes mellitus type 2",
+        },
+      ],
+    },
+    clinicalStatus: { text: "active" },
+  },
+  {
+    id: "cond-2",
+    resourceType: "Condition",
+    subject: { reference: "Patient/patient-1" },
+    code: {
+      coding: [
+        {
+          system: "http://hl7.org/fhir/sid/icd-10-cm",
+          code: "I10",
+          display: "Essential (primary) hypertension",
+        },
+        {
+          system: "http://snomed.info/sct",
+          code: "38341003",
+          display: "Hypertensive disorder",
+        },
+      ],
+    },
+    clinicalStatus: { text: "active" },
+  },
+];
+
+export const mockEncounters = [
+  {
+    id: "enc-1",
+    resourceType: "Encounter",
+    subject: { reference: "Patient/patient-1" },
+    period: { start: "2024-05-01" },
+    type: [
+      {
+        coding: [
+          {
+            system: "https://www.cms.gov/Medicare/Coding/HCPCSReleaseCodeSets",
+            code: "G0439",
+          },
+        ],
+        text: "Annual wellness visit",
+      },
+    ],
+  },
+  {
+    id: "enc-2",
+    resourceType: "Encounter",
+    subject: { reference: "Patient/patient-1" },
+    period: { start: "2023-02-15" },
+    type: [{ text: "Office visit" }],
+  },
+];
+
+export const mockObservations = [
+  {
+    id: "obs-1",
+    resourceType: "Observation",
+    subject: { reference: "Patient/patient-1" },
+    effectiveDateTime: "2024-05-01",
+    code: {
+      coding: [{ system: "http://loinc.org", code: "85354-9" }],
+      text: "Blood pressure",
+    },
+    valueString: "140/92",
+  },
+  {
+    id: "obs-2",
+    resourceType: "Observation",
+    subject: { reference: "Patient/patient-1" },
+    effectiveDateTime: "2023-01-04",
+    code: {
+      coding: [{ system: "http://loinc.org", code: "4548-4" }],
+      text: "Hemoglobin A1c",
+    },
+    valueQuantity: { value: 8.2, unit: "%" },
+  },
+  {
+    id: "obs-3",
+    resourceType: "Observation",
+    subject: { reference: "Patient/patient-1" },
+    effectiveDateTime: "2022-01-10",
+    code: {
+      coding: [{ system: "http://loinc.org", code: "4548-4" }],
+      text: "Hemoglobin A1c",
+    },
+    valueQuantity: { value: 7.5, unit: "%" },
+  },
+  {
+    id: "obs-4",
+    resourceType: "Observation",
+    subject: { reference: "Patient/patient-1" },
+    effectiveDateTime: "2024-05-01",
+    code: {
+      coding: [{ system: "http://loinc.org", code: "33914-3" }],
+      text: "eGFR",
+    },
+    valueQuantity: { value: 74, unit: "mL/min/{1.73_m2}" },
+  },
+];
+
+export const mockProcedures = [
+  {
+    id: "proc-1",
+    resourceType: "Procedure",
+    subject: { reference: "Patient/patient-1" },
+    status: "completed",
+    performedDateTime: "2017-03-14",
+    code: {
+      coding: [{ system: "http://www.ama-assn.org/go/cpt", code: "45378" }],
+      text: "Colonoscopy",
+    },
+  },
+];
+
+export const mockImmunizations = [
+  {
+    id: "imm-1",
+    resourceType: "Immunization",
+    patient: { reference: "Patient/patient-1" },
+    occurrenceDateTime: "2022-10-01",
+    vaccineCode: { text: "Influenza, seasonal" },
+  },
+];
@@ -0,0 +1,190 @@
+/* =========================
+   BULK NDJSON IMPORT
+   ========================= */
+
+import { getPatientReference, relativeReference } from "./bundle";
+import { RESOURCE_BUCKETS } from "./utils";
+import { validateResource } from "./validate";
+
+// Bulk Data $export output: one resource per line, one file per resource
+// type. Files are read a chunk at a time so a large export is never held
+// as one string, and progress can be shown between chunks.
+const NDJSON_CHUNK_SIZE = 1024 * 1024;
+
+export function readBlobAsArrayBuffer(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+// Call onLine(text, lineNumber) for each line of a File and onChunk(bytes)
+// after each chunk; resolves with the number of lines
+function readFileLines(file, onLine, onChunk) {
+  const decoder = new TextDecoder();
+  let carry = "";
+  let lineNumber = 0;
+  const emit = (line) => {
+    lineNumber += 1;
+    onLine(line, lineNumber);
+  };
+  const readChunk = (offset) => {
+    if (offset >= file.size) {
+      const rest = carry + decoder.decode();
+      if (rest) emit(rest);
+      return Promise.resolve(lineNumber);
+    }
+    const end = Math.min(offset + NDJSON_CHUNK_SIZE, file.size);
+    return readBlobAsArrayBuffer(file.slice(offset, end)).then((buffer) => {
+      const lines = (carry + decoder.decode(buffer, { stream: true })).split(
+        /\r?\n/
+      );
+      carry = lines.pop();
+      lines.forEach(emit);
+      onChunk(end);
+      return readChunk(end);
+    });
+  };
+  return readChunk(0);
+}
+
+// { resource } or { error } for one line; null for a blank line
+function parseNdjsonLine(line) {
+  if (!line.trim()) return null;
+  let resource;
+  try {
+    resource = JSON.parse(line);
+  } catch (err) {
+    return { error: "Not valid JSON (" + err.message + ")." };
+  }
+  if (!resource || typeof resource !== "object" || Array.isArray(resource)) {
+    return { error: "Line is not a JSON object." };
+  }
+  if (!resource.resourceType) return { error: "Resource has no resourceType." };
+  if (!resource.id) return { error: resource.resourceType + " has no id." };
+  return { resource };
+}
+
+// Read a set of NDJSON files and join every resource to its Patient, from
+// the export or among knownPatients. onProgress gets { fileName, bytesRead,
+// totalBytes, lineCount, issueCount } after each chunk. Resolves with
+// { patients, resources, issues, lineCount, unresolved, ignored }; issues
+// are { severity, fileName, line, resource, path, message }. Lines that
+// cannot be parsed and resources with no patient are left out; resources
+// with validation errors are reported and loaded.
+export function readBulkNdjson(files, knownPatients, onProgress) {
+  const totalBytes = files.reduce((n, file) => n + file.size, 0);
+  const patients = {};
+  const pending = [];
+  const issues = [];
+  const ignored = {};
+  let lineCount = 0;
+  let doneBytes = 0;
+
+  const readFile = (idx) => {
+    if (idx >= files.length) return Promise.resolve();
+    const file = files[idx];
+    const onLine = (line, lineNumber) => {
+      const parsed = parseNdjsonLine(line);
+      if (!parsed) return;
+      lineCount += 1;
+      const at = { fileName: file.name, line: lineNumber };
+      if (parsed.error) {
+        issues.push({
+          ...at,
+          severity: "error",
+          resource: null,
+          path: null,
+          message: parsed.error + " Line skipped.",
+        });
+        return;
+      }
+      const r = parsed.resource;
+      if (r.resourceType !== "Patient" && !RESOURCE_BUCKETS[r.resourceType]) {
+        if (!ignored[r.resourceType]) ignored[r.resourceType] = { ...at, n: 0 };
+        ignored[r.resourceType].n += 1;
+        return;
+      }
+      const label = r.resourceType + "/" + r.id;
+      validateResource(r).forEach((issue) =>
+        issues.push({ ...at, ...issue, resource: label })
+      );
+      if (r.resourceType === "Patient") patients[r.id] = r;
+      else pending.push({ ...at, resource: r });
+    };
+    const onChunk = (bytesRead) =>
+      onProgress({
+        fileName: file.name,
+        bytesRead: doneBytes + bytesRead,
+        totalBytes,
+        lineCount,
+        issueCount: issues.length,
+      });
+    return readFileLines(file, onLine, onChunk).then(() => {
+      doneBytes += file.size;
+      return readFile(idx + 1);
+    });
+  };
+
+  return readFile(0).then(() => {
+    const known = {};
+    (knownPatients || []).forEach((p) => {
+      known[p.id] = true;
+    });
+    const resources = [];
+    let unresolved = 0;
+    pending.forEach((item) => {
+      const r = item.resource;
+      const ref = getPatientReference(r);
+      const relative = ref && relativeReference(ref.reference);
+      const patientId =
+        relative && relative.indexOf("Patient/") === 0
+          ? relative.slice("Patient/".length)
+          : null;
+      if (patientId && (patients[patientId] || known[patientId])) {
+        resources.push({
+          ...r,
+          [ref.field]: { ...r[ref.field], reference: "Patient/" + patientId },
+        });
+        return;
+      }
+      unresolved += 1;
+      issues.push({
+        fileName: item.fileName,
+        line: item.line,
+        severity: "error",
+        resource: r.resourceType + "/" + r.id,
+        path: ref ? r.resourceType + "." + ref.field : null,
+        message: ref
+          ? "No Patient in the export or the app matches " +
+            ref.reference +
+            "; not loaded."
+          : "No subject or patient reference; not loaded.",
+      });
+    });
+    Object.keys(ignored).forEach((type) => {
+      issues.push({
+        fileName: ignored[type].fileName,
+        line: ignored[type].line,
+        severity: "warning",
+        resource: null,
+        path: type,
+        message:
+          ignored[type].n +
+          " " +
+          type +
+          " resource(s) are not used by this app and were ignored.",
+      });
+    });
+    return {
+      patients: Object.keys(patients).map((id) => patients[id]),
+      resources,
+      issues,
+      lineCount,
+      unresolved,
+      ignored: Object.keys(ignored).reduce((n, t) => n + ignored[t].n, 0),
+    };
+  });
+}
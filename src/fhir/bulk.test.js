@@ -0,0 +1,187 @@
+import { readBulkNdjson } from "./bulk";
+
+function ndjson(name, lines) {
+  return new File([lines.join("\n")], name, {
+    type: "application/fhir+ndjson",
+  });
+}
+
+const patient = {
+  resourceType: "Patient",
+  id: "p1",
+  name: [{ family: "Doe", given: ["Jane"] }],
+  gender: "female",
+  birthDate: "1960-04-02",
+};
+
+function a1c(id, subject) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    code: { coding: [{ system: "http://loinc.org", code: "4548-4" }] },
+    subject: { reference: subject },
+    effectiveDateTime: "2025-06-10",
+    valueQuantity: { value: 8.1, unit: "%" },
+  };
+}
+
+function messages(result) {
+  return result.issues.map((i) => i.message);
+}
+
+describe("readBulkNdjson", () => {
+  test("joins resources to Patients from the export", async () => {
+    const result = await readBulkNdjson(
+      [
+        ndjson("Patient.ndjson", [JSON.stringify(patient)]),
+        ndjson("Observation.ndjson", [
+          JSON.stringify(
+            a1c("o1", "https://fhir.example.org/r4/Patient/p1/_history/3")
+          ),
+        ]),
+      ],
+      [],
+      () => {}
+    );
+    expect(result.patients.map((p) => p.id)).toEqual(["p1"]);
+    expect(result.resources).toHaveLength(1);
+    expect(result.resources[0].subject.reference).toBe("Patient/p1");
+    expect(result.lineCount).toBe(2);
+    expect(result.unresolved).toBe(0);
+  });
+
+  test("joins resources to Patients already in the app", async () => {
+    const result = await readBulkNdjson(
+      [ndjson("Observation.ndjson", [JSON.stringify(a1c("o1", "Patient/p9"))])],
+      [{ id: "p9" }],
+      () => {}
+    );
+    expect(result.resources.map((r) => r.id)).toEqual(["o1"]);
+  });
+
+  test("leaves out resources with no matching Patient", async () => {
+    const noSubject = a1c("o2", "Patient/p1");
+    delete noSubject.subject;
+    const result = await readBulkNdjson(
+      [
+        ndjson("Observation.ndjson", [
+          JSON.stringify(a1c("o1", "Patient/missing")),
+          JSON.stringify(noSubject),
+        ]),
+      ],
+      [],
+      () => {}
+    );
+    expect(result.resources).toEqual([]);
+    expect(result.unresolved).toBe(2);
+    expect(result.issues).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          line: 1,
+          resource: "Observation/o1",
+          path: "Observation.subject",
+          message:
+            "No Patient in the export or the app matches Patient/missing; not loaded.",
+        }),
+        expect.objectContaining({
+          line: 2,
+          resource: "Observation/o2",
+          path: null,
+          message: "No subject or patient reference; not loaded.",
+        }),
+      ])
+    );
+  });
+
+  test("reports unreadable lines by file and line number and skips blanks", async () => {
+    const result = await readBulkNdjson(
+      [
+        ndjson("bad.ndjson", [
+          "{not json",
+          "",
+          "[1, 2]",
+          JSON.stringify({ id: "x" }),
+          JSON.stringify({ resourceType: "Patient" }),
+        ]),
+      ],
+      [],
+      () => {}
+    );
+    expect(result.lineCount).toBe(4);
+    expect(result.patients).toEqual([]);
+    const byLine = {};
+    result.issues.forEach((i) => {
+      byLine[i.line] = i;
+    });
+    expect(Object.keys(byLine)).toEqual(["1", "3", "4", "5"]);
+    expect(byLine[1].message).toMatch(
+      /^Not valid JSON \(.*\)\. Line skipped\.$/
+    );
+    expect(byLine[3].message).toBe("Line is not a JSON object. Line skipped.");
+    expect(byLine[4].message).toBe(
+      "Resource has no resourceType. Line skipped."
+    );
+    expect(byLine[5].message).toBe("Patient has no id. Line skipped.");
+    result.issues.forEach((i) => {
+      expect(i.fileName).toBe("bad.ndjson");
+      expect(i.severity).toBe("error");
+    });
+  });
+
+  test("counts resource types the app does not use in one warning", async () => {
+    const result = await readBulkNdjson(
+      [
+        ndjson("Device.ndjson", [
+          JSON.stringify({ resourceType: "Device", id: "d1" }),
+          JSON.stringify({ resourceType: "Device", id: "d2" }),
+        ]),
+      ],
+      [],
+      () => {}
+    );
+    expect(result.ignored).toBe(2);
+    expect(result.issues).toEqual([
+      {
+        fileName: "Device.ndjson",
+        line: 1,
+        severity: "warning",
+        resource: null,
+        path: "Device",
+        message:
+          "2 Device resource(s) are not used by this app and were ignored.",
+      },
+    ]);
+  });
+
+  test("reads CRLF line endings and reports progress across files", async () => {
+    const progress = [];
+    const files = [
+      new File([JSON.stringify(patient) + "\r\n"], "Patient.ndjson"),
+      new File(
+        [JSON.stringify(a1c("o1", "Patient/p1")) + "\r\n"],
+        "Observation.ndjson"
+      ),
+    ];
+    const result = await readBulkNdjson(files, [], (p) => progress.push(p));
+    expect(messages(result)).toEqual([]);
+    expect(result.resources).toHaveLength(1);
+    const total = files[0].size + files[1].size;
+    expect(progress).toEqual([
+      {
+        fileName: "Patient.ndjson",
+        bytesRead: files[0].size,
+        totalBytes: total,
+        lineCount: 1,
+        issueCount: 0,
+      },
+      {
+        fileName: "Observation.ndjson",
+        bytesRead: total,
+        totalBytes: total,
+        lineCount: 2,
+        issueCount: 0,
+      },
+    ]);
+  });
+});
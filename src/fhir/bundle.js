@@ -0,0 +1,160 @@
+/* =========================
+   PARSE FHIR BUNDLE (UPLOAD)
+   ========================= */
+
+import { hl7ResourceId } from "../hl7/parser";
+import { bucketResources, RESOURCE_BUCKETS } from "./utils";
+
+// Where each resource type points at its patient
+const PATIENT_REFERENCE_FIELDS = {
+  Immunization: ["patient", "subject"],
+};
+
+export function getPatientReference(resource) {
+  const fields = PATIENT_REFERENCE_FIELDS[resource.resourceType] || [
+    "subject",
+    "patient",
+  ];
+  for (let i = 0; i < fields.length; i++) {
+    const ref = resource[fields[i]];
+    if (ref && ref.reference)
+      return { field: fields[i], reference: ref.reference };
+  }
+  return null;
+}
+
+// "http://server/fhir/Patient/123/_history/2" -> "Patient/123"
+export function relativeReference(reference) {
+  const match = reference.match(
+    /([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[^/]+)?$/
+  );
+  return match ? match[1] + "/" + match[2] : null;
+}
+
+function uuidFromFullUrl(fullUrl) {
+  if (!fullUrl) return null;
+  const match = fullUrl.match(/^urn:(uuid|oid):(.+)$/);
+  return match ? match[2] : null;
+}
+
+// Rewrite every .reference in a resource through the bundle's fullUrl map
+function rewriteReferences(value, resolve) {
+  if (Array.isArray(value))
+    return value.map((v) => rewriteReferences(v, resolve));
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    if (key === "reference" && typeof value[key] === "string") {
+      out[key] = resolve(value[key]) || value[key];
+    } else {
+      out[key] = rewriteReferences(value[key], resolve);
+    }
+  });
+  return out;
+}
+
+// Load every Patient in a Bundle and attach each resource to its patient.
+// References may be relative ("Patient/1"), absolute, or urn:uuid fullUrls
+// from transaction bundles; all are rewritten to "Type/id". knownPatients lets
+// a bundle add data to patients the app already holds. Resources whose
+// patient cannot be found are returned in `unresolved` rather than dropped.
+export function parseFHIRBundle(bundle, knownPatients) {
+  const entries = (Array.isArray(bundle.entry) ? bundle.entry : []).filter(
+    (e) => e && e.resource && e.resource.resourceType
+  );
+
+  // Give every resource an id and remember all the ways it can be referenced.
+  // Without an id or urn:uuid the id hashes the bundle id, entry position and
+  // content: unique to this upload, yet the same when the file is loaded again.
+  const refMap = {};
+  const prepared = entries.map((e, idx) => {
+    const resource = { ...e.resource };
+    if (!resource.id) {
+      resource.id =
+        uuidFromFullUrl(e.fullUrl) ||
+        hl7ResourceId(
+          resource.resourceType.toLowerCase() + "-",
+          [bundle.id || "", idx, JSON.stringify(e.resource)].join("|")
+        );
+    }
+    const canonical = resource.resourceType + "/" + resource.id;
+    if (e.fullUrl) refMap[e.fullUrl] = canonical;
+    refMap[canonical] = canonical;
+    if (e.resource.id) {
+      refMap[resource.resourceType + "/" + e.resource.id] = canonical;
+    }
+    return resource;
+  });
+  const resolve = (reference) => {
+    if (refMap[reference]) return refMap[reference];
+    const relative = relativeReference(reference);
+    return relative && refMap[relative] ? refMap[relative] : null;
+  };
+
+  const resources = prepared.map((r) => rewriteReferences(r, resolve));
+  const patients = resources.filter((r) => r.resourceType === "Patient");
+  const known = (knownPatients || []).filter(
+    (kp) => !patients.some((p) => p.id === kp.id)
+  );
+
+  const resourcesByPatient = {};
+  patients.forEach((p) => {
+    resourcesByPatient[p.id] = bucketResources([]);
+  });
+  const unresolved = [];
+
+  resources.forEach((r) => {
+    if (r.resourceType === "Patient" || !RESOURCE_BUCKETS[r.resourceType]) {
+      return;
+    }
+    const ref = getPatientReference(r);
+    if (!ref) {
+      unresolved.push({
+        resourceType: r.resourceType,
+        id: r.id,
+        reference: null,
+        reason: "Resource has no subject or patient reference.",
+      });
+      return;
+    }
+    const relative = resolve(ref.reference) || relativeReference(ref.reference);
+    const patientId =
+      relative && relative.indexOf("Patient/") === 0
+        ? relative.slice("Patient/".length)
+        : null;
+    const target =
+      patientId &&
+      (patients.find((p) => p.id === patientId) ||
+        known.find((p) => p.id === patientId));
+    if (!target) {
+      unresolved.push({
+        resourceType: r.resourceType,
+        id: r.id,
+        reference: ref.reference,
+        reason: "No Patient in the bundle or the app matches this reference.",
+      });
+      return;
+    }
+    if (!resourcesByPatient[target.id]) {
+      resourcesByPatient[target.id] = bucketResources([]);
+    }
+    const linked = {
+      ...r,
+      [ref.field]: { ...r[ref.field], reference: "Patient/" + target.id },
+    };
+    resourcesByPatient[target.id][RESOURCE_BUCKETS[r.resourceType]].push(
+      linked
+    );
+  });
+
+  if (Object.keys(resourcesByPatient).length === 0) {
+    throw new Error("No Patient resource found in bundle.");
+  }
+
+  return {
+    bundleId: bundle.id || null,
+    patients,
+    resourcesByPatient,
+    unresolved,
+  };
+}
@@ -0,0 +1,173 @@
+import { mockPatients } from "../data/mockData";
+import {
+  getPatientReference,
+  parseFHIRBundle,
+  relativeReference,
+} from "./bundle";
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+function a1c(id, subject) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    code: { coding: [{ system: "http://loinc.org", code: "4548-4" }] },
+    subject: { reference: subject },
+    effectiveDateTime: "2025-06-10",
+    valueQuantity: { value: 8.1, unit: "%" },
+  };
+}
+
+describe("relativeReference", () => {
+  test("reduces absolute and versioned references to Type/id", () => {
+    expect(
+      relativeReference("https://fhir.example.org/r4/Patient/123/_history/2")
+    ).toBe("Patient/123");
+    expect(relativeReference("Patient/abc")).toBe("Patient/abc");
+    expect(relativeReference("urn:uuid:1234")).toBeNull();
+  });
+});
+
+describe("getPatientReference", () => {
+  test("reads Immunization.patient and everything else's subject", () => {
+    expect(
+      getPatientReference({
+        resourceType: "Immunization",
+        patient: { reference: "Patient/p1" },
+      })
+    ).toEqual({ field: "patient", reference: "Patient/p1" });
+    expect(getPatientReference(a1c("o1", "Patient/p2"))).toEqual({
+      field: "subject",
+      reference: "Patient/p2",
+    });
+    expect(getPatientReference({ resourceType: "Observation" })).toBeNull();
+  });
+});
+
+describe("parseFHIRBundle", () => {
+  test("loads every patient and resolves urn:uuid references", () => {
+    const parsed = parseFHIRBundle({
+      resourceType: "Bundle",
+      id: "tx-1",
+      type: "transaction",
+      entry: [
+        {
+          fullUrl: "urn:uuid:0b1f-aaaa",
+          resource: { resourceType: "Patient", name: [{ family: "Doe" }] },
+        },
+        {
+          fullUrl: "https://fhir.example.org/r4/Patient/p2",
+          resource: { resourceType: "Patient", id: "p2" },
+        },
+        { resource: a1c("o1", "urn:uuid:0b1f-aaaa") },
+        { resource: a1c("o2", "https://fhir.example.org/r4/Patient/p2") },
+      ],
+    });
+    expect(parsed.bundleId).toBe("tx-1");
+    expect(parsed.patients.map((p) => p.id)).toEqual(["0b1f-aaaa", "p2"]);
+    expect(
+      parsed.resourcesByPatient["0b1f-aaaa"].observations[0].subject
+    ).toEqual({ reference: "Patient/0b1f-aaaa" });
+    expect(parsed.resourcesByPatient.p2.observations[0].subject).toEqual({
+      reference: "Patient/p2",
+    });
+    expect(parsed.unresolved).toEqual([]);
+  });
+
+  test("attaches resources to patients the app already holds", () => {
+    const parsed = parseFHIRBundle(
+      {
+        resourceType: "Bundle",
+        type: "collection",
+        entry: [{ resource: a1c("o1", "Patient/" + mockPatients[0].id) }],
+      },
+      mockPatients
+    );
+    expect(parsed.patients).toEqual([]);
+    expect(
+      parsed.resourcesByPatient[mockPatients[0].id].observations
+    ).toHaveLength(1);
+  });
+
+  test("returns resources it cannot place as unresolved", () => {
+    const parsed = parseFHIRBundle({
+      resourceType: "Bundle",
+      type: "collection",
+      entry: [
+        { resource: { resourceType: "Patient", id: "p1" } },
+        { resource: a1c("o1", "Patient/missing") },
+        { resource: { ...a1c("o2", "x"), subject: undefined } },
+      ],
+    });
+    expect(parsed.unresolved.map((u) => [u.id, u.reference])).toEqual([
+      ["o1", "Patient/missing"],
+      ["o2", null],
+    ]);
+  });
+
+  test("throws when no patient can be found", () => {
+    expect(() =>
+      parseFHIRBundle({
+        resourceType: "Bundle",
+        type: "collection",
+        entry: [{ resource: a1c("o1", "Patient/missing") }],
+      })
+    ).toThrow("No Patient resource found in bundle.");
+  });
+
+  describe("resources without an id", () => {
+    function idLessBundle(bundleId, family, value) {
+      return {
+        resourceType: "Bundle",
+        id: bundleId,
+        type: "collection",
+        entry: [
+          {
+            fullUrl: "https://example.org/Patient/local",
+            resource: { resourceType: "Patient", name: [{ family }] },
+          },
+          {
+            resource: {
+              ...a1c(undefined, "https://example.org/Patient/local"),
+              valueQuantity: { value, unit: "%" },
+            },
+          },
+        ],
+      };
+    }
+
+    function ids(parsed) {
+      const patient = parsed.patients[0];
+      return {
+        patient: patient.id,
+        observation: parsed.resourcesByPatient[patient.id].observations[0].id,
+      };
+    }
+
+    test("get valid ids that do not collide with the mock patients", () => {
+      const { patient, observation } = ids(
+        parseFHIRBundle(idLessBundle(undefined, "Roe", 7.2))
+      );
+      expect(patient).toMatch(FHIR_ID);
+      expect(observation).toMatch(FHIR_ID);
+      expect(mockPatients.map((p) => p.id)).not.toContain(patient);
+    });
+
+    test("get different ids in different uploads", () => {
+      const first = ids(parseFHIRBundle(idLessBundle("b1", "Roe", 7.2)));
+      const second = ids(parseFHIRBundle(idLessBundle("b2", "Roe", 7.2)));
+      const other = ids(parseFHIRBundle(idLessBundle(undefined, "Poe", 6.1)));
+      expect(second.patient).not.toBe(first.patient);
+      expect(second.observation).not.toBe(first.observation);
+      expect(other.patient).not.toBe(first.patient);
+      expect(other.observation).not.toBe(first.observation);
+    });
+
+    test("keep their ids when the same file is loaded again", () => {
+      expect(ids(parseFHIRBundle(idLessBundle("b1", "Roe", 7.2)))).toEqual(
+        ids(parseFHIRBundle(idLessBundle("b1", "Roe", 7.2)))
+      );
+    });
+  });
+});
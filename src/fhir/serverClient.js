@@ -0,0 +1,341 @@
+/* =========================
+   FHIR SERVER CLIENT
+   ========================= */
+
+import { RESOURCE_BUCKETS } from "./utils";
+
+// Searched one by one when the server has no Patient/$everything
+const SERVER_PATIENT_SEARCHES = [
+  "Condition",
+  "Encounter",
+  "Observation",
+  "Immunization",
+  "Procedure",
+];
+// Bundle.link[next] is followed at most this many times per search
+export const SERVER_MAX_PAGES = 20;
+const SMART_SCOPE = "launch/patient openid fhirUser patient/*.read";
+const SMART_SESSION_KEY = "smart-launch";
+const SMART_OAUTH_URIS =
+  "http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris";
+
+export function normalizeBaseUrl(url) {
+  return (url || "").trim().replace(/\/+$/, "");
+}
+
+// Paths are relative to the base URL; Bundle.link urls are usually absolute
+function serverUrl(baseUrl, path) {
+  return /^https?:\/\//.test(path) ? path : baseUrl + "/" + path;
+}
+
+// Whether url is on the same origin as the server's base URL, which is the
+// only place the bearer token is sent
+function isSameOrigin(url, baseUrl) {
+  try {
+    return new URL(url).origin === new URL(baseUrl).origin;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Whether url is the base URL or below it: same origin, and a path that
+// starts with the base path
+function isUnderBaseUrl(url, baseUrl) {
+  if (!isSameOrigin(url, baseUrl)) return false;
+  const basePath = new URL(normalizeBaseUrl(baseUrl)).pathname.replace(
+    /\/+$/,
+    ""
+  );
+  const path = new URL(url).pathname;
+  return path === basePath || path.indexOf(basePath + "/") === 0;
+}
+
+// "name=smith&birthdate=1970-01-01"; empty values are left out
+function searchQuery(params) {
+  return Object.keys(params)
+    .filter((key) => params[key])
+    .map(
+      (key) => encodeURIComponent(key) + "=" + encodeURIComponent(params[key])
+    )
+    .join("&");
+}
+
+// GET a FHIR resource as JSON. server ({ baseUrl, token }) is optional; its
+// token is only sent to the server's own origin. A failed request rejects
+// with an Error that carries the HTTP status and the OperationOutcome
+// diagnostics, if any.
+function fhirGet(url, server) {
+  const headers = { Accept: "application/fhir+json" };
+  if (server && server.token && isSameOrigin(url, server.baseUrl)) {
+    headers.Authorization = "Bearer " + server.token;
+  }
+  return fetch(url, { headers }).then((response) =>
+    response
+      .json()
+      .catch(() => null)
+      .then((body) => {
+        if (response.ok && body) return body;
+        const issue =
+          body &&
+          body.resourceType === "OperationOutcome" &&
+          body.issue &&
+          body.issue[0];
+        const detail =
+          issue &&
+          (issue.diagnostics ||
+            (issue.details && issue.details.text) ||
+            issue.code);
+        const err = new Error(
+          "GET " +
+            url +
+            " failed (" +
+            response.status +
+            ")" +
+            (detail ? ": " + detail : "")
+        );
+        err.status = response.status;
+        throw err;
+      })
+  );
+}
+
+// Every entry of a search or operation result, following Bundle.link[next].
+// Next links that leave the base URL fail the load rather than being
+// followed. Resolves with { entries, truncated }.
+function fetchAllPages(server, path) {
+  const entries = [];
+  const fetchPage = (url, page) =>
+    fhirGet(url, server).then((bundle) => {
+      if (bundle.resourceType !== "Bundle") {
+        throw new Error(url + " did not return a Bundle.");
+      }
+      (bundle.entry || []).forEach((e) => entries.push(e));
+      const next = (bundle.link || []).find(
+        (link) => link.relation === "next" && link.url
+      );
+      if (next && page < SERVER_MAX_PAGES) {
+        const nextUrl = serverUrl(server.baseUrl, next.url);
+        if (!isUnderBaseUrl(nextUrl, server.baseUrl)) {
+          throw new Error(
+            url +
+              " links its next page to " +
+              next.url +
+              ", which is outside " +
+              server.baseUrl +
+              "; the link was not followed."
+          );
+        }
+        return fetchPage(nextUrl, page + 1);
+      }
+      return { entries, truncated: !!next };
+    });
+  return fetchPage(serverUrl(server.baseUrl, path), 1);
+}
+
+// params: { name, identifier, birthdate }
+export function searchServerPatients(server, params) {
+  return fetchAllPages(
+    server,
+    "Patient?" + searchQuery({ ...params, _count: "50" })
+  ).then((result) => ({
+    patients: result.entries
+      .map((e) => e.resource)
+      .filter((r) => r && r.resourceType === "Patient"),
+    truncated: result.truncated,
+  }));
+}
+
+// A patient's record as a collection Bundle, from Patient/$everything or,
+// where the server does not support it, the Patient plus one search per
+// resource type. Only the resource types the app reads are kept.
+// Resolves with { bundle, method, truncated }.
+export function fetchPatientRecord(server, patientId) {
+  const id = encodeURIComponent(patientId);
+  return fetchAllPages(server, "Patient/" + id + "/$everything")
+    .then((result) => ({ ...result, method: "$everything" }))
+    .catch((err) => {
+      // Servers without the operation answer 400, 404, 405 or 501
+      if ([400, 404, 405, 501].indexOf(err.status) === -1) throw err;
+      return Promise.all(
+        [fhirGet(serverUrl(server.baseUrl, "Patient/" + id), server)].concat(
+          SERVER_PATIENT_SEARCHES.map((type) =>
+            fetchAllPages(server, type + "?patient=" + id)
+          )
+        )
+      ).then(([patient, ...searches]) => ({
+        entries: searches.reduce(
+          (all, search) => all.concat(search.entries),
+          [
+            {
+              fullUrl: serverUrl(server.baseUrl, "Patient/" + id),
+              resource: patient,
+            },
+          ]
+        ),
+        truncated: searches.some((search) => search.truncated),
+        method: "search",
+      }));
+    })
+    .then((result) => ({
+      bundle: {
+        resourceType: "Bundle",
+        type: "collection",
+        entry: result.entries.filter(
+          (e) =>
+            e.resource &&
+            (e.resource.resourceType === "Patient" ||
+              RESOURCE_BUCKETS[e.resource.resourceType])
+        ),
+      },
+      method: result.method,
+      truncated: result.truncated,
+    }));
+}
+
+// SMART authorize and token endpoints, from .well-known/smart-configuration
+// or the oauth-uris extension on the CapabilityStatement
+function discoverSmartEndpoints(baseUrl) {
+  return fhirGet(baseUrl + "/.well-known/smart-configuration")
+    .then((config) => ({
+      authorize: config.authorization_endpoint,
+      token: config.token_endpoint,
+    }))
+    .catch(() =>
+      fhirGet(baseUrl + "/metadata").then((capability) => {
+        const rest = (capability.rest || [])[0];
+        const oauth = (
+          (rest && rest.security && rest.security.extension) ||
+          []
+        ).find((ext) => ext.url === SMART_OAUTH_URIS);
+        const uri = (name) => {
+          const ext = ((oauth && oauth.extension) || []).find(
+            (x) => x.url === name
+          );
+          return ext && ext.valueUri;
+        };
+        return { authorize: uri("authorize"), token: uri("token") };
+      })
+    )
+    .then((endpoints) => {
+      if (!endpoints.authorize || !endpoints.token) {
+        throw new Error(
+          baseUrl + " does not advertise SMART authorize and token endpoints."
+        );
+      }
+      return endpoints;
+    });
+}
+
+function base64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function randomUrlToken() {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  return base64Url(bytes);
+}
+
+// SMART standalone launch: redirect to the authorization server with a PKCE
+// challenge. completeSmartLaunch finishes the job when it redirects back.
+export function beginSmartLaunch(baseUrl, clientId, redirectUri) {
+  return discoverSmartEndpoints(baseUrl).then((endpoints) => {
+    const verifier = randomUrlToken();
+    const state = randomUrlToken();
+    return window.crypto.subtle
+      .digest("SHA-256", new TextEncoder().encode(verifier))
+      .then((digest) => {
+        sessionStorage.setItem(
+          SMART_SESSION_KEY,
+          JSON.stringify({
+            state,
+            verifier,
+            baseUrl,
+            clientId,
+            redirectUri,
+            tokenEndpoint: endpoints.token,
+          })
+        );
+        window.location.assign(
+          endpoints.authorize +
+            (endpoints.authorize.indexOf("?") === -1 ? "?" : "&") +
+            searchQuery({
+              response_type: "code",
+              client_id: clientId,
+              redirect_uri: redirectUri,
+              scope: SMART_SCOPE,
+              state,
+              aud: baseUrl,
+              code_challenge: base64Url(new Uint8Array(digest)),
+              code_challenge_method: "S256",
+            })
+        );
+      });
+  });
+}
+
+// Exchange the authorization code in a SMART redirect for an access token.
+// Resolves with { baseUrl, token, patientId, expiresAt }, or null when the
+// page was not opened by a SMART redirect.
+export function completeSmartLaunch(search) {
+  const params = new URLSearchParams(search);
+  const saved = JSON.parse(sessionStorage.getItem(SMART_SESSION_KEY) || "null");
+  if (!saved || !params.get("state")) return Promise.resolve(null);
+  sessionStorage.removeItem(SMART_SESSION_KEY);
+  if (params.get("state") !== saved.state) {
+    return Promise.reject(
+      new Error("The SMART redirect does not match this launch; sign in again.")
+    );
+  }
+  if (params.get("error")) {
+    return Promise.reject(
+      new Error(
+        "Authorization failed: " +
+          (params.get("error_description") || params.get("error"))
+      )
+    );
+  }
+  return fetch(saved.tokenEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: searchQuery({
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: saved.redirectUri,
+      client_id: saved.clientId,
+      code_verifier: saved.verifier,
+    }),
+  }).then((response) =>
+    response
+      .json()
+      .catch(() => ({}))
+      .then((body) => {
+        if (!response.ok || !body.access_token) {
+          throw new Error(
+            "Token request failed (" +
+              response.status +
+              ")" +
+              (body.error ? ": " + (body.error_description || body.error) : "")
+          );
+        }
+        return {
+          baseUrl: saved.baseUrl,
+          token: body.access_token,
+          patientId: body.patient || null,
+          expiresAt: body.expires_in
+            ? new Date(Date.now() + body.expires_in * 1000).toISOString()
+            : null,
+        };
+      })
+  );
+}
@@ -0,0 +1,109 @@
+import { fetchPatientRecord, searchServerPatients } from "./serverClient";
+
+const SERVER = { baseUrl: "https://fhir.example.org/r4", token: "secret" };
+
+function searchset(resources, nextUrl) {
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    link: nextUrl ? [{ relation: "next", url: nextUrl }] : [],
+    entry: resources.map((resource) => ({ resource })),
+  };
+}
+
+function patient(id) {
+  return { resourceType: "Patient", id };
+}
+
+// Answers each GET with the next body in order, recording url and headers
+function mockFetch(bodies) {
+  const calls = [];
+  global.fetch = jest.fn((url, options) => {
+    calls.push({ url, headers: options.headers });
+    const body = bodies[calls.length - 1];
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body),
+    });
+  });
+  return calls;
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("searchServerPatients", () => {
+  test("follows next links below the base URL with the token", () => {
+    const calls = mockFetch([
+      searchset(
+        [patient("a")],
+        "https://fhir.example.org/r4?_getpages=abc&_offset=50"
+      ),
+      searchset([patient("b")], "Patient?name=doe&page=3"),
+      searchset([patient("c")]),
+    ]);
+    return searchServerPatients(SERVER, { name: "doe" }).then((result) => {
+      expect(result.patients.map((p) => p.id)).toEqual(["a", "b", "c"]);
+      expect(calls.map((c) => c.url)).toEqual([
+        "https://fhir.example.org/r4/Patient?name=doe&_count=50",
+        "https://fhir.example.org/r4?_getpages=abc&_offset=50",
+        "https://fhir.example.org/r4/Patient?name=doe&page=3",
+      ]);
+      calls.forEach((c) =>
+        expect(c.headers.Authorization).toBe("Bearer secret")
+      );
+    });
+  });
+
+  test("fails instead of following a next link to another origin", () => {
+    const calls = mockFetch([
+      searchset([patient("a")], "https://attacker.example.com/r4/Patient"),
+    ]);
+    return expect(searchServerPatients(SERVER, { name: "doe" }))
+      .rejects.toThrow(/outside https:\/\/fhir\.example\.org\/r4/)
+      .then(() => expect(calls).toHaveLength(1));
+  });
+
+  test("fails instead of following a next link outside the base path", () => {
+    const calls = mockFetch([
+      searchset([patient("a")], "https://fhir.example.org/r4-admin/Patient"),
+    ]);
+    return expect(searchServerPatients(SERVER, {}))
+      .rejects.toThrow(/was not followed/)
+      .then(() => expect(calls).toHaveLength(1));
+  });
+
+  test("fails on a next link that leaves through a path traversal", () => {
+    const calls = mockFetch([
+      searchset([patient("a")], "https://fhir.example.org/r4/../admin"),
+    ]);
+    return expect(searchServerPatients(SERVER, {}))
+      .rejects.toThrow(/was not followed/)
+      .then(() => expect(calls).toHaveLength(1));
+  });
+});
+
+describe("fetchPatientRecord", () => {
+  test("sends the token with $everything on the server's origin", () => {
+    const calls = mockFetch([
+      searchset([
+        patient("p1"),
+        { resourceType: "Observation", id: "o1", status: "final" },
+        { resourceType: "Location", id: "l1" },
+      ]),
+    ]);
+    return fetchPatientRecord(SERVER, "p1").then((record) => {
+      expect(record.method).toBe("$everything");
+      expect(record.bundle.entry.map((e) => e.resource.id)).toEqual([
+        "p1",
+        "o1",
+      ]);
+      expect(calls[0].url).toBe(
+        "https://fhir.example.org/r4/Patient/p1/$everything"
+      );
+      expect(calls[0].headers.Authorization).toBe("Bearer secret");
+    });
+  });
+});
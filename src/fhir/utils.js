@@ -0,0 +1,133 @@
+/* =========================
+   UTILITIES
+   ========================= */
+
+export function getPatientDisplayName(patient) {
+  if (!patient || !patient.name || patient.name.length === 0) return "Unknown";
+  const n = patient.name[0];
+  const given = n.given && n.given.length > 0 ? n.given[0] : "";
+  const family = n.family || "";
+  return (given + " " + family).trim();
+}
+
+// Age in whole years on `asOf` (default today)
+export function getAge(birthDate, asOf) {
+  if (!birthDate) return null;
+  const dob = parseFHIRDate(birthDate);
+  const now = asOf || new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  const m = now.getMonth() - dob.getMonth();
+  if (m < 0 || (m === 0 && now.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+// Parse a FHIR date or dateTime. Date-only values (YYYY, YYYY-MM,
+// YYYY-MM-DD) become local midnight; new Date() would read them as UTC and
+// land on the previous day west of Greenwich.
+export function parseFHIRDate(value) {
+  if (!value) return null;
+  const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+  if (m) {
+    return new Date(
+      Number(m[1]),
+      m[2] ? Number(m[2]) - 1 : 0,
+      m[3] ? Number(m[3]) : 1
+    );
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Local calendar date as YYYY-MM-DD
+export function toFHIRDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return year + "-" + month + "-" + day;
+}
+
+// Same day `months` later (or earlier), clamped to the end of shorter months
+export function addMonths(date, months) {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0
+  ).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+}
+
+export function endOfDay(date) {
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    23,
+    59,
+    59,
+    999
+  );
+}
+
+// Format FHIR date (YYYY-MM-DD) without timezone shifting; a dateTime
+// shows its date part as written
+export function formatFHIRDate(dateStr) {
+  if (!dateStr) return "";
+  const parts = dateStr.slice(0, 10).split("-");
+  if (parts.length !== 3) return dateStr;
+  const year = parts[0];
+  const month = parseInt(parts[1], 10);
+  const day = parseInt(parts[2], 10);
+  if (isNaN(month) || isNaN(day)) return dateStr;
+  return month + "/" + day + "/" + year;
+}
+
+export const RESOURCE_BUCKETS = {
+  Condition: "conditions",
+  Encounter: "encounters",
+  Observation: "observations",
+  Immunization: "immunizations",
+  Procedure: "procedures",
+  DiagnosticReport: "diagnosticReports",
+  MedicationRequest: "medications",
+  MedicationStatement: "medications",
+  Basic: "basics",
+};
+
+export function bucketResources(resources) {
+  const buckets = {};
+  Object.keys(RESOURCE_BUCKETS).forEach((type) => {
+    buckets[RESOURCE_BUCKETS[type]] = [];
+  });
+  resources.forEach((r) => {
+    const key = RESOURCE_BUCKETS[r.resourceType];
+    if (key) buckets[key].push(r);
+  });
+  return buckets;
+}
+
+export function describeResource(r) {
+  let label = "";
+  const concept = r.code || r.medicationCodeableConcept;
+  if (
+    r.resourceType === "Observation" ||
+    r.resourceType === "Condition" ||
+    r.resourceType === "Procedure" ||
+    r.resourceType === "DiagnosticReport" ||
+    r.resourceType === "MedicationRequest" ||
+    r.resourceType === "MedicationStatement"
+  ) {
+    label =
+      concept &&
+      (concept.text ||
+        (concept.coding && concept.coding[0] && concept.coding[0].display));
+  } else if (r.resourceType === "Immunization") {
+    label = r.vaccineCode && r.vaccineCode.text;
+  } else if (r.resourceType === "Encounter") {
+    label = r.type && r.type[0] && r.type[0].text;
+  }
+  return r.resourceType + (label ? " (" + label + ")" : "");
+}
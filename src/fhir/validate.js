@@ -0,0 +1,760 @@
+/* =========================
+   FHIR VALIDATION
+   ========================= */
+
+import { getResourceDate } from "../rules/engine";
+import { RESOURCE_BUCKETS } from "./utils";
+
+// R4 structure of the resource types the app reads, plus the datatypes and
+// backbone elements it checks inside them. Each element is "type min..max";
+// "a|b" is a choice type, expanded to e.g. effectiveDateTime/effectivePeriod.
+// Only elements listed here are allowed; anything else is reported.
+const FHIR_BASE_ELEMENTS = {
+  resource: {
+    id: "id 0..1",
+    meta: "Meta 0..1",
+    implicitRules: "uri 0..1",
+    language: "code 0..1",
+    text: "Narrative 0..1",
+    contained: "Resource 0..*",
+    extension: "Extension 0..*",
+    modifierExtension: "Extension 0..*",
+  },
+  datatype: { id: "string 0..1", extension: "Extension 0..*" },
+  backbone: {
+    id: "string 0..1",
+    extension: "Extension 0..*",
+    modifierExtension: "Extension 0..*",
+  },
+};
+
+const FHIR_STRUCTURES = {
+  Bundle: {
+    identifier: "Identifier 0..1",
+    type: "code 1..1",
+    timestamp: "instant 0..1",
+    total: "unsignedInt 0..1",
+    link: "BackboneElement 0..*",
+    entry: "BackboneElement 0..*",
+    signature: "Signature 0..1",
+  },
+  Patient: {
+    identifier: "Identifier 0..*",
+    active: "boolean 0..1",
+    name: "HumanName 0..*",
+    telecom: "ContactPoint 0..*",
+    gender: "code 0..1",
+    birthDate: "date 0..1",
+    "deceased[x]": "boolean|dateTime 0..1",
+    address: "Address 0..*",
+    maritalStatus: "CodeableConcept 0..1",
+    "multipleBirth[x]": "boolean|integer 0..1",
+    photo: "Attachment 0..*",
+    contact: "BackboneElement 0..*",
+    communication: "BackboneElement 0..*",
+    generalPractitioner: "Reference 0..*",
+    managingOrganization: "Reference 0..1",
+    link: "BackboneElement 0..*",
+  },
+  Condition: {
+    identifier: "Identifier 0..*",
+    clinicalStatus: "CodeableConcept 0..1",
+    verificationStatus: "CodeableConcept 0..1",
+    category: "CodeableConcept 0..*",
+    severity: "CodeableConcept 0..1",
+    code: "CodeableConcept 0..1",
+    bodySite: "CodeableConcept 0..*",
+    subject: "Reference 1..1",
+    encounter: "Reference 0..1",
+    "onset[x]": "dateTime|Age|Period|Range|string 0..1",
+    "abatement[x]": "dateTime|Age|Period|Range|string 0..1",
+    recordedDate: "dateTime 0..1",
+    recorder: "Reference 0..1",
+    asserter: "Reference 0..1",
+    stage: "BackboneElement 0..*",
+    evidence: "BackboneElement 0..*",
+    note: "Annotation 0..*",
+  },
+  Encounter: {
+    identifier: "Identifier 0..*",
+    status: "code 1..1",
+    statusHistory: "BackboneElement 0..*",
+    class: "Coding 1..1",
+    classHistory: "BackboneElement 0..*",
+    type: "CodeableConcept 0..*",
+    serviceType: "CodeableConcept 0..1",
+    priority: "CodeableConcept 0..1",
+    subject: "Reference 0..1",
+    episodeOfCare: "Reference 0..*",
+    basedOn: "Reference 0..*",
+    participant: "BackboneElement 0..*",
+    appointment: "Reference 0..*",
+    period: "Period 0..1",
+    length: "Duration 0..1",
+    reasonCode: "CodeableConcept 0..*",
+    reasonReference: "Reference 0..*",
+    diagnosis: "BackboneElement 0..*",
+    account: "Reference 0..*",
+    hospitalization: "BackboneElement 0..1",
+    location: "BackboneElement 0..*",
+    serviceProvider: "Reference 0..1",
+    partOf: "Reference 0..1",
+  },
+  Observation: {
+    identifier: "Identifier 0..*",
+    basedOn: "Reference 0..*",
+    partOf: "Reference 0..*",
+    status: "code 1..1",
+    category: "CodeableConcept 0..*",
+    code: "CodeableConcept 1..1",
+    subject: "Reference 0..1",
+    focus: "Reference 0..*",
+    encounter: "Reference 0..1",
+    "effective[x]": "dateTime|Period|Timing|instant 0..1",
+    issued: "instant 0..1",
+    performer: "Reference 0..*",
+    "value[x]":
+      "Quantity|CodeableConcept|string|boolean|integer|Range|Ratio|" +
+      "SampledData|time|dateTime|Period 0..1",
+    dataAbsentReason: "CodeableConcept 0..1",
+    interpretation: "CodeableConcept 0..*",
+    note: "Annotation 0..*",
+    bodySite: "CodeableConcept 0..1",
+    method: "CodeableConcept 0..1",
+    specimen: "Reference 0..1",
+    device: "Reference 0..1",
+    referenceRange: "BackboneElement 0..*",
+    hasMember: "Reference 0..*",
+    derivedFrom: "Reference 0..*",
+    component: "BackboneElement 0..*",
+  },
+  "Observation.component": {
+    code: "CodeableConcept 1..1",
+    "value[x]":
+      "Quantity|CodeableConcept|string|boolean|integer|Range|Ratio|" +
+      "SampledData|time|dateTime|Period 0..1",
+    dataAbsentReason: "CodeableConcept 0..1",
+    interpretation: "CodeableConcept 0..*",
+    referenceRange: "BackboneElement 0..*",
+  },
+  Immunization: {
+    identifier: "Identifier 0..*",
+    status: "code 1..1",
+    statusReason: "CodeableConcept 0..1",
+    vaccineCode: "CodeableConcept 1..1",
+    patient: "Reference 1..1",
+    encounter: "Reference 0..1",
+    "occurrence[x]": "dateTime|string 1..1",
+    recorded: "dateTime 0..1",
+    primarySource: "boolean 0..1",
+    reportOrigin: "CodeableConcept 0..1",
+    location: "Reference 0..1",
+    manufacturer: "Reference 0..1",
+    lotNumber: "string 0..1",
+    expirationDate: "date 0..1",
+    site: "CodeableConcept 0..1",
+    route: "CodeableConcept 0..1",
+    doseQuantity: "Quantity 0..1",
+    performer: "BackboneElement 0..*",
+    note: "Annotation 0..*",
+    reasonCode: "CodeableConcept 0..*",
+    reasonReference: "Reference 0..*",
+    isSubpotent: "boolean 0..1",
+    subpotentReason: "CodeableConcept 0..*",
+    education: "BackboneElement 0..*",
+    programEligibility: "CodeableConcept 0..*",
+    fundingSource: "CodeableConcept 0..1",
+    reaction: "BackboneElement 0..*",
+    protocolApplied: "BackboneElement 0..*",
+  },
+  Procedure: {
+    identifier: "Identifier 0..*",
+    instantiatesCanonical: "canonical 0..*",
+    instantiatesUri: "uri 0..*",
+    basedOn: "Reference 0..*",
+    partOf: "Reference 0..*",
+    status: "code 1..1",
+    statusReason: "CodeableConcept 0..1",
+    category: "CodeableConcept 0..1",
+    code: "CodeableConcept 0..1",
+    subject: "Reference 1..1",
+    encounter: "Reference 0..1",
+    "performed[x]": "dateTime|Period|string|Age|Range 0..1",
+    recorder: "Reference 0..1",
+    asserter: "Reference 0..1",
+    performer: "BackboneElement 0..*",
+    location: "Reference 0..1",
+    reasonCode: "CodeableConcept 0..*",
+    reasonReference: "Reference 0..*",
+    bodySite: "CodeableConcept 0..*",
+    outcome: "CodeableConcept 0..1",
+    report: "Reference 0..*",
+    complication: "CodeableConcept 0..*",
+    complicationDetail: "Reference 0..*",
+    followUp: "CodeableConcept 0..*",
+    note: "Annotation 0..*",
+    focalDevice: "BackboneElement 0..*",
+    usedReference: "Reference 0..*",
+    usedCode: "CodeableConcept 0..*",
+  },
+  DiagnosticReport: {
+    identifier: "Identifier 0..*",
+    basedOn: "Reference 0..*",
+    status: "code 1..1",
+    category: "CodeableConcept 0..*",
+    code: "CodeableConcept 1..1",
+    subject: "Reference 0..1",
+    encounter: "Reference 0..1",
+    "effective[x]": "dateTime|Period 0..1",
+    issued: "instant 0..1",
+    performer: "Reference 0..*",
+    resultsInterpreter: "Reference 0..*",
+    specimen: "Reference 0..*",
+    result: "Reference 0..*",
+    imagingStudy: "Reference 0..*",
+    media: "BackboneElement 0..*",
+    conclusion: "string 0..1",
+    conclusionCode: "CodeableConcept 0..*",
+    presentedForm: "Attachment 0..*",
+  },
+  MedicationRequest: {
+    identifier: "Identifier 0..*",
+    status: "code 1..1",
+    statusReason: "CodeableConcept 0..1",
+    intent: "code 1..1",
+    category: "CodeableConcept 0..*",
+    priority: "code 0..1",
+    doNotPerform: "boolean 0..1",
+    "reported[x]": "boolean|Reference 0..1",
+    "medication[x]": "CodeableConcept|Reference 1..1",
+    subject: "Reference 1..1",
+    encounter: "Reference 0..1",
+    supportingInformation: "Reference 0..*",
+    authoredOn: "dateTime 0..1",
+    requester: "Reference 0..1",
+    performer: "Reference 0..1",
+    performerType: "CodeableConcept 0..1",
+    recorder: "Reference 0..1",
+    reasonCode: "CodeableConcept 0..*",
+    reasonReference: "Reference 0..*",
+    instantiatesCanonical: "canonical 0..*",
+    instantiatesUri: "uri 0..*",
+    basedOn: "Reference 0..*",
+    groupIdentifier: "Identifier 0..1",
+    courseOfTherapyType: "CodeableConcept 0..1",
+    insurance: "Reference 0..*",
+    note: "Annotation 0..*",
+    dosageInstruction: "Dosage 0..*",
+    dispenseRequest: "BackboneElement 0..1",
+    substitution: "BackboneElement 0..1",
+    priorPrescription: "Reference 0..1",
+    detectedIssue: "Reference 0..*",
+    eventHistory: "Reference 0..*",
+  },
+  MedicationStatement: {
+    identifier: "Identifier 0..*",
+    basedOn: "Reference 0..*",
+    partOf: "Reference 0..*",
+    status: "code 1..1",
+    statusReason: "CodeableConcept 0..*",
+    category: "CodeableConcept 0..1",
+    "medication[x]": "CodeableConcept|Reference 1..1",
+    subject: "Reference 1..1",
+    context: "Reference 0..1",
+    "effective[x]": "dateTime|Period 0..1",
+    dateAsserted: "dateTime 0..1",
+    informationSource: "Reference 0..1",
+    derivedFrom: "Reference 0..*",
+    reasonCode: "CodeableConcept 0..*",
+    reasonReference: "Reference 0..*",
+    note: "Annotation 0..*",
+    dosage: "Dosage 0..*",
+  },
+  Basic: {
+    identifier: "Identifier 0..*",
+    code: "CodeableConcept 1..1",
+    subject: "Reference 0..1",
+    created: "date 0..1",
+    author: "Reference 0..1",
+  },
+  Coding: {
+    system: "uri 0..1",
+    version: "string 0..1",
+    code: "code 0..1",
+    display: "string 0..1",
+    userSelected: "boolean 0..1",
+  },
+  CodeableConcept: { coding: "Coding 0..*", text: "string 0..1" },
+  Reference: {
+    reference: "string 0..1",
+    type: "uri 0..1",
+    identifier: "Identifier 0..1",
+    display: "string 0..1",
+  },
+  Identifier: {
+    use: "code 0..1",
+    type: "CodeableConcept 0..1",
+    system: "uri 0..1",
+    value: "string 0..1",
+    period: "Period 0..1",
+    assigner: "Reference 0..1",
+  },
+  HumanName: {
+    use: "code 0..1",
+    text: "string 0..1",
+    family: "string 0..1",
+    given: "string 0..*",
+    prefix: "string 0..*",
+    suffix: "string 0..*",
+    period: "Period 0..1",
+  },
+  Period: { start: "dateTime 0..1", end: "dateTime 0..1" },
+  Quantity: {
+    value: "decimal 0..1",
+    comparator: "code 0..1",
+    unit: "string 0..1",
+    system: "uri 0..1",
+    code: "code 0..1",
+  },
+  Range: { low: "Quantity 0..1", high: "Quantity 0..1" },
+  Ratio: { numerator: "Quantity 0..1", denominator: "Quantity 0..1" },
+};
+// Age and Duration are Quantities with the same elements
+FHIR_STRUCTURES.Age = FHIR_STRUCTURES.Quantity;
+FHIR_STRUCTURES.Duration = FHIR_STRUCTURES.Quantity;
+
+// Codes bound with required strength
+const FHIR_REQUIRED_CODES = {
+  "Bundle.type": [
+    "document",
+    "message",
+    "transaction",
+    "transaction-response",
+    "batch",
+    "batch-response",
+    "history",
+    "searchset",
+    "collection",
+  ],
+  "Patient.gender": ["male", "female", "other", "unknown"],
+  "Encounter.status": [
+    "planned",
+    "arrived",
+    "triaged",
+    "in-progress",
+    "onleave",
+    "finished",
+    "cancelled",
+    "entered-in-error",
+    "unknown",
+  ],
+  "Observation.status": [
+    "registered",
+    "preliminary",
+    "final",
+    "amended",
+    "corrected",
+    "cancelled",
+    "entered-in-error",
+    "unknown",
+  ],
+  "Immunization.status": ["completed", "entered-in-error", "not-done"],
+  "Procedure.status": [
+    "preparation",
+    "in-progress",
+    "not-done",
+    "on-hold",
+    "stopped",
+    "completed",
+    "entered-in-error",
+    "unknown",
+  ],
+  "DiagnosticReport.status": [
+    "registered",
+    "partial",
+    "preliminary",
+    "final",
+    "amended",
+    "corrected",
+    "appended",
+    "cancelled",
+    "entered-in-error",
+    "unknown",
+  ],
+  "MedicationRequest.status": [
+    "active",
+    "on-hold",
+    "cancelled",
+    "completed",
+    "entered-in-error",
+    "stopped",
+    "draft",
+    "unknown",
+  ],
+  "MedicationStatement.status": [
+    "active",
+    "completed",
+    "entered-in-error",
+    "intended",
+    "stopped",
+    "on-hold",
+    "unknown",
+    "not-taken",
+  ],
+};
+
+// Required elements the app supplies a default for when they are missing,
+// and what it assumes. Missing ones are reported as warnings, not errors.
+const FHIR_DEFAULTED_ELEMENTS = {
+  "Encounter.status": "the encounter is treated as finished",
+  "Encounter.class": "the timeline labels the encounter by its type",
+  "Observation.status": "the result is treated as final",
+  "Immunization.status": "the dose is treated as completed",
+  "Procedure.status": "the procedure is treated as completed",
+  "DiagnosticReport.status": "the report is treated as final",
+  "MedicationRequest.status": "the order is treated as active",
+  "MedicationStatement.status": "the medication is treated as active",
+};
+
+// R4 primitive formats
+const FHIR_PRIMITIVES = {
+  boolean: (v) => typeof v === "boolean",
+  integer: (v) => Number.isInteger(v),
+  unsignedInt: (v) => Number.isInteger(v) && v >= 0,
+  decimal: (v) => typeof v === "number" && isFinite(v),
+  string: (v) => typeof v === "string" && /\S/.test(v),
+  code: (v) => typeof v === "string" && /^[^\s]+( [^\s]+)*$/.test(v),
+  id: (v) => typeof v === "string" && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  uri: (v) => typeof v === "string" && /^\S+$/.test(v),
+  canonical: (v) => typeof v === "string" && /^\S+$/.test(v),
+  time: (v) =>
+    typeof v === "string" &&
+    /^([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?$/.test(v),
+  date: (v) =>
+    typeof v === "string" &&
+    /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01]))?)?$/.test(v) &&
+    isRealCalendarDate(v),
+  dateTime: (v) =>
+    typeof v === "string" &&
+    /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|[+-]((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/.test(
+      v
+    ) &&
+    isRealCalendarDate(v),
+  instant: (v) =>
+    typeof v === "string" &&
+    /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|[+-]((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/.test(
+      v
+    ) &&
+    isRealCalendarDate(v),
+};
+
+const FHIR_PRIMITIVE_HINTS = {
+  date: "YYYY, YYYY-MM or YYYY-MM-DD",
+  dateTime: "YYYY-MM-DD, or YYYY-MM-DDThh:mm:ss with a time zone",
+  instant: "YYYY-MM-DDThh:mm:ss with a time zone",
+};
+
+// "2025-02-30" matches the date pattern but is not a day on the calendar
+function isRealCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (!match) return true;
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3])
+  );
+  return date.getMonth() === Number(match[2]) - 1;
+}
+
+// { name: { types: [...], min, max } }, choice types expanded per type
+function expandStructure(structure, base) {
+  const elements = {};
+  const add = (name, spec) => {
+    const parts = spec.split(" ");
+    const card = parts[1].split("..");
+    const types = parts[0].split("|");
+    const element = {
+      name,
+      types,
+      min: Number(card[0]),
+      max: card[1],
+    };
+    if (name.slice(-3) === "[x]") {
+      const stem = name.slice(0, -3);
+      element.name = stem;
+      types.forEach((type) => {
+        elements[stem + type.charAt(0).toUpperCase() + type.slice(1)] = {
+          ...element,
+          types: [type],
+          choice: element,
+        };
+      });
+      elements[name] = element;
+    } else {
+      elements[name] = element;
+    }
+  };
+  Object.keys(base).forEach((name) => add(name, base[name]));
+  Object.keys(structure).forEach((name) => add(name, structure[name]));
+  return elements;
+}
+
+// Check one element value against its structure; pushes
+// { severity, path, message } onto issues
+function validateElement(value, type, path, structureKey, issues) {
+  if (FHIR_PRIMITIVES[type]) {
+    if (!FHIR_PRIMITIVES[type](value)) {
+      issues.push({
+        severity: "error",
+        path,
+        message:
+          "Not a valid " +
+          type +
+          ": " +
+          JSON.stringify(value) +
+          (FHIR_PRIMITIVE_HINTS[type]
+            ? " (expected " + FHIR_PRIMITIVE_HINTS[type] + ")"
+            : ""),
+      });
+    }
+    return;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    issues.push({
+      severity: "error",
+      path,
+      message: "Expected a " + type + " object.",
+    });
+    return;
+  }
+  const structure = FHIR_STRUCTURES[structureKey] || FHIR_STRUCTURES[type];
+  if (!structure) return;
+  validateStructure(
+    value,
+    structure,
+    type === "BackboneElement"
+      ? FHIR_BASE_ELEMENTS.backbone
+      : FHIR_BASE_ELEMENTS.datatype,
+    path,
+    structureKey,
+    issues
+  );
+}
+
+function validateStructure(value, structure, base, path, key, issues) {
+  const elements = expandStructure(structure, base);
+  const choicesSeen = {};
+  Object.keys(value).forEach((name) => {
+    if (name === "resourceType" || name.charAt(0) === "_") return;
+    const element = elements[name];
+    const where = path + "." + name;
+    if (!element || name.slice(-3) === "[x]") {
+      issues.push({
+        severity: "warning",
+        path: where,
+        message: "Not an element of " + key + "; ignored.",
+      });
+      return;
+    }
+    if (element.choice) {
+      if (choicesSeen[element.choice.name]) {
+        issues.push({
+          severity: "error",
+          path: where,
+          message:
+            "Only one of " +
+            element.choice.name +
+            "[x] is allowed; " +
+            choicesSeen[element.choice.name] +
+            " is also present.",
+        });
+      }
+      choicesSeen[element.choice.name] = name;
+    }
+    const items = value[name];
+    if (element.max === "*" && !Array.isArray(items)) {
+      issues.push({
+        severity: "error",
+        path: where,
+        message: "Must be an array (0.." + element.max + ").",
+      });
+      return;
+    }
+    if (element.max !== "*" && Array.isArray(items)) {
+      issues.push({
+        severity: "error",
+        path: where,
+        message: "Must be a single value, not an array.",
+      });
+      return;
+    }
+    (Array.isArray(items) ? items : [items]).forEach((item, idx) => {
+      validateElement(
+        item,
+        element.types[0],
+        Array.isArray(items) ? where + "[" + idx + "]" : where,
+        key + "." + name,
+        issues
+      );
+    });
+    const codes = FHIR_REQUIRED_CODES[key + "." + name];
+    if (codes && typeof items === "string" && codes.indexOf(items) === -1) {
+      issues.push({
+        severity: "error",
+        path: where,
+        message:
+          JSON.stringify(items) + " is not one of " + codes.join(", ") + ".",
+      });
+    }
+  });
+  Object.keys(structure).forEach((name) => {
+    const element = elements[name];
+    if (element.min === 0) return;
+    const present =
+      name.slice(-3) === "[x]"
+        ? !!choicesSeen[element.name]
+        : value[name] !== undefined &&
+          !(Array.isArray(value[name]) && value[name].length === 0);
+    if (!present) {
+      const defaulted = FHIR_DEFAULTED_ELEMENTS[key + "." + name];
+      issues.push({
+        severity: defaulted ? "warning" : "error",
+        path: path + "." + name,
+        message:
+          "Required element is missing (" +
+          element.min +
+          "..)" +
+          (defaulted ? "; " + defaulted + "." : "."),
+      });
+    }
+  });
+}
+
+// Things that are valid R4 but leave a resource out of the timeline or
+// the care gap engine
+function usageWarnings(resource) {
+  const warnings = [];
+  const type = resource.resourceType;
+  if (type === "Encounter" && !(resource.period && resource.period.start)) {
+    warnings.push({
+      path: "Encounter.period.start",
+      message:
+        "No period.start; the encounter will not appear on the timeline " +
+        "or count toward care gaps.",
+    });
+  }
+  if (type === "Observation" && !getResourceDate(resource)) {
+    warnings.push({
+      path: "Observation.effective[x]",
+      message:
+        "No effective date; the result will not appear on the timeline " +
+        "or count toward care gaps.",
+    });
+  }
+  if (type === "Immunization" && !resource.occurrenceDateTime) {
+    warnings.push({
+      path: "Immunization.occurrenceDateTime",
+      message: "No occurrence date; the dose will not appear on the timeline.",
+    });
+  }
+  return warnings.map((w) => ({ ...w, severity: "warning" }));
+}
+
+// Issues ({ severity, path, message }) with one resource; types the app
+// does not read get a single warning
+export function validateResource(resource) {
+  const type = resource.resourceType;
+  if (type !== "Patient" && !RESOURCE_BUCKETS[type]) {
+    return [
+      {
+        severity: "warning",
+        path: type,
+        message: type + " resources are not used by this app and are ignored.",
+      },
+    ];
+  }
+  const issues = [];
+  validateStructure(
+    resource,
+    FHIR_STRUCTURES[type],
+    FHIR_BASE_ELEMENTS.resource,
+    type,
+    type,
+    issues
+  );
+  return issues.concat(usageWarnings(resource));
+}
+
+// Validate a Bundle and the resources in it that the app consumes.
+// Returns { issues: [{ severity, entry, resource, path, message }],
+// invalidEntries: [entry index], entryCount }. entry is null for issues
+// with the Bundle itself; resources with errors are listed in invalidEntries.
+export function validateBundle(bundle) {
+  const issues = [];
+  // Entries are checked one by one below
+  const { entry, ...envelope } = bundle;
+  const bundleIssues = [];
+  validateStructure(
+    envelope,
+    FHIR_STRUCTURES.Bundle,
+    FHIR_BASE_ELEMENTS.resource,
+    "Bundle",
+    "Bundle",
+    bundleIssues
+  );
+  bundleIssues.forEach((issue) =>
+    issues.push({ ...issue, entry: null, resource: null })
+  );
+
+  const entries = Array.isArray(entry) ? entry : [];
+  if (entry !== undefined && !Array.isArray(entry)) {
+    issues.push({
+      severity: "error",
+      entry: null,
+      resource: null,
+      path: "Bundle.entry",
+      message: "Must be an array (0..*).",
+    });
+  }
+  const invalidEntries = [];
+  entries.forEach((e, idx) => {
+    const resource = e && e.resource;
+    const type = resource && resource.resourceType;
+    const label = type ? type + "/" + (resource.id || "#" + (idx + 1)) : null;
+    const found = [];
+    if (!resource || typeof resource !== "object") {
+      found.push({
+        severity: "error",
+        path: "Bundle.entry[" + idx + "].resource",
+        message: "Entry has no resource.",
+      });
+    } else if (!type) {
+      found.push({
+        severity: "error",
+        path: "Bundle.entry[" + idx + "].resource.resourceType",
+        message: "Resource has no resourceType.",
+      });
+    } else {
+      validateResource(resource).forEach((issue) => found.push(issue));
+    }
+    if (found.some((issue) => issue.severity === "error")) {
+      invalidEntries.push(idx);
+    }
+    found.forEach((issue) =>
+      issues.push({ ...issue, entry: idx, resource: label })
+    );
+  });
+  return { issues, invalidEntries, entryCount: entries.length };
+}
+
+// The Bundle with the entries listed in validation.invalidEntries left out,
+// for accepting only the valid part of an upload
+export function withoutInvalidEntries(bundle, validation) {
+  const skipped = validation.invalidEntries;
+  return {
+    ...bundle,
+    entry: (Array.isArray(bundle.entry) ? bundle.entry : []).filter(
+      (e, idx) => skipped.indexOf(idx) === -1
+    ),
+  };
+}
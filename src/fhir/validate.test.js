@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import {
+  validateBundle,
+  validateResource,
+  withoutInvalidEntries,
+} from "./validate";
+
+const SAMPLE_BUNDLES = [
+  "Jane Doe Updated.json",
+  "John Smith-updated.json",
+  "Oliva Example- new-fhir.json",
+];
+
+function readSample(fileName) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../..", fileName), "utf8")
+  );
+}
+
+const PATIENT = {
+  resourceType: "Patient",
+  id: "pt-1",
+  name: [{ family: "Doe", given: ["Jane"] }],
+  gender: "female",
+  birthDate: "1965-04-12",
+};
+
+const A1C = {
+  resourceType: "Observation",
+  id: "obs-a1c",
+  status: "final",
+  code: { coding: [{ system: "http://loinc.org", code: "4548-4" }] },
+  subject: { reference: "Patient/pt-1" },
+  effectiveDateTime: "2025-06-10",
+  valueQuantity: { value: 8.1, unit: "%" },
+};
+
+function collection(resources) {
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    entry: resources.map((resource) => ({ resource })),
+  };
+}
+
+function issueAt(issues, pathName) {
+  return issues.filter((i) => i.path === pathName);
+}
+
+describe("validateBundle", () => {
+  test.each(SAMPLE_BUNDLES)("accepts the shipped sample %s", (fileName) => {
+    const result = validateBundle(readSample(fileName));
+    expect(result.issues.filter((i) => i.severity === "error")).toEqual([]);
+    expect(result.invalidEntries).toEqual([]);
+    expect(result.entryCount).toBeGreaterThan(0);
+  });
+
+  test("reports app-defaulted required elements as warnings", () => {
+    const jane = validateBundle(readSample("Jane Doe Updated.json"));
+    const status = jane.issues.find(
+      (i) => i.path === "Observation.status" && i.resource
+    );
+    expect(status.severity).toBe("warning");
+    expect(status.message).toMatch(/treated as final/);
+    const encounterClass = jane.issues.find(
+      (i) => i.path === "Encounter.class"
+    );
+    expect(encounterClass.severity).toBe("warning");
+  });
+
+  test("reports other missing required elements as errors", () => {
+    const { code, ...noCode } = A1C;
+    const result = validateBundle(collection([PATIENT, noCode]));
+    const [issue] = issueAt(result.issues, "Observation.code");
+    expect(issue).toMatchObject({
+      severity: "error",
+      entry: 1,
+      resource: "Observation/obs-a1c",
+    });
+    expect(result.invalidEntries).toEqual([1]);
+  });
+
+  test("reports datatype, cardinality and code errors", () => {
+    const issues = validateResource({
+      ...A1C,
+      status: "done",
+      effectiveDateTime: "2025-02-30",
+      effectivePeriod: { start: "2025-02-01" },
+      subject: [{ reference: "Patient/pt-1" }],
+      interpretation: { text: "High" },
+    });
+    const errors = issues.filter((i) => i.severity === "error");
+    expect(errors.map((i) => i.path).sort()).toEqual([
+      "Observation.effectiveDateTime",
+      "Observation.effectivePeriod",
+      "Observation.interpretation",
+      "Observation.status",
+      "Observation.subject",
+    ]);
+    expect(issueAt(issues, "Observation.effectiveDateTime")[0].message).toMatch(
+      /Not a valid dateTime/
+    );
+    expect(issueAt(issues, "Observation.effectivePeriod")[0].message).toMatch(
+      /Only one of effective\[x\]/
+    );
+    expect(issueAt(issues, "Observation.status")[0].message).toMatch(
+      /is not one of registered/
+    );
+  });
+
+  test("reports unknown elements, ignored types and usage gaps as warnings", () => {
+    const result = validateBundle(
+      collection([
+        { ...PATIENT, nickname: "JD" },
+        { resourceType: "Location", id: "loc-1" },
+        {
+          resourceType: "Encounter",
+          id: "enc-1",
+          status: "finished",
+          class: { code: "AMB" },
+        },
+      ])
+    );
+    expect(result.issues.map((i) => [i.severity, i.path])).toEqual([
+      ["warning", "Patient.nickname"],
+      ["warning", "Location"],
+      ["warning", "Encounter.period.start"],
+    ]);
+    expect(result.invalidEntries).toEqual([]);
+  });
+
+  test("checks the Bundle envelope and entries without a resource", () => {
+    const result = validateBundle({
+      resourceType: "Bundle",
+      entry: [{ resource: PATIENT }, {}, { resource: { id: "x" } }],
+    });
+    expect(issueAt(result.issues, "Bundle.type")[0]).toMatchObject({
+      severity: "error",
+      entry: null,
+    });
+    expect(result.invalidEntries).toEqual([1, 2]);
+    expect(result.entryCount).toBe(3);
+  });
+});
+
+describe("withoutInvalidEntries", () => {
+  test("keeps valid entries and entries with only warnings", () => {
+    const { code, ...noCode } = A1C;
+    const { status, ...noStatus } = A1C;
+    const bundle = collection([
+      PATIENT,
+      noCode,
+      { ...noStatus, id: "obs-no-status" },
+      { ...A1C, id: "obs-bad-date", effectiveDateTime: "2025-13-01" },
+      A1C,
+    ]);
+    const validation = validateBundle(bundle);
+    expect(validation.invalidEntries).toEqual([1, 3]);
+
+    const accepted = withoutInvalidEntries(bundle, validation);
+    expect(accepted.entry.map((e) => e.resource.id)).toEqual([
+      "pt-1",
+      "obs-no-status",
+      "obs-a1c",
+    ]);
+    expect(accepted.type).toBe("collection");
+    expect(bundle.entry).toHaveLength(5);
+    expect(validateBundle(accepted).invalidEntries).toEqual([]);
+  });
+
+  test("returns an empty entry list for a Bundle without entries", () => {
+    const bundle = { resourceType: "Bundle", type: "collection" };
+    expect(withoutInvalidEntries(bundle, validateBundle(bundle)).entry).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,135 @@
+/* =========================
+   HL7 ACKNOWLEDGEMENTS
+   ========================= */
+
+import {
+  escapeRegExp,
+  HL7_DEFAULT_DELIMITERS,
+  HL7_ERROR_CODES,
+  hl7Value,
+} from "./parser";
+
+function hl7Timestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    date.getFullYear() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds())
+  );
+}
+
+function escapeHl7(value, delimiters) {
+  if (!value || !delimiters.escape) return value || "";
+  const e = delimiters.escape;
+  const map = {};
+  map[delimiters.escape] = e + "E" + e;
+  map[delimiters.field] = e + "F" + e;
+  map[delimiters.component] = e + "S" + e;
+  map[delimiters.subcomponent] = e + "T" + e;
+  map[delimiters.repetition] = e + "R" + e;
+  return value
+    .split("")
+    .map((ch) => map[ch] || ch)
+    .join("");
+}
+
+// MSH field as it appeared on the wire, escapes and components intact
+function hl7RawMshField(msh, field) {
+  if (!msh) return "";
+  return msh.raw.split(msh.raw.charAt(3))[field - 1] || "";
+}
+
+// Describe an ingest problem for an ERR segment. Anything that was not raised
+// by the parser is an application error.
+export function hl7AckError(err, severity) {
+  return {
+    code: err.hl7Code || "207",
+    text: err.message || String(err),
+    severity: severity || "E",
+    location: err.hl7Location || null,
+  };
+}
+
+// Reject (AR) for message types we do not handle, error (AE) for anything
+// else that went wrong, accept (AA) otherwise
+function hl7AckCode(errors) {
+  const fatal = errors.filter((e) => e.severity === "E");
+  if (fatal.length === 0) return "AA";
+  return fatal.some((e) => e.code === "200" || e.code === "201") ? "AR" : "AE";
+}
+
+// ACK^<trigger>^ACK built from the inbound MSH with sender and receiver
+// swapped. inbound may be null when the message could not be parsed at all.
+export function buildHl7Ack(inbound, errors) {
+  const delimiters = inbound ? inbound.delimiters : HL7_DEFAULT_DELIMITERS;
+  const msh = inbound ? inbound.segments[0] : null;
+  const f = delimiters.field;
+  const c = delimiters.component;
+  const s = delimiters.subcomponent;
+  const version = hl7Value(msh, 12) || "2.5";
+  const encoding = inbound
+    ? hl7Value(msh, 2)
+    : c + delimiters.repetition + delimiters.escape + delimiters.subcomponent;
+
+  const mshOut = [
+    "MSH",
+    encoding,
+    hl7RawMshField(msh, 5),
+    hl7RawMshField(msh, 6),
+    hl7RawMshField(msh, 3),
+    hl7RawMshField(msh, 4),
+    hl7Timestamp(new Date()),
+    "",
+    ["ACK", hl7Value(msh, 9, 2), "ACK"].join(c),
+    "ACK" + Date.now(),
+    hl7RawMshField(msh, 11) || "P",
+    version,
+  ].join(f);
+
+  const segments = [
+    mshOut,
+    ["MSA", hl7AckCode(errors), hl7RawMshField(msh, 10)].join(f),
+  ];
+
+  // v2.5 moved the location and code out of ERR-1 into ERR-2..4
+  const legacy = parseFloat(version) < 2.5;
+  errors.forEach((e) => {
+    const loc = e.location || {};
+    const locationParts = [
+      loc.segment || "",
+      loc.sequence || "",
+      loc.field || "",
+    ];
+    const codeParts = [e.code, HL7_ERROR_CODES[e.code] || "", "HL70357"];
+    if (legacy) {
+      // ERR-1 is a CM_ELD, segment^sequence^field^code, and the code is a CE
+      // inside component 4, so its parts are subcomponents
+      segments.push(
+        ["ERR", locationParts.concat(codeParts.join(s)).join(c)].join(f)
+      );
+    } else {
+      const location = locationParts
+        .join(c)
+        .replace(new RegExp(escapeRegExp(c) + "+$"), "");
+      const code = codeParts.join(c);
+      segments.push(
+        [
+          "ERR",
+          "",
+          location,
+          code,
+          e.severity,
+          "",
+          "",
+          "",
+          escapeHl7(e.text, delimiters),
+        ].join(f)
+      );
+    }
+  });
+
+  return segments.join("\r");
+}
@@ -0,0 +1,100 @@
+import { buildHl7Ack, hl7AckError } from "./ack";
+import { hl7Error, parseHl7Message } from "./parser";
+
+function inbound(mshTail, separators) {
+  const sep = separators || "|^~\\&";
+  const f = sep.charAt(0);
+  return parseHl7Message(
+    [
+      "MSH" +
+        sep +
+        f +
+        ["LABSYS", "HOSPITAL", "EHR", "HOSPITAL"].join(f) +
+        f +
+        "20250201103000" +
+        f +
+        f +
+        mshTail,
+      "PID" + f + "1",
+    ].join("\r")
+  );
+}
+
+function ackSegments(message, errors) {
+  return buildHl7Ack(message, errors).split("\r");
+}
+
+const MISSING_PID3 = hl7AckError(
+  hl7Error("PID-3 is empty.", "101", { segment: "PID", sequence: 1, field: 3 })
+);
+
+describe("buildHl7Ack", () => {
+  test("acknowledges with AA and swaps sender and receiver", () => {
+    const [msh, msa] = ackSegments(inbound("ORU^R01|MSG-1|P|2.5"), []);
+    expect(msh).toMatch(/^MSH\|\^~\\&\|EHR\|HOSPITAL\|LABSYS\|HOSPITAL\|/);
+    expect(msh).toMatch(/\|ACK\^R01\^ACK\|/);
+    expect(msa).toBe("MSA|AA|MSG-1");
+  });
+
+  test("puts the location and code in ERR-2 and ERR-3 from v2.5", () => {
+    const segments = ackSegments(inbound("ORU^R01|MSG-1|P|2.5"), [
+      MISSING_PID3,
+    ]);
+    expect(segments[1]).toBe("MSA|AE|MSG-1");
+    expect(segments[2]).toBe(
+      "ERR||PID^1^3|101^Required field missing^HL70357|E||||PID-3 is empty."
+    );
+  });
+
+  test("nests the code in ERR-1 component 4 before v2.5", () => {
+    const segments = ackSegments(inbound("ORU^R01|MSG-1|P|2.3"), [
+      MISSING_PID3,
+    ]);
+    expect(segments[2]).toBe("ERR|PID^1^3^101&Required field missing&HL70357");
+  });
+
+  test("keeps the code in component 4 when the location is partial", () => {
+    const segments = ackSegments(inbound("ADT^A01|MSG-2|P|2.4"), [
+      hl7AckError(hl7Error("Unsupported.", "201", { segment: "MSH" }), "E"),
+      hl7AckError(new Error("Store unavailable")),
+    ]);
+    expect(segments[1]).toBe("MSA|AR|MSG-2");
+    expect(segments[2]).toBe("ERR|MSH^^^201&Unsupported event code&HL70357");
+    expect(segments[3]).toBe("ERR|^^^207&Application internal error&HL70357");
+  });
+
+  test("names the duplicate-message warning in ERR-3", () => {
+    const segments = ackSegments(inbound("ORU^R01|MSG-1|P|2.5"), [
+      {
+        code: "205",
+        text: "Already ingested; skipped.",
+        severity: "W",
+        location: { segment: "MSH", sequence: 1, field: 10 },
+      },
+    ]);
+    expect(segments[1]).toBe("MSA|AA|MSG-1");
+    expect(segments[2]).toBe(
+      "ERR||MSH^1^10|205^Duplicate key identifier^HL70357|W||||Already ingested; skipped."
+    );
+  });
+
+  test("uses the inbound message's own separators", () => {
+    const segments = ackSegments(inbound("ORU*R01#MSG-3#P#2.3", "#*@!$"), [
+      MISSING_PID3,
+    ]);
+    expect(segments[0]).toMatch(/^MSH#\*@!\$#EHR#/);
+    expect(segments[1]).toBe("MSA#AE#MSG-3");
+    expect(segments[2]).toBe("ERR#PID*1*3*101$Required field missing$HL70357");
+  });
+
+  test("answers with default separators when the message did not parse", () => {
+    const segments = ackSegments(null, [
+      hl7AckError(hl7Error("Empty HL7 message.", "100", { segment: "MSH" })),
+    ]);
+    expect(segments[0]).toMatch(/^MSH\|\^~\\&\|/);
+    expect(segments[1]).toBe("MSA|AE|");
+    expect(segments[2]).toBe(
+      "ERR||MSH|100^Segment sequence error^HL70357|E||||Empty HL7 message."
+    );
+  });
+});
@@ -0,0 +1,686 @@
+/* =========================
+   HL7 → FHIR MAPPING
+   ========================= */
+
+import { LOINC_SYSTEM } from "../rules/valueSets";
+import { extractPidIdentity, hl7CxToIdentifier } from "./matching";
+import {
+  groupHl7Results,
+  hl7DateToFhirDate,
+  hl7Error,
+  hl7FirstSegment,
+  hl7Repetitions,
+  hl7ResourceId,
+  hl7Value,
+  parseHl7Message,
+  repComponent,
+  todayFhirDate,
+} from "./parser";
+
+// HL7 table 0396 coding system identifiers seen in our feeds
+const HL7_CODING_SYSTEMS = {
+  LN: "http://loinc.org",
+  SCT: "http://snomed.info/sct",
+  SNM: "http://snomed.info/sct",
+  I10: "http://hl7.org/fhir/sid/icd-10-cm",
+  I10C: "http://hl7.org/fhir/sid/icd-10-cm",
+  C4: "http://www.ama-assn.org/go/cpt",
+  CPT: "http://www.ama-assn.org/go/cpt",
+  CVX: "http://hl7.org/fhir/sid/cvx",
+  UCUM: "http://unitsofmeasure.org",
+  HL70078: "http://terminology.hl7.org/CodeSystem/v2-0078",
+};
+
+export const UCUM_SYSTEM = "http://unitsofmeasure.org";
+export const OBSERVATION_INTERPRETATION_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation";
+export const OBSERVATION_CATEGORY_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/observation-category";
+
+// OBX-6 units as senders write them -> UCUM code
+const HL7_UNITS_TO_UCUM = {
+  "%": "%",
+  "mg/dl": "mg/dL",
+  "g/dl": "g/dL",
+  "ug/dl": "ug/dL",
+  "mmol/l": "mmol/L",
+  "umol/l": "umol/L",
+  "meq/l": "meq/L",
+  mmhg: "mm[Hg]",
+  "mm hg": "mm[Hg]",
+  "mm[hg]": "mm[Hg]",
+  "ml/min/1.73m2": "mL/min/{1.73_m2}",
+  "ml/min/1.73 m2": "mL/min/{1.73_m2}",
+  "ml/min/{1.73_m2}": "mL/min/{1.73_m2}",
+  "mg/g": "mg/g",
+  "mg/g{creat}": "mg/g{creat}",
+  "mg/mmol": "mg/mmol",
+  "ng/ml": "ng/mL",
+  "u/l": "U/L",
+  "miu/l": "m[IU]/L",
+  "uiu/ml": "u[IU]/mL",
+  "10*3/ul": "10*3/uL",
+  bpm: "/min",
+  "/min": "/min",
+  kg: "kg",
+  "kg/m2": "kg/m2",
+  lb: "[lb_av]",
+  cm: "cm",
+  in: "[in_i]",
+};
+
+// HL7 table 0078 abnormal flags -> v3 ObservationInterpretation
+const HL7_ABNORMAL_FLAGS = {
+  L: "Low",
+  H: "High",
+  LL: "Critical low",
+  HH: "Critical high",
+  N: "Normal",
+  A: "Abnormal",
+  AA: "Critical abnormal",
+  S: "Susceptible",
+  R: "Resistant",
+  I: "Intermediate",
+  POS: "Positive",
+  NEG: "Negative",
+};
+
+// HL7 table 0085 result status -> Observation.status
+const HL7_RESULT_STATUS = {
+  F: "final",
+  C: "corrected",
+  P: "preliminary",
+  R: "preliminary",
+  S: "preliminary",
+  I: "registered",
+  O: "registered",
+  X: "cancelled",
+  D: "entered-in-error",
+  W: "entered-in-error",
+};
+
+const LOINC_CODE_PATTERN = /^\d{1,7}-\d$/;
+
+// "L" and "99zzz" are the v2 local coding system identifiers
+function isHl7CodingSystemId(id) {
+  return (
+    !!HL7_CODING_SYSTEMS[id.toUpperCase()] || /^(L|99[A-Z0-9]+)$/i.test(id)
+  );
+}
+
+// CE/CWE text. Standard layout is code^text^system, but some senders put the
+// text in component 3 (4548-4^HBA1C^Hemoglobin A1c), so only treat component
+// 3 as a coding system when it looks like one.
+function hl7RepCodedText(rep) {
+  const code = repComponent(rep, 1);
+  const text = repComponent(rep, 2);
+  const third = repComponent(rep, 3);
+  if (third && !isHl7CodingSystemId(third)) return third;
+  return text || code;
+}
+
+function hl7CodingSystemUri(systemId, code, localSystem) {
+  const known = systemId && HL7_CODING_SYSTEMS[systemId.toUpperCase()];
+  if (known) return known;
+  if (LOINC_CODE_PATTERN.test(code)) return LOINC_SYSTEM;
+  return localSystem;
+}
+
+// CE/CWE repetition -> CodeableConcept, keeping the alternate triplet
+function hl7RepToCodeableConcept(rep, localSystem) {
+  const coding = [];
+  [0, 3].forEach((offset) => {
+    const code = repComponent(rep, offset + 1);
+    if (!code) return;
+    const systemId = repComponent(rep, offset + 3);
+    const c = {
+      system: hl7CodingSystemUri(systemId, code, localSystem),
+      code: code,
+    };
+    const display = repComponent(rep, offset + 2);
+    if (display) c.display = display;
+    coding.push(c);
+  });
+  const concept = {};
+  if (coding.length > 0) concept.coding = coding;
+  const text = hl7RepCodedText(rep);
+  if (text) concept.text = text;
+  return concept;
+}
+
+function hl7UnitsToQuantity(obx, value) {
+  const q = { value: value };
+  const code = hl7Value(obx, 6, 1);
+  const text = hl7Value(obx, 6, 2);
+  const system = hl7Value(obx, 6, 3).toUpperCase();
+  const unit = text || code;
+  if (!unit) return q;
+  q.unit = unit;
+  const ucum =
+    system === "UCUM"
+      ? code
+      : HL7_UNITS_TO_UCUM[code.toLowerCase()] ||
+        HL7_UNITS_TO_UCUM[unit.toLowerCase()];
+  if (ucum) {
+    q.system = UCUM_SYSTEM;
+    q.code = ucum;
+  }
+  return q;
+}
+
+function parseHl7Number(value) {
+  if (!/^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/.test(value)) return null;
+  return parseFloat(value);
+}
+
+// OBX-7: "4.0-6.0", "<5", ">=60" or free text
+function parseHl7ReferenceRange(text, obx) {
+  if (!text) return null;
+  const range = { text: text };
+  const between = text.match(/^\s*(-?\d+\.?\d*)\s*-\s*(-?\d+\.?\d*)\s*$/);
+  const bound = text.match(/^\s*([<>]=?)\s*(-?\d+\.?\d*)\s*$/);
+  if (between) {
+    range.low = hl7UnitsToQuantity(obx, parseFloat(between[1]));
+    range.high = hl7UnitsToQuantity(obx, parseFloat(between[2]));
+  } else if (bound) {
+    const q = hl7UnitsToQuantity(obx, parseFloat(bound[2]));
+    if (bound[1].charAt(0) === "<") range.high = q;
+    else range.low = q;
+  }
+  return range;
+}
+
+// OBX-2 decides which value[x] OBX-5 becomes
+function mapObxValue(obx, obs, localSystem) {
+  const type = hl7Value(obx, 2).toUpperCase();
+  const reps = hl7Repetitions(obx, 5);
+  if (reps.length === 0) return;
+  const first = reps[0];
+  const plain = reps.map((rep) =>
+    rep
+      .map((comp) => comp.join("&"))
+      .filter((c) => c.length > 0)
+      .join(" ")
+  );
+
+  if (type === "NM") {
+    const value = parseHl7Number(repComponent(first, 1));
+    if (value !== null) {
+      obs.valueQuantity = hl7UnitsToQuantity(obx, value);
+      return;
+    }
+  } else if (type === "CWE" || type === "CE" || type === "CNE") {
+    obs.valueCodeableConcept = hl7RepToCodeableConcept(first, localSystem);
+    return;
+  } else if (type === "SN") {
+    // SN: comparator ^ num1 ^ separator/suffix ^ num2
+    const comparator = repComponent(first, 1);
+    const num1 = parseHl7Number(repComponent(first, 2));
+    const separator = repComponent(first, 3);
+    const num2 = parseHl7Number(repComponent(first, 4));
+    if (num1 !== null && num2 !== null && separator === "-") {
+      obs.valueRange = {
+        low: hl7UnitsToQuantity(obx, num1),
+        high: hl7UnitsToQuantity(obx, num2),
+      };
+      return;
+    }
+    if (
+      num1 !== null &&
+      num2 !== null &&
+      (separator === ":" || separator === "/")
+    ) {
+      obs.valueRatio = {
+        numerator: { value: num1 },
+        denominator: { value: num2 },
+      };
+      return;
+    }
+    if (num1 !== null && !separator) {
+      const q = hl7UnitsToQuantity(obx, num1);
+      if (comparator && comparator !== "=") {
+        if (["<", "<=", ">", ">="].indexOf(comparator) === -1) {
+          obs.valueString = plain[0];
+          return;
+        }
+        q.comparator = comparator;
+      }
+      obs.valueQuantity = q;
+      return;
+    }
+  } else if (type === "DT" || type === "TS" || type === "DTM") {
+    const date = hl7DateToFhirDate(repComponent(first, 1));
+    if (date) {
+      obs.valueDateTime = date;
+      return;
+    }
+  }
+
+  // ST, TX, FT and anything we cannot type: keep the text as sent
+  const joiner = type === "TX" || type === "FT" ? "\n" : "; ";
+  obs.valueString = plain.join(joiner);
+}
+
+// "LAB^FACILITY" from MSH-3 and MSH-4
+export function hl7Sender(msh) {
+  return [hl7Value(msh, 3), hl7Value(msh, 4)].filter(Boolean).join("^");
+}
+
+// Sender, filler order number (OBR-3, else placer OBR-2, else MSH-10 and
+// the order's position in the message) and OBX set ID (else position), so a
+// resent result maps to the same id
+function hl7ObservationKey(obx, obr, msh, position, orderPosition) {
+  const order =
+    hl7Value(obr, 3) ||
+    hl7Value(obr, 2) ||
+    hl7Value(msh, 10) + "^" + (orderPosition + 1);
+  const setId = hl7Value(obx, 1) || String(position + 1);
+  return hl7Sender(msh) + "|" + order + "|" + setId;
+}
+
+function mapObxToObservation(obx, obr, msh, position, orderPosition) {
+  const localSystem =
+    "urn:hl7v2:local:" + (hl7Value(msh, 3) || "sender").toLowerCase();
+
+  const effective =
+    hl7DateToFhirDate(hl7Value(obx, 14)) ||
+    hl7DateToFhirDate(hl7Value(obr, 7)) ||
+    hl7DateToFhirDate(hl7Value(msh, 7)) ||
+    todayFhirDate();
+
+  const id = hl7ResourceId(
+    "hl7-obs-",
+    hl7ObservationKey(obx, obr, msh, position, orderPosition)
+  );
+
+  const codeReps = hl7Repetitions(obx, 3);
+  const code =
+    codeReps.length > 0
+      ? hl7RepToCodeableConcept(codeReps[0], localSystem)
+      : {};
+  if (!code.text) code.text = "HL7 Observation";
+
+  const obs = {
+    id: id,
+    resourceType: "Observation",
+    status: HL7_RESULT_STATUS[hl7Value(obx, 11).toUpperCase()] || "unknown",
+    category: [
+      {
+        coding: [
+          {
+            system: OBSERVATION_CATEGORY_SYSTEM,
+            code: "laboratory",
+            display: "Laboratory",
+          },
+        ],
+      },
+    ],
+    effectiveDateTime: effective,
+    code: code,
+  };
+
+  mapObxValue(obx, obs, localSystem);
+
+  const range = parseHl7ReferenceRange(hl7Value(obx, 7), obx);
+  if (range) obs.referenceRange = [range];
+
+  const flags = hl7Repetitions(obx, 8)
+    .map((rep) => repComponent(rep, 1).toUpperCase())
+    .filter((flag) => HL7_ABNORMAL_FLAGS[flag]);
+  if (flags.length > 0) {
+    obs.interpretation = flags.map((flag) => ({
+      coding: [
+        {
+          system: OBSERVATION_INTERPRETATION_SYSTEM,
+          code: flag,
+          display: HL7_ABNORMAL_FLAGS[flag],
+        },
+      ],
+    }));
+  }
+
+  return obs;
+}
+
+function newHl7Result(pid) {
+  return {
+    pid,
+    identity: pid ? extractPidIdentity(pid) : null,
+    updatesPatient: false,
+    registersPatient: false,
+    observations: [],
+    encounters: [],
+    immunizations: [],
+  };
+}
+
+export function hl7ResultResources(result) {
+  return [
+    ...result.observations,
+    ...result.encounters,
+    ...result.immunizations,
+  ];
+}
+
+// Results are grouped per PID so a message carrying several patients can be
+// routed result-by-result. Observations come back without a subject; that is
+// assigned once the PID has been matched to a patient.
+function mapOruMessage(message) {
+  const msh = message.segments[0];
+  const groups = groupHl7Results(message);
+
+  const results = [];
+  groups.forEach((g, groupIdx) => {
+    let result = results.find((r) => r.pid === g.pid);
+    if (!result) {
+      result = newHl7Result(g.pid);
+      results.push(result);
+    }
+    g.observations.forEach((obx, idx) => {
+      result.observations.push(
+        mapObxToObservation(obx, g.obr, msh, idx, groupIdx)
+      );
+    });
+  });
+
+  if (!results.some((r) => r.observations.length > 0)) {
+    throw hl7Error("No OBX segment found in HL7 message.", "100", {
+      segment: "OBX",
+    });
+  }
+  return { results };
+}
+
+// HL7 table 0004 patient class -> v3 ActCode encounter class
+const HL7_PATIENT_CLASS = {
+  I: { code: "IMP", display: "inpatient encounter" },
+  O: { code: "AMB", display: "ambulatory" },
+  R: { code: "AMB", display: "ambulatory" },
+  E: { code: "EMER", display: "emergency" },
+  P: { code: "PRENC", display: "pre-admission" },
+  B: { code: "IMP", display: "inpatient encounter" },
+};
+export const ACT_CODE_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-ActCode";
+
+// A01 admits, A04 registers an outpatient visit, A03 discharges and A08
+// updates whatever is already known about the visit. The id is keyed on the
+// sender and visit number (PV1-19, else MSH-10), as visit numbers are only
+// unique within one facility.
+function mapPv1ToEncounter(pv1, pv2, msh, trigger) {
+  const visitNumber = hl7Value(pv1, 19) || hl7Value(msh, 10);
+  const patientClass =
+    HL7_PATIENT_CLASS[hl7Value(pv1, 2).toUpperCase()] || HL7_PATIENT_CLASS.O;
+  const start = hl7DateToFhirDate(hl7Value(pv1, 44));
+  const end = hl7DateToFhirDate(hl7Value(pv1, 45));
+
+  let status = "in-progress";
+  if (trigger === "A03" || end) status = "finished";
+  else if (trigger === "A04") status = "arrived";
+
+  const encounter = {
+    id: hl7ResourceId("hl7-enc-", hl7Sender(msh) + "|" + visitNumber),
+    resourceType: "Encounter",
+    status: status,
+    class: {
+      system: ACT_CODE_SYSTEM,
+      code: patientClass.code,
+      display: patientClass.display,
+    },
+  };
+  if (hl7Value(pv1, 19)) {
+    encounter.identifier = [{ value: hl7Value(pv1, 19) }];
+  }
+
+  const reasonReps = hl7Repetitions(pv2, 3);
+  if (reasonReps.length > 0) {
+    encounter.type = [hl7RepToCodeableConcept(reasonReps[0], null)];
+  } else if (hl7Value(pv1, 10)) {
+    encounter.type = [{ text: hl7Value(pv1, 10) }];
+  }
+
+  const period = {};
+  if (start) period.start = start;
+  if (end) period.end = end;
+  if (period.start || period.end) encounter.period = period;
+
+  const attending = [hl7Value(pv1, 7, 3), hl7Value(pv1, 7, 2)]
+    .filter((p) => p)
+    .join(" ");
+  if (attending) {
+    encounter.participant = [{ individual: { display: attending } }];
+  }
+  return encounter;
+}
+
+function mapAdtMessage(message, trigger) {
+  const msh = message.segments[0];
+  if (trigger === "A40") {
+    return { results: [], merges: mapAdtMerges(message) };
+  }
+
+  const pid = hl7FirstSegment(message, "PID");
+  if (!pid) {
+    throw hl7Error("ADT^" + trigger + " message has no PID segment.", "100", {
+      segment: "PID",
+    });
+  }
+  const result = newHl7Result(pid);
+  result.updatesPatient = true;
+  result.registersPatient = trigger === "A01" || trigger === "A04";
+
+  const pv1 = hl7FirstSegment(message, "PV1");
+  if (pv1) {
+    const encounter = mapPv1ToEncounter(
+      pv1,
+      hl7FirstSegment(message, "PV2"),
+      msh,
+      trigger
+    );
+    if (!encounter.period) {
+      // Fall back to the event time so the visit still lands on the timeline
+      const evn = hl7FirstSegment(message, "EVN");
+      const when =
+        hl7DateToFhirDate(hl7Value(evn, 2)) ||
+        hl7DateToFhirDate(hl7Value(msh, 7));
+      if (when) encounter.period = { start: when };
+    }
+    result.encounters.push(encounter);
+  }
+  return { results: [result] };
+}
+
+// A40: each PID (surviving patient) is followed by the MRG it absorbs
+function mapAdtMerges(message) {
+  const merges = [];
+  let survivor = null;
+  message.segments.forEach((seg) => {
+    if (seg.name === "PID") {
+      survivor = extractPidIdentity(seg);
+    } else if (seg.name === "MRG" && survivor) {
+      merges.push({
+        survivor: survivor,
+        prior: {
+          identifiers: hl7Repetitions(seg, 1)
+            .map(hl7CxToIdentifier)
+            .filter((id) => id.value),
+          name: { family: hl7Value(seg, 7, 1), given: [] },
+          birthDate: null,
+          gender: null,
+        },
+      });
+    }
+  });
+  if (merges.length === 0) {
+    throw hl7Error("ADT^A40 message has no PID/MRG pair.", "100", {
+      segment: "MRG",
+    });
+  }
+  return merges;
+}
+
+export const CVX_SYSTEM = "http://hl7.org/fhir/sid/cvx";
+
+// Keyed on sender, order (ORC-3, else MSH-10) and the RXA's position in the
+// message: one ORC may precede several RXAs and RXA-2 is nearly always 1
+function mapRxaToImmunization(rxa, rxr, orc, msh, index) {
+  const key =
+    hl7Sender(msh) +
+    "|" +
+    (hl7Value(orc, 3) || hl7Value(msh, 10)) +
+    "|" +
+    (index + 1);
+  const vaccineReps = hl7Repetitions(rxa, 5);
+  const vaccineCode =
+    vaccineReps.length > 0
+      ? hl7RepToCodeableConcept(vaccineReps[0], CVX_SYSTEM)
+      : { text: "Immunization" };
+
+  const completion = hl7Value(rxa, 20).toUpperCase();
+  const action = hl7Value(rxa, 21).toUpperCase();
+  let status = "completed";
+  if (action === "D") status = "entered-in-error";
+  else if (completion === "RE" || completion === "NA") status = "not-done";
+
+  const immunization = {
+    id: hl7ResourceId("hl7-imm-", key),
+    resourceType: "Immunization",
+    status: status,
+    vaccineCode: vaccineCode,
+    occurrenceDateTime:
+      hl7DateToFhirDate(hl7Value(rxa, 3)) ||
+      hl7DateToFhirDate(hl7Value(msh, 7)),
+  };
+  if (completion === "RE") {
+    immunization.statusReason = {
+      coding: [
+        {
+          system: "http://terminology.hl7.org/CodeSystem/v3-ActReason",
+          code: "PATOBJ",
+          display: "patient objection",
+        },
+      ],
+    };
+  }
+
+  // RXA-9 NIP001: 00 = new administration, 01 = historical record
+  const source = hl7Value(rxa, 9, 1);
+  if (source) immunization.primarySource = source === "00";
+
+  const amount = parseHl7Number(hl7Value(rxa, 6));
+  if (amount !== null && amount !== 999) {
+    immunization.doseQuantity = { value: amount };
+    const unit = hl7Value(rxa, 7, 1);
+    if (unit) {
+      immunization.doseQuantity.unit = unit;
+      immunization.doseQuantity.system = UCUM_SYSTEM;
+      immunization.doseQuantity.code = unit;
+    }
+  }
+  if (hl7Value(rxa, 15)) immunization.lotNumber = hl7Value(rxa, 15);
+  const expiration = hl7DateToFhirDate(hl7Value(rxa, 16));
+  if (expiration) immunization.expirationDate = expiration;
+  if (hl7Value(rxa, 17, 2) || hl7Value(rxa, 17, 1)) {
+    immunization.manufacturer = {
+      display: hl7Value(rxa, 17, 2) || hl7Value(rxa, 17, 1),
+    };
+  }
+
+  const routeReps = hl7Repetitions(rxr, 1);
+  if (routeReps.length > 0) {
+    immunization.route = hl7RepToCodeableConcept(routeReps[0], null);
+  }
+  const siteReps = hl7Repetitions(rxr, 2);
+  if (siteReps.length > 0) {
+    immunization.site = hl7RepToCodeableConcept(siteReps[0], null);
+  }
+  return immunization;
+}
+
+function mapVxuMessage(message) {
+  const msh = message.segments[0];
+  const pid = hl7FirstSegment(message, "PID");
+  if (!pid) {
+    throw hl7Error("VXU message has no PID segment.", "100", {
+      segment: "PID",
+    });
+  }
+  const result = newHl7Result(pid);
+
+  let orc = null;
+  message.segments.forEach((seg, idx) => {
+    if (seg.name === "ORC") {
+      orc = seg;
+    } else if (seg.name === "RXA") {
+      const next = message.segments[idx + 1];
+      const rxr = next && next.name === "RXR" ? next : null;
+      result.immunizations.push(
+        mapRxaToImmunization(seg, rxr, orc, msh, result.immunizations.length)
+      );
+    }
+  });
+  if (result.immunizations.length === 0) {
+    throw hl7Error("No RXA segment found in VXU message.", "100", {
+      segment: "RXA",
+    });
+  }
+  return { results: [result] };
+}
+
+const HL7_SUPPORTED_MESSAGES = {
+  ORU: ["R01"],
+  ADT: ["A01", "A03", "A04", "A08", "A40"],
+  VXU: ["V04"],
+};
+
+function hl7MessageType(message) {
+  const msh = message.segments[0];
+  return {
+    code: hl7Value(msh, 9, 1).toUpperCase(),
+    trigger: hl7Value(msh, 9, 2).toUpperCase(),
+  };
+}
+
+// Parse and map any supported message. Every result carries the PID identity
+// it belongs to; resources come back without a subject, which is assigned
+// once that PID has been matched to a patient.
+export function mapHl7Message(hl7Text) {
+  const message = parseHl7Message(hl7Text);
+  const type = hl7MessageType(message);
+
+  // Older senders leave MSH-9 empty on lab results
+  if (!type.code && hl7FirstSegment(message, "OBX")) {
+    type.code = "ORU";
+    type.trigger = "R01";
+  }
+  const label = type.code + "^" + type.trigger;
+  const triggers = HL7_SUPPORTED_MESSAGES[type.code];
+  if (!triggers || triggers.indexOf(type.trigger) === -1) {
+    throw hl7Error(
+      "Unsupported HL7 message type " + label + ".",
+      triggers ? "201" : "200",
+      { segment: "MSH", sequence: 1, field: 9 }
+    );
+  }
+
+  let mapped;
+  if (type.code === "ORU") mapped = mapOruMessage(message);
+  else if (type.code === "ADT") mapped = mapAdtMessage(message, type.trigger);
+  else mapped = mapVxuMessage(message);
+
+  return {
+    message,
+    messageType: label,
+    results: mapped.results,
+    merges: mapped.merges || [],
+  };
+}
+
+// Immunization points at its patient through .patient, everything else .subject
+export function withSubject(resources, patientId) {
+  const ref = { reference: "Patient/" + patientId };
+  return resources.map((r) =>
+    r.resourceType === "Immunization"
+      ? { ...r, patient: ref }
+      : { ...r, subject: ref }
+  );
+}
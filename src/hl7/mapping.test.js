@@ -0,0 +1,361 @@
+import { mapHl7Message } from "./mapping";
+import { hl7ResourceId } from "./parser";
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+function oru(segments) {
+  return [
+    "MSH|^~\\&|LABSYS|HOSPITAL|EHR|HOSPITAL|20250201103000||ORU^R01|MSG-1|P|2.5",
+    "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+  ]
+    .concat(segments)
+    .join("\r");
+}
+
+function observationIds(hl7Text) {
+  return mapHl7Message(hl7Text).results[0].observations.map((o) => o.id);
+}
+
+describe("hl7ResourceId", () => {
+  test("keeps keys apart that only differ in case or punctuation", () => {
+    const ids = ["ABC_1", "abc-1", "abc 1", "Abc-1"].map((key) =>
+      hl7ResourceId("hl7-enc-", key)
+    );
+    expect(new Set(ids).size).toBe(4);
+    ids.forEach((id) => expect(id).toMatch(FHIR_ID));
+    expect(ids[0]).toMatch(/^hl7-enc-abc-1-[0-9a-z]+$/);
+  });
+
+  test("is stable for the same key", () => {
+    expect(hl7ResourceId("hl7-obs-", "LAB^FAC|78901|1")).toBe(
+      hl7ResourceId("hl7-obs-", "LAB^FAC|78901|1")
+    );
+  });
+
+  test("stays within 64 characters for long keys", () => {
+    const long = "LABSYS^HOSPITAL|" + "9".repeat(120) + "|1";
+    const other = "LABSYS^HOSPITAL|" + "9".repeat(120) + "|2";
+    const id = hl7ResourceId("hl7-obs-", long);
+    expect(id).toMatch(FHIR_ID);
+    expect(id).not.toBe(hl7ResourceId("hl7-obs-", other));
+  });
+
+  test("uses only the hash when nothing in the key survives", () => {
+    expect(hl7ResourceId("hl7-obs-", "^^^")).toMatch(/^hl7-obs-[0-9a-z]+$/);
+  });
+});
+
+describe("HL7 result ids", () => {
+  test("are valid FHIR ids and stable across resends", () => {
+    const text = oru([
+      "OBR|1||78901^LAB||HBA1C^Hemoglobin A1c|||20250131100000",
+      "OBX|1|NM|4548-4^HBA1C^Hemoglobin A1c||6.7|%|4.0-6.0|H|||F",
+    ]);
+    const ids = observationIds(text);
+    expect(ids).toHaveLength(1);
+    expect(ids[0]).toMatch(FHIR_ID);
+    expect(observationIds(text)).toEqual(ids);
+  });
+
+  test("differ for order numbers that only differ in case or punctuation", () => {
+    const ids = observationIds(
+      oru([
+        "OBR|1||ABC_1||HBA1C^Hemoglobin A1c",
+        "OBX|1|NM|4548-4^HBA1C||6.7|%||||F",
+        "OBR|2||abc-1||HBA1C^Hemoglobin A1c",
+        "OBX|1|NM|4548-4^HBA1C||7.1|%||||F",
+      ])
+    );
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  test("differ for orders without order numbers in one message", () => {
+    const ids = observationIds(
+      oru([
+        "OBR|1|||HBA1C^Hemoglobin A1c",
+        "OBX|1|NM|4548-4^HBA1C||6.7|%||||F",
+        "OBR|2|||LDL^LDL Cholesterol",
+        "OBX|1|NM|13457-7^LDL||128|mg/dL||||F",
+      ])
+    );
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  test("fit 64 characters with long sender and order values", () => {
+    const ids = observationIds(
+      oru([
+        "OBR|1||" + "FILLER".repeat(15) + "^LAB||HBA1C^Hemoglobin A1c",
+        "OBX|1|NM|4548-4^HBA1C||6.7|%||||F",
+      ])
+    );
+    expect(ids[0]).toMatch(FHIR_ID);
+  });
+
+  test("give encounters and immunizations valid ids", () => {
+    const adt = mapHl7Message(
+      [
+        "MSH|^~\\&|ADT|HOSPITAL|EHR|HOSPITAL|20250201103000||ADT^A01|MSG-2|P|2.5",
+        "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+        "PV1|1|I|W4^401^A||||||||||||||||V_" + "9".repeat(80),
+      ].join("\r")
+    );
+    expect(adt.results[0].encounters[0].id).toMatch(FHIR_ID);
+
+    const vxu = mapHl7Message(
+      [
+        "MSH|^~\\&|IIS|CLINIC|EHR|HOSPITAL|20241001103000||VXU^V04|MSG-3|P|2.5.1",
+        "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+        "ORC|RE||IMM_2024/10",
+        "RXA|0|1|20241001||150^Influenza^CVX|0.5|mL",
+      ].join("\r")
+    );
+    expect(vxu.results[0].immunizations[0].id).toMatch(FHIR_ID);
+  });
+});
+
+function adt(trigger, segments, sender) {
+  return [
+    "MSH|^~\\&|ADT|" +
+      (sender || "HOSPITAL") +
+      "|EHR|HOSPITAL|20250201103000||ADT^" +
+      trigger +
+      "|MSG-" +
+      trigger +
+      "|P|2.5",
+    "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+  ]
+    .concat(segments)
+    .join("\r");
+}
+
+function vxu(segments) {
+  return [
+    "MSH|^~\\&|IIS|CLINIC|EHR|HOSPITAL|20241001103000||VXU^V04|MSG-3|P|2.5.1",
+    "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+  ]
+    .concat(segments)
+    .join("\r");
+}
+
+describe("ADT messages", () => {
+  test("A01 registers the patient and opens an inpatient encounter", () => {
+    const mapped = mapHl7Message(
+      adt("A01", [
+        "PV1|1|I|W4^401^A||||1234^Lopez^Maria|||MED|||||||||V100|||||||||||||||||||||||||20250201090000",
+      ])
+    );
+    const [result] = mapped.results;
+    expect(mapped.messageType).toBe("ADT^A01");
+    expect(result.registersPatient).toBe(true);
+    expect(result.updatesPatient).toBe(true);
+    expect(result.encounters[0]).toMatchObject({
+      status: "in-progress",
+      class: { code: "IMP" },
+      identifier: [{ value: "V100" }],
+      period: { start: "2025-02-01" },
+      type: [{ text: "MED" }],
+      participant: [{ individual: { display: "Maria Lopez" } }],
+    });
+  });
+
+  test("A03 finishes the visit and falls back to EVN for its date", () => {
+    const [result] = mapHl7Message(
+      adt("A03", ["EVN|A03|20250203120000", "PV1|1|O"])
+    ).results;
+    expect(result.registersPatient).toBe(false);
+    expect(result.encounters[0]).toMatchObject({
+      status: "finished",
+      class: { code: "AMB" },
+      period: { start: "2025-02-03" },
+    });
+  });
+
+  test("keys encounter ids on the sender as well as the visit number", () => {
+    const pv1 = "PV1|1|O|||||||||||||||||V100";
+    const east = mapHl7Message(adt("A04", [pv1], "EAST")).results[0];
+    const eastAgain = mapHl7Message(adt("A08", [pv1], "EAST")).results[0];
+    const west = mapHl7Message(adt("A04", [pv1], "WEST")).results[0];
+    expect(eastAgain.encounters[0].id).toBe(east.encounters[0].id);
+    expect(west.encounters[0].id).not.toBe(east.encounters[0].id);
+  });
+
+  test("A40 pairs each PID with the MRG it absorbs", () => {
+    const mapped = mapHl7Message(
+      adt("A40", ["MRG|99999^^^HOSP^MR||||||Doe^Janet"])
+    );
+    expect(mapped.results).toEqual([]);
+    expect(mapped.merges).toHaveLength(1);
+    expect(mapped.merges[0].survivor.identifiers[0].value).toBe("12345");
+    expect(mapped.merges[0].prior).toMatchObject({
+      identifiers: [{ value: "99999" }],
+      name: { family: "Doe" },
+    });
+  });
+
+  test("rejects an ADT without PID and unsupported triggers", () => {
+    expect(() =>
+      mapHl7Message(
+        "MSH|^~\\&|ADT|HOSPITAL|EHR|HOSPITAL|20250201||ADT^A01|M1|P|2.5\rPV1|1|O"
+      )
+    ).toThrow(/has no PID segment/);
+    let error = null;
+    try {
+      mapHl7Message(adt("A31", []));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/Unsupported HL7 message type ADT\^A31/);
+    expect(error.hl7Code).toBe("201");
+  });
+});
+
+describe("VXU messages", () => {
+  test("maps RXA and RXR into an Immunization", () => {
+    const [imm] = mapHl7Message(
+      vxu([
+        "ORC|RE||IMM-1",
+        "RXA|0|1|20241001||150^Influenza^CVX|0.5|mL^mL^UCUM||00^New^NIP001||||||FLU2024A|20250630|SKB^GlaxoSmithKline^MVX|||CP|A",
+        "RXR|IM^Intramuscular^HL70162|LD^Left deltoid^HL70163",
+      ])
+    ).results[0].immunizations;
+    expect(imm).toMatchObject({
+      resourceType: "Immunization",
+      status: "completed",
+      vaccineCode: {
+        coding: [{ system: "http://hl7.org/fhir/sid/cvx", code: "150" }],
+      },
+      occurrenceDateTime: "2024-10-01",
+      primarySource: true,
+      doseQuantity: { value: 0.5, unit: "mL" },
+      lotNumber: "FLU2024A",
+      expirationDate: "2025-06-30",
+      manufacturer: { display: "GlaxoSmithKline" },
+      route: { coding: [{ code: "IM" }] },
+      site: { coding: [{ code: "LD" }] },
+    });
+  });
+
+  test("maps refusals and deletions to their statuses", () => {
+    const imms = mapHl7Message(
+      vxu([
+        "RXA|0|1|20241001||150^Influenza^CVX|999||||||||||||||RE",
+        "RXA|0|1|20241001||08^Hep B^CVX|999||||||||||||||CP|D",
+      ])
+    ).results[0].immunizations;
+    expect(imms[0].status).toBe("not-done");
+    expect(imms[0].statusReason.coding[0].code).toBe("PATOBJ");
+    expect(imms[0].doseQuantity).toBeUndefined();
+    expect(imms[1].status).toBe("entered-in-error");
+  });
+
+  test.each([
+    ["under one ORC", ["ORC|RE||IMM-1"]],
+    ["without an ORC", []],
+  ])("gives every dose its own id %s", (_, orc) => {
+    const text = vxu(
+      orc.concat([
+        "RXA|0|1|20240101||08^Hep B^CVX|1|mL",
+        "RXA|0|1|20240201||08^Hep B^CVX|1|mL",
+        "RXA|0|1|20240801||08^Hep B^CVX|1|mL",
+      ])
+    );
+    const ids = mapHl7Message(text).results[0].immunizations.map((i) => i.id);
+    expect(new Set(ids).size).toBe(3);
+    ids.forEach((id) => expect(id).toMatch(FHIR_ID));
+    expect(
+      mapHl7Message(text).results[0].immunizations.map((i) => i.id)
+    ).toEqual(ids);
+  });
+
+  test("rejects a VXU without RXA", () => {
+    expect(() => mapHl7Message(vxu(["ORC|RE||IMM-1"]))).toThrow(
+      /No RXA segment/
+    );
+  });
+});
+
+function observation(obx) {
+  return mapHl7Message(oru(["OBR|1||78901^LAB||PANEL^Panel", obx])).results[0]
+    .observations[0];
+}
+
+describe("OBX value mapping", () => {
+  test("maps NM with LOINC coding, UCUM units, range and flag", () => {
+    const obs = observation(
+      "OBX|1|NM|4548-4^HBA1C^Hemoglobin A1c||6.7|%|4.0-6.0|H|||F|||20250201101500"
+    );
+    expect(obs).toMatchObject({
+      status: "final",
+      effectiveDateTime: "2025-02-01",
+      code: {
+        coding: [{ system: "http://loinc.org", code: "4548-4" }],
+        text: "Hemoglobin A1c",
+      },
+      valueQuantity: {
+        value: 6.7,
+        unit: "%",
+        system: "http://unitsofmeasure.org",
+        code: "%",
+      },
+      referenceRange: [
+        { low: { value: 4 }, high: { value: 6 }, text: "4.0-6.0" },
+      ],
+      interpretation: [{ coding: [{ code: "H", display: "High" }] }],
+    });
+  });
+
+  test("keeps local codes under the sender's system with the LN alternate", () => {
+    const obs = observation(
+      "OBX|1|NM|GLU^Glucose^L^2345-7^Glucose^LN||105|mg/dL|70-99|H|||F"
+    );
+    expect(obs.code.coding).toEqual([
+      { system: "urn:hl7v2:local:labsys", code: "GLU", display: "Glucose" },
+      { system: "http://loinc.org", code: "2345-7", display: "Glucose" },
+    ]);
+    expect(obs.valueQuantity.code).toBe("mg/dL");
+  });
+
+  test("maps SN comparators, ranges and ratios", () => {
+    expect(
+      observation("OBX|1|SN|33914-3^eGFR||>^60|mL/min/1.73m2|>=60||||F")
+        .valueQuantity
+    ).toMatchObject({ value: 60, comparator: ">" });
+    expect(
+      observation("OBX|1|SN|X^Range||^10^-^20|mg||||||F").valueRange
+    ).toMatchObject({ low: { value: 10 }, high: { value: 20 } });
+    expect(
+      observation("OBX|1|SN|X^Titer||^1^:^128|||||||F").valueRatio
+    ).toEqual({ numerator: { value: 1 }, denominator: { value: 128 } });
+  });
+
+  test("maps coded, dated and text values", () => {
+    expect(
+      observation("OBX|1|CWE|X^Result||260385009^Negative^SCT||||||F")
+        .valueCodeableConcept
+    ).toEqual({
+      coding: [
+        {
+          system: "http://snomed.info/sct",
+          code: "260385009",
+          display: "Negative",
+        },
+      ],
+      text: "Negative",
+    });
+    expect(observation("OBX|1|DT|X^Drawn||20250131||||||F").valueDateTime).toBe(
+      "2025-01-31"
+    );
+    expect(
+      observation("OBX|1|TX|X^Comment||Line one~Line two||||||F").valueString
+    ).toBe("Line one\nLine two");
+  });
+
+  test("keeps an NM value that is not a number as text", () => {
+    const obs = observation("OBX|1|NM|X^Result||see note|||A|||P");
+    expect(obs.valueQuantity).toBeUndefined();
+    expect(obs.valueString).toBe("see note");
+    expect(obs.status).toBe("preliminary");
+    expect(obs.interpretation[0].coding[0].code).toBe("A");
+  });
+});
@@ -0,0 +1,257 @@
+/* =========================
+   HL7 PATIENT MATCHING
+   ========================= */
+
+import { V2_IDENTIFIER_TYPE_SYSTEM } from "../data/mockData";
+import { formatFHIRDate, getPatientDisplayName } from "../fhir/utils";
+import {
+  hl7DateToFhirDate,
+  hl7Repetitions,
+  hl7ResourceId,
+  hl7Value,
+  repComponent,
+} from "./parser";
+
+// PID-3 assigning authority -> identifier system
+const HL7_ASSIGNING_AUTHORITIES = {
+  HOSP: "http://hospital.example.org/mrn",
+  SSA: "http://hl7.org/fhir/sid/us-ssn",
+};
+
+const HL7_ADMINISTRATIVE_SEX = {
+  M: "male",
+  F: "female",
+  O: "other",
+  A: "other",
+  U: "unknown",
+  N: "unknown",
+};
+
+function hl7IdentifierSystem(namespace, universalId, universalIdType) {
+  if (namespace && HL7_ASSIGNING_AUTHORITIES[namespace]) {
+    return HL7_ASSIGNING_AUTHORITIES[namespace];
+  }
+  if (universalId && universalIdType === "ISO") return "urn:oid:" + universalId;
+  if (namespace) return "urn:hl7v2:assigning-authority:" + namespace;
+  return null;
+}
+
+// CX: id ^ check digit ^ scheme ^ assigning authority (HD) ^ type
+export function hl7CxToIdentifier(rep) {
+  const authority = rep[3] || [];
+  const typeCode = repComponent(rep, 5);
+  const identifier = {
+    system: hl7IdentifierSystem(authority[0], authority[1], authority[2]),
+    value: repComponent(rep, 1),
+  };
+  if (typeCode) {
+    identifier.type = {
+      coding: [{ system: V2_IDENTIFIER_TYPE_SYSTEM, code: typeCode }],
+    };
+  }
+  if (authority[0]) identifier.assigner = { display: authority[0] };
+  return identifier;
+}
+
+export function extractPidIdentity(pid) {
+  const identifiers = hl7Repetitions(pid, 3)
+    .map(hl7CxToIdentifier)
+    .filter((id) => id.value);
+
+  const given = [hl7Value(pid, 5, 2), hl7Value(pid, 5, 3)].filter(
+    (g) => g.length > 0
+  );
+
+  // XAD: street ^ other ^ city ^ state ^ zip ^ country
+  const address = hl7Repetitions(pid, 11).map((rep) => {
+    const a = {};
+    const lines = [repComponent(rep, 1), repComponent(rep, 2)].filter((l) => l);
+    if (lines.length > 0) a.line = lines;
+    if (repComponent(rep, 3)) a.city = repComponent(rep, 3);
+    if (repComponent(rep, 4)) a.state = repComponent(rep, 4);
+    if (repComponent(rep, 5)) a.postalCode = repComponent(rep, 5);
+    if (repComponent(rep, 6)) a.country = repComponent(rep, 6);
+    return a;
+  });
+
+  // XTN: formatted number, or area code (6) + local number (7)
+  const telecom = hl7Repetitions(pid, 13)
+    .map((rep) => {
+      const value =
+        repComponent(rep, 1) ||
+        [repComponent(rep, 6), repComponent(rep, 7)].filter((p) => p).join("-");
+      return { system: "phone", value: value };
+    })
+    .filter((t) => t.value);
+
+  return {
+    identifiers,
+    name: { family: hl7Value(pid, 5, 1), given },
+    birthDate: hl7DateToFhirDate(hl7Value(pid, 7)),
+    gender: HL7_ADMINISTRATIVE_SEX[hl7Value(pid, 8).toUpperCase()] || null,
+    address,
+    telecom,
+  };
+}
+
+export function formatHl7Identity(identity) {
+  if (!identity) return "No PID segment";
+  const parts = [];
+  const name = [identity.name.given[0], identity.name.family]
+    .filter((p) => p)
+    .join(" ");
+  parts.push(name || "Unnamed");
+  if (identity.identifiers.length > 0) {
+    const id = identity.identifiers[0];
+    parts.push(
+      "MRN " + id.value + (id.assigner ? " (" + id.assigner.display + ")" : "")
+    );
+  }
+  if (identity.birthDate)
+    parts.push("DOB " + formatFHIRDate(identity.birthDate));
+  if (identity.gender) parts.push(identity.gender);
+  return parts.join(" · ");
+}
+
+export function sameIdentifier(a, b) {
+  return !!a.system && a.system === b.system && a.value === b.value;
+}
+
+function sameText(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Match a PID identity against known patients. An identifier (MRN +
+// assigning authority) match wins, but only if the birth date agrees; a
+// demographic match must be unique and must not contradict an identifier
+// from the same authority. Anything else is returned unmatched with a reason.
+export function matchPatientByIdentity(identity, patients) {
+  if (!identity) {
+    return { patient: null, reason: "Message has no PID segment." };
+  }
+
+  const byIdentifier = patients.find((p) =>
+    (p.identifier || []).some((pi) =>
+      identity.identifiers.some((ii) => sameIdentifier(pi, ii))
+    )
+  );
+  if (byIdentifier) {
+    if (
+      identity.birthDate &&
+      byIdentifier.birthDate &&
+      identity.birthDate !== byIdentifier.birthDate
+    ) {
+      return {
+        patient: null,
+        reason:
+          "Identifier matches " +
+          getPatientDisplayName(byIdentifier) +
+          " but birth date differs.",
+      };
+    }
+    return { patient: byIdentifier, method: "identifier" };
+  }
+
+  const byDemographics = patients.filter((p) => {
+    const n = (p.name && p.name[0]) || {};
+    const conflictingId = (p.identifier || []).some((pi) =>
+      identity.identifiers.some(
+        (ii) => ii.system && ii.system === pi.system && ii.value !== pi.value
+      )
+    );
+    return (
+      !conflictingId &&
+      sameText(n.family, identity.name.family) &&
+      sameText(n.given && n.given[0], identity.name.given[0]) &&
+      !!identity.birthDate &&
+      p.birthDate === identity.birthDate &&
+      (!identity.gender || !p.gender || identity.gender === p.gender)
+    );
+  });
+  if (byDemographics.length === 1) {
+    return { patient: byDemographics[0], method: "demographics" };
+  }
+  if (byDemographics.length > 1) {
+    return {
+      patient: null,
+      reason: "Demographics match more than one patient.",
+    };
+  }
+  return {
+    patient: null,
+    reason: "No patient matches PID identifiers or demographics.",
+  };
+}
+
+// The patient id comes from the first identifier's system and value, else
+// from family, given name and birth date; without either every such patient
+// would share an id
+function patientIdKey(identity) {
+  const first = identity.identifiers[0];
+  if (first && first.value) return (first.system || "") + "|" + first.value;
+  const demographics = [
+    identity.name.family,
+    identity.name.given[0],
+    identity.birthDate,
+  ];
+  return demographics.every((p) => p) ? demographics.join("-") : "";
+}
+
+export function canBuildPatientFromIdentity(identity) {
+  return !!identity && patientIdKey(identity) !== "";
+}
+
+// Returns null when the identity has nothing to key a new patient on. The
+// identity matched no patient, so an id already in usedIds belongs to
+// someone else and a numbered variant is used instead.
+export function buildPatientFromIdentity(identity, idPrefix, usedIds) {
+  const key = patientIdKey(identity);
+  if (!key) return null;
+  const prefix = idPrefix || "hl7-";
+  const taken = usedIds || [];
+  let id = hl7ResourceId(prefix, key);
+  for (let n = 2; taken.indexOf(id) !== -1; n++) {
+    id = hl7ResourceId(prefix, key + "|" + n);
+  }
+  const patient = {
+    id,
+    resourceType: "Patient",
+    identifier: identity.identifiers,
+    name: [{ family: identity.name.family, given: identity.name.given }],
+  };
+  if (identity.gender) patient.gender = identity.gender;
+  if (identity.birthDate) patient.birthDate = identity.birthDate;
+  if (identity.address && identity.address.length > 0) {
+    patient.address = identity.address;
+  }
+  if (identity.telecom && identity.telecom.length > 0) {
+    patient.telecom = identity.telecom;
+  }
+  return patient;
+}
+
+// ADT demographics win over what we hold; identifiers accumulate
+export function applyIdentityToPatient(patient, identity) {
+  const updated = { ...patient };
+  const identifiers = (patient.identifier || []).slice();
+  identity.identifiers.forEach((id) => {
+    if (!identifiers.some((existing) => sameIdentifier(existing, id))) {
+      identifiers.push(id);
+    }
+  });
+  updated.identifier = identifiers;
+  if (identity.name.family || identity.name.given.length > 0) {
+    updated.name = [
+      { family: identity.name.family, given: identity.name.given },
+    ];
+  }
+  if (identity.birthDate) updated.birthDate = identity.birthDate;
+  if (identity.gender) updated.gender = identity.gender;
+  if (identity.address && identity.address.length > 0) {
+    updated.address = identity.address;
+  }
+  if (identity.telecom && identity.telecom.length > 0) {
+    updated.telecom = identity.telecom;
+  }
+  return updated;
+}
@@ -0,0 +1,95 @@
+import {
+  createPatientStore,
+  listStorePatients,
+  mergeIntoStore,
+} from "../store/patientStore";
+import {
+  buildPatientFromIdentity,
+  canBuildPatientFromIdentity,
+  extractPidIdentity,
+} from "./matching";
+import { hl7FirstSegment, parseHl7Message } from "./parser";
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+function pidIdentity(pid) {
+  const message = parseHl7Message(
+    [
+      "MSH|^~\\&|LABSYS|HOSPITAL|EHR|HOSPITAL|20250201103000||ORU^R01|MSG-1|P|2.5",
+      pid,
+    ].join("\r")
+  );
+  return extractPidIdentity(hl7FirstSegment(message, "PID"));
+}
+
+describe("buildPatientFromIdentity", () => {
+  test("keys the id on the first identifier", () => {
+    const patient = buildPatientFromIdentity(
+      pidIdentity("PID|1||MRN 12345^^^HOSP^MR||Doe^Jane||19650412|F")
+    );
+    expect(patient.id).toMatch(FHIR_ID);
+    expect(patient.id).toMatch(/^hl7-/);
+    expect(patient.birthDate).toBe("1965-04-12");
+    expect(patient.gender).toBe("female");
+    expect(
+      buildPatientFromIdentity(
+        pidIdentity("PID|1||MRN 12345^^^HOSP^MR||Doe^Janet||19650413|F")
+      ).id
+    ).toBe(patient.id);
+  });
+
+  test("keeps the same number from different authorities apart", () => {
+    const hosp = buildPatientFromIdentity(
+      pidIdentity("PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F")
+    );
+    const clinic = buildPatientFromIdentity(
+      pidIdentity("PID|1||12345^^^CLINIC^MR||Roe^Rita||19800101|F")
+    );
+    expect(clinic.id).not.toBe(hosp.id);
+
+    const store = mergeIntoStore(createPatientStore([], []), {
+      patients: [hosp],
+      resources: [],
+    }).store;
+    const merged = mergeIntoStore(store, { patients: [clinic], resources: [] });
+    expect(
+      listStorePatients(merged.store).map((p) => p.name[0].family)
+    ).toEqual(["Doe", "Roe"]);
+  });
+
+  test("never reuses an id that is already taken", () => {
+    const identity = pidIdentity("PID|1||12345^^^HOSP^MR||Doe^Jane||19650412");
+    const first = buildPatientFromIdentity(identity);
+    const second = buildPatientFromIdentity(identity, null, [first.id]);
+    const third = buildPatientFromIdentity(identity, null, [
+      first.id,
+      second.id,
+    ]);
+    expect(second.id).not.toBe(first.id);
+    expect(third.id).not.toBe(first.id);
+    expect(third.id).not.toBe(second.id);
+    [second.id, third.id].forEach((id) => expect(id).toMatch(FHIR_ID));
+  });
+
+  test("falls back to family, given name and birth date", () => {
+    const identity = pidIdentity("PID|1||||Doe^Jane||19650412|F");
+    expect(canBuildPatientFromIdentity(identity)).toBe(true);
+    expect(buildPatientFromIdentity(identity, "ccda-").id).toMatch(
+      /^ccda-doe-jane-1965-04-12-/
+    );
+  });
+
+  test.each([
+    ["an empty PID", "PID|1"],
+    ["a name without birth date", "PID|1||||Doe^Jane|||F"],
+    ["a family name and birth date only", "PID|1||||Doe||19650412"],
+  ])("refuses to build a patient from %s", (_, pid) => {
+    const identity = pidIdentity(pid);
+    expect(canBuildPatientFromIdentity(identity)).toBe(false);
+    expect(buildPatientFromIdentity(identity)).toBeNull();
+  });
+
+  test("has nothing to build from without a PID", () => {
+    expect(canBuildPatientFromIdentity(null)).toBe(false);
+  });
+});
@@ -0,0 +1,237 @@
+/* =========================
+   HL7 v2 PARSER
+   ========================= */
+
+import { toFHIRDate } from "../fhir/utils";
+
+export const HL7_DEFAULT_DELIMITERS = {
+  field: "|",
+  component: "^",
+  repetition: "~",
+  escape: "\\",
+  subcomponent: "&",
+};
+
+// HL7 table 0357 message error condition codes
+export const HL7_ERROR_CODES = {
+  100: "Segment sequence error",
+  101: "Required field missing",
+  102: "Data type error",
+  103: "Table value not found",
+  200: "Unsupported message type",
+  201: "Unsupported event code",
+  204: "Unknown key identifier",
+  205: "Duplicate key identifier",
+  207: "Application internal error",
+};
+
+// Parse failures carry a table 0357 code and the segment/field they refer to
+// so they can be echoed back in an ACK
+export function hl7Error(message, code, location) {
+  const err = new Error(message);
+  err.hl7Code = code;
+  err.hl7Location = location || null;
+  return err;
+}
+
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Resolve \F\ \S\ \T\ \R\ \E\ (plus \Xhh\ and \.br\) using the message's own delimiters
+function unescapeHl7(value, delimiters) {
+  const esc = delimiters.escape;
+  if (!value || !esc || value.indexOf(esc) === -1) return value;
+  const e = escapeRegExp(esc);
+  const pattern = new RegExp(e + "(F|S|T|R|E|X[0-9A-Fa-f]+|\\.br)" + e, "g");
+  return value.replace(pattern, (match, seq) => {
+    if (seq === "F") return delimiters.field;
+    if (seq === "S") return delimiters.component;
+    if (seq === "T") return delimiters.subcomponent;
+    if (seq === "R") return delimiters.repetition;
+    if (seq === "E") return delimiters.escape;
+    if (seq === ".br") return "\n";
+    const hex = seq.slice(1);
+    let out = "";
+    for (let i = 0; i + 1 < hex.length; i += 2) {
+      out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return out;
+  });
+}
+
+// field -> repetitions -> components -> subcomponents
+function parseHl7Field(value, delimiters) {
+  return value.split(delimiters.repetition).map((rep) =>
+    rep
+      .split(delimiters.component)
+      .map((comp) =>
+        comp
+          .split(delimiters.subcomponent)
+          .map((sub) => unescapeHl7(sub, delimiters))
+      )
+  );
+}
+
+// fields[n] is HL7 field n, so MSH-1 is the field separator and MSH-2 the
+// encoding characters, both kept verbatim.
+function parseHl7Segment(line, delimiters) {
+  const raw = line.split(delimiters.field);
+  const name = raw[0];
+  const fields = [[[[name]]]];
+  if (name === "MSH") {
+    fields.push([[[delimiters.field]]]);
+    fields.push([[[raw[1] || ""]]]);
+    raw.slice(2).forEach((f) => fields.push(parseHl7Field(f, delimiters)));
+  } else {
+    raw.slice(1).forEach((f) => fields.push(parseHl7Field(f, delimiters)));
+  }
+  return { name, raw: line, fields };
+}
+
+// MLLP wraps messages in <VT> ... <FS><CR>
+const MLLP_START_BLOCK = String.fromCharCode(0x0b);
+const MLLP_END_BLOCK = String.fromCharCode(0x1c);
+
+function stripMllpFraming(text) {
+  return text.split(MLLP_START_BLOCK).join("").split(MLLP_END_BLOCK).join("");
+}
+
+export function parseHl7Message(hl7Text) {
+  if (!hl7Text || !hl7Text.trim()) {
+    throw hl7Error("Empty HL7 message.", "100", { segment: "MSH" });
+  }
+
+  // Tolerate MLLP framing and any mix of \r / \n segment terminators
+  const lines = stripMllpFraming(hl7Text)
+    .split(/\r\n|\r|\n/)
+    .map((l) => l.trim())
+    .filter((l) => l.length > 0);
+
+  if (lines.length === 0 || lines[0].slice(0, 3) !== "MSH") {
+    throw hl7Error("HL7 message must begin with an MSH segment.", "100", {
+      segment: "MSH",
+    });
+  }
+
+  const msh = lines[0];
+  const fieldSep = msh.charAt(3);
+  if (!fieldSep) {
+    throw hl7Error("MSH segment is missing its field separator.", "102", {
+      segment: "MSH",
+      sequence: 1,
+      field: 1,
+    });
+  }
+  const encoding = msh.slice(4).split(fieldSep)[0];
+  const delimiters = {
+    field: fieldSep,
+    component: encoding.charAt(0) || HL7_DEFAULT_DELIMITERS.component,
+    repetition: encoding.charAt(1) || HL7_DEFAULT_DELIMITERS.repetition,
+    escape: encoding.charAt(2),
+    subcomponent: encoding.charAt(3) || HL7_DEFAULT_DELIMITERS.subcomponent,
+  };
+
+  const segments = lines.map((line) => parseHl7Segment(line, delimiters));
+  return { delimiters, segments };
+}
+
+// hl7Value(seg, 3, 1) -> first component of the first repetition of field 3
+export function hl7Value(segment, field, component, subcomponent, repetition) {
+  if (!segment) return "";
+  const f = segment.fields[field];
+  if (!f) return "";
+  const rep = f[repetition || 0];
+  if (!rep) return "";
+  const comp = rep[(component || 1) - 1];
+  if (!comp) return "";
+  return comp[(subcomponent || 1) - 1] || "";
+}
+
+export function hl7Repetitions(segment, field) {
+  if (!segment || !segment.fields[field]) return [];
+  return segment.fields[field].filter((rep) =>
+    rep.some((comp) => comp.some((sub) => sub.length > 0))
+  );
+}
+
+export function hl7FirstSegment(message, name) {
+  return message.segments.find((s) => s.name === name) || null;
+}
+
+// Walk PID / OBR / OBX in order so each OBX lands under the OBR (and PID)
+// that precedes it. OBX segments with no OBR get their own group.
+export function groupHl7Results(message) {
+  const groups = [];
+  let pid = null;
+  let current = null;
+  message.segments.forEach((seg) => {
+    if (seg.name === "PID") {
+      pid = seg;
+      current = null;
+    } else if (seg.name === "OBR") {
+      current = { pid, obr: seg, observations: [] };
+      groups.push(current);
+    } else if (seg.name === "OBX") {
+      if (!current) {
+        current = { pid, obr: null, observations: [] };
+        groups.push(current);
+      }
+      current.observations.push(seg);
+    }
+  });
+  return groups;
+}
+
+// First subcomponent of a component in an already-parsed repetition
+export function repComponent(rep, component) {
+  const comp = rep[component - 1];
+  return (comp && comp[0]) || "";
+}
+
+// 53-bit hash (cyrb53) of a string in base 36, at most 11 characters
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+const FHIR_ID_MAX_LENGTH = 64;
+
+// FHIR id ([A-Za-z0-9\-.]{1,64}) for a resource keyed on values from a
+// message: a readable slug of the key, cut to fit, then a hash of the key
+// exactly as sent, so keys that slug alike ("ABC_1", "abc-1") stay apart
+export function hl7ResourceId(prefix, key) {
+  const hash = hashString(key);
+  const room = FHIR_ID_MAX_LENGTH - prefix.length - hash.length - 1;
+  const slug = key
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, "-")
+    .slice(0, Math.max(room, 0))
+    .replace(/^-+|-+$/g, "");
+  return prefix + (slug ? slug + "-" : "") + hash;
+}
+
+// HL7 YYYYMMDD[hhmmss] -> FHIR YYYY-MM-DD
+export function hl7DateToFhirDate(hl7) {
+  if (!hl7) return null;
+  const trimmed = hl7.trim();
+  if (trimmed.length < 8) return null;
+  const year = trimmed.slice(0, 4);
+  const month = trimmed.slice(4, 6);
+  const day = trimmed.slice(6, 8);
+  return year + "-" + month + "-" + day;
+}
+
+export function todayFhirDate() {
+  return toFHIRDate(new Date());
+}
@@ -0,0 +1,172 @@
+import fs from "fs";
+import path from "path";
+import {
+  hl7FirstSegment,
+  hl7Repetitions,
+  hl7Value,
+  parseHl7Message,
+} from "./parser";
+
+// The sample result shipped at the repo root (LF line endings)
+const SAMPLE_ORU = fs.readFileSync(
+  path.join(__dirname, "../../a1c-result-2025.txt"),
+  "utf8"
+);
+
+const ORU_SEGMENTS = [
+  "MSH|^~\\&|LABSYS|HOSPITAL|EHR|HOSPITAL|20250201103000||ORU^R01|123456|P|2.3",
+  "PID|1||12345^^^HOSP^MR||Doe^Jane||19650412|F",
+  "OBR|1||78901^LAB||HBA1C^Hemoglobin A1c|||20250131100000",
+  "OBX|1|NM|4548-4^HBA1C^Hemoglobin A1c||6.7|%|4.0-6.0|H|||F|||20250201101500",
+];
+
+// Same message with # | * @ ! $ as field, component, repetition, escape and
+// subcomponent separators
+const CUSTOM_SEPARATOR_ORU = [
+  "MSH#*@!$#LABSYS#HOSPITAL#EHR#HOSPITAL#20250201103000##ORU*R01#123457#P#2.5",
+  "PID#1##12345***HOSP*MR@A-998877***STATE*DL##Doe*Jane##19650412#F",
+  "OBR#1##78901*LAB##HBA1C*Hemoglobin A1c###20250131100000",
+  "OBX#1#ST#8251-1*Note##Fasting !F! repeat !S! 2 !E!!T!!R! end#####F",
+  "NTE#1##Sample drawn at lab$annex",
+].join("\r");
+
+function segmentSummary(message) {
+  return message.segments.map((seg) => ({ name: seg.name, raw: seg.raw }));
+}
+
+describe("parseHl7Message", () => {
+  test("parses the shipped sample with LF segment endings", () => {
+    const message = parseHl7Message(SAMPLE_ORU);
+    expect(message.segments.map((s) => s.name)).toEqual([
+      "MSH",
+      "PID",
+      "OBR",
+      "OBX",
+    ]);
+    const obx = hl7FirstSegment(message, "OBX");
+    expect(hl7Value(obx, 3, 1)).toBe("4548-4");
+    expect(hl7Value(obx, 5)).toBe("6.7");
+    expect(hl7Value(obx, 14)).toBe("20250201101500");
+  });
+
+  test("treats CRLF, CR and LF segment endings alike", () => {
+    const lf = parseHl7Message(ORU_SEGMENTS.join("\n"));
+    const cr = parseHl7Message(ORU_SEGMENTS.join("\r"));
+    const crlf = parseHl7Message(ORU_SEGMENTS.join("\r\n") + "\r\n");
+    expect(segmentSummary(lf)).toHaveLength(4);
+    expect(segmentSummary(crlf)).toEqual(segmentSummary(lf));
+    expect(segmentSummary(cr)).toEqual(segmentSummary(lf));
+    expect(hl7Value(hl7FirstSegment(crlf, "OBX"), 14)).toBe("20250201101500");
+  });
+
+  test("keeps MSH-1 and MSH-2 verbatim", () => {
+    const msh = hl7FirstSegment(parseHl7Message(SAMPLE_ORU), "MSH");
+    expect(hl7Value(msh, 1)).toBe("|");
+    expect(hl7Value(msh, 2)).toBe("^~\\&");
+    expect(hl7Value(msh, 9, 1)).toBe("ORU");
+    expect(hl7Value(msh, 9, 2)).toBe("R01");
+    expect(hl7Value(msh, 10)).toBe("123456");
+  });
+
+  test("reads the separators from MSH-1 and MSH-2", () => {
+    const message = parseHl7Message(CUSTOM_SEPARATOR_ORU);
+    expect(message.delimiters).toEqual({
+      field: "#",
+      component: "*",
+      repetition: "@",
+      escape: "!",
+      subcomponent: "$",
+    });
+    const msh = hl7FirstSegment(message, "MSH");
+    expect(hl7Value(msh, 2)).toBe("*@!$");
+    expect(hl7Value(msh, 9, 2)).toBe("R01");
+
+    const pid = hl7FirstSegment(message, "PID");
+    const ids = hl7Repetitions(pid, 3);
+    expect(ids).toHaveLength(2);
+    expect(hl7Value(pid, 3, 1, 1, 1)).toBe("A-998877");
+    expect(hl7Value(pid, 3, 4, 1, 1)).toBe("STATE");
+    expect(hl7Value(pid, 5, 2)).toBe("Jane");
+
+    const nte = hl7FirstSegment(message, "NTE");
+    expect(hl7Value(nte, 3, 1, 1)).toBe("Sample drawn at lab");
+    expect(hl7Value(nte, 3, 1, 2)).toBe("annex");
+  });
+
+  test("resolves escape sequences with the message's own separators", () => {
+    const custom = hl7FirstSegment(
+      parseHl7Message(CUSTOM_SEPARATOR_ORU),
+      "OBX"
+    );
+    expect(hl7Value(custom, 5)).toBe("Fasting # repeat * 2 !$@ end");
+
+    const standard = hl7FirstSegment(
+      parseHl7Message(
+        [
+          ORU_SEGMENTS[0],
+          "OBX|1|ST|8251-1^Note||A\\F\\B \\S\\ C \\E\\ D \\T\\ E \\R\\ F||||||F",
+        ].join("\r")
+      ),
+      "OBX"
+    );
+    expect(hl7Value(standard, 5)).toBe("A|B ^ C \\ D & E ~ F");
+  });
+
+  test("does not split on separators that were escaped", () => {
+    const obx = hl7FirstSegment(
+      parseHl7Message(
+        [ORU_SEGMENTS[0], "OBX|1|ST|X^Y||1\\S\\2\\R\\3||||||F"].join("\r")
+      ),
+      "OBX"
+    );
+    expect(hl7Repetitions(obx, 5)).toHaveLength(1);
+    expect(hl7Value(obx, 5, 1)).toBe("1^2~3");
+    expect(hl7Value(obx, 5, 2)).toBe("");
+  });
+
+  test("keeps empty fields, components and trailing fields in place", () => {
+    const message = parseHl7Message(ORU_SEGMENTS.join("\r"));
+    const pid = hl7FirstSegment(message, "PID");
+    expect(hl7Value(pid, 1)).toBe("1");
+    expect(hl7Value(pid, 2)).toBe("");
+    expect(hl7Repetitions(pid, 2)).toEqual([]);
+    expect(hl7Value(pid, 3, 1)).toBe("12345");
+    expect(hl7Value(pid, 3, 2)).toBe("");
+    expect(hl7Value(pid, 3, 4)).toBe("HOSP");
+    expect(hl7Value(pid, 7)).toBe("19650412");
+    expect(hl7Value(pid, 8)).toBe("F");
+    expect(hl7Value(pid, 30)).toBe("");
+
+    const trailing = hl7FirstSegment(
+      parseHl7Message([ORU_SEGMENTS[0], "PV1|1|O|||"].join("\r")),
+      "PV1"
+    );
+    expect(trailing.fields).toHaveLength(6);
+    expect(hl7Value(trailing, 2)).toBe("O");
+    expect(hl7Value(trailing, 5)).toBe("");
+  });
+
+  test("tolerates MLLP framing", () => {
+    const framed =
+      String.fromCharCode(0x0b) +
+      ORU_SEGMENTS.join("\r") +
+      String.fromCharCode(0x1c) +
+      "\r";
+    expect(segmentSummary(parseHl7Message(framed))).toEqual(
+      segmentSummary(parseHl7Message(ORU_SEGMENTS.join("\r")))
+    );
+  });
+
+  test("rejects empty input and messages without a leading MSH", () => {
+    expect(() => parseHl7Message("  \r\n")).toThrow("Empty HL7 message.");
+    let error = null;
+    try {
+      parseHl7Message(ORU_SEGMENTS.slice(1).join("\r"));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/must begin with an MSH segment/);
+    expect(error.hl7Code).toBe("100");
+    expect(error.hl7Location).toEqual({ segment: "MSH" });
+  });
+});
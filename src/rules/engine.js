@@ -0,0 +1,1130 @@
+/* =========================
+   CARE GAP ENGINE
+   ========================= */
+
+import {
+  addMonths,
+  bucketResources,
+  endOfDay,
+  formatFHIRDate,
+  getAge,
+  parseFHIRDate,
+  RESOURCE_BUCKETS,
+} from "../fhir/utils";
+import {
+  findValueSetMembers,
+  matchValueSet,
+  resourceConcepts,
+  VALUE_SETS,
+} from "./valueSets";
+
+// Best date for ordering clinical events of any resource type
+export function getResourceDate(resource) {
+  return (
+    resource.effectiveDateTime ||
+    (resource.effectivePeriod && resource.effectivePeriod.start) ||
+    (resource.period && resource.period.start) ||
+    resource.occurrenceDateTime ||
+    resource.performedDateTime ||
+    (resource.performedPeriod && resource.performedPeriod.start) ||
+    resource.issued ||
+    resource.authoredOn ||
+    resource.onsetDateTime ||
+    resource.recordedDate ||
+    resource.created ||
+    null
+  );
+}
+
+// Sortable time of a resource's date; undated resources sort first
+export function resourceTime(resource) {
+  const date = parseFHIRDate(getResourceDate(resource));
+  return date ? date.getTime() : 0;
+}
+
+// Resources dated on or before `cutoff`; undated ones are kept
+export function recordedBy(resources, cutoff) {
+  const limit = endOfDay(cutoff).getTime();
+  return resources.filter((r) => {
+    const date = parseFHIRDate(getResourceDate(r));
+    return !date || date.getTime() <= limit;
+  });
+}
+
+// Most recent member of a value set, as { resource, match }
+function findLatestMember(resources, valueSet) {
+  const relevant = findValueSetMembers(resources, valueSet);
+  relevant.sort((a, b) => resourceTime(b.resource) - resourceTime(a.resource));
+  return relevant[0];
+}
+
+// 'Condition "Hypertensive disorder"' for each member matched on text only
+function textMatchNotes(members) {
+  return members
+    .filter((m) => m && m.match.method === "text")
+    .map((m) => m.resource.resourceType + ' "' + m.match.text + '"');
+}
+
+function monthsBetween(d1, d2) {
+  const years = d2.getFullYear() - d1.getFullYear();
+  const months = d2.getMonth() - d1.getMonth();
+  return years * 12 + months;
+}
+
+export const MEASUREMENT_PERIOD_TYPES = {
+  rolling: "Rolling, back from the as-of date",
+  calendar: "Calendar year (HEDIS-style)",
+};
+
+// What the engine evaluates against:
+//   asOf   data cutoff; nothing recorded after this day is seen
+//   start/end  the measurement period. Age and lookback windows are taken
+//          at `end`: the as-of date itself for "rolling", Dec 31 of the
+//          as-of year for "calendar".
+export function getMeasurementPeriod(asOf, type) {
+  const date = asOf || new Date();
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (type === "calendar") {
+    return {
+      type,
+      asOf: day,
+      start: new Date(day.getFullYear(), 0, 1),
+      end: new Date(day.getFullYear(), 11, 31),
+    };
+  }
+  const start = addMonths(day, -12);
+  start.setDate(start.getDate() + 1);
+  return { type: "rolling", asOf: day, start, end: day };
+}
+
+// First day a qualifying event still counts for a rule's lookback
+export function lookbackStart(period, months) {
+  const start = addMonths(period.end, -months);
+  start.setDate(start.getDate() + 1);
+  return start;
+}
+
+// "Last A1c was {months} months ago" -> "Last A1c was 14 months ago"
+function fillTemplate(text, values) {
+  return String(text || "").replace(/\{(\w+)\}/g, (whole, key) =>
+    values[key] === undefined ? whole : values[key]
+  );
+}
+
+// The rules the app ships with. Each rule is plain data:
+//   eligibility  who the rule applies to (age range, gender, and value sets
+//                every one of which must match an active condition)
+//   event        the qualifying event: resourceType (or resourceTypes) and
+//                a value set
+//   lookbackMonths  how recent the latest event must be; omit for "ever"
+//   anyOf / allOf  instead of event + lookbackMonths: several events, each
+//                with its own lookbackMonths (and optional minAgeAtEvent),
+//                any one or all of which must be current
+//   missing / overdue  label and recommendation for each kind of gap. An
+//                overdue label may use {months} (age of the latest event),
+//                {event} (its name) and {missing} (events not current).
+//   exclusions   [{ resourceTypes, valueSet, lookbackMonths, reason }]; any
+//                match takes the patient out of the rule ("excluded"), as
+//                do DEFAULT_EXCLUSIONS, a recently declined test and an
+//                exception recorded in the app
+//   control      outcome rules: thresholds on the latest result's value
+//                ("value", "systolic" or "diastolic"; above / atLeast),
+//                with an `uncontrolled` label that may use {value}, {date}
+export const DEFAULT_CARE_GAP_RULES = [
+  {
+    id: "a1c",
+    title: "Diabetes: HbA1c testing",
+    eligibility: { conditions: ["diabetes"] },
+    event: { resourceType: "Observation", valueSet: "hba1c" },
+    lookbackMonths: 12,
+    severity: "high",
+    missing: {
+      label: "No historical A1c found for diabetic patient",
+      recommendation: "Order Hemoglobin A1c test.",
+    },
+    overdue: {
+      label: "Last A1c was {months} months ago",
+      recommendation: "Order repeat A1c; patient is overdue.",
+    },
+  },
+  {
+    id: "bp",
+    title: "Hypertension: blood pressure monitoring",
+    eligibility: { conditions: ["hypertension"] },
+    event: { resourceType: "Observation", valueSet: "bloodPressure" },
+    lookbackMonths: 6,
+    severity: "medium",
+    missing: {
+      label: "No blood pressure readings for hypertensive patient",
+      recommendation:
+        "Record blood pressure at next encounter or schedule a nurse visit.",
+    },
+    overdue: {
+      label: "Last BP was {months} months ago",
+      recommendation: "Schedule follow-up BP check.",
+    },
+  },
+  {
+    id: "mammo",
+    title: "Breast cancer screening",
+    eligibility: { gender: "female", minAge: 50, maxAge: 74 },
+    event: {
+      resourceTypes: ["Observation", "Procedure", "DiagnosticReport"],
+      valueSet: "mammography",
+    },
+    exclusions: [
+      {
+        resourceTypes: ["Condition", "Procedure"],
+        valueSet: "bilateralMastectomy",
+      },
+    ],
+    severity: "medium",
+    missing: {
+      label: "No mammogram on record (age 50–74)",
+      recommendation: "Order screening mammogram.",
+    },
+  },
+  {
+    id: "awv",
+    title: "Annual wellness visit",
+    eligibility: {},
+    event: { resourceType: "Encounter", valueSet: "wellnessVisit" },
+    lookbackMonths: 12,
+    severity: "low",
+    missing: {
+      label: "No annual wellness visit on record",
+      recommendation: "Schedule an annual wellness visit.",
+    },
+    overdue: {
+      label: "Last annual wellness visit was {months} months ago",
+      recommendation: "Schedule next annual wellness visit.",
+    },
+  },
+  {
+    id: "a1c-control",
+    title: "Diabetes: HbA1c control (≤ 9%)",
+    eligibility: { conditions: ["diabetes"] },
+    event: { resourceType: "Observation", valueSet: "hba1c" },
+    lookbackMonths: 12,
+    control: { thresholds: [{ value: "value", above: 9 }] },
+    severity: "high",
+    uncontrolled: {
+      label: "Poor A1c control: last result {value}",
+      recommendation:
+        "Intensify diabetes management and recheck A1c in 3 months.",
+    },
+  },
+  {
+    id: "bp-control",
+    title: "Hypertension: blood pressure control (< 140/90)",
+    eligibility: { conditions: ["hypertension"] },
+    event: { resourceType: "Observation", valueSet: "bloodPressure" },
+    lookbackMonths: 12,
+    control: {
+      thresholds: [
+        { value: "systolic", atLeast: 140 },
+        { value: "diastolic", atLeast: 90 },
+      ],
+    },
+    severity: "high",
+    uncontrolled: {
+      label: "Uncontrolled blood pressure: last reading {value}",
+      recommendation:
+        "Review antihypertensive therapy and recheck BP within 4 weeks.",
+    },
+  },
+  {
+    id: "colorectal",
+    title: "Colorectal cancer screening",
+    eligibility: { minAge: 45, maxAge: 75 },
+    anyOf: [
+      {
+        resourceTypes: ["Procedure", "Observation", "DiagnosticReport"],
+        valueSet: "colonoscopy",
+        lookbackMonths: 120,
+      },
+      {
+        resourceTypes: ["Observation", "DiagnosticReport"],
+        valueSet: "fecalOccultBlood",
+        lookbackMonths: 12,
+      },
+      {
+        resourceTypes: ["Observation", "DiagnosticReport"],
+        valueSet: "stoolDna",
+        lookbackMonths: 36,
+      },
+      {
+        resourceTypes: ["Procedure", "DiagnosticReport"],
+        valueSet: "ctColonography",
+        lookbackMonths: 60,
+      },
+      {
+        resourceTypes: ["Procedure", "DiagnosticReport"],
+        valueSet: "flexibleSigmoidoscopy",
+        lookbackMonths: 60,
+      },
+    ],
+    exclusions: [
+      { resourceTypes: ["Condition"], valueSet: "colorectalCancer" },
+      { resourceTypes: ["Procedure"], valueSet: "totalColectomy" },
+    ],
+    severity: "medium",
+    missing: {
+      label: "No colorectal cancer screening on record (age 45–75)",
+      recommendation:
+        "Offer colonoscopy, annual FIT or stool DNA test every 3 years.",
+    },
+    overdue: {
+      label: "Colorectal screening overdue: last {event} {months} months ago",
+      recommendation:
+        "Offer colonoscopy, annual FIT or stool DNA test every 3 years.",
+    },
+  },
+  {
+    id: "cervical",
+    title: "Cervical cancer screening",
+    eligibility: { gender: "female", minAge: 21, maxAge: 64 },
+    anyOf: [
+      {
+        resourceTypes: ["Observation", "DiagnosticReport", "Procedure"],
+        valueSet: "cervicalCytology",
+        lookbackMonths: 36,
+      },
+      {
+        resourceTypes: ["Observation", "DiagnosticReport"],
+        valueSet: "hpvTest",
+        lookbackMonths: 60,
+        minAgeAtEvent: 30,
+      },
+    ],
+    exclusions: [
+      {
+        resourceTypes: ["Condition", "Procedure"],
+        valueSet: "hysterectomyNoCervix",
+      },
+    ],
+    severity: "medium",
+    missing: {
+      label: "No cervical cancer screening on record (age 21–64)",
+      recommendation:
+        "Order cytology every 3 years, or hrHPV every 5 years from age 30.",
+    },
+    overdue: {
+      label: "Cervical screening overdue: last {event} {months} months ago",
+      recommendation:
+        "Order cytology every 3 years, or hrHPV every 5 years from age 30.",
+    },
+  },
+  {
+    id: "eye",
+    title: "Diabetes: retinal eye exam",
+    eligibility: { minAge: 18, maxAge: 75, conditions: ["diabetes"] },
+    anyOf: [
+      {
+        resourceTypes: ["Procedure", "Observation", "DiagnosticReport"],
+        valueSet: "retinalEyeExam",
+        lookbackMonths: 12,
+      },
+      {
+        resourceTypes: ["Procedure", "Observation", "DiagnosticReport"],
+        valueSet: "retinopathyNegative",
+        lookbackMonths: 24,
+      },
+    ],
+    severity: "medium",
+    missing: {
+      label: "No retinal eye exam on record for diabetic patient",
+      recommendation: "Refer for a dilated retinal eye exam.",
+    },
+    overdue: {
+      label: "Last retinal eye exam was {months} months ago",
+      recommendation: "Refer for a dilated retinal eye exam.",
+    },
+  },
+  {
+    id: "kidney",
+    title: "Diabetes: kidney health evaluation",
+    eligibility: { minAge: 18, maxAge: 85, conditions: ["diabetes"] },
+    allOf: [
+      { resourceType: "Observation", valueSet: "egfr", lookbackMonths: 12 },
+      {
+        resourceType: "Observation",
+        valueSet: "urineAlbuminCreatinine",
+        lookbackMonths: 12,
+      },
+    ],
+    exclusions: [
+      { resourceTypes: ["Condition", "Procedure"], valueSet: "esrd" },
+    ],
+    severity: "medium",
+    missing: {
+      label: "No kidney health evaluation on record for diabetic patient",
+      recommendation: "Order eGFR and urine albumin-creatinine ratio.",
+    },
+    overdue: {
+      label: "Kidney health evaluation incomplete: no {missing} in 12 months",
+      recommendation: "Order the missing test(s): {missing}.",
+    },
+  },
+  {
+    id: "statin-male",
+    title: "Statin therapy for cardiovascular disease (men)",
+    eligibility: {
+      gender: "male",
+      minAge: 21,
+      maxAge: 75,
+      conditions: ["ascvd"],
+    },
+    event: {
+      resourceTypes: ["MedicationRequest", "MedicationStatement"],
+      valueSet: "statin",
+    },
+    lookbackMonths: 12,
+    exclusions: [
+      { resourceTypes: ["Condition", "Procedure"], valueSet: "esrd" },
+    ],
+    severity: "high",
+    missing: {
+      label: "No statin on record for patient with ASCVD",
+      recommendation: "Start moderate- or high-intensity statin therapy.",
+    },
+    overdue: {
+      label: "No statin in the last 12 months (last {months} months ago)",
+      recommendation: "Review and restart statin therapy.",
+    },
+  },
+  {
+    id: "statin-female",
+    title: "Statin therapy for cardiovascular disease (women)",
+    eligibility: {
+      gender: "female",
+      minAge: 40,
+      maxAge: 75,
+      conditions: ["ascvd"],
+    },
+    event: {
+      resourceTypes: ["MedicationRequest", "MedicationStatement"],
+      valueSet: "statin",
+    },
+    lookbackMonths: 12,
+    exclusions: [
+      { resourceTypes: ["Condition", "Procedure"], valueSet: "esrd" },
+    ],
+    severity: "high",
+    missing: {
+      label: "No statin on record for patient with ASCVD",
+      recommendation: "Start moderate- or high-intensity statin therapy.",
+    },
+    overdue: {
+      label: "No statin in the last 12 months (last {months} months ago)",
+      recommendation: "Review and restart statin therapy.",
+    },
+  },
+];
+
+const RULE_SEVERITIES = ["high", "medium", "low"];
+
+// Exclusions every rule honours on top of its own `exclusions`
+export const DEFAULT_EXCLUSIONS = [
+  {
+    resourceTypes: ["Encounter", "Procedure", "Condition", "Observation"],
+    valueSet: "hospice",
+    lookbackMonths: 12,
+  },
+];
+
+// A test declined within this many months of the end of the measurement
+// period (the same window as a lookback) excuses the gap
+const REFUSAL_LOOKBACK_MONTHS = 12;
+
+// Care gap exceptions recorded in the app are Basic resources with this code
+const CARE_GAP_EXCEPTION_CODE = {
+  system: "http://hospital.example.org/fhir/CodeSystem/care-gap",
+  code: "exception",
+  display: "Care gap exception",
+};
+const CARE_GAP_EXTENSION_URL =
+  "http://hospital.example.org/fhir/StructureDefinition/care-gap-";
+
+const INACTIVE_STATUSES = ["not-done", "entered-in-error", "cancelled"];
+
+// Evidence that was never done or was recorded in error doesn't count
+export function isUsableEvidence(resource) {
+  return INACTIVE_STATUSES.indexOf(resource.status) === -1;
+}
+
+function isActiveCondition(condition) {
+  const status = condition.clinicalStatus;
+  if (!status) return true;
+  const codes = (status.coding || []).map((c) => c.code);
+  if (status.text) codes.push(status.text.toLowerCase());
+  return !codes.some(
+    (c) => c === "inactive" || c === "resolved" || c === "remission"
+  );
+}
+
+// Why the patient is outside the rule's eligibility, or null if eligible
+function ruleIneligibility(rule, patient, conditions, valueSets, period) {
+  const criteria = rule.eligibility || {};
+  const age = getAge(patient.birthDate, period.end);
+  if (criteria.gender && patient.gender !== criteria.gender) {
+    return "Applies to " + criteria.gender + " patients";
+  }
+  if (criteria.minAge !== undefined && !(age >= criteria.minAge)) {
+    return "Applies from age " + criteria.minAge;
+  }
+  if (criteria.maxAge !== undefined && !(age <= criteria.maxAge)) {
+    return "Applies up to age " + criteria.maxAge;
+  }
+  const missing = (criteria.conditions || []).find(
+    (id) => findValueSetMembers(conditions, valueSets[id]).length === 0
+  );
+  if (missing) return "No " + valueSets[missing].name + " on the problem list";
+  return null;
+}
+
+// A rule's qualifying events as { mode: "anyOf" | "allOf", events }. A
+// plain `event` is a one-event anyOf that uses the rule's own lookback.
+export function ruleEvents(rule) {
+  if (rule.allOf) return { mode: "allOf", events: rule.allOf };
+  if (rule.anyOf) return { mode: "anyOf", events: rule.anyOf };
+  return {
+    mode: "anyOf",
+    events: rule.event
+      ? [{ ...rule.event, lookbackMonths: rule.lookbackMonths }]
+      : [],
+  };
+}
+
+function eventResourceTypes(event) {
+  return (
+    event.resourceTypes || (event.resourceType ? [event.resourceType] : [])
+  );
+}
+
+export function eventName(event, valueSets) {
+  const valueSet = valueSets[event.valueSet];
+  return event.label || (valueSet && valueSet.name) || event.valueSet;
+}
+
+// Resources that could be evidence for an event: the right types, recorded
+// by the as-of date and, if the event asks, done at a minimum age
+function eventCandidates(event, patient, resources, period) {
+  let candidates = [];
+  eventResourceTypes(event).forEach((type) => {
+    const bucket = resources[RESOURCE_BUCKETS[type]] || [];
+    candidates = candidates.concat(
+      bucket.filter((r) => r.resourceType === type && isUsableEvidence(r))
+    );
+  });
+  candidates = recordedBy(candidates, period.asOf);
+  if (event.minAgeAtEvent !== undefined) {
+    // e.g. an HPV test only counts if done at 30 or older
+    candidates = candidates.filter((r) => {
+      const date = parseFHIRDate(getResourceDate(r));
+      return date && getAge(patient.birthDate, date) >= event.minAgeAtEvent;
+    });
+  }
+  return candidates;
+}
+
+// First denominator exclusion the record meets, as { kind: "exclusion",
+// reason, resource }. Exclusion conditions must still be active; a
+// lookbackMonths on the exclusion limits how far back it is looked for.
+function findExclusion(rule, patient, resources, context) {
+  const exclusions = (context.exclusions || []).concat(rule.exclusions || []);
+  let found = null;
+  exclusions.some((exclusion) => {
+    const valueSet = context.valueSets[exclusion.valueSet];
+    const candidates = eventCandidates(
+      exclusion,
+      patient,
+      resources,
+      context.period
+    ).filter((r) => r.resourceType !== "Condition" || isActiveCondition(r));
+    const latest = findLatestMember(candidates, valueSet);
+    if (!latest) return false;
+    const lookback = exclusion.lookbackMonths;
+    if (lookback !== undefined && lookback !== null) {
+      const date = parseFHIRDate(getResourceDate(latest.resource));
+      if (!date || date < lookbackStart(context.period, lookback)) {
+        return false;
+      }
+    }
+    found = {
+      kind: "exclusion",
+      reason: exclusion.reason || valueSet.name,
+      resource: latest.resource,
+    };
+    return true;
+  });
+  return found;
+}
+
+// A test the patient declined recently: a not-done Procedure for it, or a
+// refusal Observation whose value names it
+function findRefusal(rule, resources, valueSets, period) {
+  const since = lookbackStart(period, REFUSAL_LOOKBACK_MONTHS);
+  const recent = (r) => {
+    const date = parseFHIRDate(getResourceDate(r));
+    return !!date && date >= since && date <= endOfDay(period.asOf);
+  };
+  const refusals = (resources.observations || []).filter(
+    (o) =>
+      isUsableEvidence(o) &&
+      recent(o) &&
+      matchValueSet(resourceConcepts(o), valueSets.patientRefusal)
+  );
+  const notDone = (resources.procedures || []).filter(
+    (p) => p.status === "not-done" && recent(p)
+  );
+
+  let found = null;
+  ruleEvents(rule).events.some((event) => {
+    const valueSet = valueSets[event.valueSet];
+    const declined =
+      notDone.find((p) => matchValueSet(resourceConcepts(p), valueSet)) ||
+      refusals.find(
+        (o) =>
+          o.valueCodeableConcept &&
+          matchValueSet([o.valueCodeableConcept], valueSet)
+      );
+    if (declined) {
+      found = {
+        kind: "refusal",
+        reason: "Patient declined " + eventName(event, valueSets),
+        resource: declined,
+      };
+    }
+    return !!found;
+  });
+  return found;
+}
+
+export function careGapExtension(resource, name) {
+  const ext = (resource.extension || []).find(
+    (e) => e.url === CARE_GAP_EXTENSION_URL + name
+  );
+  return ext ? ext.valueString || ext.valueDate : undefined;
+}
+
+function isCareGapException(resource) {
+  return (
+    resource.resourceType === "Basic" &&
+    !!resource.code &&
+    (resource.code.coding || []).some(
+      (c) =>
+        c.system === CARE_GAP_EXCEPTION_CODE.system &&
+        c.code === CARE_GAP_EXCEPTION_CODE.code
+    )
+  );
+}
+
+// An exception a clinician recorded in the app for this rule, in force on
+// the as-of date
+function findRecordedException(rule, resources, period) {
+  const asOf = period.asOf;
+  const resource = (resources.basics || []).find((r) => {
+    if (!isCareGapException(r) || careGapExtension(r, "rule") !== rule.id) {
+      return false;
+    }
+    const from = parseFHIRDate(r.created);
+    const until = parseFHIRDate(careGapExtension(r, "until"));
+    return (!from || from <= asOf) && (!until || asOf <= until);
+  });
+  if (!resource) return null;
+  const until = careGapExtension(resource, "until");
+  return {
+    kind: "exception",
+    reason:
+      careGapExtension(resource, "reason") +
+      (until ? " (until " + formatFHIRDate(until) + ")" : ""),
+    resource,
+  };
+}
+
+// Basic resource recording a clinician's exception for one rule
+export function buildCareGapException(patientId, ruleId, reason, from, until) {
+  return {
+    resourceType: "Basic",
+    id: "gap-exception-" + ruleId + "-" + Date.now(),
+    code: { coding: [CARE_GAP_EXCEPTION_CODE] },
+    subject: { reference: "Patient/" + patientId },
+    created: from,
+    extension: [
+      { url: CARE_GAP_EXTENSION_URL + "rule", valueString: ruleId },
+      { url: CARE_GAP_EXTENSION_URL + "reason", valueString: reason },
+      { url: CARE_GAP_EXTENSION_URL + "until", valueDate: until },
+    ],
+  };
+}
+
+// Latest evidence for one qualifying event:
+// { event, status: "met" | "overdue" | "missing", latest, lastDate }
+function evaluateEvent(event, patient, resources, valueSets, period) {
+  const candidates = eventCandidates(event, patient, resources, period);
+  const latest = findLatestMember(candidates, valueSets[event.valueSet]);
+  if (!latest) return { event, status: "missing" };
+
+  const lastDate = getResourceDate(latest.resource);
+  const last = parseFHIRDate(lastDate);
+  const inWindow =
+    event.lookbackMonths === undefined ||
+    event.lookbackMonths === null ||
+    (!!last && last >= lookbackStart(period, event.lookbackMonths));
+  return { event, status: inWindow ? "met" : "overdue", latest, lastDate };
+}
+
+// Evaluate one rule for one patient:
+// { rule, status: "not-eligible" | "met" | "gap", reason, events, latest,
+//   lastDate, gap }
+function evaluateRule(rule, patient, resources, options) {
+  const opts = options || {};
+  const valueSets = opts.valueSets || VALUE_SETS;
+  const period = opts.period || getMeasurementPeriod(new Date(), "rolling");
+  const conditions = recordedBy(resources.conditions || [], period.asOf).filter(
+    isActiveCondition
+  );
+  const reason = ruleIneligibility(
+    rule,
+    patient,
+    conditions,
+    valueSets,
+    period
+  );
+  if (reason) return { rule, status: "not-eligible", reason };
+
+  const criteria = rule.eligibility || {};
+  const qualifying = (criteria.conditions || []).reduce(
+    (all, id) => all.concat(findValueSetMembers(conditions, valueSets[id])),
+    []
+  );
+  const exclusion =
+    findExclusion(rule, patient, resources, {
+      valueSets,
+      period,
+      exclusions: opts.exclusions || DEFAULT_EXCLUSIONS,
+    }) ||
+    findRefusal(rule, resources, valueSets, period) ||
+    findRecordedException(rule, resources, period);
+  if (exclusion) {
+    return {
+      rule,
+      status: "excluded",
+      reason: exclusion.reason,
+      exclusion,
+    };
+  }
+  if (rule.control) {
+    return evaluateControlRule(
+      rule,
+      patient,
+      resources,
+      { valueSets, period },
+      qualifying
+    );
+  }
+  const group = ruleEvents(rule);
+  const events = group.events.map((event) =>
+    evaluateEvent(event, patient, resources, valueSets, period)
+  );
+  const found = events
+    .filter((e) => e.latest)
+    .sort(
+      (a, b) =>
+        resourceTime(b.latest.resource) - resourceTime(a.latest.resource)
+    );
+  const newest = found[0];
+  const met =
+    group.mode === "allOf"
+      ? events.every((e) => e.status === "met")
+      : events.some((e) => e.status === "met");
+
+  if (met) {
+    return {
+      rule,
+      status: "met",
+      events,
+      latest: newest.latest,
+      lastDate: newest.lastDate,
+    };
+  }
+
+  if (!newest) {
+    return {
+      rule,
+      status: "gap",
+      events,
+      gap: {
+        id: "gap-" + rule.id + "-none",
+        ruleId: rule.id,
+        label: rule.missing.label,
+        severity: rule.severity,
+        recommendation: rule.missing.recommendation,
+        textMatches: textMatchNotes(qualifying),
+      },
+    };
+  }
+
+  const last = parseFHIRDate(newest.lastDate);
+  const values = {
+    months: last ? monthsBetween(last, period.asOf) : "?",
+    event: eventName(newest.event, valueSets),
+    missing: events
+      .filter((e) => e.status !== "met")
+      .map((e) => eventName(e.event, valueSets))
+      .join(" and "),
+  };
+  const overdue = rule.overdue || rule.missing;
+  return {
+    rule,
+    status: "gap",
+    events,
+    latest: newest.latest,
+    lastDate: newest.lastDate,
+    gap: {
+      id: "gap-" + rule.id + "-stale",
+      ruleId: rule.id,
+      label: fillTemplate(overdue.label, values),
+      severity: rule.severity,
+      lastDate: newest.lastDate,
+      recommendation: fillTemplate(overdue.recommendation, values),
+      textMatches: textMatchNotes(
+        qualifying.concat(found.map((e) => e.latest))
+      ),
+    },
+  };
+}
+
+// Numbers a result carries: `value` (and `unit`) from valueQuantity or a
+// numeric valueString; `systolic` / `diastolic` from "140/92", a ratio, BP
+// components, or a stand-alone systolic or diastolic observation
+export function extractResultValues(resource) {
+  const values = {};
+  const quantity = resource.valueQuantity;
+  if (quantity && typeof quantity.value === "number") {
+    values.value = quantity.value;
+    values.unit = quantity.unit || quantity.code || "";
+  }
+  if (typeof resource.valueString === "string") {
+    const bp = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/.exec(
+      resource.valueString
+    );
+    if (bp) {
+      values.systolic = Number(bp[1]);
+      values.diastolic = Number(bp[2]);
+    } else if (!isNaN(parseFloat(resource.valueString))) {
+      values.value = parseFloat(resource.valueString);
+    }
+  }
+  const ratio = resource.valueRatio;
+  if (ratio && ratio.numerator && ratio.denominator) {
+    values.systolic = ratio.numerator.value;
+    values.diastolic = ratio.denominator.value;
+  }
+  [resource].concat(resource.component || []).forEach((part) => {
+    const q = part.valueQuantity;
+    if (!part.code || !q || typeof q.value !== "number") return;
+    if (matchValueSet([part.code], VALUE_SETS.systolicBloodPressure)) {
+      values.systolic = q.value;
+    } else if (matchValueSet([part.code], VALUE_SETS.diastolicBloodPressure)) {
+      values.diastolic = q.value;
+    }
+  });
+  return values;
+}
+
+// The value a control rule judges, HEDIS-style: the most recent day with a
+// reading for every threshold, taking the lowest of each on that day.
+// Returns { date, values, members } or null.
+function representativeResult(members, names) {
+  const byDay = {};
+  members.forEach((m) => {
+    const date = getResourceDate(m.resource);
+    if (!date) return;
+    const day = date.slice(0, 10);
+    const values = extractResultValues(m.resource);
+    const entry = byDay[day] || { date, values: {}, members: [] };
+    names.forEach((name) => {
+      if (typeof values[name] !== "number") return;
+      if (
+        entry.values[name] === undefined ||
+        values[name] < entry.values[name]
+      ) {
+        entry.values[name] = values[name];
+        if (name === "value") entry.values.unit = values.unit;
+      }
+    });
+    entry.members.push(m);
+    byDay[day] = entry;
+  });
+  const days = Object.keys(byDay)
+    .filter((day) =>
+      names.every((name) => byDay[day].values[name] !== undefined)
+    )
+    .sort();
+  return days.length > 0 ? byDay[days[days.length - 1]] : null;
+}
+
+export function formatResultValues(values) {
+  if (values.systolic !== undefined && values.diastolic !== undefined) {
+    return values.systolic + "/" + values.diastolic + " mmHg";
+  }
+  if (!values.unit) return String(values.value);
+  return values.value + (values.unit === "%" ? "%" : " " + values.unit);
+}
+
+// A threshold is breached when the value is above `above` or at least
+// `atLeast`, e.g. { value: "systolic", atLeast: 140 }
+function thresholdBreached(threshold, values) {
+  const value = values[threshold.value];
+  if (typeof value !== "number") return false;
+  if (threshold.above !== undefined && value > threshold.above) return true;
+  return threshold.atLeast !== undefined && value >= threshold.atLeast;
+}
+
+// Outcome rules: judge the latest result's value against control.thresholds.
+// With no usable result, or none inside the rule's lookback, the rule
+// reports "no-data" and leaves it to the testing rule to raise a gap.
+function evaluateControlRule(rule, patient, resources, context, qualifying) {
+  const valueSets = context.valueSets;
+  const period = context.period;
+  const thresholds = rule.control.thresholds;
+  const names = [];
+  thresholds.forEach((t) => {
+    if (names.indexOf(t.value) === -1) names.push(t.value);
+  });
+  let members = [];
+  ruleEvents(rule).events.forEach((event) => {
+    members = members.concat(
+      findValueSetMembers(
+        eventCandidates(event, patient, resources, period),
+        valueSets[event.valueSet]
+      )
+    );
+  });
+  const result = representativeResult(members, names);
+  if (!result) {
+    return { rule, status: "no-data", reason: "No result to judge control" };
+  }
+  const lookback = rule.lookbackMonths;
+  if (
+    lookback !== undefined &&
+    lookback !== null &&
+    parseFHIRDate(result.date) < lookbackStart(period, lookback)
+  ) {
+    return {
+      rule,
+      status: "no-data",
+      reason: "No result in the last " + lookback + " months to judge control",
+    };
+  }
+
+  const display = formatResultValues(result.values);
+  if (!thresholds.some((t) => thresholdBreached(t, result.values))) {
+    return {
+      rule,
+      status: "met",
+      lastDate: result.date,
+      value: display,
+      members: result.members,
+    };
+  }
+  const values = {
+    value: display,
+    date: formatFHIRDate(result.date.slice(0, 10)),
+  };
+  return {
+    rule,
+    status: "gap",
+    lastDate: result.date,
+    value: display,
+    members: result.members,
+    gap: {
+      id: "gap-" + rule.id + "-uncontrolled",
+      ruleId: rule.id,
+      label: fillTemplate(rule.uncontrolled.label, values),
+      severity: rule.severity,
+      lastDate: result.date,
+      value: display,
+      recommendation: fillTemplate(rule.uncontrolled.recommendation, values),
+      textMatches: textMatchNotes(qualifying.concat(result.members)),
+    },
+  };
+}
+
+export function evaluateCareGapRules(patient, resources, rules, options) {
+  if (!patient || !resources) return [];
+  return (rules || DEFAULT_CARE_GAP_RULES).map((rule) =>
+    evaluateRule(rule, patient, resources, options)
+  );
+}
+
+// Evaluate every rule for every patient in the panel.
+//   patients: [{ patient, age, results, gaps, bySeverity }]
+//   measures: [{ rule, denominator, numerator, excluded, rate, open }]
+// A measure's denominator is everyone eligible and not excluded; the
+// numerator is those who meet it; `open` lists the ids of the rest. A
+// control rule with no result to judge ("no-data") leaves the patient out:
+// the testing rule carries that gap.
+export function evaluatePanel(patients, resourceIndex, rules, options) {
+  const activeRules = rules || DEFAULT_CARE_GAP_RULES;
+  const period = (options && options.period) || getMeasurementPeriod();
+  const rows = patients.map((patient) => {
+    const results = evaluateCareGapRules(
+      patient,
+      resourceIndex[patient.id] || bucketResources([]),
+      activeRules,
+      { ...options, period }
+    );
+    const gaps = results.filter((r) => r.gap).map((r) => r.gap);
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    gaps.forEach((g) => {
+      bySeverity[g.severity] = (bySeverity[g.severity] || 0) + 1;
+    });
+    return {
+      patient,
+      age: getAge(patient.birthDate, period.asOf),
+      results,
+      gaps,
+      bySeverity,
+    };
+  });
+
+  const measures = activeRules.map((rule, idx) => {
+    const measure = {
+      rule,
+      denominator: 0,
+      numerator: 0,
+      excluded: 0,
+      open: [],
+    };
+    rows.forEach((row) => {
+      const status = row.results[idx].status;
+      if (status === "not-eligible" || status === "no-data") return;
+      if (status === "excluded") {
+        measure.excluded++;
+        return;
+      }
+      measure.denominator++;
+      if (status === "met") measure.numerator++;
+      else measure.open.push(row.patient.id);
+    });
+    measure.rate =
+      measure.denominator > 0 ? measure.numerator / measure.denominator : null;
+    return measure;
+  });
+
+  return { patients: rows, measures };
+}
+
+// Turn a rule pack file into { name, version, rules, valueSets, exclusions }.
+// A pack may bring its own value sets (with `text` as a regex string)
+// alongside the bundled ones; anything a rule refers to must exist in one or
+// the other. Pack-level `exclusions` replace DEFAULT_EXCLUSIONS.
+export function parseRulePack(json, fileName) {
+  if (!json || !Array.isArray(json.rules) || json.rules.length === 0) {
+    throw new Error('Rule pack must have a non-empty "rules" array.');
+  }
+  const valueSets = { ...VALUE_SETS };
+  Object.keys(json.valueSets || {}).forEach((id) => {
+    const vs = json.valueSets[id];
+    if (!vs || !Array.isArray(vs.include)) {
+      throw new Error("Value set " + id + ' needs an "include" array.');
+    }
+    valueSets[id] = {
+      name: vs.name || id,
+      include: vs.include,
+      text: vs.text ? new RegExp(vs.text, "i") : null,
+    };
+  });
+
+  const problems = [];
+  const seen = {};
+  json.rules.forEach((rule, idx) => {
+    const where = "Rule " + (rule && rule.id ? rule.id : "#" + (idx + 1));
+    if (!rule || !rule.id) problems.push(where + ": missing id");
+    else if (seen[rule.id]) problems.push(where + ": duplicate id");
+    else seen[rule.id] = true;
+    const events = rule ? ruleEvents(rule).events : [];
+    if (events.length === 0) {
+      problems.push(where + ": needs an event, anyOf or allOf");
+    }
+    events.concat((rule && rule.exclusions) || []).forEach((event) => {
+      const types = eventResourceTypes(event);
+      if (types.length === 0 || types.some((t) => !RESOURCE_BUCKETS[t])) {
+        problems.push(
+          where + ": unsupported resource type in " + types.join(", ")
+        );
+      }
+      if (!valueSets[event.valueSet]) {
+        problems.push(where + ": unknown value set " + event.valueSet);
+      }
+    });
+    ((rule && rule.eligibility && rule.eligibility.conditions) || []).forEach(
+      (id) => {
+        if (!valueSets[id]) problems.push(where + ": unknown value set " + id);
+      }
+    );
+    if (rule && RULE_SEVERITIES.indexOf(rule.severity) === -1) {
+      problems.push(where + ": severity must be high, medium or low");
+    }
+    if (rule && rule.control) {
+      if (!Array.isArray(rule.control.thresholds)) {
+        problems.push(where + ": control.thresholds must be an array");
+      }
+      if (!rule.uncontrolled || !rule.uncontrolled.label) {
+        problems.push(where + ": uncontrolled.label is required");
+      }
+    } else if (!rule || !rule.missing || !rule.missing.label) {
+      problems.push(where + ": missing.label is required");
+    }
+  });
+  (json.exclusions || []).forEach((exclusion) => {
+    if (!valueSets[exclusion.valueSet]) {
+      problems.push("Exclusions: unknown value set " + exclusion.valueSet);
+    }
+  });
+  if (problems.length > 0) throw new Error(problems.join("\n"));
+
+  return {
+    name: json.name || fileName || "Rule pack",
+    version: json.version || "",
+    rules: json.rules,
+    valueSets,
+    exclusions: json.exclusions || DEFAULT_EXCLUSIONS,
+  };
+}
+
+// "Colonoscopy (120 mo) or FIT / FOBT (12 mo)" for the rules view
+export function describeRuleEvents(rule, valueSets) {
+  const group = ruleEvents(rule);
+  return group.events
+    .map(
+      (event) =>
+        eventName(event, valueSets) +
+        (event.lookbackMonths === undefined || event.lookbackMonths === null
+          ? " (ever)"
+          : " (" + event.lookbackMonths + " mo)")
+    )
+    .join(group.mode === "allOf" ? " and " : " or ");
+}
+
+// One-line description of a rule's eligibility for the rules view
+export function describeEligibility(rule, valueSets) {
+  const criteria = rule.eligibility || {};
+  const parts = [];
+  if (criteria.gender) parts.push(criteria.gender);
+  if (criteria.minAge !== undefined || criteria.maxAge !== undefined) {
+    parts.push(
+      "age " +
+        (criteria.minAge !== undefined ? criteria.minAge : 0) +
+        "–" +
+        (criteria.maxAge !== undefined ? criteria.maxAge : "any")
+    );
+  }
+  (criteria.conditions || []).forEach((id) => {
+    parts.push((valueSets[id] && valueSets[id].name) || id);
+  });
+  return parts.length > 0 ? parts.join(", ") : "All patients";
+}
@@ -0,0 +1,625 @@
+import fs from "fs";
+import path from "path";
+import { bucketResources } from "../fhir/utils";
+import {
+  DEFAULT_CARE_GAP_RULES,
+  DEFAULT_EXCLUSIONS,
+  describeEligibility,
+  describeRuleEvents,
+  evaluateCareGapRules,
+  evaluatePanel,
+  getMeasurementPeriod,
+  lookbackStart,
+  parseRulePack,
+} from "./engine";
+import { VALUE_SETS } from "./valueSets";
+
+const LOINC = "http://loinc.org";
+const ICD10CM = "http://hl7.org/fhir/sid/icd-10-cm";
+const CPT = "http://www.ama-assn.org/go/cpt";
+
+const PATIENT = {
+  resourceType: "Patient",
+  id: "pt-1",
+  gender: "female",
+  birthDate: "1965-04-12",
+};
+
+function condition(id, code) {
+  return {
+    resourceType: "Condition",
+    id,
+    subject: { reference: "Patient/pt-1" },
+    code: { coding: [{ system: ICD10CM, code }] },
+    onsetDateTime: "2019-03-04",
+  };
+}
+
+function a1c(id, date, value) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    subject: { reference: "Patient/pt-1" },
+    code: { coding: [{ system: LOINC, code: "4548-4" }] },
+    effectiveDateTime: date,
+    valueQuantity: { value, unit: "%" },
+  };
+}
+
+function bp(id, date, systolic, diastolic) {
+  const component = (code, value) => ({
+    code: { coding: [{ system: LOINC, code }] },
+    valueQuantity: { value, unit: "mm[Hg]" },
+  });
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    subject: { reference: "Patient/pt-1" },
+    code: { coding: [{ system: LOINC, code: "85354-9" }] },
+    effectiveDateTime: date,
+    component: [component("8480-6", systolic), component("8462-4", diastolic)],
+  };
+}
+
+function evaluate(resources, asOf, periodType, ruleIds) {
+  const rules = DEFAULT_CARE_GAP_RULES.filter(
+    (r) => ruleIds.indexOf(r.id) !== -1
+  );
+  const results = evaluateCareGapRules(
+    PATIENT,
+    bucketResources(resources),
+    rules,
+    {
+      period: getMeasurementPeriod(new Date(asOf), periodType),
+    }
+  );
+  const byId = {};
+  results.forEach((r) => {
+    byId[r.rule.id] = r;
+  });
+  return byId;
+}
+
+describe("control rules", () => {
+  const diabetic = [condition("dm", "E11.9")];
+  const hypertensive = [condition("htn", "I10")];
+
+  test("judge a result inside the measurement period", () => {
+    const results = evaluate(
+      diabetic.concat([a1c("a1c-1", "2025-03-01", 9.6)]),
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["a1c", "a1c-control"]
+    );
+    expect(results["a1c-control"].status).toBe("gap");
+    expect(results["a1c-control"].gap.label).toMatch(/9\.6/);
+    expect(results.a1c.status).toBe("met");
+  });
+
+  test("report no data for an out-of-period A1c, leaving the gap to testing", () => {
+    const results = evaluate(
+      diabetic.concat([a1c("a1c-old", "2024-05-20", 10.2)]),
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["a1c", "a1c-control"]
+    );
+    expect(results["a1c-control"].status).toBe("no-data");
+    expect(results["a1c-control"].reason).toMatch(/last 12 months/);
+    expect(results.a1c.status).toBe("gap");
+  });
+
+  test("report no data for an out-of-period BP reading", () => {
+    const results = evaluate(
+      hypertensive.concat([bp("bp-old", "2024-06-01", 128, 78)]),
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["bp-control"]
+    );
+    expect(results["bp-control"].status).toBe("no-data");
+  });
+
+  test("use the calendar year as the window for calendar periods", () => {
+    const lastYear = evaluate(
+      hypertensive.concat([bp("bp-dec", "2024-12-30", 150, 95)]),
+      "2025-02-15T12:00:00",
+      "calendar",
+      ["bp-control"]
+    );
+    expect(lastYear["bp-control"].status).toBe("no-data");
+
+    const thisYear = evaluate(
+      hypertensive.concat([
+        bp("bp-dec", "2024-12-30", 150, 95),
+        bp("bp-jan", "2025-01-02", 132, 84),
+      ]),
+      "2025-02-15T12:00:00",
+      "calendar",
+      ["bp-control"]
+    );
+    expect(thisYear["bp-control"].status).toBe("met");
+  });
+});
+
+describe("refusals", () => {
+  function declinedMammogram(date) {
+    return {
+      resourceType: "Procedure",
+      id: "mammo-declined",
+      status: "not-done",
+      subject: { reference: "Patient/pt-1" },
+      code: { coding: [{ system: CPT, code: "77067" }] },
+      performedDateTime: date,
+    };
+  }
+
+  test("excuse the gap when declined inside the measurement period", () => {
+    const results = evaluate(
+      [declinedMammogram("2025-01-20")],
+      "2025-02-15T12:00:00",
+      "calendar",
+      ["mammo"]
+    );
+    expect(results.mammo.status).toBe("excluded");
+    expect(results.mammo.reason).toBe("Patient declined Mammography");
+  });
+
+  test("do not reach back before a calendar measurement period", () => {
+    // Within 12 months of the as-of date, but in the previous year
+    const results = evaluate(
+      [declinedMammogram("2024-11-01")],
+      "2025-02-15T12:00:00",
+      "calendar",
+      ["mammo"]
+    );
+    expect(results.mammo.status).toBe("gap");
+  });
+
+  test("ignore refusals recorded after the as-of date", () => {
+    const results = evaluate(
+      [declinedMammogram("2025-03-01")],
+      "2025-02-15T12:00:00",
+      "calendar",
+      ["mammo"]
+    );
+    expect(results.mammo.status).toBe("gap");
+  });
+});
+
+describe("parseRulePack", () => {
+  const vitaminD = {
+    id: "vitd",
+    title: "Vitamin D screening",
+    eligibility: { minAge: 65 },
+    event: { resourceType: "Observation", valueSet: "vitaminD" },
+    lookbackMonths: 24,
+    severity: "low",
+    missing: { label: "No vitamin D level on record" },
+  };
+  const vitaminDSet = {
+    name: "25-hydroxyvitamin D",
+    include: [{ system: LOINC, codes: ["62292-8"] }],
+    text: "vitamin d",
+  };
+
+  test("accepts the shipped sample pack", () => {
+    const pack = parseRulePack(
+      JSON.parse(
+        fs.readFileSync(
+          path.join(__dirname, "../../care-gap-rule-pack.json"),
+          "utf8"
+        )
+      ),
+      "care-gap-rule-pack.json"
+    );
+    expect(pack.rules.map((r) => r.id)).toEqual(
+      DEFAULT_CARE_GAP_RULES.map((r) => r.id)
+    );
+    expect(pack.exclusions).toBe(DEFAULT_EXCLUSIONS);
+  });
+
+  test("adds the pack's value sets with text as a case-insensitive regex", () => {
+    const pack = parseRulePack(
+      { rules: [vitaminD], valueSets: { vitaminD: vitaminDSet } },
+      "vitd.json"
+    );
+    expect(pack.name).toBe("vitd.json");
+    expect(pack.valueSets.diabetes).toBe(VALUE_SETS.diabetes);
+    expect(pack.valueSets.vitaminD.text.test("Vitamin D, 25-OH")).toBe(true);
+
+    const older = { ...PATIENT, birthDate: "1950-01-01" };
+    const [result] = evaluateCareGapRules(
+      older,
+      bucketResources([]),
+      pack.rules,
+      {
+        valueSets: pack.valueSets,
+        period: getMeasurementPeriod(new Date("2025-06-30T12:00:00")),
+      }
+    );
+    expect(result.status).toBe("gap");
+    expect(result.gap.label).toBe("No vitamin D level on record");
+  });
+
+  test("lists every problem in the pack at once", () => {
+    let error = null;
+    try {
+      parseRulePack({
+        rules: [
+          vitaminD,
+          { ...vitaminD, severity: "urgent" },
+          {
+            id: "bad",
+            event: { resourceType: "Claim", valueSet: "diabetes" },
+            severity: "low",
+          },
+          { title: "no id", severity: "low", missing: { label: "x" } },
+        ],
+        exclusions: [{ resourceTypes: ["Condition"], valueSet: "nope" }],
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message.split("\n")).toEqual([
+      "Rule vitd: unknown value set vitaminD",
+      "Rule vitd: duplicate id",
+      "Rule vitd: unknown value set vitaminD",
+      "Rule vitd: severity must be high, medium or low",
+      "Rule bad: unsupported resource type in Claim",
+      "Rule bad: missing.label is required",
+      "Rule #4: missing id",
+      "Rule #4: needs an event, anyOf or allOf",
+      "Exclusions: unknown value set nope",
+    ]);
+  });
+
+  test("rejects a pack without rules or with a malformed value set", () => {
+    expect(() => parseRulePack({ rules: [] })).toThrow(
+      'Rule pack must have a non-empty "rules" array.'
+    );
+    expect(() =>
+      parseRulePack({ rules: [vitaminD], valueSets: { vitaminD: {} } })
+    ).toThrow('Value set vitaminD needs an "include" array.');
+  });
+
+  test("replaces the default exclusions with the pack's own", () => {
+    const exclusions = [
+      { resourceTypes: ["Condition"], valueSet: "esrd", reason: "ESRD" },
+    ];
+    const pack = parseRulePack({
+      rules: [vitaminD],
+      valueSets: { vitaminD: vitaminDSet },
+      exclusions,
+    });
+    expect(pack.exclusions).toBe(exclusions);
+  });
+});
+
+describe("rule descriptions", () => {
+  const rule = (id) => DEFAULT_CARE_GAP_RULES.find((r) => r.id === id);
+
+  test("describe events with their lookbacks", () => {
+    expect(describeRuleEvents(rule("a1c"), VALUE_SETS)).toBe(
+      "Hemoglobin A1c (12 mo)"
+    );
+    expect(describeRuleEvents(rule("mammo"), VALUE_SETS)).toMatch(/\(ever\)$/);
+    expect(describeRuleEvents(rule("kidney"), VALUE_SETS)).toMatch(/ and /);
+    expect(describeRuleEvents(rule("colorectal"), VALUE_SETS)).toMatch(/ or /);
+  });
+
+  test("describe eligibility", () => {
+    expect(describeEligibility(rule("mammo"), VALUE_SETS)).toBe(
+      "female, age 50–74"
+    );
+    expect(describeEligibility(rule("a1c"), VALUE_SETS)).toBe("Diabetes");
+    expect(describeEligibility(rule("awv"), VALUE_SETS)).toBe("All patients");
+  });
+});
+
+describe("measurement period", () => {
+  test("rolls back twelve months from the as-of date", () => {
+    const period = getMeasurementPeriod(new Date("2025-06-30T15:45:00"));
+    expect(period.type).toBe("rolling");
+    expect(period.asOf).toEqual(new Date(2025, 5, 30));
+    expect(period.start).toEqual(new Date(2024, 6, 1));
+    expect(period.end).toEqual(new Date(2025, 5, 30));
+  });
+
+  test("covers the as-of year for calendar periods", () => {
+    const period = getMeasurementPeriod(
+      new Date("2025-02-15T12:00:00"),
+      "calendar"
+    );
+    expect(period.asOf).toEqual(new Date(2025, 1, 15));
+    expect(period.start).toEqual(new Date(2025, 0, 1));
+    expect(period.end).toEqual(new Date(2025, 11, 31));
+  });
+
+  test("starts lookbacks the day after the same date months earlier", () => {
+    const period = getMeasurementPeriod(new Date("2025-06-30T12:00:00"));
+    expect(lookbackStart(period, 6)).toEqual(new Date(2024, 11, 31));
+    expect(lookbackStart(period, 12)).toEqual(new Date(2024, 6, 1));
+  });
+
+  test("ignores results and diagnoses recorded after the as-of date", () => {
+    const diabetic = [condition("dm", "E11.9")];
+    const later = evaluate(
+      diabetic.concat([a1c("a1c-later", "2025-07-15", 6.5)]),
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["a1c"]
+    );
+    expect(later.a1c.status).toBe("gap");
+
+    const laterDiagnosis = evaluate(
+      [{ ...condition("dm", "E11.9"), onsetDateTime: "2025-08-01" }],
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["a1c"]
+    );
+    expect(laterDiagnosis.a1c.status).toBe("not-eligible");
+  });
+
+  test("takes age at the end of the measurement period", () => {
+    // Still 74 on the as-of date, but 75 by the end of the calendar year
+    const turning75 = { ...PATIENT, birthDate: "1950-10-01" };
+    const run = (periodType) =>
+      evaluateCareGapRules(
+        turning75,
+        bucketResources([]),
+        DEFAULT_CARE_GAP_RULES.filter((r) => r.id === "mammo"),
+        {
+          period: getMeasurementPeriod(
+            new Date("2025-06-30T12:00:00"),
+            periodType
+          ),
+        }
+      )[0].status;
+    expect(run("rolling")).toBe("gap");
+    expect(run("calendar")).toBe("not-eligible");
+  });
+
+  test("counts a test as overdue once it falls out of the lookback", () => {
+    const diabetic = [condition("dm", "E11.9")];
+    const results = evaluate(
+      diabetic.concat([a1c("a1c-old", "2024-03-30", 7.1)]),
+      "2025-06-30T12:00:00",
+      "rolling",
+      ["a1c"]
+    );
+    expect(results.a1c.status).toBe("gap");
+    expect(results.a1c.gap.label).toBe("Last A1c was 15 months ago");
+  });
+});
+
+describe("measure library", () => {
+  const AS_OF = "2025-06-30T12:00:00";
+
+  function resource(resourceType, id, system, code, date, extra) {
+    return {
+      resourceType,
+      id,
+      status: resourceType === "Procedure" ? "completed" : "final",
+      subject: { reference: "Patient/pt-1" },
+      code: { coding: [{ system, code }] },
+      [resourceType === "Procedure"
+        ? "performedDateTime"
+        : "effectiveDateTime"]: date,
+      ...extra,
+    };
+  }
+
+  test("colorectal screening accepts any test within its own window", () => {
+    const colonoscopy = resource(
+      "Procedure",
+      "colo",
+      CPT,
+      "45378",
+      "2017-05-01"
+    );
+    const oldFit = resource(
+      "Observation",
+      "fit",
+      LOINC,
+      "29771-3",
+      "2024-03-01"
+    );
+    expect(
+      evaluate([colonoscopy], AS_OF, "rolling", ["colorectal"]).colorectal
+        .status
+    ).toBe("met");
+
+    const overdue = evaluate([oldFit], AS_OF, "rolling", [
+      "colorectal",
+    ]).colorectal;
+    expect(overdue.status).toBe("gap");
+    expect(overdue.gap.label).toBe(
+      "Colorectal screening overdue: last FIT / FOBT 15 months ago"
+    );
+  });
+
+  test("colorectal screening excludes a total colectomy", () => {
+    const colectomy = resource(
+      "Procedure",
+      "colectomy",
+      CPT,
+      "44150",
+      "2020-01-10"
+    );
+    const result = evaluate([colectomy], AS_OF, "rolling", [
+      "colorectal",
+    ]).colorectal;
+    expect(result.status).toBe("excluded");
+    expect(result.reason).toBe("Total colectomy");
+  });
+
+  test("cervical screening counts an HPV test only from age 30", () => {
+    const young = { ...PATIENT, birthDate: "1996-01-01" };
+    const hpv = resource("Observation", "hpv", LOINC, "30167-1", "2023-01-15");
+    const run = (patient) =>
+      evaluateCareGapRules(
+        patient,
+        bucketResources([hpv]),
+        DEFAULT_CARE_GAP_RULES.filter((r) => r.id === "cervical"),
+        { period: getMeasurementPeriod(new Date(AS_OF)) }
+      )[0];
+    expect(run(PATIENT).status).toBe("met");
+    expect(run(young).status).toBe("gap");
+    expect(run(young).gap.id).toBe("gap-cervical-none");
+  });
+
+  test("eye exams without retinopathy count for two years", () => {
+    const diabetic = [condition("dm", "E11.9")];
+    const negative = resource("Procedure", "eye", CPT, "3072F", "2023-09-01");
+    const exam = resource("Procedure", "eye", CPT, "92014", "2023-09-01");
+    expect(
+      evaluate(diabetic.concat([negative]), AS_OF, "rolling", ["eye"]).eye
+        .status
+    ).toBe("met");
+    expect(
+      evaluate(diabetic.concat([exam]), AS_OF, "rolling", ["eye"]).eye.status
+    ).toBe("gap");
+  });
+
+  test("kidney health needs both eGFR and uACR", () => {
+    const diabetic = [condition("dm", "E11.9")];
+    const egfr = resource(
+      "Observation",
+      "egfr",
+      LOINC,
+      "33914-3",
+      "2025-03-01"
+    );
+    const uacr = resource("Observation", "uacr", LOINC, "9318-7", "2025-03-01");
+    const partial = evaluate(diabetic.concat([egfr]), AS_OF, "rolling", [
+      "kidney",
+    ]).kidney;
+    expect(partial.status).toBe("gap");
+    expect(partial.gap.label).toBe(
+      "Kidney health evaluation incomplete: no Urine albumin-creatinine ratio in 12 months"
+    );
+    expect(
+      evaluate(diabetic.concat([egfr, uacr]), AS_OF, "rolling", ["kidney"])
+        .kidney.status
+    ).toBe("met");
+  });
+
+  test("statin therapy applies to ASCVD by sex-specific age ranges", () => {
+    const ascvd = [condition("mi", "I25.10")];
+    const statin = {
+      resourceType: "MedicationRequest",
+      id: "statin",
+      status: "active",
+      subject: { reference: "Patient/pt-1" },
+      medicationCodeableConcept: {
+        coding: [
+          {
+            system: "http://www.nlm.nih.gov/research/umls/rxnorm",
+            code: "83367",
+          },
+        ],
+      },
+      authoredOn: "2025-01-10",
+    };
+    const without = evaluate(ascvd, AS_OF, "rolling", [
+      "statin-male",
+      "statin-female",
+    ]);
+    expect(without["statin-male"].status).toBe("not-eligible");
+    expect(without["statin-female"].status).toBe("gap");
+    expect(
+      evaluate(ascvd.concat([statin]), AS_OF, "rolling", ["statin-female"])[
+        "statin-female"
+      ].status
+    ).toBe("met");
+  });
+});
+
+describe("evaluatePanel", () => {
+  const rules = DEFAULT_CARE_GAP_RULES.filter(
+    (r) => ["a1c", "a1c-control", "mammo"].indexOf(r.id) !== -1
+  );
+  const period = getMeasurementPeriod(new Date("2025-06-30T12:00:00"));
+
+  function patient(id, birthDate) {
+    return { ...PATIENT, id, birthDate };
+  }
+
+  // Resources for patient `id`, keyed as indexResourcesByPatient does
+  function record(id, resources) {
+    return bucketResources(
+      resources.map((r) => ({ ...r, subject: { reference: "Patient/" + id } }))
+    );
+  }
+
+  const controlled = patient("controlled", "1965-04-12");
+  const uncontrolled = patient("uncontrolled", "1965-04-12");
+  const untested = patient("untested", "1965-04-12");
+  const young = patient("young", "1990-01-01");
+  const panel = evaluatePanel(
+    [controlled, uncontrolled, untested, young],
+    {
+      controlled: record("controlled", [
+        condition("dm", "E11.9"),
+        a1c("a1c", "2025-05-01", 6.8),
+      ]),
+      uncontrolled: record("uncontrolled", [
+        condition("dm", "E11.9"),
+        a1c("a1c", "2025-05-01", 10.4),
+      ]),
+      untested: record("untested", [condition("dm", "E11.9")]),
+    },
+    rules,
+    { period }
+  );
+  const measure = (id) => panel.measures.find((m) => m.rule.id === id);
+
+  test("counts each measure's denominator, numerator and open gaps", () => {
+    expect(measure("a1c")).toMatchObject({
+      denominator: 3,
+      numerator: 2,
+      excluded: 0,
+      open: ["untested"],
+    });
+    expect(measure("a1c").rate).toBeCloseTo(2 / 3);
+    expect(measure("mammo")).toMatchObject({
+      denominator: 3,
+      numerator: 0,
+      open: ["controlled", "uncontrolled", "untested"],
+    });
+  });
+
+  test("leaves control rules without a result out of the denominator", () => {
+    const row = panel.patients.find((r) => r.patient.id === "untested");
+    expect(row.results.find((r) => r.rule.id === "a1c-control").status).toBe(
+      "no-data"
+    );
+    expect(measure("a1c-control")).toMatchObject({
+      denominator: 2,
+      numerator: 1,
+      open: ["uncontrolled"],
+      rate: 0.5,
+    });
+  });
+
+  test("summarizes each patient's gaps by severity", () => {
+    const byId = {};
+    panel.patients.forEach((row) => {
+      byId[row.patient.id] = row;
+    });
+    expect(byId.uncontrolled.age).toBe(60);
+    expect(byId.uncontrolled.bySeverity).toEqual({
+      high: 1,
+      medium: 1,
+      low: 0,
+    });
+    expect(byId.untested.gaps.map((g) => g.ruleId)).toEqual(["a1c", "mammo"]);
+    expect(byId.young.gaps).toEqual([]);
+  });
+
+  test("reports no rate for a measure nobody is eligible for", () => {
+    const empty = evaluatePanel([young], {}, rules, { period });
+    expect(empty.measures[0]).toMatchObject({ denominator: 0, rate: null });
+  });
+});
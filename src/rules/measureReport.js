@@ -0,0 +1,316 @@
+/* =========================
+   MEASURE REPORT EXPORT
+   ========================= */
+
+import { toFHIRDate } from "../fhir/utils";
+import { storeKey } from "../store/patientStore";
+import { LOINC_SYSTEM } from "./valueSets";
+
+// Results leave the app as FHIR MeasureReports and Da Vinci DEQM
+// gaps-in-care documents so payers and analytics can read them as-is
+export const EXPORT_BASE_URL = "http://hospital.example.org/fhir/";
+const DEQM_URL = "http://hl7.org/fhir/us/davinci-deqm/";
+const MEASURE_POPULATION_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/measure-population";
+const MEASURE_IMPROVEMENT_SYSTEM =
+  "http://terminology.hl7.org/CodeSystem/measure-improvement-notation";
+const MEASURE_POPULATIONS = [
+  "initial-population",
+  "denominator",
+  "denominator-exclusion",
+  "denominator-exception",
+  "numerator",
+];
+const GAP_ISSUE_SEVERITIES = { high: "high", medium: "moderate", low: "low" };
+const REPORTING_ORGANIZATION = {
+  resourceType: "Organization",
+  id: "care-gap-reporter",
+  name: "Hospital care gap service",
+};
+
+function measureUrl(rule) {
+  return rule.measureUrl || EXPORT_BASE_URL + "Measure/" + rule.id;
+}
+
+function deqmProfile(name) {
+  return { profile: [DEQM_URL + "StructureDefinition/" + name] };
+}
+
+function exportReference(resource) {
+  return { reference: storeKey(resource) };
+}
+
+function exportEntry(resource) {
+  return { fullUrl: EXPORT_BASE_URL + storeKey(resource), resource };
+}
+
+// Whether a result counts toward its measure at all; a control rule with no
+// result to judge is left out, as on the panel
+function inMeasure(result) {
+  return result.status !== "not-eligible" && result.status !== "no-data";
+}
+
+// 0/1 population membership for one rule result. Exclusions found in the
+// record are denominator exclusions; refusals and recorded exceptions are
+// denominator exceptions.
+function measurePopulations(result) {
+  const counts = {};
+  MEASURE_POPULATIONS.forEach((code) => {
+    counts[code] = 0;
+  });
+  if (!inMeasure(result)) return counts;
+  counts["initial-population"] = 1;
+  counts.denominator = 1;
+  if (result.status === "excluded") {
+    const code =
+      result.exclusion.kind === "exclusion"
+        ? "denominator-exclusion"
+        : "denominator-exception";
+    counts[code] = 1;
+  } else if (result.status === "met") {
+    counts.numerator = 1;
+  }
+  return counts;
+}
+
+// Resources a result was decided on: qualifying events, judged readings and
+// whatever excluded the patient
+export function resultEvidence(result) {
+  const found = [];
+  const add = (resource) => {
+    if (resource && found.indexOf(resource) === -1) found.push(resource);
+  };
+  if (result.latest) add(result.latest.resource);
+  (result.events || []).forEach((e) => e.latest && add(e.latest.resource));
+  (result.members || []).forEach((m) => add(m.resource));
+  if (result.exclusion) add(result.exclusion.resource);
+  return found;
+}
+
+function measureReportGroup(counts) {
+  const group = {
+    population: MEASURE_POPULATIONS.map((code) => ({
+      code: { coding: [{ system: MEASURE_POPULATION_SYSTEM, code }] },
+      count: counts[code],
+    })),
+  };
+  const scored =
+    counts.denominator -
+    counts["denominator-exclusion"] -
+    counts["denominator-exception"];
+  if (scored > 0) group.measureScore = { value: counts.numerator / scored };
+  return group;
+}
+
+function measureReport(rule, type, period, generatedAt, counts) {
+  return {
+    resourceType: "MeasureReport",
+    status: "complete",
+    type,
+    measure: measureUrl(rule),
+    date: generatedAt,
+    reporter: exportReference(REPORTING_ORGANIZATION),
+    period: { start: toFHIRDate(period.start), end: toFHIRDate(period.end) },
+    improvementNotation: {
+      coding: [
+        {
+          system: MEASURE_IMPROVEMENT_SYSTEM,
+          code: "increase",
+        },
+      ],
+    },
+    group: [measureReportGroup(counts)],
+  };
+}
+
+// Individual MeasureReport for one patient and rule
+function buildIndividualMeasureReport(patient, result, period, generatedAt) {
+  const report = {
+    ...measureReport(
+      result.rule,
+      "individual",
+      period,
+      generatedAt,
+      measurePopulations(result)
+    ),
+    id: "mr-" + patient.id + "-" + result.rule.id,
+    meta: deqmProfile("indv-measurereport-deqm"),
+    subject: { reference: "Patient/" + patient.id },
+  };
+  const evidence = resultEvidence(result);
+  if (evidence.length > 0)
+    report.evaluatedResource = evidence.map(exportReference);
+  return report;
+}
+
+// Summary MeasureReport for a rule over a panel's results for it
+function buildSummaryMeasureReport(rule, results, period, generatedAt) {
+  const counts = {};
+  MEASURE_POPULATIONS.forEach((code) => {
+    counts[code] = 0;
+  });
+  results.forEach((result) => {
+    const populations = measurePopulations(result);
+    MEASURE_POPULATIONS.forEach((code) => {
+      counts[code] += populations[code];
+    });
+  });
+  return {
+    ...measureReport(rule, "summary", period, generatedAt, counts),
+    id: "mr-summary-" + rule.id,
+    meta: deqmProfile("summary-measurereport-deqm"),
+  };
+}
+
+// Collection Bundle with one summary MeasureReport per panel measure
+export function buildPanelMeasureReportBundle(panel, period, generatedAt) {
+  const reports = panel.measures.map((measure, idx) =>
+    buildSummaryMeasureReport(
+      measure.rule,
+      panel.patients.map((row) => row.results[idx]),
+      period,
+      generatedAt
+    )
+  );
+  return {
+    resourceType: "Bundle",
+    id: "measure-reports-" + toFHIRDate(period.asOf),
+    type: "collection",
+    timestamp: generatedAt,
+    entry: [REPORTING_ORGANIZATION].concat(reports).map(exportEntry),
+  };
+}
+
+// DetectedIssue flagging an open (or closed) gap, with the individual
+// MeasureReport and the clinical resources behind it as evidence
+function buildGapDetectedIssue(patient, result, report, generatedAt) {
+  const open = result.status === "gap";
+  const issue = {
+    resourceType: "DetectedIssue",
+    id: "gap-" + patient.id + "-" + result.rule.id,
+    meta: deqmProfile("gaps-detectedissue-deqm"),
+    modifierExtension: [
+      {
+        url: DEQM_URL + "StructureDefinition/extension-gapStatus",
+        valueCodeableConcept: {
+          coding: [
+            {
+              system: DEQM_URL + "CodeSystem/gaps-status",
+              code: open ? "open-gap" : "closed-gap",
+            },
+          ],
+        },
+      },
+    ],
+    status: "final",
+    code: {
+      coding: [
+        {
+          system: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
+          code: "CAREGAP",
+          display: "Care Gaps",
+        },
+      ],
+    },
+    patient: { reference: "Patient/" + patient.id },
+    identifiedDateTime: generatedAt,
+    evidence: [
+      {
+        detail: [exportReference(report)].concat(
+          resultEvidence(result).map(exportReference)
+        ),
+      },
+    ],
+  };
+  if (open) {
+    issue.severity = GAP_ISSUE_SEVERITIES[result.gap.severity];
+    issue.detail = result.gap.label;
+    if (result.gap.recommendation) {
+      issue.mitigation = [{ action: { text: result.gap.recommendation } }];
+    }
+  }
+  return issue;
+}
+
+// DEQM gaps-in-care document for one patient: a Composition with a section
+// per measure the patient is in, pointing at its individual MeasureReport
+// and the DetectedIssue for an open or closed gap, followed by everything
+// those reference
+export function buildGapsInCareBundle(patient, results, period, generatedAt) {
+  const inScope = results.filter(inMeasure);
+  const reports = [];
+  const issues = [];
+  const evidence = [];
+  const sections = [];
+  inScope.forEach((result) => {
+    const report = buildIndividualMeasureReport(
+      patient,
+      result,
+      period,
+      generatedAt
+    );
+    reports.push(report);
+    resultEvidence(result).forEach((r) => {
+      if (evidence.indexOf(r) === -1) evidence.push(r);
+    });
+    if (result.status !== "gap" && result.status !== "met") return;
+    const issue = buildGapDetectedIssue(patient, result, report, generatedAt);
+    issues.push(issue);
+    sections.push({
+      title: result.rule.title || result.rule.id,
+      focus: exportReference(report),
+      entry: [exportReference(issue)],
+    });
+  });
+
+  const composition = {
+    resourceType: "Composition",
+    id: "gaps-composition-" + patient.id,
+    meta: deqmProfile("gaps-composition-deqm"),
+    status: "final",
+    type: {
+      coding: [
+        {
+          system: LOINC_SYSTEM,
+          code: "96315-7",
+          display: "Gaps in care report",
+        },
+      ],
+    },
+    subject: { reference: "Patient/" + patient.id },
+    date: generatedAt,
+    author: [exportReference(REPORTING_ORGANIZATION)],
+    title: "Gaps in Care Report",
+    section: sections,
+  };
+  return {
+    resourceType: "Bundle",
+    id: "gaps-" + patient.id + "-" + toFHIRDate(period.asOf),
+    meta: deqmProfile("gaps-bundle-deqm"),
+    identifier: {
+      system: EXPORT_BASE_URL + "gaps-in-care",
+      value: patient.id + "-" + toFHIRDate(period.asOf),
+    },
+    type: "document",
+    timestamp: generatedAt,
+    entry: [composition, patient, REPORTING_ORGANIZATION]
+      .concat(reports, issues, evidence)
+      .map(exportEntry),
+  };
+}
+
+// $care-gaps style output for a panel: one gaps-in-care document per patient
+export function buildPanelGapsInCare(panel, period, generatedAt) {
+  return {
+    resourceType: "Parameters",
+    parameter: panel.patients.map((row) => ({
+      name: "return",
+      resource: buildGapsInCareBundle(
+        row.patient,
+        row.results,
+        period,
+        generatedAt
+      ),
+    })),
+  };
+}
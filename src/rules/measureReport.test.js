@@ -0,0 +1,201 @@
+import { bucketResources } from "../fhir/utils";
+import {
+  DEFAULT_CARE_GAP_RULES,
+  evaluateCareGapRules,
+  evaluatePanel,
+  getMeasurementPeriod,
+} from "./engine";
+import {
+  buildGapsInCareBundle,
+  buildPanelGapsInCare,
+  buildPanelMeasureReportBundle,
+} from "./measureReport";
+
+const LOINC = "http://loinc.org";
+const ICD10CM = "http://hl7.org/fhir/sid/icd-10-cm";
+const GENERATED_AT = "2025-06-30T12:00:00Z";
+const PERIOD = getMeasurementPeriod(new Date("2025-06-30T12:00:00"));
+const RULES = DEFAULT_CARE_GAP_RULES.filter(
+  (r) => ["a1c", "a1c-control", "bp", "mammo"].indexOf(r.id) !== -1
+);
+
+function patient(id) {
+  return {
+    resourceType: "Patient",
+    id,
+    gender: "female",
+    birthDate: "1965-04-12",
+  };
+}
+
+function diabetes(patientId) {
+  return {
+    resourceType: "Condition",
+    id: "dm-" + patientId,
+    subject: { reference: "Patient/" + patientId },
+    code: { coding: [{ system: ICD10CM, code: "E11.9" }] },
+    onsetDateTime: "2019-03-04",
+  };
+}
+
+function a1c(patientId, value) {
+  return {
+    resourceType: "Observation",
+    id: "a1c-" + patientId,
+    status: "final",
+    subject: { reference: "Patient/" + patientId },
+    code: { coding: [{ system: LOINC, code: "4548-4" }] },
+    effectiveDateTime: "2025-05-01",
+    valueQuantity: { value, unit: "%" },
+  };
+}
+
+function mastectomy(patientId) {
+  return {
+    resourceType: "Condition",
+    id: "mastectomy-" + patientId,
+    subject: { reference: "Patient/" + patientId },
+    code: { coding: [{ system: ICD10CM, code: "Z90.13" }] },
+    onsetDateTime: "2015-01-01",
+  };
+}
+
+function populations(report) {
+  const counts = {};
+  report.group[0].population.forEach((p) => {
+    counts[p.code.coding[0].code] = p.count;
+  });
+  return counts;
+}
+
+function resourcesOfType(bundle, type) {
+  return bundle.entry
+    .map((e) => e.resource)
+    .filter((r) => r.resourceType === type);
+}
+
+describe("buildGapsInCareBundle", () => {
+  const pt = patient("pt-1");
+  const results = evaluateCareGapRules(
+    pt,
+    bucketResources([diabetes("pt-1"), a1c("pt-1", 10.4), mastectomy("pt-1")]),
+    RULES,
+    { period: PERIOD }
+  );
+  const bundle = buildGapsInCareBundle(pt, results, PERIOD, GENERATED_AT);
+
+  test("is a DEQM document led by its Composition", () => {
+    expect(bundle).toMatchObject({
+      resourceType: "Bundle",
+      id: "gaps-pt-1-2025-06-30",
+      type: "document",
+      timestamp: GENERATED_AT,
+    });
+    expect(bundle.entry[0].resource.resourceType).toBe("Composition");
+    expect(bundle.entry[0].fullUrl).toBe(
+      "http://hospital.example.org/fhir/Composition/gaps-composition-pt-1"
+    );
+    expect(bundle.entry[1].resource).toBe(pt);
+  });
+
+  test("reports every measure the patient is in", () => {
+    const reports = resourcesOfType(bundle, "MeasureReport");
+    expect(reports.map((r) => r.measure)).toEqual([
+      "http://hospital.example.org/fhir/Measure/a1c",
+      "http://hospital.example.org/fhir/Measure/mammo",
+      "http://hospital.example.org/fhir/Measure/a1c-control",
+    ]);
+    const [tested, mammo, control] = reports.map(populations);
+    expect(tested.numerator).toBe(1);
+    expect(mammo["denominator-exclusion"]).toBe(1);
+    expect(control).toMatchObject({ denominator: 1, numerator: 0 });
+    expect(reports[0].evaluatedResource).toEqual([
+      { reference: "Observation/a1c-pt-1" },
+    ]);
+  });
+
+  test("gives open and closed gaps a section with a DetectedIssue", () => {
+    const issues = resourcesOfType(bundle, "DetectedIssue");
+    const status = (issue) =>
+      issue.modifierExtension[0].valueCodeableConcept.coding[0].code;
+    expect(issues.map((i) => [i.id, status(i)])).toEqual([
+      ["gap-pt-1-a1c", "closed-gap"],
+      ["gap-pt-1-a1c-control", "open-gap"],
+    ]);
+    expect(issues[1]).toMatchObject({
+      severity: "high",
+      detail: "Poor A1c control: last result 10.4%",
+    });
+    expect(bundle.entry[0].resource.section).toHaveLength(2);
+  });
+
+  test("leaves out control measures with no result to judge", () => {
+    const untested = patient("pt-2");
+    const noData = evaluateCareGapRules(
+      untested,
+      bucketResources([diabetes("pt-2")]),
+      RULES,
+      { period: PERIOD }
+    );
+    const measures = resourcesOfType(
+      buildGapsInCareBundle(untested, noData, PERIOD, GENERATED_AT),
+      "MeasureReport"
+    ).map((r) => r.measure);
+    expect(measures).not.toContain(
+      "http://hospital.example.org/fhir/Measure/a1c-control"
+    );
+    expect(measures).toContain("http://hospital.example.org/fhir/Measure/a1c");
+  });
+});
+
+describe("panel exports", () => {
+  const patients = ["pt-1", "pt-2", "pt-3"].map(patient);
+  const panel = evaluatePanel(
+    patients,
+    {
+      "pt-1": bucketResources([diabetes("pt-1"), a1c("pt-1", 6.8)]),
+      "pt-2": bucketResources([diabetes("pt-2"), a1c("pt-2", 10.4)]),
+      "pt-3": bucketResources([diabetes("pt-3")]),
+    },
+    RULES,
+    { period: PERIOD }
+  );
+
+  test("summarize each measure in one MeasureReport", () => {
+    const bundle = buildPanelMeasureReportBundle(panel, PERIOD, GENERATED_AT);
+    expect(bundle.id).toBe("measure-reports-2025-06-30");
+    const reports = resourcesOfType(bundle, "MeasureReport");
+    expect(reports.map((r) => r.id)).toEqual([
+      "mr-summary-a1c",
+      "mr-summary-bp",
+      "mr-summary-mammo",
+      "mr-summary-a1c-control",
+    ]);
+    expect(populations(reports[0])).toMatchObject({
+      denominator: 3,
+      numerator: 2,
+    });
+    expect(reports[0].group[0].measureScore.value).toBeCloseTo(2 / 3);
+    expect(populations(reports[1]).denominator).toBe(0);
+    expect(reports[1].group[0].measureScore).toBeUndefined();
+    expect(populations(reports[3])).toMatchObject({
+      "initial-population": 2,
+      denominator: 2,
+      numerator: 1,
+    });
+    expect(reports[3].period).toEqual({
+      start: "2024-07-01",
+      end: "2025-06-30",
+    });
+  });
+
+  test("return one gaps-in-care document per patient", () => {
+    const parameters = buildPanelGapsInCare(panel, PERIOD, GENERATED_AT);
+    expect(parameters.resourceType).toBe("Parameters");
+    expect(parameters.parameter.map((p) => p.resource.id)).toEqual([
+      "gaps-pt-1-2025-06-30",
+      "gaps-pt-2-2025-06-30",
+      "gaps-pt-3-2025-06-30",
+    ]);
+  });
+});
@@ -0,0 +1,514 @@
+/* =========================
+   VALUE SETS
+   ========================= */
+
+export const LOINC_SYSTEM = "http://loinc.org";
+export const SNOMED_SYSTEM = "http://snomed.info/sct";
+export const ICD10CM_SYSTEM = "http://hl7.org/fhir/sid/icd-10-cm";
+export const CPT_SYSTEM = "http://www.ama-assn.org/go/cpt";
+export const HCPCS_SYSTEM = "https://www.cms.gov/Medicare/Coding/HCPCSReleaseCodeSets";
+export const RXNORM_SYSTEM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const ICD10PCS_SYSTEM = "http://www.cms.gov/Medicare/Coding/ICD10";
+
+// Bundled value sets the care gap rules match on. Each include names a code
+// system with exact codes and/or prefixes ("E11" covers E11.9, E11.65...).
+// `text` is the display-text fallback: it is only tried for concepts that
+// carry no code from any included system, and matches made that way are
+// reported as such.
+export const VALUE_SETS = {
+  diabetes: {
+    name: "Diabetes",
+    include: [
+      { system: ICD10CM_SYSTEM, prefixes: ["E10", "E11", "E13"] },
+      { system: SNOMED_SYSTEM, codes: ["73211009", "44054006", "46635009"] },
+    ],
+    text: /\bdiabetes\b/i,
+  },
+  hypertension: {
+    name: "Hypertension",
+    include: [
+      {
+        system: ICD10CM_SYSTEM,
+        prefixes: ["I10", "I11", "I12", "I13", "I15", "I16"],
+      },
+      { system: SNOMED_SYSTEM, codes: ["38341003", "59621000"] },
+    ],
+    text: /\bhypertensi(on|ve)\b/i,
+  },
+  hba1c: {
+    name: "Hemoglobin A1c",
+    include: [{ system: LOINC_SYSTEM, codes: ["4548-4", "17856-6", "4549-2"] }],
+    text: /\b(hemoglobin|hgb|hb) ?a1c\b/i,
+  },
+  bloodPressure: {
+    name: "Blood pressure",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: ["85354-9", "55284-4", "35094-2", "8480-6", "8462-4"],
+      },
+    ],
+    text: /\bblood pressure\b/i,
+  },
+  systolicBloodPressure: {
+    name: "Systolic blood pressure",
+    include: [{ system: LOINC_SYSTEM, codes: ["8480-6"] }],
+    text: /\bsystolic\b/i,
+  },
+  diastolicBloodPressure: {
+    name: "Diastolic blood pressure",
+    include: [{ system: LOINC_SYSTEM, codes: ["8462-4"] }],
+    text: /\bdiastolic\b/i,
+  },
+  mammography: {
+    name: "Mammography",
+    include: [
+      { system: LOINC_SYSTEM, codes: ["24604-1", "24605-8", "24606-6"] },
+      { system: CPT_SYSTEM, codes: ["77065", "77066", "77067"] },
+    ],
+    text: /\bmammogra/i,
+  },
+  wellnessVisit: {
+    name: "Annual wellness visit",
+    include: [
+      { system: HCPCS_SYSTEM, codes: ["G0402", "G0438", "G0439"] },
+      { system: CPT_SYSTEM, prefixes: ["9938", "9939"] },
+    ],
+    text: /\bannual\b/i,
+  },
+  colonoscopy: {
+    name: "Colonoscopy",
+    include: [
+      { system: CPT_SYSTEM, prefixes: ["4537", "4538", "4539"] },
+      { system: HCPCS_SYSTEM, codes: ["G0105", "G0121"] },
+      { system: SNOMED_SYSTEM, codes: ["73761001", "446521004"] },
+    ],
+    text: /\bcolonoscopy\b/i,
+  },
+  fecalOccultBlood: {
+    name: "FIT / FOBT",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: [
+          "2335-8",
+          "27396-1",
+          "29771-3",
+          "56490-6",
+          "56491-4",
+          "57905-2",
+          "58453-2",
+          "80372-6",
+        ],
+      },
+      { system: CPT_SYSTEM, codes: ["82270", "82274"] },
+      { system: HCPCS_SYSTEM, codes: ["G0328"] },
+    ],
+    text: /\b(fecal occult|fecal immunochemical|i?FOBT)\b/i,
+  },
+  stoolDna: {
+    name: "Stool DNA (Cologuard)",
+    include: [
+      { system: LOINC_SYSTEM, codes: ["77353-1", "77354-9"] },
+      { system: CPT_SYSTEM, codes: ["81528"] },
+    ],
+    text: /\b(cologuard|stool dna|sDNA)\b/i,
+  },
+  ctColonography: {
+    name: "CT colonography",
+    include: [{ system: CPT_SYSTEM, codes: ["74261", "74262", "74263"] }],
+    text: /\bCT colonography\b/i,
+  },
+  flexibleSigmoidoscopy: {
+    name: "Flexible sigmoidoscopy",
+    include: [
+      { system: CPT_SYSTEM, prefixes: ["4533", "4534"] },
+      { system: HCPCS_SYSTEM, codes: ["G0104"] },
+    ],
+    text: /\bsigmoidoscopy\b/i,
+  },
+  cervicalCytology: {
+    name: "Cervical cytology",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: [
+          "10524-7",
+          "18500-9",
+          "19762-4",
+          "19764-0",
+          "19765-7",
+          "19766-5",
+          "19774-9",
+          "33717-0",
+          "47527-7",
+          "47528-5",
+        ],
+      },
+      { system: CPT_SYSTEM, prefixes: ["8814", "8815", "8816", "8817"] },
+    ],
+    text: /\b(pap (smear|test)|cervical cytology)\b/i,
+  },
+  hpvTest: {
+    name: "High-risk HPV test",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: [
+          "21440-3",
+          "30167-1",
+          "38372-9",
+          "59263-4",
+          "59264-2",
+          "59420-0",
+          "69002-4",
+          "71431-1",
+          "75406-9",
+          "77379-6",
+          "77399-4",
+          "77400-0",
+          "82354-2",
+          "82456-5",
+          "82675-0",
+        ],
+      },
+      { system: CPT_SYSTEM, codes: ["87624", "87625"] },
+    ],
+    text: /\b(hr-?HPV|HPV|papillomavirus)\b/i,
+  },
+  retinalEyeExam: {
+    name: "Retinal eye exam",
+    include: [
+      {
+        system: CPT_SYSTEM,
+        codes: [
+          "92002",
+          "92004",
+          "92012",
+          "92014",
+          "92134",
+          "92227",
+          "92228",
+          "92229",
+          "92250",
+          "2022F",
+          "2023F",
+          "2024F",
+          "2025F",
+          "2026F",
+          "2033F",
+        ],
+      },
+    ],
+    text: /\b(retinal|dilated|diabetic) eye exam|\bfundus photo/i,
+  },
+  // CPT II codes for an exam that found no retinopathy; a negative exam
+  // counts for two years
+  retinopathyNegative: {
+    name: "Eye exam without retinopathy",
+    include: [
+      { system: CPT_SYSTEM, codes: ["2023F", "2025F", "2033F", "3072F"] },
+    ],
+    text: null,
+  },
+  egfr: {
+    name: "eGFR",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: [
+          "33914-3",
+          "48642-3",
+          "48643-1",
+          "50044-7",
+          "50210-4",
+          "62238-1",
+          "69405-9",
+          "70969-1",
+          "77147-7",
+          "88293-6",
+          "88294-4",
+          "98979-8",
+          "98980-6",
+        ],
+      },
+    ],
+    text: /\begfr\b|glomerular filtration/i,
+  },
+  ldl: {
+    name: "LDL cholesterol",
+    include: [
+      { system: LOINC_SYSTEM, codes: ["13457-7", "18262-6", "2089-1"] },
+    ],
+    text: /\bldl\b|low density lipoprotein/i,
+  },
+  urineAlbuminCreatinine: {
+    name: "Urine albumin-creatinine ratio",
+    include: [
+      {
+        system: LOINC_SYSTEM,
+        codes: [
+          "9318-7",
+          "13705-9",
+          "14958-3",
+          "14959-1",
+          "30000-4",
+          "44292-1",
+          "59159-4",
+          "76401-1",
+          "89998-9",
+        ],
+      },
+    ],
+    text: /\buacr\b|albumin.{0,20}creatinine/i,
+  },
+  ascvd: {
+    name: "Atherosclerotic cardiovascular disease",
+    include: [
+      {
+        system: ICD10CM_SYSTEM,
+        prefixes: ["I20", "I21", "I22", "I23", "I24", "I25", "I63", "I70.2"],
+      },
+      {
+        system: SNOMED_SYSTEM,
+        codes: ["53741008", "22298006", "414545008", "230690007", "399211009"],
+      },
+    ],
+    text: /\b(coronary|myocardial infarction|ischemic heart|ASCVD)\b/i,
+  },
+  statin: {
+    name: "Statin",
+    include: [
+      {
+        system: RXNORM_SYSTEM,
+        codes: [
+          // ingredients
+          "83367",
+          "301542",
+          "36567",
+          "42463",
+          "6472",
+          "41127",
+          "861634",
+          // common atorvastatin and simvastatin tablets
+          "617310",
+          "617311",
+          "617312",
+          "259255",
+          "312961",
+          "314231",
+        ],
+      },
+    ],
+    text: /\b(atorva|rosuva|simva|prava|lova|fluva|pitava)statin\b/i,
+  },
+
+  // Denominator exclusions
+  hospice: {
+    name: "Hospice care",
+    include: [
+      { system: SNOMED_SYSTEM, codes: ["385763009", "305336008", "183919006"] },
+      { system: HCPCS_SYSTEM, prefixes: ["Q500"] },
+      { system: ICD10CM_SYSTEM, codes: ["Z51.5"] },
+    ],
+    text: /\b(hospice|palliative)\b/i,
+  },
+  bilateralMastectomy: {
+    name: "Bilateral mastectomy",
+    include: [
+      { system: ICD10CM_SYSTEM, codes: ["Z90.13"] },
+      { system: ICD10PCS_SYSTEM, codes: ["0HTV0ZZ"] },
+      { system: SNOMED_SYSTEM, codes: ["27865001", "429009003"] },
+    ],
+    text: /\bbilateral mastectomy\b/i,
+  },
+  esrd: {
+    name: "End-stage renal disease or dialysis",
+    include: [
+      { system: ICD10CM_SYSTEM, codes: ["N18.6", "Z99.2"] },
+      { system: SNOMED_SYSTEM, codes: ["46177005", "433146000", "265764009"] },
+      {
+        system: CPT_SYSTEM,
+        prefixes: ["9093", "9094", "9095", "9096", "9097"],
+      },
+    ],
+    text: /\b(end[- ]stage renal|ESRD|dialysis)\b/i,
+  },
+  colorectalCancer: {
+    name: "Colorectal cancer",
+    include: [
+      {
+        system: ICD10CM_SYSTEM,
+        prefixes: ["C18", "C19", "C20", "C21.2", "Z85.03", "Z85.04"],
+      },
+      { system: SNOMED_SYSTEM, codes: ["363406005", "109838007"] },
+    ],
+    text: /\b(colorectal|colon|rectal) (cancer|carcinoma)\b/i,
+  },
+  totalColectomy: {
+    name: "Total colectomy",
+    include: [
+      {
+        system: CPT_SYSTEM,
+        codes: [
+          "44150",
+          "44151",
+          "44155",
+          "44156",
+          "44157",
+          "44158",
+          "44210",
+          "44211",
+          "44212",
+        ],
+      },
+      {
+        system: ICD10PCS_SYSTEM,
+        codes: ["0DTE0ZZ", "0DTE4ZZ", "0DTE7ZZ", "0DTE8ZZ"],
+      },
+      { system: SNOMED_SYSTEM, codes: ["26390003"] },
+    ],
+    text: /\btotal colectomy\b/i,
+  },
+  hysterectomyNoCervix: {
+    name: "Hysterectomy with no residual cervix",
+    include: [
+      { system: ICD10CM_SYSTEM, codes: ["Z90.710", "Z90.712"] },
+      {
+        system: CPT_SYSTEM,
+        codes: [
+          "51925",
+          "56308",
+          "57540",
+          "57545",
+          "57550",
+          "57555",
+          "57556",
+          "58150",
+          "58152",
+          "58200",
+          "58210",
+          "58240",
+          "58260",
+          "58262",
+          "58263",
+          "58267",
+          "58270",
+          "58275",
+          "58280",
+          "58285",
+          "58290",
+          "58291",
+          "58292",
+          "58293",
+          "58294",
+          "58548",
+          "58550",
+          "58552",
+          "58553",
+          "58554",
+          "58570",
+          "58571",
+          "58572",
+          "58573",
+          "58951",
+          "58953",
+          "58954",
+          "58956",
+          "59135",
+        ],
+      },
+      { system: SNOMED_SYSTEM, codes: ["248911005", "428078001"] },
+    ],
+    text: /\b(total|radical) hysterectomy\b/i,
+  },
+  // Observation codes recording that the patient declined; the value says
+  // what was declined
+  patientRefusal: {
+    name: "Patient declined",
+    include: [
+      { system: SNOMED_SYSTEM, codes: ["105480006", "183944003", "413311005"] },
+    ],
+    text: /\b(declined|refused)\b/i,
+  },
+};
+
+function codingInValueSet(coding, valueSet) {
+  if (!coding || !coding.code) return false;
+  return valueSet.include.some(
+    (inc) =>
+      inc.system === coding.system &&
+      ((inc.codes || []).indexOf(coding.code) !== -1 ||
+        (inc.prefixes || []).some((p) => coding.code.indexOf(p) === 0))
+  );
+}
+
+// Where a resource keeps the concept the value sets are matched against
+export function resourceConcepts(resource) {
+  if (resource.resourceType === "Encounter") return resource.type || [];
+  if (resource.resourceType === "Immunization") {
+    return resource.vaccineCode ? [resource.vaccineCode] : [];
+  }
+  if (resource.medicationCodeableConcept) {
+    return [resource.medicationCodeableConcept];
+  }
+  return resource.code ? [resource.code] : [];
+}
+
+// { method: "code", coding } for a coded member of the value set,
+// { method: "text", text } when only the fallback display text matched,
+// otherwise null
+export function matchValueSet(concepts, valueSet) {
+  const codings = [];
+  concepts.forEach((c) => (c.coding || []).forEach((cd) => codings.push(cd)));
+  const coded = codings.find((cd) => codingInValueSet(cd, valueSet));
+  if (coded) return { method: "code", coding: coded };
+
+  const systems = valueSet.include.map((inc) => inc.system);
+  const codedElsewhere = codings.some(
+    (cd) => cd.code && systems.indexOf(cd.system) !== -1
+  );
+  if (!valueSet.text || codedElsewhere) return null;
+  const texts = [];
+  concepts.forEach((c) => {
+    if (c.text) texts.push(c.text);
+    (c.coding || []).forEach((cd) => {
+      if (cd.display) texts.push(cd.display);
+    });
+  });
+  const text = texts.find((t) => valueSet.text.test(t));
+  return text ? { method: "text", text } : null;
+}
+
+// [{ resource, match }] for every resource in the value set
+export function findValueSetMembers(resources, valueSet) {
+  const members = [];
+  resources.forEach((resource) => {
+    const match = matchValueSet(resourceConcepts(resource), valueSet);
+    if (match) members.push({ resource, match });
+  });
+  return members;
+}
+
+// Every match in the patient's record that rests on display text alone
+export function findTextFallbacks(resources, valueSets) {
+  const sets = valueSets || VALUE_SETS;
+  const fallbacks = [];
+  Object.keys(resources).forEach((bucket) => {
+    (resources[bucket] || []).forEach((resource) => {
+      Object.keys(sets).forEach((valueSetId) => {
+        const valueSet = sets[valueSetId];
+        const match = matchValueSet(resourceConcepts(resource), valueSet);
+        if (match && match.method === "text") {
+          fallbacks.push({
+            id: resource.resourceType + "/" + resource.id + "|" + valueSetId,
+            valueSet: valueSet.name,
+            resourceType: resource.resourceType,
+            text: match.text,
+          });
+        }
+      });
+    });
+  });
+  return fallbacks;
+}
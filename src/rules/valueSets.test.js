@@ -0,0 +1,119 @@
+import { bucketResources } from "../fhir/utils";
+import {
+  findTextFallbacks,
+  findValueSetMembers,
+  ICD10CM_SYSTEM,
+  LOINC_SYSTEM,
+  matchValueSet,
+  resourceConcepts,
+  SNOMED_SYSTEM,
+  VALUE_SETS,
+} from "./valueSets";
+
+function condition(id, code) {
+  return { resourceType: "Condition", id, code };
+}
+
+describe("matchValueSet", () => {
+  test("matches ICD-10-CM codes by prefix and SNOMED CT codes exactly", () => {
+    expect(
+      matchValueSet(
+        [{ coding: [{ system: ICD10CM_SYSTEM, code: "E11.65" }] }],
+        VALUE_SETS.diabetes
+      )
+    ).toEqual({
+      method: "code",
+      coding: { system: ICD10CM_SYSTEM, code: "E11.65" },
+    });
+    expect(
+      matchValueSet(
+        [{ coding: [{ system: SNOMED_SYSTEM, code: "44054006" }] }],
+        VALUE_SETS.diabetes
+      ).method
+    ).toBe("code");
+    expect(
+      matchValueSet(
+        [{ coding: [{ system: SNOMED_SYSTEM, code: "4405400" }] }],
+        VALUE_SETS.diabetes
+      )
+    ).toBeNull();
+  });
+
+  test("does not match a code from another system", () => {
+    expect(
+      matchValueSet(
+        [{ coding: [{ system: LOINC_SYSTEM, code: "E11.9" }] }],
+        VALUE_SETS.diabetes
+      )
+    ).toBeNull();
+  });
+
+  test("falls back to display text only when the concept is uncoded", () => {
+    expect(
+      matchValueSet([{ text: "Type 2 diabetes" }], VALUE_SETS.diabetes)
+    ).toEqual({ method: "text", text: "Type 2 diabetes" });
+    expect(
+      matchValueSet(
+        [
+          {
+            coding: [{ system: ICD10CM_SYSTEM, code: "E66.9" }],
+            text: "Obesity, diabetes screening due",
+          },
+        ],
+        VALUE_SETS.diabetes
+      )
+    ).toBeNull();
+  });
+});
+
+describe("resourceConcepts", () => {
+  test("reads the field each resource type is coded in", () => {
+    const type = [{ text: "Office visit" }];
+    const vaccine = { text: "Influenza" };
+    const medication = { text: "Atorvastatin" };
+    expect(resourceConcepts({ resourceType: "Encounter", type })).toBe(type);
+    expect(
+      resourceConcepts({ resourceType: "Immunization", vaccineCode: vaccine })
+    ).toEqual([vaccine]);
+    expect(
+      resourceConcepts({
+        resourceType: "MedicationRequest",
+        medicationCodeableConcept: medication,
+      })
+    ).toEqual([medication]);
+    expect(resourceConcepts({ resourceType: "Observation" })).toEqual([]);
+  });
+});
+
+describe("findValueSetMembers and findTextFallbacks", () => {
+  const coded = condition("c1", {
+    coding: [{ system: ICD10CM_SYSTEM, code: "I10" }],
+  });
+  const textOnly = condition("c2", { text: "Essential hypertension" });
+  const unrelated = condition("c3", { text: "Seasonal allergies" });
+
+  test("return every resource in the value set with how it matched", () => {
+    const members = findValueSetMembers(
+      [coded, textOnly, unrelated],
+      VALUE_SETS.hypertension
+    );
+    expect(members.map((m) => [m.resource.id, m.match.method])).toEqual([
+      ["c1", "code"],
+      ["c2", "text"],
+    ]);
+  });
+
+  test("list the matches that rest on display text alone", () => {
+    const fallbacks = findTextFallbacks(
+      bucketResources([coded, textOnly, unrelated])
+    );
+    expect(fallbacks).toEqual([
+      {
+        id: "Condition/c2|hypertension",
+        valueSet: "Hypertension",
+        resourceType: "Condition",
+        text: "Essential hypertension",
+      },
+    ]);
+  });
+});
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder } from 'util';
+
+// jsdom has no TextDecoder, which upload format detection and NDJSON
+// streaming use
+global.TextDecoder = TextDecoder;
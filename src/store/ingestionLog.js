@@ -0,0 +1,171 @@
+/* =========================
+   INGESTION LOG & PROVENANCE
+   ========================= */
+
+import { formatFHIRDate } from "../fhir/utils";
+import { mergeIntoStore, removeFromStore, storeKey } from "./patientStore";
+
+// Every change to the store is an ingestion:
+//   { id, recorded, label, source: { fileName, format, messageIdType,
+//     messageId, sender }, payload: { patients, resources, merges },
+//     remove: ["Type/id"], summary, provenance }
+// The store is a base store with each ingestion applied in order, so
+// rolling one back is replaying the log without it.
+const INGESTION_FORMAT_URL =
+  "http://hospital.example.org/fhir/StructureDefinition/ingestion-format";
+const PROVENANCE_ASSEMBLER = {
+  type: {
+    coding: [
+      {
+        system:
+          "http://terminology.hl7.org/CodeSystem/provenance-participant-type",
+        code: "assembler",
+      },
+    ],
+  },
+  who: { display: "Patient Timeline & Care Gaps" },
+};
+
+export function newIngestionId() {
+  return "ingest-" + Date.now() + "-" + Math.floor(Math.random() * 1e6);
+}
+
+// FHIR Provenance tying the created and updated resources to their source
+function buildProvenance(ingestion, targets) {
+  const source = ingestion.source || {};
+  const what = { display: source.fileName || ingestion.label };
+  if (source.messageId) {
+    what.identifier = {
+      type: { text: source.messageIdType },
+      value: source.messageId,
+    };
+    if (source.sender) what.identifier.assigner = { display: source.sender };
+  }
+  return {
+    resourceType: "Provenance",
+    id: "prov-" + ingestion.id,
+    extension: [{ url: INGESTION_FORMAT_URL, valueString: source.format }],
+    target: targets.map((reference) => ({ reference })),
+    recorded: ingestion.recorded,
+    agent: [PROVENANCE_ASSEMBLER],
+    entity: [{ role: "source", what }],
+  };
+}
+
+function applyIngestion(store, ingestion) {
+  const result = mergeIntoStore(
+    removeFromStore(store, ingestion.remove || []),
+    ingestion.payload || {}
+  );
+  if (ingestion.provenance) {
+    result.store.resources[storeKey(ingestion.provenance)] =
+      ingestion.provenance;
+  }
+  return result;
+}
+
+// Apply a new ingestion and give it a summary and, when anything was
+// created or updated, a Provenance. Returns { store, ingestion }.
+export function recordIngestion(store, ingestion) {
+  const result = applyIngestion(store, { ...ingestion, provenance: null });
+  const targets = result.summary.created.concat(result.summary.updated);
+  const provenance =
+    targets.length > 0 ? buildProvenance(ingestion, targets) : null;
+  if (provenance) result.store.resources[storeKey(provenance)] = provenance;
+  return {
+    store: result.store,
+    ingestion: { ...ingestion, summary: result.summary, provenance },
+  };
+}
+
+export function replayIngestions(base, ingestions) {
+  return ingestions.reduce(
+    (store, ingestion) => applyIngestion(store, ingestion).store,
+    base
+  );
+}
+
+// An earlier ingestion of the same message (same id and sender), from the
+// log or from Provenance that came with an imported workspace:
+// { recorded, fileName } or null
+export function findEarlierIngestion(store, ingestions, source) {
+  const same = (type, id, sender) =>
+    type === source.messageIdType &&
+    id === source.messageId &&
+    (sender || "") === (source.sender || "");
+  const logged = ingestions.find(
+    (i) =>
+      i.source &&
+      same(i.source.messageIdType, i.source.messageId, i.source.sender)
+  );
+  if (logged) {
+    return { recorded: logged.recorded, fileName: logged.source.fileName };
+  }
+  let found = null;
+  Object.keys(store.resources).some((key) => {
+    const prov = store.resources[key];
+    if (prov.resourceType !== "Provenance") return false;
+    return (prov.entity || []).some((e) => {
+      const id = e.what && e.what.identifier;
+      if (
+        !id ||
+        !same(
+          id.type && id.type.text,
+          id.value,
+          id.assigner && id.assigner.display
+        )
+      ) {
+        return false;
+      }
+      found = { recorded: prov.recorded, fileName: e.what.display };
+      return true;
+    });
+  });
+  return found;
+}
+
+// "Type/id" -> the latest Provenance naming it as a target
+export function indexProvenance(store) {
+  const index = {};
+  Object.keys(store.resources).forEach((key) => {
+    const prov = store.resources[key];
+    if (prov.resourceType !== "Provenance") return;
+    (prov.target || []).forEach((t) => {
+      const current = index[t.reference];
+      if (!current || current.recorded < prov.recorded) {
+        index[t.reference] = prov;
+      }
+    });
+  });
+  return index;
+}
+
+// "HL7 v2", "C-CDA", "FHIR Bundle", ... as recorded on the Provenance
+export function provenanceFormat(prov) {
+  const format = (prov.extension || []).find(
+    (e) => e.url === INGESTION_FORMAT_URL
+  );
+  return (format && format.valueString) || null;
+}
+
+// "lab.hl7 (HL7 v2, MSH-10 MSG00001), ingested 1/2/2025"
+export function describeProvenance(prov) {
+  const entity = (prov.entity || []).find((e) => e.role === "source");
+  const what = (entity && entity.what) || {};
+  const format = provenanceFormat(prov);
+  const details = [];
+  if (format) details.push(format);
+  if (what.identifier && what.identifier.value) {
+    details.push(
+      ((what.identifier.type && what.identifier.type.text) || "ID") +
+        " " +
+        what.identifier.value
+    );
+  }
+  return (
+    (what.display || "Unknown source") +
+    (details.length > 0 ? " (" + details.join(", ") + ")" : "") +
+    ", ingested " +
+    formatFHIRDate(prov.recorded)
+  );
+}
@@ -0,0 +1,186 @@
+import {
+  describeProvenance,
+  findEarlierIngestion,
+  indexProvenance,
+  provenanceFormat,
+  recordIngestion,
+  replayIngestions,
+} from "./ingestionLog";
+import { createPatientStore } from "./patientStore";
+
+const PATIENT = {
+  resourceType: "Patient",
+  id: "pt-1",
+  name: [{ family: "Doe", given: ["Jane"] }],
+  birthDate: "1965-04-12",
+};
+
+function a1c(id, value, date) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    code: { coding: [{ system: "http://loinc.org", code: "4548-4" }] },
+    subject: { reference: "Patient/pt-1" },
+    effectiveDateTime: date || "2025-06-10",
+    valueQuantity: { value, unit: "%" },
+  };
+}
+
+function hl7Ingestion(id, resources, messageId) {
+  return {
+    id,
+    recorded: "2025-06-10T09:00:00.000Z",
+    label: "a1c.hl7",
+    source: {
+      fileName: "a1c.hl7",
+      format: "HL7 v2",
+      messageIdType: "MSH-10",
+      messageId: messageId || "MSG00001",
+      sender: "LABSYS^HOSPITAL",
+    },
+    payload: { resources },
+  };
+}
+
+const BASE = createPatientStore([PATIENT], []);
+
+describe("recordIngestion", () => {
+  test("applies the payload and records a Provenance for what changed", () => {
+    const { store, ingestion } = recordIngestion(
+      BASE,
+      hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])
+    );
+    expect(store.resources["Observation/obs-1"].valueQuantity.value).toBe(8.1);
+    expect(ingestion.summary.created).toEqual(["Observation/obs-1"]);
+    expect(ingestion.provenance).toMatchObject({
+      resourceType: "Provenance",
+      id: "prov-ingest-1",
+      target: [{ reference: "Observation/obs-1" }],
+      recorded: "2025-06-10T09:00:00.000Z",
+      entity: [
+        {
+          role: "source",
+          what: {
+            display: "a1c.hl7",
+            identifier: {
+              type: { text: "MSH-10" },
+              value: "MSG00001",
+              assigner: { display: "LABSYS^HOSPITAL" },
+            },
+          },
+        },
+      ],
+    });
+    expect(store.resources["Provenance/prov-ingest-1"]).toBe(
+      ingestion.provenance
+    );
+  });
+
+  test("records no Provenance when nothing was created or updated", () => {
+    const first = recordIngestion(
+      BASE,
+      hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])
+    );
+    const again = recordIngestion(
+      first.store,
+      hl7Ingestion("ingest-2", [a1c("obs-1", 8.1)], "MSG00002")
+    );
+    expect(again.ingestion.summary.unchanged).toEqual(["Observation/obs-1"]);
+    expect(again.ingestion.provenance).toBeNull();
+    expect(again.store.resources["Provenance/prov-ingest-2"]).toBeUndefined();
+  });
+});
+
+describe("replayIngestions", () => {
+  test("rebuilds the store without an ingestion that was undone", () => {
+    const first = recordIngestion(
+      BASE,
+      hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])
+    );
+    const second = recordIngestion(
+      first.store,
+      hl7Ingestion("ingest-2", [a1c("obs-1", 7.4)], "MSG00002")
+    );
+    expect(
+      second.store.resources["Observation/obs-1"].valueQuantity.value
+    ).toBe(7.4);
+
+    const undone = replayIngestions(BASE, [first.ingestion]);
+    expect(undone.resources["Observation/obs-1"].valueQuantity.value).toBe(8.1);
+    expect(undone.resources["Provenance/prov-ingest-2"]).toBeUndefined();
+    expect(replayIngestions(BASE, []).resources).toEqual({});
+  });
+
+  test("applies removals, as when an exception is withdrawn", () => {
+    const added = recordIngestion(
+      BASE,
+      hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])
+    );
+    const removal = {
+      id: "ingest-2",
+      recorded: "2025-06-11T09:00:00.000Z",
+      label: "Remove result",
+      remove: ["Observation/obs-1"],
+    };
+    const store = replayIngestions(BASE, [added.ingestion, removal]);
+    expect(store.resources["Observation/obs-1"]).toBeUndefined();
+  });
+});
+
+describe("findEarlierIngestion", () => {
+  const source = hl7Ingestion("x", []).source;
+
+  test("finds a message with the same id and sender in the log", () => {
+    const logged = [hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])];
+    expect(findEarlierIngestion(BASE, logged, source)).toEqual({
+      recorded: "2025-06-10T09:00:00.000Z",
+      fileName: "a1c.hl7",
+    });
+    expect(
+      findEarlierIngestion(BASE, logged, { ...source, sender: "OTHERLAB" })
+    ).toBeNull();
+  });
+
+  test("finds it through Provenance from an imported workspace", () => {
+    const { store } = recordIngestion(
+      BASE,
+      hl7Ingestion("ingest-1", [a1c("obs-1", 8.1)])
+    );
+    expect(findEarlierIngestion(store, [], source)).toEqual({
+      recorded: "2025-06-10T09:00:00.000Z",
+      fileName: "a1c.hl7",
+    });
+  });
+});
+
+describe("Provenance lookups", () => {
+  const first = recordIngestion(
+    BASE,
+    hl7Ingestion("ingest-1", [
+      a1c("obs-1", 8.1),
+      a1c("obs-2", 7.0, "2025-01-05"),
+    ])
+  );
+  const second = recordIngestion(first.store, {
+    ...hl7Ingestion("ingest-2", [a1c("obs-1", 7.4)], "MSG00002"),
+    recorded: "2025-06-12T09:00:00.000Z",
+  });
+
+  test("index the latest Provenance for each target", () => {
+    const index = indexProvenance(second.store);
+    expect(index["Observation/obs-1"].id).toBe("prov-ingest-2");
+    expect(index["Observation/obs-2"].id).toBe("prov-ingest-1");
+  });
+
+  test("describe the source, format and message id", () => {
+    const prov = second.ingestion.provenance;
+    expect(provenanceFormat(prov)).toBe("HL7 v2");
+    expect(describeProvenance(prov)).toBe(
+      "a1c.hl7 (HL7 v2, MSH-10 MSG00002), ingested 6/12/2025"
+    );
+    expect(describeProvenance({ recorded: "2025-06-12" })).toBe(
+      "Unknown source, ingested 6/12/2025"
+    );
+  });
+});
@@ -0,0 +1,317 @@
+/* =========================
+   PATIENT STORE
+   ========================= */
+
+import { getPatientReference } from "../fhir/bundle";
+import { bucketResources, RESOURCE_BUCKETS } from "../fhir/utils";
+import { sameIdentifier } from "../hl7/matching";
+
+// Every source (mocks, bundles, HL7) feeds one store:
+//   patients:  id -> Patient
+//   resources: "Type/id" -> resource
+//   merged:    merged patient id -> surviving patient id (ADT^A40)
+export function createPatientStore(patients, resources) {
+  const store = { patients: {}, resources: {}, merged: {} };
+  patients.forEach((p) => {
+    store.patients[p.id] = p;
+  });
+  resources.forEach((r) => {
+    store.resources[storeKey(r)] = r;
+  });
+  return store;
+}
+
+export function storeKey(resource) {
+  return resource.resourceType + "/" + resource.id;
+}
+
+function identifierKeys(resource) {
+  return (resource.identifier || [])
+    .filter((id) => id.system && id.value)
+    .map((id) => id.system + "|" + id.value);
+}
+
+export function resolvePatientId(store, patientId) {
+  let id = patientId;
+  const seen = {};
+  while (store.merged[id] && !seen[id]) {
+    seen[id] = true;
+    id = store.merged[id];
+  }
+  return id;
+}
+
+export function listStorePatients(store) {
+  return Object.keys(store.patients)
+    .filter((id) => !store.merged[id])
+    .map((id) => store.patients[id]);
+}
+
+// > 0 when a is a later version than b, 0 when meta cannot tell them apart
+function compareResourceVersions(a, b) {
+  const am = a.meta || {};
+  const bm = b.meta || {};
+  if (am.lastUpdated && bm.lastUpdated) {
+    const diff = Date.parse(am.lastUpdated) - Date.parse(bm.lastUpdated);
+    if (diff) return diff;
+  }
+  if (am.versionId && bm.versionId && am.versionId !== bm.versionId) {
+    const av = Number(am.versionId);
+    const bv = Number(bm.versionId);
+    if (!isNaN(av) && !isNaN(bv)) return av - bv;
+  }
+  return 0;
+}
+
+// Identifiers of both versions, without repeats
+function unionIdentifiers(existing, incoming) {
+  const identifiers = (existing || []).slice();
+  (incoming || []).forEach((id) => {
+    if (
+      !identifiers.some(
+        (e) =>
+          sameIdentifier(e, id) ||
+          (!e.system && !id.system && e.value === id.value)
+      )
+    ) {
+      identifiers.push(id);
+    }
+  });
+  return identifiers;
+}
+
+// The newer version replaces the one we hold, so elements it dropped are
+// gone. Two parts are kept from both: identifiers, and the period, since an
+// update that omits period.start (e.g. an A03 discharge) keeps the start we
+// already had.
+function mergeResource(existing, incoming) {
+  const merged = { ...incoming, id: existing.id };
+  if (existing.period || incoming.period) {
+    merged.period = { ...existing.period, ...incoming.period };
+  }
+  if (existing.identifier || incoming.identifier) {
+    merged.identifier = unionIdentifiers(
+      existing.identifier,
+      incoming.identifier
+    );
+  }
+  return merged;
+}
+
+// "2 new, 1 updated, 3 unchanged, 1 duplicate(s) skipped"
+export function describeMergeSummary(summary) {
+  const parts = [
+    summary.created.length + " new",
+    summary.updated.length + " updated",
+    summary.unchanged.length + " unchanged",
+  ];
+  const duplicates = (summary.duplicate || []).length;
+  if (duplicates > 0) parts.push(duplicates + " duplicate(s) skipped");
+  if (summary.stale.length > 0) {
+    parts.push(
+      summary.stale.length +
+        " older than the version already loaded (kept ours)"
+    );
+  }
+  return parts.join(", ");
+}
+
+function isSameContent(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Same patient, code, time and value: one result or dose sent again under
+// another id. Only Observations and Immunizations are compared.
+function contentKey(store, resource) {
+  const ref = getPatientReference(resource);
+  if (!ref || ref.reference.indexOf("Patient/") !== 0) return null;
+  let code = null;
+  let time = null;
+  let value = "";
+  if (resource.resourceType === "Observation") {
+    code = resource.code;
+    time =
+      resource.effectiveDateTime ||
+      (resource.effectivePeriod && resource.effectivePeriod.start);
+    value = Object.keys(resource)
+      .filter((k) => k.indexOf("value") === 0 || k === "component")
+      .sort()
+      .map((k) => k + "=" + JSON.stringify(resource[k]))
+      .join(";");
+  } else if (resource.resourceType === "Immunization") {
+    code = resource.vaccineCode;
+    time = resource.occurrenceDateTime;
+    value = resource.status || "";
+  }
+  const coding = code && (code.coding || []).find((c) => c.system && c.code);
+  const concept = coding
+    ? coding.system + "|" + coding.code
+    : code && code.text && code.text.toLowerCase();
+  if (!concept || !time) return null;
+  return [
+    resource.resourceType,
+    resolvePatientId(store, ref.reference.slice("Patient/".length)),
+    concept,
+    time,
+    value,
+  ].join("|");
+}
+
+// Merge incoming { patients, resources, merges } into a copy of the store.
+// Patients and resources are matched by id, then by identifier
+// (system|value); a copy whose meta says it is older than what we hold is
+// ignored, and a resource whose content duplicates one we hold (see
+// contentKey) is skipped. Returns the new store and what happened to each
+// incoming item, listed as "Type/id".
+export function mergeIntoStore(store, incoming) {
+  const next = {
+    patients: { ...store.patients },
+    resources: { ...store.resources },
+    merged: { ...store.merged },
+  };
+  const summary = {
+    created: [],
+    updated: [],
+    unchanged: [],
+    stale: [],
+    duplicate: [],
+  };
+  const patientIdMap = {};
+
+  const upsert = (collection, key, existing, resource) => {
+    const ref = collection === next.patients ? "Patient/" + key : key;
+    const record = (outcome) => summary[outcome].push(ref);
+    if (!existing) {
+      collection[key] = resource;
+      record("created");
+      return;
+    }
+    const version = compareResourceVersions(resource, existing);
+    if (version < 0) {
+      record("stale");
+      return;
+    }
+    const merged = mergeResource(existing, resource);
+    if (isSameContent(merged, existing)) {
+      record("unchanged");
+      return;
+    }
+    collection[key] = merged;
+    record("updated");
+  };
+
+  const patientsByIdentifier = {};
+  Object.keys(next.patients).forEach((id) => {
+    identifierKeys(next.patients[id]).forEach((k) => {
+      patientsByIdentifier[k] = id;
+    });
+  });
+
+  (incoming.patients || []).forEach((p) => {
+    let targetId = next.patients[p.id] ? p.id : null;
+    if (!targetId) {
+      const match = identifierKeys(p).find((k) => patientsByIdentifier[k]);
+      if (match) targetId = patientsByIdentifier[match];
+    }
+    targetId = targetId ? resolvePatientId(next, targetId) : p.id;
+    patientIdMap[p.id] = targetId;
+    upsert(next.patients, targetId, next.patients[targetId], {
+      ...p,
+      id: targetId,
+    });
+    identifierKeys(next.patients[targetId]).forEach((k) => {
+      patientsByIdentifier[k] = targetId;
+    });
+  });
+
+  const resourcesByIdentifier = {};
+  const resourcesByContent = {};
+  Object.keys(next.resources).forEach((key) => {
+    const r = next.resources[key];
+    identifierKeys(r).forEach((k) => {
+      resourcesByIdentifier[r.resourceType + "|" + k] = key;
+    });
+    const content = contentKey(next, r);
+    if (content) resourcesByContent[content] = key;
+  });
+
+  (incoming.resources || []).forEach((r) => {
+    let resource = r;
+    const ref = getPatientReference(r);
+    if (ref && ref.reference.indexOf("Patient/") === 0) {
+      const patientId = ref.reference.slice("Patient/".length);
+      if (patientIdMap[patientId]) {
+        resource = {
+          ...r,
+          [ref.field]: {
+            ...r[ref.field],
+            reference: "Patient/" + patientIdMap[patientId],
+          },
+        };
+      }
+    }
+    let key = storeKey(resource);
+    if (!next.resources[key]) {
+      const match = identifierKeys(resource).find(
+        (k) => resourcesByIdentifier[resource.resourceType + "|" + k]
+      );
+      if (match)
+        key = resourcesByIdentifier[resource.resourceType + "|" + match];
+    }
+    const content = contentKey(next, resource);
+    if (!next.resources[key] && content && resourcesByContent[content]) {
+      summary.duplicate.push(key);
+      return;
+    }
+    upsert(next.resources, key, next.resources[key], resource);
+    identifierKeys(next.resources[key] || resource).forEach((k) => {
+      resourcesByIdentifier[resource.resourceType + "|" + k] = key;
+    });
+    if (content && next.resources[key]) resourcesByContent[content] = key;
+  });
+
+  (incoming.merges || []).forEach((m) => {
+    const survivorId = resolvePatientId(next, m.survivorId);
+    const mergedId = resolvePatientId(next, m.mergedId);
+    if (survivorId === mergedId || !next.patients[mergedId]) return;
+    next.merged[mergedId] = survivorId;
+    const survivor = next.patients[survivorId];
+    next.patients[survivorId] = {
+      ...survivor,
+      identifier: unionIdentifiers(
+        survivor.identifier,
+        next.patients[mergedId].identifier
+      ),
+    };
+  });
+
+  return { store: next, summary };
+}
+
+// Copy of the store without the given "Type/id" resources
+export function removeFromStore(store, keys) {
+  const resources = { ...store.resources };
+  keys.forEach((key) => delete resources[key]);
+  return { ...store, resources };
+}
+
+// Resources grouped per (surviving) patient, in the buckets the engine uses
+export function indexResourcesByPatient(store) {
+  const index = {};
+  listStorePatients(store).forEach((p) => {
+    index[p.id] = bucketResources([]);
+  });
+  Object.keys(store.resources).forEach((key) => {
+    const r = store.resources[key];
+    const bucket = RESOURCE_BUCKETS[r.resourceType];
+    const ref = getPatientReference(r);
+    if (!bucket || !ref || ref.reference.indexOf("Patient/") !== 0) return;
+    const patientId = resolvePatientId(
+      store,
+      ref.reference.slice("Patient/".length)
+    );
+    if (!index[patientId]) return;
+    index[patientId][bucket].push(r);
+  });
+  return index;
+}
@@ -0,0 +1,169 @@
+import { createPatientStore, mergeIntoStore } from "./patientStore";
+
+const MRN = "http://hospital.example.org/mrn";
+
+const PATIENT = {
+  resourceType: "Patient",
+  id: "pt-1",
+  identifier: [{ system: MRN, value: "12345" }],
+  name: [{ family: "Doe", given: ["Jane"] }],
+  birthDate: "1965-04-12",
+};
+
+function observation(fields) {
+  return {
+    resourceType: "Observation",
+    id: "obs-a1c",
+    status: "preliminary",
+    code: { coding: [{ system: "http://loinc.org", code: "4548-4" }] },
+    subject: { reference: "Patient/pt-1" },
+    effectiveDateTime: "2025-06-10",
+    valueQuantity: { value: 8.1, unit: "%" },
+    ...fields,
+  };
+}
+
+function storeWith(resources) {
+  return createPatientStore([PATIENT], resources);
+}
+
+describe("mergeIntoStore", () => {
+  test("replaces a resource with a newer version and drops removed fields", () => {
+    const held = observation({
+      meta: { versionId: "1" },
+      interpretation: [{ coding: [{ code: "H" }] }],
+      note: [{ text: "Hemolyzed sample" }],
+    });
+    const newer = observation({
+      meta: { versionId: "2" },
+      status: "final",
+      valueQuantity: { value: 7.9, unit: "%" },
+    });
+    const { store, summary } = mergeIntoStore(storeWith([held]), {
+      resources: [newer],
+    });
+    expect(summary.updated).toEqual(["Observation/obs-a1c"]);
+    expect(store.resources["Observation/obs-a1c"]).toEqual(newer);
+  });
+
+  test("keeps the held resource when the incoming one is older", () => {
+    const held = observation({
+      meta: { lastUpdated: "2025-06-11T09:00:00Z" },
+      status: "final",
+    });
+    const older = observation({
+      meta: { lastUpdated: "2025-06-10T09:00:00Z" },
+      note: [{ text: "Pending review" }],
+    });
+    const { store, summary } = mergeIntoStore(storeWith([held]), {
+      resources: [older],
+    });
+    expect(summary.stale).toEqual(["Observation/obs-a1c"]);
+    expect(store.resources["Observation/obs-a1c"]).toBe(held);
+  });
+
+  test("orders versionIds numerically, not as strings", () => {
+    const held = observation({ meta: { versionId: "9" }, status: "final" });
+    const newer = observation({ meta: { versionId: "10" } });
+    const { store, summary } = mergeIntoStore(storeWith([held]), {
+      resources: [newer],
+    });
+    expect(summary.updated).toEqual(["Observation/obs-a1c"]);
+    expect(store.resources["Observation/obs-a1c"].status).toBe("preliminary");
+  });
+
+  test("lets a copy without version metadata replace the held one", () => {
+    const held = observation({ note: [{ text: "Repeat in 3 months" }] });
+    const { store, summary } = mergeIntoStore(storeWith([held]), {
+      resources: [observation({ status: "final" })],
+    });
+    expect(summary.updated).toEqual(["Observation/obs-a1c"]);
+    expect(store.resources["Observation/obs-a1c"].note).toBeUndefined();
+  });
+
+  test("reports an identical copy as unchanged", () => {
+    const held = observation({ status: "final" });
+    const { store, summary } = mergeIntoStore(storeWith([held]), {
+      resources: [observation({ status: "final" })],
+    });
+    expect(summary.unchanged).toEqual(["Observation/obs-a1c"]);
+    expect(store.resources["Observation/obs-a1c"]).toBe(held);
+  });
+
+  test("unions identifiers and keeps the held period.start", () => {
+    const admitted = {
+      resourceType: "Encounter",
+      id: "enc-1",
+      status: "in-progress",
+      class: { code: "IMP" },
+      identifier: [{ system: "urn:visit", value: "V1" }],
+      subject: { reference: "Patient/pt-1" },
+      period: { start: "2025-06-01T08:00:00Z" },
+      location: [{ location: { display: "Ward 4" } }],
+    };
+    const discharged = {
+      resourceType: "Encounter",
+      id: "enc-1",
+      status: "finished",
+      class: { code: "IMP" },
+      identifier: [
+        { system: "urn:visit", value: "V1" },
+        { system: "urn:account", value: "A7" },
+      ],
+      subject: { reference: "Patient/pt-1" },
+      period: { end: "2025-06-04T12:00:00Z" },
+    };
+    const { store } = mergeIntoStore(storeWith([admitted]), {
+      resources: [discharged],
+    });
+    expect(store.resources["Encounter/enc-1"]).toEqual({
+      ...discharged,
+      identifier: [
+        { system: "urn:visit", value: "V1" },
+        { system: "urn:account", value: "A7" },
+      ],
+      period: { start: "2025-06-01T08:00:00Z", end: "2025-06-04T12:00:00Z" },
+    });
+  });
+
+  test("matches a patient by identifier and replaces its demographics", () => {
+    const { store, summary } = mergeIntoStore(storeWith([]), {
+      patients: [
+        {
+          resourceType: "Patient",
+          id: "lab-77",
+          identifier: [{ system: MRN, value: "12345" }],
+          name: [{ family: "Doe-Smith", given: ["Jane"] }],
+        },
+      ],
+    });
+    expect(summary.updated).toEqual(["Patient/pt-1"]);
+    expect(store.patients["pt-1"]).toEqual({
+      resourceType: "Patient",
+      id: "pt-1",
+      identifier: [{ system: MRN, value: "12345" }],
+      name: [{ family: "Doe-Smith", given: ["Jane"] }],
+    });
+    expect(store.patients["lab-77"]).toBeUndefined();
+  });
+
+  test("keeps the survivor's fields when a merge adds identifiers", () => {
+    const other = {
+      resourceType: "Patient",
+      id: "pt-2",
+      identifier: [{ system: MRN, value: "99999" }],
+      name: [{ family: "Doe", given: ["J"] }],
+    };
+    const { store } = mergeIntoStore(createPatientStore([PATIENT, other], []), {
+      merges: [{ survivorId: "pt-1", mergedId: "pt-2" }],
+    });
+    expect(store.merged).toEqual({ "pt-2": "pt-1" });
+    expect(store.patients["pt-1"]).toEqual({
+      ...PATIENT,
+      identifier: [
+        { system: MRN, value: "12345" },
+        { system: MRN, value: "99999" },
+      ],
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/* =========================
+   LOCAL WORKSPACE
+   ========================= */
+
+import {
+  mockConditions,
+  mockEncounters,
+  mockImmunizations,
+  mockObservations,
+  mockPatients,
+  mockProcedures,
+} from "../data/mockData";
+import { EXPORT_BASE_URL } from "../rules/measureReport";
+import { createPatientStore, storeKey } from "./patientStore";
+
+// The base store, the ingestion log, the selected patient and the unmatched
+// queue are kept in IndexedDB so a reload picks up where the user left off
+const WORKSPACE_DB = "patient-timeline-care-gaps";
+const WORKSPACE_OBJECT_STORE = "workspace";
+const WORKSPACE_KEY = "current";
+const WORKSPACE_VERSION = 1;
+
+export function createMockStore() {
+  return createPatientStore(mockPatients, [
+    ...mockConditions,
+    ...mockEncounters,
+    ...mockObservations,
+    ...mockProcedures,
+    ...mockImmunizations,
+  ]);
+}
+
+// Promise for an IDBRequest's result
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openWorkspaceDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  const request = indexedDB.open(WORKSPACE_DB, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(WORKSPACE_OBJECT_STORE);
+  };
+  return idbResult(request);
+}
+
+// Run fn(objectStore) in one transaction and resolve with its request result
+function withWorkspaceStore(mode, fn) {
+  return openWorkspaceDb().then((db) => {
+    const tx = db.transaction(WORKSPACE_OBJECT_STORE, mode);
+    return idbResult(fn(tx.objectStore(WORKSPACE_OBJECT_STORE))).finally(() =>
+      db.close()
+    );
+  });
+}
+
+// { version, savedAt, baseStore, ingestions, selectedPatientId, unmatched }
+// or null, also for a record in any other format
+export function loadWorkspace() {
+  return withWorkspaceStore("readonly", (os) => os.get(WORKSPACE_KEY)).then(
+    (record) =>
+      record && record.version === WORKSPACE_VERSION && record.baseStore
+        ? record
+        : null
+  );
+}
+
+export function saveWorkspace(workspace) {
+  const record = {
+    ...workspace,
+    version: WORKSPACE_VERSION,
+    savedAt: new Date().toISOString(),
+  };
+  return withWorkspaceStore("readwrite", (os) =>
+    os.put(record, WORKSPACE_KEY)
+  ).then(() => record);
+}
+
+// The whole store as one collection Bundle. A merged-away patient carries a
+// Patient.link "replaced-by" its survivor so the merge survives the trip.
+export function exportStoreBundle(store, exportedAt) {
+  const patients = Object.keys(store.patients).map((id) => {
+    const patient = store.patients[id];
+    if (!store.merged[id]) return patient;
+    return {
+      ...patient,
+      link: (patient.link || []).concat({
+        other: { reference: "Patient/" + store.merged[id] },
+        type: "replaced-by",
+      }),
+    };
+  });
+  const resources = Object.keys(store.resources).map(
+    (key) => store.resources[key]
+  );
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    timestamp: exportedAt,
+    entry: patients.concat(resources).map((resource) => ({
+      fullUrl: EXPORT_BASE_URL + storeKey(resource),
+      resource,
+    })),
+  };
+}
+
+// Rebuild a store from exportStoreBundle output; "replaced-by" links become
+// merges again. Unlike an upload, this replaces the store outright.
+export function storeFromBundle(bundle) {
+  if (!bundle || bundle.resourceType !== "Bundle") {
+    throw new Error("A workspace file must be a FHIR Bundle.");
+  }
+  const resources = (bundle.entry || [])
+    .map((e) => e && e.resource)
+    .filter((r) => r && r.resourceType && r.id);
+  const merged = {};
+  const patients = resources
+    .filter((r) => r.resourceType === "Patient")
+    .map((p) => {
+      const links = (p.link || []).filter((link) => {
+        const ref = link.other && link.other.reference;
+        if (link.type !== "replaced-by" || !ref) return true;
+        if (ref.indexOf("Patient/") === 0) {
+          merged[p.id] = ref.slice("Patient/".length);
+        }
+        return false;
+      });
+      const patient = { ...p, link: links };
+      if (links.length === 0) delete patient.link;
+      return patient;
+    });
+  if (patients.length === 0) {
+    throw new Error("The workspace Bundle has no Patient resources.");
+  }
+  const store = createPatientStore(
+    patients,
+    resources.filter((r) => r.resourceType !== "Patient")
+  );
+  store.merged = merged;
+  return store;
+}
@@ -0,0 +1,295 @@
+/* =========================
+   TIMELINE
+   ========================= */
+
+import {
+  endOfDay,
+  formatFHIRDate,
+  parseFHIRDate,
+  toFHIRDate,
+} from "./fhir/utils";
+import {
+  eventName,
+  extractResultValues,
+  formatResultValues,
+  getResourceDate,
+  lookbackStart,
+  ruleEvents,
+} from "./rules/engine";
+
+// Kinds of timeline entry, in the order the filters list them
+export const TIMELINE_TYPES = [
+  "Encounter",
+  "Condition",
+  "Observation",
+  "Procedure",
+  "Report",
+  "Medication",
+  "Immunization",
+  "Care gap window",
+];
+
+// Interpretation codes that mark a result as outside its normal range
+const ABNORMAL_INTERPRETATIONS = [
+  "L",
+  "H",
+  "LL",
+  "HH",
+  "LU",
+  "HU",
+  "A",
+  "AA",
+  "<",
+  ">",
+];
+
+export function conceptText(concept) {
+  if (!concept) return "";
+  const coding = (concept.coding || [])[0];
+  return concept.text || (coding && (coding.display || coding.code)) || "";
+}
+
+// A result as shown on the timeline: "8.2%", "140/92 mmHg", a coded answer
+// or free text
+function formatObservationValue(observation) {
+  const values = extractResultValues(observation);
+  if (values.systolic !== undefined && values.diastolic !== undefined) {
+    return formatResultValues(values);
+  }
+  if (observation.valueQuantity && values.value !== undefined) {
+    return formatResultValues(values);
+  }
+  if (observation.valueCodeableConcept) {
+    return conceptText(observation.valueCodeableConcept);
+  }
+  if (typeof observation.valueString === "string")
+    return observation.valueString;
+  if (typeof observation.valueBoolean === "boolean") {
+    return observation.valueBoolean ? "Yes" : "No";
+  }
+  return "";
+}
+
+// Abnormal when an interpretation code says so, or when the quantity falls
+// outside the first reference range
+function isAbnormalResult(observation) {
+  const flagged = (observation.interpretation || []).some((concept) =>
+    (concept.coding || []).some(
+      (c) => ABNORMAL_INTERPRETATIONS.indexOf(c.code) !== -1
+    )
+  );
+  if (flagged) return true;
+  const quantity = observation.valueQuantity;
+  const range = (observation.referenceRange || [])[0];
+  if (!range || !quantity || typeof quantity.value !== "number") return false;
+  return (
+    (!!range.low &&
+      typeof range.low.value === "number" &&
+      quantity.value < range.low.value) ||
+    (!!range.high &&
+      typeof range.high.value === "number" &&
+      quantity.value > range.high.value)
+  );
+}
+
+function medicationDetail(resource) {
+  const dosage = (resource.dosageInstruction || resource.dosage || [])[0];
+  const verb =
+    resource.resourceType === "MedicationRequest" ? "Prescribed" : "Reported";
+  return verb + (dosage && dosage.text ? ": " + dosage.text : "");
+}
+
+// Clinical events up to and including `asOf` (default: everything), oldest
+// first, as { id, resource, date, type, label, detail, value, abnormal }.
+// A Condition gives one event at onset and another when it resolved.
+export function buildTimeline(resources, asOf) {
+  const events = [];
+  const add = (resource, fields) => {
+    if (!fields.date) return;
+    events.push({
+      id: resource.resourceType + "-" + resource.id + (fields.suffix || ""),
+      resource,
+      date: fields.date,
+      type: fields.type,
+      label: fields.label,
+      detail: fields.detail || "",
+      value: fields.value || "",
+      abnormal: !!fields.abnormal,
+    });
+  };
+  // Anything other than the usual "completed"/"final", e.g. "not-done"
+  const statusNote = (resource, usual) =>
+    resource.status && resource.status !== usual
+      ? "Status: " + resource.status
+      : "";
+
+  (resources.encounters || []).forEach((e) => {
+    add(e, {
+      type: "Encounter",
+      date: e.period && e.period.start,
+      label:
+        (e.type && e.type[0] && e.type[0].text) ||
+        (e.class && e.class.display) ||
+        "Encounter",
+      detail:
+        e.period && e.period.end ? "Until " + formatFHIRDate(e.period.end) : "",
+    });
+  });
+
+  (resources.conditions || []).forEach((c) => {
+    const label = conceptText(c.code) || "Condition";
+    const onset = c.onsetDateTime || (c.onsetPeriod && c.onsetPeriod.start);
+    add(c, {
+      type: "Condition",
+      date: onset || c.recordedDate,
+      label,
+      detail: onset ? "Onset" : "Recorded",
+    });
+    add(c, {
+      type: "Condition",
+      date:
+        c.abatementDateTime || (c.abatementPeriod && c.abatementPeriod.start),
+      label,
+      detail: "Resolved",
+      suffix: "-resolved",
+    });
+  });
+
+  (resources.observations || []).forEach((o) => {
+    add(o, {
+      type: "Observation",
+      date: getResourceDate(o),
+      label: conceptText(o.code) || "Observation",
+      detail: statusNote(o, "final"),
+      value: formatObservationValue(o),
+      abnormal: isAbnormalResult(o),
+    });
+  });
+
+  (resources.procedures || []).forEach((p) => {
+    add(p, {
+      type: "Procedure",
+      date:
+        p.performedDateTime || (p.performedPeriod && p.performedPeriod.start),
+      label: conceptText(p.code) || "Procedure",
+      detail: statusNote(p, "completed"),
+    });
+  });
+
+  (resources.diagnosticReports || []).forEach((r) => {
+    add(r, {
+      type: "Report",
+      date: getResourceDate(r),
+      label: conceptText(r.code) || "Diagnostic report",
+      detail: r.conclusion || "",
+    });
+  });
+
+  (resources.medications || []).forEach((m) => {
+    add(m, {
+      type: "Medication",
+      date:
+        m.authoredOn ||
+        m.effectiveDateTime ||
+        (m.effectivePeriod && m.effectivePeriod.start) ||
+        m.dateAsserted,
+      label: conceptText(m.medicationCodeableConcept) || "Medication",
+      detail: medicationDetail(m),
+    });
+  });
+
+  (resources.immunizations || []).forEach((i) => {
+    add(i, {
+      type: "Immunization",
+      date: i.occurrenceDateTime,
+      label: conceptText(i.vaccineCode) || "Immunization",
+      detail: statusNote(i, "completed"),
+    });
+  });
+
+  const limit = asOf ? endOfDay(asOf).getTime() : Infinity;
+  const shown = events.filter((ev) => {
+    const date = parseFHIRDate(ev.date);
+    return !date || date.getTime() <= limit;
+  });
+  shown.sort(
+    (a, b) => (parseFHIRDate(a.date) || 0) - (parseFHIRDate(b.date) || 0)
+  );
+  return shown;
+}
+
+// Where the lookback windows of open care gaps open and close, so the
+// timeline shows which results fell outside them. Each qualifying event with
+// a lookback gets a "start" marker; every window closes at the end of the
+// measurement period, which gets one shared "end" marker. Markers are
+// { id, type, date, marker: "start" | "end", label, detail, severity }.
+export function buildGapWindowMarkers(ruleResults, period, valueSets) {
+  const markers = [];
+  ruleResults.forEach((result) => {
+    if (!result.gap) return;
+    ruleEvents(result.rule).events.forEach((event, index) => {
+      const months = event.lookbackMonths;
+      if (months === undefined || months === null) return;
+      markers.push({
+        id: "window-" + result.rule.id + "-" + index,
+        type: "Care gap window",
+        date: toFHIRDate(lookbackStart(period, months)),
+        marker: "start",
+        label: eventName(event, valueSets) + " (" + months + " mo)",
+        detail: "Care gap: " + result.gap.label,
+        severity: result.rule.severity,
+      });
+    });
+  });
+  if (markers.length === 0) return markers;
+  return markers.concat({
+    id: "window-end",
+    type: "Care gap window",
+    date: toFHIRDate(period.end),
+    marker: "end",
+    label: "End of measurement period",
+    detail:
+      markers.length === 1
+        ? "The window above closes here."
+        : "All " + markers.length + " windows above close here.",
+  });
+}
+
+// A window closes at the end of its last day, after that day's events
+function timelineTime(ev) {
+  const date = parseFHIRDate(ev.date);
+  if (!date) return 0;
+  return ev.marker === "end" ? endOfDay(date).getTime() : date.getTime();
+}
+
+export function addGapWindows(events, markers) {
+  return events
+    .concat(markers)
+    .sort((a, b) => timelineTime(a) - timelineTime(b));
+}
+
+// Entries of the chosen types between `from` and `to` (YYYY-MM-DD; blank
+// leaves that end open)
+export function filterTimeline(events, filter) {
+  const from = filter.from ? parseFHIRDate(filter.from).getTime() : -Infinity;
+  const to = filter.to
+    ? endOfDay(parseFHIRDate(filter.to)).getTime()
+    : Infinity;
+  return events.filter((ev) => {
+    if (filter.types.indexOf(ev.type) === -1) return false;
+    const date = parseFHIRDate(ev.date);
+    return !date || (date.getTime() >= from && date.getTime() <= to);
+  });
+}
+
+// Consecutive entries from the same year: [{ year, events }]
+export function groupTimelineByYear(events) {
+  const groups = [];
+  events.forEach((ev) => {
+    const year = String(ev.date).slice(0, 4);
+    const last = groups[groups.length - 1];
+    if (last && last.year === year) last.events.push(ev);
+    else groups.push({ year, events: [ev] });
+  });
+  return groups;
+}
@@ -0,0 +1,235 @@
+import { getMeasurementPeriod, DEFAULT_CARE_GAP_RULES } from "./rules/engine";
+import { VALUE_SETS } from "./rules/valueSets";
+import {
+  addGapWindows,
+  buildGapWindowMarkers,
+  buildTimeline,
+  conceptText,
+  filterTimeline,
+  groupTimelineByYear,
+  TIMELINE_TYPES,
+} from "./timeline";
+
+function loinc(code, text) {
+  return { coding: [{ system: "http://loinc.org", code }], text };
+}
+
+const a1c = {
+  resourceType: "Observation",
+  id: "a1c-1",
+  status: "final",
+  code: loinc("4548-4", "Hemoglobin A1c"),
+  effectiveDateTime: "2024-03-05",
+  valueQuantity: { value: 9.4, unit: "%" },
+  referenceRange: [{ high: { value: 5.7 } }],
+};
+
+const bp = {
+  resourceType: "Observation",
+  id: "bp-1",
+  status: "amended",
+  code: loinc("85354-9", "Blood pressure"),
+  effectiveDateTime: "2025-01-10",
+  component: [
+    { code: loinc("8480-6"), valueQuantity: { value: 142, unit: "mm[Hg]" } },
+    { code: loinc("8462-4"), valueQuantity: { value: 91, unit: "mm[Hg]" } },
+  ],
+  interpretation: [{ coding: [{ code: "H" }] }],
+};
+
+const condition = {
+  resourceType: "Condition",
+  id: "c-1",
+  code: { coding: [{ code: "38341003", display: "Hypertension" }] },
+  onsetDateTime: "2019-06-01",
+  abatementDateTime: "2025-02-01",
+};
+
+const resources = {
+  observations: [bp, a1c],
+  conditions: [condition],
+  encounters: [
+    {
+      resourceType: "Encounter",
+      id: "e-1",
+      class: { display: "ambulatory" },
+      period: { start: "2024-03-05", end: "2024-03-05" },
+    },
+  ],
+  immunizations: [
+    {
+      resourceType: "Immunization",
+      id: "i-1",
+      status: "not-done",
+      vaccineCode: { text: "Influenza" },
+      occurrenceDateTime: "2024-10-01",
+    },
+  ],
+  medications: [
+    {
+      resourceType: "MedicationRequest",
+      id: "m-1",
+      authoredOn: "2023-08-15",
+      medicationCodeableConcept: { text: "Metformin 500 mg" },
+      dosageInstruction: [{ text: "Twice daily" }],
+    },
+  ],
+};
+
+describe("conceptText", () => {
+  test("prefers text, then the first coding's display, then its code", () => {
+    expect(conceptText(loinc("4548-4", "A1c"))).toBe("A1c");
+    expect(conceptText(condition.code)).toBe("Hypertension");
+    expect(conceptText(loinc("4548-4"))).toBe("4548-4");
+    expect(conceptText(null)).toBe("");
+  });
+});
+
+describe("buildTimeline", () => {
+  test("lists clinical events oldest first with their values", () => {
+    const events = buildTimeline(resources);
+    expect(events.map((ev) => ev.id)).toEqual([
+      "Condition-c-1",
+      "MedicationRequest-m-1",
+      "Encounter-e-1",
+      "Observation-a1c-1",
+      "Immunization-i-1",
+      "Observation-bp-1",
+      "Condition-c-1-resolved",
+    ]);
+    const byId = {};
+    events.forEach((ev) => {
+      byId[ev.id] = ev;
+    });
+    expect(byId["Condition-c-1"].detail).toBe("Onset");
+    expect(byId["Condition-c-1-resolved"].detail).toBe("Resolved");
+    expect(byId["Encounter-e-1"].label).toBe("ambulatory");
+    expect(byId["MedicationRequest-m-1"].detail).toBe(
+      "Prescribed: Twice daily"
+    );
+    expect(byId["Immunization-i-1"].detail).toBe("Status: not-done");
+    expect(byId["Observation-a1c-1"]).toMatchObject({
+      value: "9.4%",
+      abnormal: true,
+      detail: "",
+    });
+    expect(byId["Observation-bp-1"]).toMatchObject({
+      value: "142/91 mmHg",
+      abnormal: true,
+      detail: "Status: amended",
+    });
+  });
+
+  test("stops at the as-of date", () => {
+    const events = buildTimeline(resources, new Date(2024, 2, 5));
+    expect(events.map((ev) => ev.id)).toEqual([
+      "Condition-c-1",
+      "MedicationRequest-m-1",
+      "Encounter-e-1",
+      "Observation-a1c-1",
+    ]);
+  });
+
+  test("leaves out resources with no date", () => {
+    const events = buildTimeline({
+      observations: [{ ...a1c, effectiveDateTime: undefined }],
+    });
+    expect(events).toEqual([]);
+  });
+
+  test("flags a result outside its reference range only", () => {
+    const normal = { ...a1c, valueQuantity: { value: 5.2, unit: "%" } };
+    const [event] = buildTimeline({ observations: [normal] });
+    expect(event.abnormal).toBe(false);
+  });
+});
+
+describe("care gap windows", () => {
+  const period = getMeasurementPeriod(new Date(2025, 5, 30), "rolling");
+  const rule = (id) => DEFAULT_CARE_GAP_RULES.find((r) => r.id === id);
+
+  test("opens a window per open gap and closes them at the period end", () => {
+    const markers = buildGapWindowMarkers(
+      [
+        { rule: rule("a1c"), gap: { label: "Last A1c was 15 months ago" } },
+        { rule: rule("bp"), gap: null },
+      ],
+      period,
+      VALUE_SETS
+    );
+    expect(markers).toHaveLength(2);
+    expect(markers[0]).toMatchObject({
+      id: "window-a1c-0",
+      type: "Care gap window",
+      date: "2024-07-01",
+      marker: "start",
+      detail: "Care gap: Last A1c was 15 months ago",
+      severity: "high",
+    });
+    expect(markers[0].label).toMatch(/ \(12 mo\)$/);
+    expect(markers[1]).toMatchObject({
+      id: "window-end",
+      date: "2025-06-30",
+      marker: "end",
+      detail: "The window above closes here.",
+    });
+  });
+
+  test("adds no markers when no gap is open", () => {
+    expect(
+      buildGapWindowMarkers([{ rule: rule("a1c"), gap: null }], period, {})
+    ).toEqual([]);
+  });
+
+  test("closes windows after the events of their last day", () => {
+    const markers = buildGapWindowMarkers(
+      [{ rule: rule("a1c"), gap: { label: "gap" } }],
+      period,
+      VALUE_SETS
+    );
+    const sameDay = { id: "x", type: "Observation", date: "2025-06-30" };
+    const merged = addGapWindows([sameDay], markers);
+    expect(merged.map((ev) => ev.id)).toEqual([
+      "window-a1c-0",
+      "x",
+      "window-end",
+    ]);
+  });
+});
+
+describe("filterTimeline", () => {
+  const events = buildTimeline(resources);
+
+  test("keeps the chosen types between the from and to dates", () => {
+    const shown = filterTimeline(events, {
+      types: ["Observation", "Condition"],
+      from: "2024-01-01",
+      to: "2025-01-10",
+    });
+    expect(shown.map((ev) => ev.id)).toEqual([
+      "Observation-a1c-1",
+      "Observation-bp-1",
+    ]);
+  });
+
+  test("leaves blank dates open", () => {
+    const shown = filterTimeline(events, {
+      types: TIMELINE_TYPES,
+      from: "",
+      to: "",
+    });
+    expect(shown).toHaveLength(events.length);
+  });
+});
+
+describe("groupTimelineByYear", () => {
+  test("groups consecutive events by year", () => {
+    const groups = groupTimelineByYear(buildTimeline(resources));
+    expect(groups.map((g) => [g.year, g.events.length])).toEqual([
+      ["2019", 1],
+      ["2023", 1],
+      ["2024", 3],
+      ["2025", 2],
+    ]);
+  });
+});
@@ -0,0 +1,213 @@
+/* =========================
+   TRENDS
+   ========================= */
+
+import { parseFHIRDate } from "./fhir/utils";
+import {
+  extractResultValues,
+  getResourceDate,
+  isUsableEvidence,
+  recordedBy,
+  resourceTime,
+  ruleEvents,
+} from "./rules/engine";
+import { findValueSetMembers, VALUE_SETS } from "./rules/valueSets";
+import { conceptText } from "./timeline";
+
+// Analytes charted on their own, with the typical adult range shaded when
+// the results carry no referenceRange of their own. `lines` are the values
+// from extractResultValues that get a line each.
+const TREND_ANALYTES = [
+  {
+    id: "a1c",
+    valueSet: "hba1c",
+    lines: [{ key: "value", label: "A1c" }],
+    ranges: [{ key: "value", low: 4, high: 5.6 }],
+  },
+  {
+    id: "bp",
+    valueSet: "bloodPressure",
+    unit: "mmHg",
+    lines: [
+      { key: "systolic", label: "Systolic" },
+      { key: "diastolic", label: "Diastolic" },
+    ],
+    ranges: [
+      { key: "systolic", low: 90, high: 119 },
+      { key: "diastolic", low: 60, high: 79 },
+    ],
+  },
+  {
+    id: "ldl",
+    valueSet: "ldl",
+    lines: [{ key: "value", label: "LDL" }],
+    ranges: [{ key: "value", low: 0, high: 99 }],
+  },
+  {
+    id: "egfr",
+    valueSet: "egfr",
+    lines: [{ key: "value", label: "eGFR" }],
+    ranges: [{ key: "value", low: 90, high: 120 }],
+  },
+];
+
+// Where a resource came in from, by its ingestion's format; base data and
+// every FHIR route count as "FHIR"
+function resourceSourceKind(format) {
+  if (!format) return "FHIR";
+  if (format.indexOf("HL7") === 0) return "HL7 v2";
+  if (format === "C-CDA") return "C-CDA";
+  return "FHIR";
+}
+
+// Goal lines from control rules that judge this analyte, e.g. the A1c
+// control rule's "above 9" becomes a line at 9: [{ key, value, label }]
+function trendGoals(valueSet, rules) {
+  const goals = [];
+  rules.forEach((rule) => {
+    if (!rule.control) return;
+    const judged = ruleEvents(rule).events.some(
+      (event) => event.valueSet === valueSet
+    );
+    if (!judged) return;
+    rule.control.thresholds.forEach((t) => {
+      const above = t.above !== undefined;
+      goals.push({
+        key: t.value,
+        value: above ? t.above : t.atLeast,
+        label: (above ? "≤ " : "< ") + (above ? t.above : t.atLeast),
+        title: rule.title || rule.id,
+      });
+    });
+  });
+  return goals;
+}
+
+// The reference range of the newest result that has one with a low or high
+function resultRange(resources) {
+  const newestFirst = resources
+    .slice()
+    .sort((a, b) => resourceTime(b) - resourceTime(a));
+  for (let i = 0; i < newestFirst.length; i++) {
+    const range = (newestFirst[i].referenceRange || []).find(
+      (r) =>
+        (r.low && typeof r.low.value === "number") ||
+        (r.high && typeof r.high.value === "number")
+    );
+    if (range) {
+      return {
+        key: "value",
+        low: range.low && range.low.value,
+        high: range.high && range.high.value,
+        text: range.text,
+      };
+    }
+  }
+  return null;
+}
+
+// One chartable series: points for each line key, oldest first, as
+// { id, key, date, time, value, unit, source, resource }
+function trendSeries(spec, resources, sourceFormatOf) {
+  const points = [];
+  let unit = spec.unit || "";
+  resources.forEach((resource) => {
+    const date = getResourceDate(resource);
+    const parsed = parseFHIRDate(date);
+    if (!parsed) return;
+    const values = extractResultValues(resource);
+    spec.lines.forEach((line) => {
+      if (typeof values[line.key] !== "number") return;
+      if (!unit && line.key === "value" && values.unit) unit = values.unit;
+      points.push({
+        id: resource.resourceType + "/" + resource.id + "#" + line.key,
+        key: line.key,
+        date,
+        time: parsed.getTime(),
+        value: values[line.key],
+        source: resourceSourceKind(sourceFormatOf(resource)),
+        resource,
+      });
+    });
+  });
+  points.sort((a, b) => a.time - b.time);
+  const range = resultRange(resources);
+  return {
+    id: spec.id,
+    title: spec.title,
+    unit,
+    lines: spec.lines,
+    points,
+    ranges: range ? [range] : spec.ranges || [],
+    rangeSource: range ? "result" : "typical",
+    goals: spec.goals || [],
+  };
+}
+
+// "http://loinc.org|2345-7", or the text for uncoded results
+function observationCodeKey(observation) {
+  const coding = ((observation.code && observation.code.coding) || [])[0];
+  if (coding && coding.code) return (coding.system || "") + "|" + coding.code;
+  return conceptText(observation.code);
+}
+
+// Trend series for the patient's results up to `asOf`: the TREND_ANALYTES
+// first, then one series per other code with numeric values. Series need at
+// least one point.
+export function buildTrendSeries(resources, options) {
+  const valueSets = options.valueSets || VALUE_SETS;
+  const sourceFormatOf = options.sourceFormatOf || (() => null);
+  const observations = recordedBy(
+    (resources.observations || []).filter(isUsableEvidence),
+    options.asOf || new Date()
+  );
+  const charted = [];
+  const series = [];
+  TREND_ANALYTES.forEach((analyte) => {
+    const valueSet = valueSets[analyte.valueSet];
+    if (!valueSet) return;
+    const members = findValueSetMembers(observations, valueSet).map(
+      (m) => m.resource
+    );
+    members.forEach((r) => charted.push(r));
+    series.push(
+      trendSeries(
+        {
+          ...analyte,
+          title: valueSet.name,
+          goals: trendGoals(analyte.valueSet, options.rules || []),
+        },
+        members,
+        sourceFormatOf
+      )
+    );
+  });
+
+  const others = {};
+  const order = [];
+  observations.forEach((o) => {
+    if (charted.indexOf(o) !== -1) return;
+    if (!o.valueQuantity || typeof o.valueQuantity.value !== "number") return;
+    const key = observationCodeKey(o);
+    if (!key) return;
+    if (!others[key]) {
+      others[key] = [];
+      order.push(key);
+    }
+    others[key].push(o);
+  });
+  order.forEach((key) => {
+    series.push(
+      trendSeries(
+        {
+          id: "code-" + key,
+          title: conceptText(others[key][0].code),
+          lines: [{ key: "value", label: "Value" }],
+        },
+        others[key],
+        sourceFormatOf
+      )
+    );
+  });
+  return series.filter((s) => s.points.length > 0);
+}
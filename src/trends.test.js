@@ -0,0 +1,150 @@
+import { DEFAULT_CARE_GAP_RULES } from "./rules/engine";
+import { buildTrendSeries } from "./trends";
+
+function loinc(code, text) {
+  return { coding: [{ system: "http://loinc.org", code }], text };
+}
+
+function result(id, code, date, value, unit, extra) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    code: loinc(code, code),
+    effectiveDateTime: date,
+    valueQuantity: { value, unit },
+    ...extra,
+  };
+}
+
+function bp(id, date, systolic, diastolic) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    code: loinc("85354-9", "Blood pressure"),
+    effectiveDateTime: date,
+    component: [
+      { code: loinc("8480-6"), valueQuantity: { value: systolic } },
+      { code: loinc("8462-4"), valueQuantity: { value: diastolic } },
+    ],
+  };
+}
+
+const asOf = new Date(2025, 5, 30);
+
+describe("buildTrendSeries", () => {
+  test("charts A1c oldest first with its typical range and goal line", () => {
+    const series = buildTrendSeries(
+      {
+        observations: [
+          result("a2", "4548-4", "2025-03-01", 8.2, "%"),
+          result("a1", "4548-4", "2024-09-01", 9.6, "%"),
+        ],
+      },
+      { asOf, rules: DEFAULT_CARE_GAP_RULES }
+    );
+    expect(series.map((s) => s.id)).toEqual(["a1c"]);
+    const [a1c] = series;
+    expect(a1c.unit).toBe("%");
+    expect(a1c.points.map((p) => [p.date, p.value])).toEqual([
+      ["2024-09-01", 9.6],
+      ["2025-03-01", 8.2],
+    ]);
+    expect(a1c.points[0].id).toBe("Observation/a1#value");
+    expect(a1c.rangeSource).toBe("typical");
+    expect(a1c.ranges).toEqual([{ key: "value", low: 4, high: 5.6 }]);
+    expect(a1c.goals).toEqual([
+      expect.objectContaining({ key: "value", value: 9, label: "≤ 9" }),
+    ]);
+  });
+
+  test("shades the newest result's own reference range", () => {
+    const range = (high) => ({ referenceRange: [{ high: { value: high } }] });
+    const [a1c] = buildTrendSeries(
+      {
+        observations: [
+          result("a1", "4548-4", "2024-09-01", 9.6, "%", range(6.5)),
+          result("a2", "4548-4", "2025-03-01", 8.2, "%", range(5.7)),
+        ],
+      },
+      { asOf }
+    );
+    expect(a1c.rangeSource).toBe("result");
+    expect(a1c.ranges).toEqual([
+      { key: "value", low: undefined, high: 5.7, text: undefined },
+    ]);
+  });
+
+  test("draws systolic and diastolic lines against the BP goals", () => {
+    const [series] = buildTrendSeries(
+      { observations: [bp("b1", "2025-01-10", 142, 91)] },
+      { asOf, rules: DEFAULT_CARE_GAP_RULES }
+    );
+    expect(series.id).toBe("bp");
+    expect(series.unit).toBe("mmHg");
+    expect(series.points.map((p) => [p.key, p.value])).toEqual([
+      ["systolic", 142],
+      ["diastolic", 91],
+    ]);
+    expect(series.goals.map((g) => g.label)).toEqual(["< 140", "< 90"]);
+  });
+
+  test("gives other numeric results a series per code", () => {
+    const series = buildTrendSeries(
+      {
+        observations: [
+          result("k1", "2823-3", "2025-01-01", 4.1, "mmol/L"),
+          result("k2", "2823-3", "2025-02-01", 4.6, "mmol/L"),
+          result("w1", "29463-7", "2025-02-01", 80, "kg"),
+          {
+            ...result("t1", "8310-5", "2025-02-01", 0, ""),
+            valueQuantity: undefined,
+            valueString: "normal",
+          },
+        ],
+      },
+      { asOf }
+    );
+    expect(series.map((s) => [s.id, s.points.length])).toEqual([
+      ["code-http://loinc.org|2823-3", 2],
+      ["code-http://loinc.org|29463-7", 1],
+    ]);
+    expect(series[0].title).toBe("2823-3");
+    expect(series[0].unit).toBe("mmol/L");
+  });
+
+  test("leaves out results after the as-of date and unusable ones", () => {
+    const series = buildTrendSeries(
+      {
+        observations: [
+          result("a1", "4548-4", "2025-07-01", 8.2, "%"),
+          result("a2", "4548-4", "2025-03-01", 8.2, "%", {
+            status: "entered-in-error",
+          }),
+        ],
+      },
+      { asOf }
+    );
+    expect(series).toEqual([]);
+  });
+
+  test("marks each point with where it came from", () => {
+    const formats = { a1: "HL7 v2", a2: "C-CDA" };
+    const [a1c] = buildTrendSeries(
+      {
+        observations: [
+          result("a1", "4548-4", "2024-09-01", 9.6, "%"),
+          result("a2", "4548-4", "2025-01-01", 8.9, "%"),
+          result("a3", "4548-4", "2025-03-01", 8.2, "%"),
+        ],
+      },
+      { asOf, sourceFormatOf: (r) => formats[r.id] }
+    );
+    expect(a1c.points.map((p) => p.source)).toEqual([
+      "HL7 v2",
+      "C-CDA",
+      "FHIR",
+    ]);
+  });
+});
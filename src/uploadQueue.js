@@ -0,0 +1,92 @@
+/* =========================
+   UPLOAD QUEUE
+   ========================= */
+
+import { isCcdaDocument } from "./ccda";
+import { readBlobAsArrayBuffer } from "./fhir/bulk";
+import { getPatientReference, relativeReference } from "./fhir/bundle";
+import { getPatientDisplayName } from "./fhir/utils";
+
+// How much of each file is read to tell its format
+export const FORMAT_SNIFF_BYTES = 64 * 1024;
+
+export function readFileText(blob) {
+  return readBlobAsArrayBuffer(blob).then((buffer) =>
+    new TextDecoder().decode(buffer)
+  );
+}
+
+// What a file holds, judged by its first bytes rather than its name:
+// { format, firstType }, format being "FHIR JSON", "FHIR NDJSON", "HL7 v2",
+// "C-CDA", "XML" or "Unknown". NDJSON is JSON whose first line is a whole
+// resource; firstType is that resource's type.
+export function detectFileFormat(head) {
+  // \s also takes off a byte order mark
+  const text = head.replace(/^\s+/, "");
+  if (/^(MSH|FHS|BHS)\|/.test(text)) return { format: "HL7 v2" };
+  if (text.charAt(0) === "<") {
+    return { format: isCcdaDocument(text) ? "C-CDA" : "XML" };
+  }
+  if (text.charAt(0) !== "{") return { format: "Unknown" };
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  let first = null;
+  try {
+    first = JSON.parse(lines[0]);
+  } catch (err) {
+    // A pretty-printed document: its first line is not JSON on its own
+  }
+  if (
+    first &&
+    first.resourceType &&
+    (lines.length > 1 || first.resourceType !== "Bundle")
+  ) {
+    return { format: "FHIR NDJSON", firstType: first.resourceType };
+  }
+  return { format: "FHIR JSON" };
+}
+
+// Issues listed on a file's row; the rest are counted
+const UPLOAD_ISSUES_SHOWN = 5;
+
+// "Line 4: Observation/obs-9 references Patient/x, ..." for the first few
+// NDJSON issues
+export function listUploadIssues(issues) {
+  const shown = issues
+    .slice(0, UPLOAD_ISSUES_SHOWN)
+    .map(
+      (issue) =>
+        "Line " +
+        issue.line +
+        ": " +
+        (issue.resource ? issue.resource + " " : "") +
+        issue.message
+    );
+  if (issues.length > shown.length) {
+    shown.push("… and " + (issues.length - shown.length) + " more.");
+  }
+  return shown;
+}
+
+// NDJSON files of Patients go first and other NDJSON files last, so
+// resources find the patients loaded in the same batch
+export function uploadOrder(detected) {
+  if (detected.format !== "FHIR NDJSON") return 1;
+  return detected.firstType === "Patient" ? 0 : 2;
+}
+
+// Display names of the patients behind an ingestion: those it carries and
+// those its resources point at
+export function ingestedPatientNames(patients, resources, knownPatients) {
+  const ids = patients.map((p) => p.id);
+  resources.forEach((r) => {
+    const ref = getPatientReference(r);
+    const relative = ref && relativeReference(ref.reference);
+    if (!relative || relative.indexOf("Patient/") !== 0) return;
+    const id = relative.slice("Patient/".length);
+    if (ids.indexOf(id) === -1) ids.push(id);
+  });
+  const everyone = patients.concat(knownPatients);
+  return ids.map((id) =>
+    getPatientDisplayName(everyone.find((p) => p.id === id))
+  );
+}
@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+import { detectFileFormat, listUploadIssues, uploadOrder } from "./uploadQueue";
+
+describe("detectFileFormat", () => {
+  test("reads HL7 v2 from the MSH, FHS or BHS header", () => {
+    expect(detectFileFormat("MSH|^~\\&|LAB|")).toEqual({ format: "HL7 v2" });
+    expect(detectFileFormat("FHS|^~\\&|\rBHS|^~\\&|")).toEqual({
+      format: "HL7 v2",
+    });
+    expect(detectFileFormat("\n\nBHS|^~\\&|")).toEqual({ format: "HL7 v2" });
+  });
+
+  test("tells C-CDA from other XML", () => {
+    const ccd = fs.readFileSync(
+      path.join(__dirname, "..", "jane-doe-ccd.xml"),
+      "utf8"
+    );
+    expect(detectFileFormat(ccd)).toEqual({ format: "C-CDA" });
+    expect(detectFileFormat('<?xml version="1.0"?><Bundle/>')).toEqual({
+      format: "XML",
+    });
+  });
+
+  test("reads a Bundle as FHIR JSON, on one line or pretty-printed", () => {
+    const bundle = { resourceType: "Bundle", type: "collection", entry: [] };
+    expect(detectFileFormat(JSON.stringify(bundle))).toEqual({
+      format: "FHIR JSON",
+    });
+    expect(detectFileFormat(JSON.stringify(bundle, null, 2))).toEqual({
+      format: "FHIR JSON",
+    });
+  });
+
+  test("reads NDJSON when the first line is a whole resource", () => {
+    const lines = [
+      { resourceType: "Patient", id: "p1" },
+      { resourceType: "Patient", id: "p2" },
+    ].map((r) => JSON.stringify(r));
+    expect(detectFileFormat(lines.join("\r\n"))).toEqual({
+      format: "FHIR NDJSON",
+      firstType: "Patient",
+    });
+    expect(
+      detectFileFormat(
+        JSON.stringify({ resourceType: "Observation", id: "o1" }) + "\n"
+      )
+    ).toEqual({ format: "FHIR NDJSON", firstType: "Observation" });
+  });
+
+  test("takes off a byte order mark and leading whitespace", () => {
+    expect(detectFileFormat("\uFEFF  MSH|^~\\&|")).toEqual({
+      format: "HL7 v2",
+    });
+    expect(detectFileFormat('\uFEFF{"resourceType":"Bundle"}')).toEqual({
+      format: "FHIR JSON",
+    });
+  });
+
+  test("gives Unknown for anything else", () => {
+    expect(detectFileFormat("PID|1||12345")).toEqual({ format: "Unknown" });
+    expect(detectFileFormat("")).toEqual({ format: "Unknown" });
+    expect(detectFileFormat("[1, 2]")).toEqual({ format: "Unknown" });
+  });
+});
+
+describe("uploadOrder", () => {
+  test("puts Patient NDJSON first and other NDJSON last", () => {
+    expect(uploadOrder({ format: "FHIR NDJSON", firstType: "Patient" })).toBe(
+      0
+    );
+    expect(uploadOrder({ format: "HL7 v2" })).toBe(1);
+    expect(
+      uploadOrder({ format: "FHIR NDJSON", firstType: "Observation" })
+    ).toBe(2);
+  });
+});
+
+describe("listUploadIssues", () => {
+  test("lists the first five issues and counts the rest", () => {
+    const issues = [1, 2, 3, 4, 5, 6, 7].map((line) => ({
+      line,
+      resource: line === 1 ? "Observation/o1" : null,
+      message: "Problem " + line + ".",
+    }));
+    expect(listUploadIssues(issues)).toEqual([
+      "Line 1: Observation/o1 Problem 1.",
+      "Line 2: Problem 2.",
+      "Line 3: Problem 3.",
+      "Line 4: Problem 4.",
+      "Line 5: Problem 5.",
+      "… and 2 more.",
+    ]);
+  });
+});